@@ -2,14 +2,20 @@
 // This script runs in a context that has access to both the DOM and Node.js APIs
 // but runs before the page's scripts, providing a bridge between them
 
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose protected methods that allow the renderer process to use
 // the APIs without exposing the entire Node.js API
 contextBridge.exposeInMainWorld('electronAPI', {
-  // Add any Electron-specific APIs here if needed
-  // For example:
-  // platform: process.platform,
-  // versions: process.versions
+  // Scheduled persona tasks: the main process keeps the timers, the renderer runs the tasks
+  scheduler: {
+    sync: (entries) => ipcRenderer.invoke('scheduler:sync', entries),
+    claim: () => ipcRenderer.invoke('scheduler:claim'),
+    notify: (notification) => ipcRenderer.invoke('scheduler:notify', notification),
+    onSignal: (listener) => {
+      const handleSignal = () => listener();
+      ipcRenderer.on('scheduler:signal', handleSignal);
+      return () => ipcRenderer.removeListener('scheduler:signal', handleSignal);
+    }
+  }
 });
-
@@ -132,4 +132,111 @@ chrome.action.onClicked.addListener(() => {
   chrome.tabs.create({
     url: chrome.runtime.getURL('index.html')
   });
-});
\ No newline at end of file
+});
+// 定时任务：页面保存任务并执行，这里只负责闹钟和桌面通知
+// 存储：scheduledTaskEntries [{id, title, nextRunAt}]、scheduledRunsDue [taskId]、scheduledOpenTaskId
+const SCHEDULED_ALARM_PREFIX = 'scheduled-task:';
+const SCHEDULED_NOTIFICATION_PREFIX = 'scheduled-task:';
+
+function storageGet(keys) {
+  return new Promise((resolve) => chrome.storage.local.get(keys, resolve));
+}
+
+function storageSet(items) {
+  return new Promise((resolve) => chrome.storage.local.set(items, resolve));
+}
+
+// 重新设置所有任务的闹钟；已过期的闹钟会立即触发
+async function syncScheduledTasks(entries) {
+  const scheduledEntries = Array.isArray(entries) ? entries : [];
+  await storageSet({ scheduledTaskEntries: scheduledEntries });
+  const { scheduledRunsDue = [] } = await storageGet(['scheduledRunsDue']);
+  const alarms = await chrome.alarms.getAll();
+  await Promise.all(
+    alarms
+      .filter((alarm) => alarm.name.startsWith(SCHEDULED_ALARM_PREFIX))
+      .map((alarm) => chrome.alarms.clear(alarm.name))
+  );
+  scheduledEntries
+    .filter((entry) => entry.nextRunAt && !scheduledRunsDue.includes(entry.id))
+    .forEach((entry) => {
+      chrome.alarms.create(SCHEDULED_ALARM_PREFIX + entry.id, { when: entry.nextRunAt });
+    });
+}
+
+// 通知已打开的页面；没有页面回应时打开一个，页面加载后会领取任务
+function signalAppPage(type, activate) {
+  chrome.runtime.sendMessage({ type }, (response) => {
+    if (chrome.runtime.lastError || !response?.received) {
+      chrome.tabs.create({
+        url: chrome.runtime.getURL('index.html'),
+        active: activate
+      });
+    }
+  });
+}
+
+// 浏览器重启后按保存的任务重新设置闹钟
+chrome.runtime.onStartup.addListener(async () => {
+  const { scheduledTaskEntries = [] } = await storageGet(['scheduledTaskEntries']);
+  await syncScheduledTasks(scheduledTaskEntries);
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (!alarm.name.startsWith(SCHEDULED_ALARM_PREFIX)) {
+    return;
+  }
+  const taskId = alarm.name.substring(SCHEDULED_ALARM_PREFIX.length);
+  const { scheduledRunsDue = [] } = await storageGet(['scheduledRunsDue']);
+  if (!scheduledRunsDue.includes(taskId)) {
+    await storageSet({ scheduledRunsDue: [...scheduledRunsDue, taskId] });
+  }
+  signalAppPage('scheduler:due', false);
+});
+
+// 页面领取到期的任务，每个任务只交给一个页面
+async function claimScheduledRuns() {
+  const { scheduledRunsDue = [], scheduledOpenTaskId = null } = await storageGet([
+    'scheduledRunsDue',
+    'scheduledOpenTaskId'
+  ]);
+  await storageSet({ scheduledRunsDue: [], scheduledOpenTaskId: null });
+  return { dueTaskIds: scheduledRunsDue, openTaskId: scheduledOpenTaskId };
+}
+
+function showScheduledTaskNotification({ taskId, title, body }) {
+  chrome.notifications.create(`${SCHEDULED_NOTIFICATION_PREFIX}${taskId}:${Date.now()}`, {
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('chatsphere.png'),
+    title: title || 'ChatSphere',
+    message: body || ''
+  });
+}
+
+// 点击通知时打开对应任务的对话
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  if (!notificationId.startsWith(SCHEDULED_NOTIFICATION_PREFIX)) {
+    return;
+  }
+  const taskId = notificationId.substring(SCHEDULED_NOTIFICATION_PREFIX.length).split(':')[0];
+  await storageSet({ scheduledOpenTaskId: taskId });
+  chrome.notifications.clear(notificationId);
+  signalAppPage('scheduler:open', true);
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case 'scheduler:sync':
+      syncScheduledTasks(message.entries).then(() => sendResponse({ success: true }));
+      return true;
+    case 'scheduler:claim':
+      claimScheduledRuns().then(sendResponse);
+      return true;
+    case 'scheduler:notify':
+      showScheduledTaskNotification(message);
+      sendResponse({ success: true });
+      return false;
+    default:
+      return false;
+  }
+});
@@ -1,8 +1,116 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, ipcMain, Notification } = require('electron');
 const path = require('path');
+const fs = require('fs');
 
 let mainWindow;
 
+// Scheduled persona tasks
+// The renderer owns the tasks and runs them through the role request pipeline; the main process
+// keeps a timer per task so runs come due while the window is in the background. Runs that came
+// due while the app was closed are due as soon as it starts again.
+let scheduledEntries = [];
+let dueTaskIds = [];
+let openTaskId = null;
+const scheduleTimers = new Map();
+// setTimeout can't wait longer than about 24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+function getScheduleFile() {
+  return path.join(app.getPath('userData'), 'scheduled-tasks.json');
+}
+
+function loadSchedule() {
+  try {
+    const entries = JSON.parse(fs.readFileSync(getScheduleFile(), 'utf8'));
+    scheduledEntries = Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    scheduledEntries = [];
+  }
+}
+
+function saveSchedule() {
+  try {
+    fs.writeFileSync(getScheduleFile(), JSON.stringify(scheduledEntries));
+  } catch (error) {
+    console.error('Error saving scheduled tasks:', error);
+  }
+}
+
+// Tell the renderer to claim due runs, opening a window if there is none
+function signalRenderer() {
+  if (!mainWindow) {
+    // The new window claims the runs once it has loaded
+    createWindow();
+    return;
+  }
+  mainWindow.webContents.send('scheduler:signal');
+}
+
+function markRunDue(taskId) {
+  scheduleTimers.delete(taskId);
+  if (!dueTaskIds.includes(taskId)) {
+    dueTaskIds.push(taskId);
+  }
+  signalRenderer();
+}
+
+function armScheduleTimer(entry) {
+  const delay = Math.max(0, entry.nextRunAt - Date.now());
+  scheduleTimers.set(
+    entry.id,
+    setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        armScheduleTimer(entry);
+        return;
+      }
+      markRunDue(entry.id);
+    }, Math.min(delay, MAX_TIMER_DELAY))
+  );
+}
+
+function armScheduleTimers() {
+  scheduleTimers.forEach((timer) => clearTimeout(timer));
+  scheduleTimers.clear();
+  scheduledEntries
+    .filter((entry) => entry.nextRunAt && !dueTaskIds.includes(entry.id))
+    .forEach(armScheduleTimer);
+}
+
+ipcMain.handle('scheduler:sync', (event, entries) => {
+  scheduledEntries = Array.isArray(entries) ? entries : [];
+  saveSchedule();
+  armScheduleTimers();
+});
+
+ipcMain.handle('scheduler:claim', () => {
+  const claimed = { dueTaskIds, openTaskId };
+  dueTaskIds = [];
+  openTaskId = null;
+  return claimed;
+});
+
+ipcMain.handle('scheduler:notify', (event, { taskId, title, body }) => {
+  if (!Notification.isSupported()) {
+    return false;
+  }
+  const notification = new Notification({ title, body });
+  notification.on('click', () => {
+    openTaskId = taskId;
+    if (!mainWindow) {
+      createWindow();
+      return;
+    }
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.show();
+    mainWindow.focus();
+    mainWindow.webContents.send('scheduler:signal');
+  });
+  notification.show();
+  return true;
+});
+
 function createWindow() {
   // Check if we're in development mode
   // In development, we'll load from localhost:3000
@@ -50,6 +158,8 @@ function createWindow() {
 // This method will be called when Electron has finished initialization
 app.whenReady().then(() => {
   createWindow();
+  loadSchedule();
+  armScheduleTimers();
 
   app.on('activate', () => {
     // On macOS, re-create a window when dock icon is clicked
@@ -1,4 +1,4 @@
-import { useState, useMemo, useCallback } from "react";
+import { useState, useMemo, useCallback, useEffect, useRef } from "react";
 import Container from "react-bootstrap/Container";
 import Row from "react-bootstrap/Row";
 import Col from "react-bootstrap/Col";
@@ -11,19 +11,31 @@ import ConversationSelector from "./ConversationSelector";
 import QuestionInput from "./QuestionInput";
 import Settings from "./Settings";
 import FollowUpQuestions from "./FollowUpQuestions";
+import ToolApprovalCard from "./ToolApprovalCard";
 import Memory from "./Memory";
+import Usage from "./Usage";
+import ScheduledTasks from "./ScheduledTasks";
 import MarkdownEditor from "./MarkdownEditor";
 import LoginButton from "./LoginButton";
 import ConversationTitle from "./ConversationTitle";
 import ConversationContainer from "./ConversationContainer";
 import ConversationActions from "./ConversationActions";
 import FloatingTabs from "./FloatingTabs";
-import { roleDefinition } from "../utils/roleConfig";
+import ContextMeter from "./ContextMeter";
+import SummaryPanel from "./SummaryPanel";
+import RequestQueuePanel from "./RequestQueuePanel";
+import { getMentionRoleMap, getRoleDefinition } from "../utils/roleConfig";
+import { PERSONAS_CHANGE_EVENT } from "../utils/settingsService";
 import { buildUserFacingErrorMessage } from "../services/errorService";
+import { BUDGET_WARNING_EVENT } from "../services/usageLedgerService";
+import { getOutbox, addToOutbox, getCurrentOutboxConversationId } from "../services/outboxService";
+import { isNetworkError, isAbortError } from "../services/api/apiClient";
+import { getGatewayApiKey } from "../services/api/endpointProfiles";
 import { extractMentionedRolesFromParts } from "../utils/textProcessing/mentionUtils";
 import { useConversation } from "../hooks/useConversation";
 import { useConversationExport } from "../hooks/useConversationExport";
 import { useRoleRequests } from "../hooks/useRoleRequests";
+import { useDiscussion } from "../hooks/useDiscussion";
 import { useFileUpload } from "../hooks/useFileUpload";
 import { useFollowUpQuestions } from "../hooks/useFollowUpQuestions";
 import { useSettings } from "../hooks/useSettings";
@@ -31,7 +43,15 @@ import { useChromeContent } from "../hooks/useChromeContent";
 import { useMessageEditing } from "../hooks/useMessageEditing";
 import { useFloatingMenu } from "../hooks/useFloatingMenu";
 import { useTabs } from "../hooks/useTabs";
-import { findFunctionResponseIndices, deleteMessages, filterDeletedMessages, appendMessage, generatePartUUID } from "../services/conversationService";
+import { useOutbox } from "../hooks/useOutbox";
+import { useScheduledTasks } from "../hooks/useScheduledTasks";
+import { findFunctionResponseIndices, deleteMessages, getVisibleMessages, appendMessage, generatePartUUID, createBranch, selectBranch } from "../services/conversationService";
+import { clearConversationSummaries, LOCAL_SUMMARY_SCOPE } from "../services/summaryService";
+import { formatDiscussionTag } from "../services/discussionService";
+import { getRoleRoutingConfig, routeByKeywords, routeQuestion } from "../services/roleRouterService";
+
+// Summary edits and compression settings are uploaded once they settle
+const SUMMARY_SYNC_DEBOUNCE_MS = 2000;
 
 // Main application content component
 function AppContent() {
@@ -57,23 +77,19 @@ function AppContent() {
     handleModelChange,
   } = useSettings();
 
-  const mentionRoleMap = useMemo(() => {
-    const map = {};
-    Object.entries(roleDefinition).forEach(([roleKey, config]) => {
-      if (config?.hidden) {
-        return;
-      }
-      map[roleKey.toLowerCase()] = roleKey;
-      if (config?.name) {
-        map[config.name.toLowerCase()] = roleKey;
-      }
-    });
-    return map;
+  // Built-in roles and custom personas; rebuilt when personas change (locally or by sync)
+  const [mentionRoleMap, setMentionRoleMap] = useState(() => getMentionRoleMap());
+  useEffect(() => {
+    const handlePersonasChange = () => setMentionRoleMap(getMentionRoleMap());
+    window.addEventListener(PERSONAS_CHANGE_EVENT, handlePersonasChange);
+    return () => window.removeEventListener(PERSONAS_CHANGE_EVENT, handlePersonasChange);
   }, []);
 
   // Use conversation hook for state management
   const conversationHookResult = useConversation("conversation");
   const [conversation, setConversation, conversationRef, syncHelpers] = conversationHookResult;
+  // Messages of the selected branches, as shown and sent to the model
+  const visibleConversation = useMemo(() => getVisibleMessages(conversation), [conversation]);
   
   // Extract sync helpers if OneDrive is available
   const currentConversationTitle = syncHelpers?.currentConversationTitle || 'New Conversation';
@@ -113,6 +129,31 @@ function AppContent() {
   }, [originalSaveEditing, syncHelpers]);
 
   const [errorMessage, setErrorMessage] = useState("");
+  const [budgetWarning, setBudgetWarning] = useState("");
+  // Bumped when summaries are edited so the context meter recounts
+  const [summaryVersion, setSummaryVersion] = useState(0);
+  const summarySyncTimeoutRef = useRef(null);
+
+  const handleSummariesChanged = useCallback(() => {
+    setSummaryVersion((version) => version + 1);
+    clearTimeout(summarySyncTimeoutRef.current);
+    summarySyncTimeoutRef.current = setTimeout(() => {
+      syncHelpers?.syncCurrentConversation?.({ force: true }).catch(err => {
+        console.error("Error syncing after summary change:", err);
+      });
+    }, SUMMARY_SYNC_DEBOUNCE_MS);
+  }, [syncHelpers]);
+
+  useEffect(() => () => clearTimeout(summarySyncTimeoutRef.current), []);
+
+  // Budget caps in "warn" mode notify instead of blocking requests
+  useEffect(() => {
+    const handleBudgetWarning = (event) => {
+      setBudgetWarning(event.detail?.message || "Usage budget exceeded");
+    };
+    window.addEventListener(BUDGET_WARNING_EVENT, handleBudgetWarning);
+    return () => window.removeEventListener(BUDGET_WARNING_EVENT, handleBudgetWarning);
+  }, []);
 
   // State for controlling visibility of top settings
   const [showTopSettings, setShowTopSettings] = useState(false);
@@ -125,8 +166,63 @@ function AppContent() {
     tabsRef,
   } = useTabs("chatbot");
 
+  // Scheduled persona tasks run in the background; a clicked notification opens the task
+  const [selectedScheduledTaskId, setSelectedScheduledTaskId] = useState(null);
+  const openScheduledTask = useCallback((taskId) => {
+    setSelectedScheduledTaskId(taskId);
+    setCurrentTab("scheduled");
+  }, [setCurrentTab]);
+
+  // A user message whose request failed because the network is down goes back to the
+  // outbox (merging roles if another of its roles already failed), to be replayed later
+  const moveFailedMessageToOutbox = (task) => {
+    const triggerMessageId = task?.context?.triggerMessageId;
+    if (task?.context?.source !== "user" || !triggerMessageId) {
+      return false;
+    }
+
+    const pendingEntry = getOutbox().find((entry) => entry.message.timestamp === triggerMessageId);
+    if (pendingEntry) {
+      addToOutbox(pendingEntry.message, [task.role], {
+        conversationId: pendingEntry.conversationId,
+        reason: "network_error",
+      });
+      return true;
+    }
+
+    // Only while nothing has answered it yet, otherwise the replies would be orphaned
+    const latestConversation = conversationRef.current || [];
+    const lastMessage = latestConversation[latestConversation.length - 1];
+    if (lastMessage?.timestamp !== triggerMessageId) {
+      return false;
+    }
+    setConversation(latestConversation.slice(0, -1));
+    addToOutbox(lastMessage, [task.role], { reason: "network_error" });
+    return true;
+  };
+
   // Use role requests hook for managing request queue
-  const { activeTypers, enqueueRoleRequests } = useRoleRequests({
+  const {
+    activeTypers,
+    streamingMessages,
+    retryStates,
+    chainStop,
+    continueChain,
+    dismissChainStop,
+    toolApprovals,
+    respondToToolApproval,
+    enqueueRoleRequests,
+    runDetachedRoleRequest,
+    cancelRoleRequestsForRole,
+    cancelRoleRequestsForMessage,
+    cancelAllRoleRequests,
+    queueEntries,
+    cancelRoleRequest,
+    retryRoleRequest,
+    moveRoleRequest,
+    setRoleRequestPaused,
+    setRequestConcurrency,
+  } = useRoleRequests({
     conversationRef,
     setConversation,
     appendMessage: (message) => {
@@ -136,7 +232,11 @@ function AppContent() {
         return appendMessage(prevConversation || [], message);
       });
     },
-    onError: (error) => {
+    onError: (error, task) => {
+      if (isNetworkError(error) && moveFailedMessageToOutbox(task)) {
+        setErrorMessage("");
+        return;
+      }
       const userMessage = buildUserFacingErrorMessage(error);
       setErrorMessage(userMessage);
     },
@@ -236,9 +336,35 @@ function AppContent() {
         }
       }
     },
+    // Discussions move to their next step when a turn finishes
+    onRequestFinished: (task, result) => handleDiscussionRequestFinished(task, result),
     mentionRoleMap,
   });
 
+  // Runs go through the request queue, so they count against its limits and stop with Stop
+  const {
+    scheduledTasks,
+    runningTaskIds: runningScheduledTaskIds,
+    runTask: runScheduledTaskNow,
+  } = useScheduledTasks({
+    onOpenTask: openScheduledTask,
+    runRequest: runDetachedRoleRequest,
+  });
+
+  // Use discussion hook for panel, debate and review modes
+  const {
+    discussionStatus,
+    startDiscussion,
+    stopDiscussion,
+    summarizeNow,
+    handleRequestFinished: handleDiscussionRequestFinished,
+  } = useDiscussion({
+    conversationRef,
+    setConversation,
+    enqueueRoleRequests,
+    cancelRoleRequestsForRole,
+  });
+
   // Use follow-up questions hook (needs activeTypers from useRoleRequests)
   const {
     followUpQuestions,
@@ -251,18 +377,118 @@ function AppContent() {
     activeTypers,
   });
 
+  // Send a message from the outbox as if it had just been submitted
+  const dispatchOutboxMessage = useCallback(({ message, roles }) => {
+    const sentMessage = { ...message, timestamp: Date.now() };
+    setConversation([...(conversationRef.current || []), sentMessage]);
+    enqueueRoleRequests(roles, {
+      source: "user",
+      triggerMessageId: sentMessage.timestamp,
+    });
+  }, [conversationRef, setConversation, enqueueRoleRequests]);
+
+  // Regenerate a model response into a new branch of its turn
+  const regenerateResponse = useCallback((visibleIndex) => {
+    const result = createBranch(conversationRef.current || [], visibleIndex);
+    if (!result) {
+      console.warn('[AppContent] Cannot regenerate message at index:', visibleIndex);
+      return;
+    }
+    const role = mentionRoleMap[result.message.name?.toLowerCase()] || "general";
+    setConversation(result.conversation);
+    enqueueRoleRequests([role], {
+      source: "regenerate",
+      triggerMessageId: result.branch.branchId,
+      branch: result.branch,
+    });
+  }, [conversationRef, setConversation, enqueueRoleRequests, mentionRoleMap]);
+
+  // Ask other personas than the ones the router picked for a message
+  const rerouteMessage = useCallback((timestamp, roles) => {
+    const message = (conversationRef.current || []).find((msg) => msg.timestamp === timestamp);
+    if (!message?.routing) {
+      return;
+    }
+    message.routing.roles
+      .filter((role) => !roles.includes(role))
+      .forEach((role) => cancelRoleRequestsForMessage(timestamp, role));
+    const routing = {
+      roles,
+      reason: "Chosen by you",
+      source: "user",
+      routedRoles: message.routing.routedRoles || message.routing.roles,
+    };
+    setConversation((prevConversation) =>
+      (prevConversation || []).map((msg) => (msg.timestamp === timestamp ? { ...msg, routing } : msg))
+    );
+    enqueueRoleRequests(roles, {
+      source: "user",
+      triggerMessageId: timestamp,
+    });
+  }, [conversationRef, setConversation, enqueueRoleRequests, cancelRoleRequestsForMessage]);
+
+  // Show another branch of a turn
+  const switchBranch = useCallback((turnId, branchId) => {
+    setConversation(selectBranch(conversationRef.current || [], turnId, branchId));
+    if (syncHelpers?.syncCurrentConversation) {
+      setTimeout(() => {
+        syncHelpers.syncCurrentConversation().catch(err => {
+          console.error('[AppContent] Error syncing conversation after branch switch:', err);
+        });
+      }, 500);
+    }
+  }, [conversationRef, setConversation, syncHelpers]);
+
+  // Use outbox hook for messages waiting for the network
+  const {
+    isOnline,
+    isPaused: isOutboxPaused,
+    pendingMessages,
+    queueMessage,
+    editPendingMessage,
+    discardPendingMessage,
+    sendPendingNow,
+  } = useOutbox({
+    conversationId: currentConversationId || getCurrentOutboxConversationId(),
+    activeTypers,
+    dispatchMessage: dispatchOutboxMessage,
+    mentionRoleMap,
+  });
+
   // Use file upload hook for file processing and upload
   const { processFilesForUpload, uploadFiles, updatePartsWithFileUris } = useFileUpload(subscriptionKey);
 
   // Role request logic is now handled by useRoleRequests hook
 
+  // Submissions still routing their message; "Stop" aborts them along with the requests
+  const submitControllersRef = useRef(new Set());
+  // Messages waiting for the router to pick their personas
+  const [routingCount, setRoutingCount] = useState(0);
+
+  const stopAllRequests = useCallback(() => {
+    submitControllersRef.current.forEach((controller) => controller.abort());
+    cancelAllRoleRequests();
+  }, [cancelAllRoleRequests]);
+
   // Handle chatbot question submission
-  const handleSubmit = useCallback(async (contentParts) => {
-    if (!subscriptionKey) {
+  const handleSubmit = useCallback(async (contentParts, _thinkingBudget, discussionOptions = null) => {
+    // The selected endpoint profile may carry its own key
+    if (!subscriptionKey && !getGatewayApiKey()) {
       alert("Please input Subscription key");
       return;
     }
 
+    // Queue behind pending messages so they are answered in order
+    const shouldQueue = !navigator.onLine || pendingMessages.length > 0;
+    if (shouldQueue && contentParts.some((part) => part.inline_data?.file)) {
+      alert("Attachments cannot be queued. Send them once you are back online and pending messages are delivered.");
+      return;
+    }
+    if (shouldQueue && discussionOptions) {
+      alert("Discussions cannot be queued. Start them once you are back online and pending messages are delivered.");
+      return;
+    }
+
     cancelPendingFollowUpQuestions();
     setFollowUpQuestions([]);
     setErrorMessage("");
@@ -287,6 +513,31 @@ function AppContent() {
       timestamp: Date.now(),
     };
 
+    // Extract roles before sending, queued messages need them too
+    const mentionedRoles = extractMentionedRolesFromParts(displayContentParts, mentionRoleMap);
+    const rolesToProcess = mentionedRoles.length > 0 
+      ? mentionedRoles 
+      : ["general"];
+
+    // Without an @mention the router may pick better suited personas than Adrien
+    const routingConfig = getRoleRoutingConfig();
+    const shouldRoute = routingConfig.enabled && mentionedRoles.length === 0 && !discussionOptions;
+    const questionText = displayContentParts
+      .filter((part) => typeof part.text === "string")
+      .map((part) => part.text)
+      .join("\n");
+
+    if (shouldQueue) {
+      if (shouldRoute) {
+        // Offline there's no model to ask, so only the keyword rules apply
+        const routing = routeByKeywords(questionText);
+        queueMessage({ ...newUserMessage, routing }, routing.roles);
+      } else {
+        queueMessage(newUserMessage, rolesToProcess);
+      }
+      return;
+    }
+
     // Update conversation - setConversation wrapper will update ref and localStorage immediately
     const latestConversation = conversationRef.current || [];
     const updatedConversation = [...latestConversation, newUserMessage];
@@ -314,13 +565,9 @@ function AppContent() {
     // Auto-save is handled automatically by useConversationSync hook via useEffect
     // It will create a conversation automatically if OneDrive is available and no conversation exists
 
-    // Step 3: Extract roles and prepare for API request
-    const mentionedRoles = extractMentionedRolesFromParts(displayContentParts, mentionRoleMap);
-    const rolesToProcess = mentionedRoles.length > 0 
-      ? mentionedRoles 
-      : ["general"];
-
-    // Step 4: Upload files asynchronously, then send API request
+    // Step 3: Upload files asynchronously, then send API request
+    const submitController = new AbortController();
+    submitControllersRef.current.add(submitController);
     (async () => {
       try {
         // Upload all files using useFileUpload hook
@@ -366,12 +613,39 @@ function AppContent() {
           return latestConversation;
         });
 
-        // Step 5: Send API request with file_data
-        enqueueRoleRequests(rolesToProcess, {
-          source: "user",
-          triggerMessageId: newUserMessage.timestamp,
-        });
+        // Step 4: Send API request with file_data, or start the discussion about it
+        if (discussionOptions) {
+          startDiscussion({ ...discussionOptions, mentionedRoles });
+        } else {
+          let roles = rolesToProcess;
+          if (shouldRoute) {
+            setRoutingCount((count) => count + 1);
+            let routing;
+            try {
+              routing = await routeQuestion(questionText, {
+                useModel: routingConfig.useModel,
+                signal: submitController.signal,
+              });
+            } finally {
+              setRoutingCount((count) => count - 1);
+            }
+            roles = routing.roles;
+            setConversation((prevConversation) =>
+              (prevConversation || []).map((msg) =>
+                msg.timestamp === newUserMessage.timestamp ? { ...msg, routing } : msg
+              )
+            );
+          }
+          enqueueRoleRequests(roles, {
+            source: "user",
+            triggerMessageId: newUserMessage.timestamp,
+          });
+        }
       } catch (error) {
+        // Stopped while routing: the message stays, unanswered
+        if (isAbortError(error)) {
+          return;
+        }
         console.error("Error uploading file:", error);
         alert("Failed to upload file. Please try again.");
         // Remove the user message on error
@@ -383,9 +657,11 @@ function AppContent() {
           // setConversation wrapper will update ref automatically
           return filteredConversation;
         });
+      } finally {
+        submitControllersRef.current.delete(submitController);
       }
     })();
-  }, [subscriptionKey, conversationRef, mentionRoleMap, processFilesForUpload, uploadFiles, updatePartsWithFileUris]);
+  }, [subscriptionKey, conversationRef, mentionRoleMap, processFilesForUpload, uploadFiles, updatePartsWithFileUris, pendingMessages, queueMessage, startDiscussion]);
 
   // Handle follow-up question click
   const handleFollowUpClick = useCallback((question) => {
@@ -400,13 +676,8 @@ function AppContent() {
     setConversation([]);
     setFollowUpQuestions([]); // Clear predicted questions
     
-    // Clear conversation summaries from localStorage
-    try {
-      localStorage.removeItem("conversation_summaries");
-      console.log("Conversation summaries cleared");
-    } catch (error) {
-      console.error("Error clearing conversation summaries:", error);
-    }
+    // The new conversation starts without summaries; the old one keeps its own
+    clearConversationSummaries(LOCAL_SUMMARY_SCOPE);
     
     // Reset OneDrive conversation ID and title immediately
     if (syncHelpers?.resetCurrentConversation) {
@@ -438,8 +709,8 @@ function AppContent() {
 
   // Delete a conversation message
   const deleteConversationMessage = useCallback((filteredIndex) => {
-    // Get the filtered conversation (without deleted messages) to find the message at filteredIndex
-    const filteredConversation = filterDeletedMessages(conversationRef.current || []);
+    // Get the visible conversation (selected branches, without deleted messages) to find the message at filteredIndex
+    const filteredConversation = getVisibleMessages(conversationRef.current || []);
     const messageToDelete = filteredConversation[filteredIndex];
     
     if (!messageToDelete || !messageToDelete.timestamp) {
@@ -638,8 +909,15 @@ function AppContent() {
             </Row>
             <ConversationContainer
               conversation={conversation}
+              streamingMessages={streamingMessages}
+              pendingMessages={pendingMessages}
+              onEditPending={editPendingMessage}
+              onDiscardPending={discardPendingMessage}
               onDelete={deleteConversationMessage}
               onEdit={startEditing}
+              onRegenerate={regenerateResponse}
+              onReroute={rerouteMessage}
+              onSwitchBranch={switchBranch}
               editingState={{
                 editingIndex,
                 editingPartIndex,
@@ -693,13 +971,140 @@ function AppContent() {
                   </div>
                 )}
 
-                {activeTypers.length > 0 && (
+                {budgetWarning && (
+                  <div
+                    className="mb-3 alert alert-warning alert-dismissible fade show"
+                    role="alert"
+                  >
+                    {budgetWarning}. See the Usage tab for details.
+                    <button
+                      type="button"
+                      className="close-button"
+                      data-dismiss="alert"
+                      aria-label="Close"
+                      onClick={() => setBudgetWarning("")}
+                    >
+                      <Icon.X size={14} />
+                    </button>
+                  </div>
+                )}
+
+                {discussionStatus && (
+                  <div className="mb-2 discussion-status" role="status">
+                    <Icon.People size={14} className="me-1" />
+                    {formatDiscussionTag(discussionStatus)} · step {discussionStatus.step} of {discussionStatus.steps} ·{" "}
+                    {discussionStatus.speakers.join(", ")}
+                    {discussionStatus.kind !== "summary" && (
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary btn-sm py-0 px-2 ms-2"
+                        onClick={summarizeNow}
+                        title="Skip the remaining rounds and let the moderator summarize"
+                      >
+                        <Icon.FastForwardFill size={12} /> Summarize now
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="btn btn-outline-secondary btn-sm py-0 px-2 ms-2"
+                      onClick={stopDiscussion}
+                      title="End the discussion without a summary"
+                    >
+                      <Icon.StopFill size={12} /> End
+                    </button>
+                  </div>
+                )}
+                {toolApprovals.map((approval) => (
+                  <ToolApprovalCard key={approval.id} approval={approval} onRespond={respondToToolApproval} />
+                ))}
+                {chainStop && (
+                  <div
+                    className="mb-3 alert alert-warning alert-dismissible fade show"
+                    role="alert"
+                  >
+                    <Icon.SignStopFill size={14} className="me-1" />
+                    Conversation chain stopped. {chainStop.message}{" "}
+                    {chainStop.roles.map((role) => getRoleDefinition(role)?.name || role).join(", ")}{" "}
+                    {chainStop.roles.length === 1 ? "was" : "were"} not asked to reply.
+                    <button
+                      type="button"
+                      className="btn btn-outline-secondary btn-sm py-0 px-2 ms-2"
+                      onClick={continueChain}
+                      title="Let them reply, with a fresh budget for this turn"
+                    >
+                      <Icon.PlayFill size={12} /> Continue
+                    </button>
+                    <button
+                      type="button"
+                      className="close-button"
+                      data-dismiss="alert"
+                      aria-label="Close"
+                      onClick={dismissChainStop}
+                    >
+                      <Icon.X size={14} />
+                    </button>
+                  </div>
+                )}
+                {(activeTypers.length > 0 || routingCount > 0) && (
                   <div className="mb-3 typing-indicator">
-                    {activeTypers.length === 1
-                      ? `${activeTypers[0]} is typing ...`
-                      : `${activeTypers.join(", ")} are typing ...`}
+                    <div className="d-flex align-items-center gap-2">
+                      <span>
+                        {activeTypers.length === 0
+                          ? "Routing ..."
+                          : activeTypers.length === 1
+                            ? `${activeTypers[0]} is typing ...`
+                            : `${activeTypers.join(", ")} are typing ...`}
+                      </span>
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary btn-sm py-0 px-2"
+                        onClick={stopAllRequests}
+                        title="Stop generating"
+                      >
+                        <Icon.StopFill size={12} /> Stop
+                      </button>
+                    </div>
+                    {retryStates.map((retry) => (
+                      <div key={retry.name} style={{ fontSize: "0.85em", color: "#b26a00" }}>
+                        {retry.name}: {retry.status === 429 ? "rate limited" : "request failed"},
+                        retrying in {Math.ceil(retry.delayMs / 1000)}s (attempt {retry.attempt + 1} of {retry.maxAttempts})
+                      </div>
+                    ))}
                   </div>
                 )}
+                {(!isOnline || pendingMessages.length > 0) && (
+                  <div className="mb-3 outbox-status" role="status">
+                    <Icon.CloudSlash size={14} className="me-1" />
+                    {!isOnline
+                      ? "You are offline. Messages will be sent when the connection returns."
+                      : isOutboxPaused
+                        ? "Could not reach the server. Pending messages are on hold."
+                        : "Sending pending messages ..."}
+                    {isOnline && isOutboxPaused && (
+                      <button
+                        type="button"
+                        className="btn btn-outline-secondary btn-sm py-0 px-2 ms-2"
+                        onClick={sendPendingNow}
+                      >
+                        <Icon.Send size={12} /> Send now
+                      </button>
+                    )}
+                  </div>
+                )}
+                <RequestQueuePanel
+                  entries={queueEntries}
+                  onCancel={cancelRoleRequest}
+                  onRetry={retryRoleRequest}
+                  onMove={moveRoleRequest}
+                  onPause={setRoleRequestPaused}
+                  onConcurrencyChange={setRequestConcurrency}
+                />
+                {/* Remounted when summaries change, since the count depends on them */}
+                <ContextMeter key={summaryVersion} conversation={visibleConversation} />
+                <SummaryPanel
+                  conversation={visibleConversation}
+                  onChanged={handleSummariesChanged}
+                />
                 <QuestionInput
                   onSubmit={handleSubmit}
                   value={question}
@@ -722,6 +1127,26 @@ function AppContent() {
               </Col>
             </Row>
           </Tab>
+          <Tab eventKey="scheduled" title="Scheduled">
+            <Row>
+              <Col>
+                <ScheduledTasks
+                  scheduledTasks={scheduledTasks}
+                  runningTaskIds={runningScheduledTaskIds}
+                  selectedTaskId={selectedScheduledTaskId}
+                  onSelectTask={setSelectedScheduledTaskId}
+                  onRunTask={runScheduledTaskNow}
+                />
+              </Col>
+            </Row>
+          </Tab>
+          <Tab eventKey="usage" title="Usage">
+            <Row>
+              <Col>
+                <Usage />
+              </Col>
+            </Row>
+          </Tab>
         </Tabs>
       </div>
 
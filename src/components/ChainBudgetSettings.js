@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import { getChainBudgetSettings, setChainBudgetSettings } from '../utils/settingsService';
+import { getChainBudget, CHAIN_BUDGET_LIMITS } from '../services/chainBudgetService';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+const NUMERIC_FIELDS = [
+  { field: 'maxDepth', label: 'Max @mention depth', ...CHAIN_BUDGET_LIMITS.maxDepth },
+  { field: 'maxRoleCalls', label: 'Max persona replies', ...CHAIN_BUDGET_LIMITS.maxRoleCalls },
+  { field: 'maxTokens', label: 'Max tokens', ...CHAIN_BUDGET_LIMITS.maxTokens },
+];
+
+/**
+ * Chain budget: how far personas @mentioning each other may go in one turn
+ */
+const ChainBudgetSettings = () => {
+  const [budget, setBudget] = useState(() => getChainBudget());
+  const [isCustomized, setIsCustomized] = useState(() => !!getChainBudgetSettings());
+
+  const handleNumberChange = ({ field, min, max }, value) => {
+    const updated = { ...budget, [field]: Math.min(max, Math.max(min, parseInt(value, 10) || min)) };
+    setBudget(updated);
+    setChainBudgetSettings(updated);
+    setIsCustomized(true);
+  };
+
+  const handleReset = () => {
+    setChainBudgetSettings(null);
+    setBudget(getChainBudget());
+    setIsCustomized(false);
+  };
+
+  return (
+    <Form.Group controlId="chain-budget">
+      <Form.Label>@mention chains</Form.Label>
+      <Row className="g-2">
+        {NUMERIC_FIELDS.map((fieldConfig) => (
+          <Col xs={6} md={4} key={fieldConfig.field}>
+            <Form.Label className="mb-0" style={{ fontSize: '0.85em' }}>{fieldConfig.label}</Form.Label>
+            <Form.Control
+              size="sm"
+              type="number"
+              min={fieldConfig.min}
+              max={fieldConfig.max}
+              value={budget[fieldConfig.field]}
+              onChange={(e) => handleNumberChange(fieldConfig, e.target.value)}
+            />
+          </Col>
+        ))}
+      </Row>
+      <Form.Text className="text-muted">
+        Personas can @mention each other in their replies. Each of your messages gets this budget;
+        when it runs out, or personas keep mentioning each other in a loop, the chain stops and you
+        can choose to continue it.
+      </Form.Text>
+      {isCustomized && (
+        <div>
+          <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+            <ArrowCounterclockwise size={14} className="me-1" />
+            Restore defaults
+          </Button>
+        </div>
+      )}
+    </Form.Group>
+  );
+};
+
+export default ChainBudgetSettings;
@@ -0,0 +1,58 @@
+import { memo, useMemo } from "react";
+import ProgressBar from "react-bootstrap/ProgressBar";
+import { getConversationTokenCount } from "../services/api/geminiService";
+import { getCompressionConfig } from "../services/summaryService";
+
+/**
+ * Shows how much of the compression threshold the conversation context uses
+ * Counts come from countTokens / recorded usageMetadata, with estimates only for uncounted parts
+ *
+ * @param {Object} props
+ * @param {Array} props.conversation - Current conversation array
+ */
+function ContextMeter({ conversation }) {
+  const tokenCount = useMemo(
+    () => getConversationTokenCount(conversation || []),
+    [conversation]
+  );
+
+  // Most recent prompt size as reported by the model
+  const lastPromptTokens = useMemo(() => {
+    const lastModelMessage = [...(conversation || [])]
+      .reverse()
+      .find((message) => message.role === "model" && message.usageMetadata);
+    return lastModelMessage?.usageMetadata?.promptTokenCount;
+  }, [conversation]);
+
+  if (!conversation || conversation.length === 0) {
+    return null;
+  }
+
+  const threshold = getCompressionConfig().TOKEN_THRESHOLD;
+  const percentage = Math.min(100, Math.round((tokenCount / threshold) * 100));
+  const variant = percentage >= 90 ? "danger" : percentage >= 70 ? "warning" : "info";
+
+  return (
+    <div
+      className="mb-2 context-meter"
+      title={
+        lastPromptTokens
+          ? `Last request prompt: ${lastPromptTokens.toLocaleString()} tokens`
+          : undefined
+      }
+    >
+      <div
+        className="d-flex justify-content-between"
+        style={{ fontSize: "12px", color: "#666", marginBottom: "2px" }}
+      >
+        <span>Context</span>
+        <span>
+          {tokenCount.toLocaleString()} / {threshold.toLocaleString()} tokens
+        </span>
+      </div>
+      <ProgressBar now={percentage} variant={variant} style={{ height: "4px" }} />
+    </div>
+  );
+}
+
+export default memo(ContextMeter);
@@ -12,14 +12,21 @@ import ConversationHistory from "./ConversationHistory";
 import ConversationTitle from "./ConversationTitle";
 import ConversationSelector from "./ConversationSelector";
 import ConversationActions from "./ConversationActions";
-import { filterDeletedMessages } from "../services/conversationService";
+import { getVisibleMessages, getBranchSwitchers } from "../services/conversationService";
 
 /**
  * ConversationContainer component
  * @param {Object} props
  * @param {Array} props.conversation - Current conversation array
+ * @param {Array} props.streamingMessages - Partial model messages still being streamed
+ * @param {Array} props.pendingMessages - Outbox entries waiting to be sent
+ * @param {Function} props.onEditPending - Edit pending message handler (id, text)
+ * @param {Function} props.onDiscardPending - Discard pending message handler (id)
  * @param {Function} props.onDelete - Delete message handler
  * @param {Function} props.onEdit - Edit message handler
+ * @param {Function} props.onRegenerate - Regenerate model response handler (history index)
+ * @param {Function} props.onSwitchBranch - Switch branch handler (turnId, branchId)
+ * @param {Function} props.onReroute - Ask other personas than the router picked (message timestamp, roles)
  * @param {Object} props.editingState - Editing state object
  * @param {Function} props.onSave - Save edit handler
  * @param {Function} props.onCancel - Cancel edit handler
@@ -43,8 +50,15 @@ import { filterDeletedMessages } from "../services/conversationService";
  */
 export default function ConversationContainer({
   conversation,
+  streamingMessages,
+  pendingMessages,
+  onEditPending,
+  onDiscardPending,
   onDelete,
   onEdit,
+  onRegenerate,
+  onSwitchBranch,
+  onReroute,
   editingState,
   onSave,
   onCancel,
@@ -75,7 +89,11 @@ export default function ConversationContainer({
 
   // Memoize to preserve reference when conversation unchanged - enables ConversationHistory memo
   const history = useMemo(
-    () => filterDeletedMessages(conversation || []),
+    () => getVisibleMessages(conversation || []),
+    [conversation]
+  );
+  const branchSwitchers = useMemo(
+    () => getBranchSwitchers(conversation || []),
     [conversation]
   );
 
@@ -182,8 +200,16 @@ export default function ConversationContainer({
 
         <ConversationHistory
           history={history}
+          streamingMessages={streamingMessages}
+          pendingMessages={pendingMessages}
+          onEditPending={onEditPending}
+          onDiscardPending={onDiscardPending}
           onDelete={onDelete}
           onEdit={onEdit}
+          branchSwitchers={branchSwitchers}
+          onRegenerate={onRegenerate}
+          onSwitchBranch={onSwitchBranch}
+          onReroute={onReroute}
           editingIndex={editingIndex}
           editingPartIndex={editingPartIndex}
           editingText={editingText}
@@ -9,14 +9,37 @@ import GroundingData from "./conversation/GroundingData";
 import InlineImage from "./conversation/InlineImage";
 import PdfPlaceholder from "./conversation/PdfPlaceholder";
 import TextPart from "./conversation/TextPart";
+import EditForm from "./conversation/EditForm";
+import PromptInspector from "./conversation/PromptInspector";
+import { formatDiscussionTag } from "../services/discussionService";
+import { getRoleDefinition, getVisibleRoles } from "../utils/roleConfig";
 
 // Components are now imported from ./conversation directory
 
+// How the personas of a routed message were picked
+const ROUTING_SOURCES = {
+  keywords: "Picked by keyword rules",
+  model: "Picked by the router model",
+  default: "No persona fit better than the default one",
+  user: "Picked by you",
+};
+
+const formatRoleNames = (roles) =>
+  roles.map((role) => getRoleDefinition(role)?.name || role).join(", ");
+
 // Conversation history component
 function ConversationHistory({
   history,
+  streamingMessages,
+  pendingMessages,
+  onEditPending,
+  onDiscardPending,
   onDelete,
   onEdit,
+  branchSwitchers,
+  onRegenerate,
+  onSwitchBranch,
+  onReroute,
   editingIndex,
   editingPartIndex,
   editingText,
@@ -24,6 +47,10 @@ function ConversationHistory({
   onSave,
   onCancel,
 }) {
+  // Outbox message being edited: {id, text}
+  const [pendingEdit, setPendingEdit] = useState(null);
+  // Timestamp of the model message whose prompt is being inspected
+  const [inspectedTimestamp, setInspectedTimestamp] = useState(null);
   // Ref to the conversation history container for auto-scrolling
   const conversationContainerRef = useRef(null);
   // Add state to track avatar changes
@@ -88,9 +115,34 @@ function ConversationHistory({
   // Use Mermaid hook for rendering diagrams
   useMermaid([history, editingIndex, editingPartIndex]);
 
+  // Only the latest question can be sent to someone else; earlier answers stay where they are
+  const lastUserTimestamp = [...(history || [])].reverse().find((message) => message.role === "user")?.timestamp;
+
+  const savePendingEdit = () => {
+    onEditPending(pendingEdit.id, pendingEdit.text);
+    setPendingEdit(null);
+  };
+
+  // Streaming messages are read-only previews and pending messages (outbox entries)
+  // can only be edited or discarded as a whole
+  const displayedMessages = [
+    ...history.map((content, index) => ({ content, index })),
+    ...(streamingMessages || []).map((content, index) => ({
+      content,
+      index: `streaming-${index}`,
+      isStreaming: true,
+    })),
+    ...(pendingMessages || []).map((entry) => ({
+      content: entry.message,
+      index: `pending-${entry.id}`,
+      pendingEntry: entry,
+    })),
+  ];
+
   return (
     <div className="conversation-history" ref={conversationContainerRef}>
-      {history.map((content, index) => {
+      {displayedMessages.map(({ content, index, isStreaming = false, pendingEntry = null }) => {
+        const isPending = !!pendingEntry;
         // Check if there are elements with text property or image data in content.parts
         const hasValidParts =
           content.parts &&
@@ -114,11 +166,38 @@ function ConversationHistory({
           return null;
         }
 
+        // Moderator notes of a discussion are shown as a compact line, not a message bubble
+        if (content.discussionNote && !isStreaming && !isPending) {
+          return (
+            <div key={index} className="discussion-note">
+              <Icon.People size={12} className="me-1" />
+              <span className="discussion-note-label">{formatDiscussionTag(content.discussionNote)}</span>
+              <span>
+                {content.parts
+                  .filter((part) => !part.hide && typeof part.text === "string")
+                  .map((part) => part.text)
+                  .join(" ")}
+              </span>
+              <button
+                type="button"
+                className="branch-action-button"
+                onClick={() => onDelete(index)}
+                title="Delete note"
+              >
+                <Icon.X size={12} />
+              </button>
+            </div>
+          );
+        }
+
         const formattedTime = content.timestamp
           ? formatTimestamp(content.timestamp)
           : "";
 
         const isUserMessage = content.role === "user";
+        const isHistoryMessage = !isStreaming && !isPending;
+        // Turns with alternative responses show a switcher on their first visible message
+        const branchSwitcher = isHistoryMessage ? branchSwitchers?.get(content.timestamp) : null;
         const avatarSrc = getAvatarPath(userAvatar, isUserMessage, content.name);
         const speakerVoice = getSpeakerVoice(userAvatar, isUserMessage, content.name);
 
@@ -215,6 +294,7 @@ function ConversationHistory({
                             isThought={true}
                             position="right"
                             speakerVoice={speakerVoice}
+                            readOnly={isStreaming}
                           />
                         </div>
                       </div>
@@ -233,6 +313,8 @@ function ConversationHistory({
                           isThought={false}
                           position="right"
                           speakerVoice={speakerVoice}
+                          readOnly={isStreaming}
+                          mermaidRepairs={part.mermaidRepairs}
                         />
                       </div>
                     );
@@ -302,6 +384,7 @@ function ConversationHistory({
                         isThought={false}
                         position="left"
                         speakerVoice={speakerVoice}
+                        readOnly={isPending}
                       />
                     </div>
                   );
@@ -315,6 +398,8 @@ function ConversationHistory({
             key={index}
             className={`conversation-container ${
               isUserMessage ? "user" : "model"
+            }${isStreaming ? " streaming" : ""}${isPending ? " pending" : ""}${
+              content.discussion?.kind === "summary" ? " discussion-summary" : ""
             }`}
           >
             <div className="message-wrapper">
@@ -333,6 +418,140 @@ function ConversationHistory({
                     </span>
                   )}
                   <span className="message-time">{formattedTime}</span>
+                  {content.discussion && (
+                    <span className="message-discussion">
+                      <Icon.People size={12} /> {formatDiscussionTag(content.discussion)}
+                    </span>
+                  )}
+                  {isUserMessage && content.routing && (
+                    <span
+                      className="message-routing"
+                      title={
+                        content.routing.routedRoles
+                          ? `The router picked ${formatRoleNames(content.routing.routedRoles)}`
+                          : ROUTING_SOURCES[content.routing.source]
+                      }
+                    >
+                      <Icon.Signpost size={12} /> {formatRoleNames(content.routing.roles)}
+                      <span className="message-routing-reason">· {content.routing.reason}</span>
+                      {isHistoryMessage && onReroute && content.timestamp === lastUserTimestamp && (
+                        <select
+                          className="message-routing-select"
+                          value=""
+                          onChange={(e) => e.target.value && onReroute(content.timestamp, [e.target.value])}
+                          title="Ask another persona instead"
+                        >
+                          <option value="">Ask instead…</option>
+                          {getVisibleRoles()
+                            .filter(([roleKey]) => !content.routing.roles.includes(roleKey))
+                            .map(([roleKey, config]) => (
+                              <option key={roleKey} value={roleKey}>{config.name}</option>
+                            ))}
+                        </select>
+                      )}
+                    </span>
+                  )}
+                  {content.cancelled && (
+                    <span
+                      className="message-cancelled"
+                      title="This response was stopped before it finished"
+                    >
+                      <Icon.StopCircle size={12} /> stopped
+                    </span>
+                  )}
+                  {branchSwitcher && (
+                    <span className="branch-switcher" title="Alternative responses">
+                      <button
+                        type="button"
+                        className="branch-action-button"
+                        disabled={branchSwitcher.activeIndex <= 0}
+                        onClick={() =>
+                          onSwitchBranch(
+                            branchSwitcher.turnId,
+                            branchSwitcher.branchIds[branchSwitcher.activeIndex - 1]
+                          )
+                        }
+                        title="Previous response"
+                      >
+                        <Icon.ChevronLeft size={12} />
+                      </button>
+                      {branchSwitcher.activeIndex + 1}/{branchSwitcher.branchIds.length}
+                      <button
+                        type="button"
+                        className="branch-action-button"
+                        disabled={branchSwitcher.activeIndex >= branchSwitcher.branchIds.length - 1}
+                        onClick={() =>
+                          onSwitchBranch(
+                            branchSwitcher.turnId,
+                            branchSwitcher.branchIds[branchSwitcher.activeIndex + 1]
+                          )
+                        }
+                        title="Next response"
+                      >
+                        <Icon.ChevronRight size={12} />
+                      </button>
+                    </span>
+                  )}
+                  {isHistoryMessage && content.promptInspectionId && (
+                    <button
+                      type="button"
+                      className="branch-action-button"
+                      onClick={() =>
+                        setInspectedTimestamp(
+                          inspectedTimestamp === content.timestamp ? null : content.timestamp
+                        )
+                      }
+                      title="Inspect the prompt sent for this response"
+                    >
+                      <Icon.Braces size={12} />
+                    </button>
+                  )}
+                  {isHistoryMessage && !isUserMessage && onRegenerate && (
+                    <button
+                      type="button"
+                      className="branch-action-button"
+                      onClick={() => onRegenerate(index)}
+                      title="Regenerate response (keeps this one as an alternative)"
+                    >
+                      <Icon.ArrowRepeat size={12} />
+                    </button>
+                  )}
+                  {isPending && (
+                    <span
+                      className="message-pending"
+                      title={`Waiting to be sent to ${pendingEntry.roles.join(", ")}`}
+                    >
+                      <Icon.Clock size={12} /> pending
+                      {pendingEdit?.id !== pendingEntry.id && (
+                        <>
+                          <button
+                            type="button"
+                            className="pending-action-button"
+                            onClick={() =>
+                              setPendingEdit({
+                                id: pendingEntry.id,
+                                text: content.parts
+                                  .filter((part) => !part.hide && typeof part.text === "string")
+                                  .map((part) => part.text)
+                                  .join("\n"),
+                              })
+                            }
+                            title="Edit before sending"
+                          >
+                            <Icon.Pencil size={12} />
+                          </button>
+                          <button
+                            type="button"
+                            className="pending-action-button"
+                            onClick={() => onDiscardPending(pendingEntry.id)}
+                            title="Discard"
+                          >
+                            <Icon.Trash size={12} />
+                          </button>
+                        </>
+                      )}
+                    </span>
+                  )}
                 </div>
 
                 <div
@@ -340,19 +559,30 @@ function ConversationHistory({
                     isUserMessage ? "user" : "model"
                   }`}
                 >
-                  <button
-                    onClick={() => onDelete(index)}
-                    className="delete-button"
-                    title="Delete message"
-                  >
-                    <Icon.X size={14} />
-                  </button>
+                  {!isStreaming && !isPending && (
+                    <button
+                      onClick={() => onDelete(index)}
+                      className="delete-button"
+                      title="Delete message"
+                    >
+                      <Icon.X size={14} />
+                    </button>
+                  )}
                   <div
                     className={`message-bubble ${
                       isUserMessage ? "user" : "model"
                     }`}
                   >
-                    {renderedParts}
+                    {isPending && pendingEdit?.id === pendingEntry.id ? (
+                      <EditForm
+                        value={pendingEdit.text}
+                        onChange={(text) => setPendingEdit({ ...pendingEdit, text })}
+                        onSave={savePendingEdit}
+                        onCancel={() => setPendingEdit(null)}
+                      />
+                    ) : (
+                      renderedParts
+                    )}
                     {content.role === "model" && (
                       <GroundingData
                         groundingChunks={content.groundingChunks}
@@ -360,6 +590,9 @@ function ConversationHistory({
                     )}
                   </div>
                 </div>
+                {isHistoryMessage && content.promptInspectionId && inspectedTimestamp === content.timestamp && (
+                  <PromptInspector inspectionId={content.promptInspectionId} />
+                )}
               </div>
             </div>
           </div>
@@ -370,10 +603,18 @@ function ConversationHistory({
 }
 
 // Memoize ConversationHistory to prevent unnecessary re-renders
-// Only re-render when history, editingIndex, editingPartIndex, or editingText changes
+// Only re-render when history, branchSwitchers, streamingMessages, pendingMessages, editingIndex, editingPartIndex, or editingText changes
 export default memo(ConversationHistory, (prevProps, nextProps) => {
   return (
     prevProps.history === nextProps.history &&
+    prevProps.branchSwitchers === nextProps.branchSwitchers &&
+    prevProps.onRegenerate === nextProps.onRegenerate &&
+    prevProps.onSwitchBranch === nextProps.onSwitchBranch &&
+    prevProps.onReroute === nextProps.onReroute &&
+    prevProps.streamingMessages === nextProps.streamingMessages &&
+    prevProps.pendingMessages === nextProps.pendingMessages &&
+    prevProps.onEditPending === nextProps.onEditPending &&
+    prevProps.onDiscardPending === nextProps.onDiscardPending &&
     prevProps.editingIndex === nextProps.editingIndex &&
     prevProps.editingPartIndex === nextProps.editingPartIndex &&
     prevProps.editingText === nextProps.editingText &&
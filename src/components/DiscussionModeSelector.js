@@ -0,0 +1,86 @@
+import { memo } from "react";
+import Form from "react-bootstrap/Form";
+import {
+  DISCUSSION_MODES,
+  MAX_DISCUSSION_ROUNDS,
+  clampDiscussionRounds,
+} from "../services/discussionService";
+import { getVisibleRoles, getRoleDefinition } from "../utils/roleConfig";
+
+/**
+ * Discussion mode controls of the input box
+ * "Chat" sends the message normally; the other modes start a structured discussion
+ * between the @mentioned personas (or the mode's defaults).
+ *
+ * @param {Object} props
+ * @param {{mode: string, rounds: number, moderator: string}} props.value - Current choice; mode "" is chat
+ * @param {Function} props.onChange - Called with the updated choice
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+function DiscussionModeSelector({ value, onChange, disabled = false }) {
+  const mode = DISCUSSION_MODES[value.mode];
+
+  return (
+    <div className="discussion-mode-selector d-flex align-items-center gap-1">
+      <Form.Select
+        size="sm"
+        value={value.mode}
+        onChange={(e) => {
+          const nextMode = e.target.value;
+          onChange({
+            ...value,
+            mode: nextMode,
+            rounds: nextMode ? DISCUSSION_MODES[nextMode].defaultRounds : value.rounds,
+          });
+        }}
+        disabled={disabled}
+        title={mode ? mode.description : "Send the message to the @mentioned personas"}
+        aria-label="Discussion mode"
+      >
+        <option value="">Chat</option>
+        {Object.entries(DISCUSSION_MODES).map(([key, config]) => (
+          <option key={key} value={key}>{config.label}</option>
+        ))}
+      </Form.Select>
+      {mode && (
+        <>
+          <Form.Control
+            size="sm"
+            type="number"
+            min={1}
+            max={MAX_DISCUSSION_ROUNDS}
+            value={value.rounds}
+            onChange={(e) => onChange({ ...value, rounds: clampDiscussionRounds(value.mode, e.target.value) })}
+            disabled={disabled}
+            title="Rounds"
+            aria-label="Rounds"
+            style={{ width: "4.5em" }}
+          />
+          <Form.Select
+            size="sm"
+            value={value.moderator}
+            onChange={(e) => onChange({ ...value, moderator: e.target.value })}
+            disabled={disabled}
+            title="Moderator, who writes the summary"
+            aria-label="Moderator"
+          >
+            {getVisibleRoles().map(([roleKey, config]) => (
+              <option key={roleKey} value={roleKey}>Moderator: {config.name}</option>
+            ))}
+          </Form.Select>
+        </>
+      )}
+      {mode && (
+        <Form.Text className="text-muted d-none d-lg-inline text-nowrap" style={{ fontSize: "0.8em" }}>
+          @mention {mode.maxRoles === 2 ? "two personas" : "the panelists"}, or{" "}
+          {mode.defaultRoles
+            .map((role) => getRoleDefinition(role)?.name)
+            .join(", ")}{" "}
+          take part
+        </Form.Text>
+      )}
+    </div>
+  );
+}
+
+export default memo(DiscussionModeSelector);
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ListGroup from 'react-bootstrap/ListGroup';
+import {
+  getEndpointProfiles,
+  setEndpointProfiles,
+  getSelectedEndpointProfileId,
+  setSelectedEndpointProfileId,
+} from '../utils/settingsService';
+import { DEFAULT_ENDPOINT_PROFILE, requestHostPermission } from '../services/api/endpointProfiles';
+import { PlusCircle, Pencil, Trash, CheckCircle, X } from 'react-bootstrap-icons';
+
+const EMPTY_FORM = {
+  name: '',
+  baseUrl: 'http://localhost:8080',
+  authHeader: DEFAULT_ENDPOINT_PROFILE.authHeader,
+  apiKey: '',
+};
+
+/**
+ * API endpoint profiles: named gateways (base URL, auth header, key) used by every gateway call
+ */
+const EndpointProfileSettings = () => {
+  const [profiles, setProfiles] = useState(() => getEndpointProfiles());
+  const [selectedId, setSelectedId] = useState(() => getSelectedEndpointProfileId() || DEFAULT_ENDPOINT_PROFILE.id);
+  // null: no form, 'new': adding, otherwise the ID of the profile being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [permissionWarning, setPermissionWarning] = useState('');
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  // Runs from the click/change handler so the extension can show its permission prompt
+  const selectProfile = async (profileId, profileList = profiles) => {
+    const profile = profileList.find((candidate) => candidate.id === profileId);
+    setSelectedId(profileId);
+    setSelectedEndpointProfileId(profile ? profileId : null);
+    setPermissionWarning('');
+    if (profile && !(await requestHostPermission(profile))) {
+      setPermissionWarning(`Requests to ${profile.baseUrl} are not allowed. Grant access when asked, or check the base URL.`);
+    }
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.baseUrl.trim()) {
+      return;
+    }
+    const saved = {
+      id: editingId === 'new' ? `endpoint-${crypto.randomUUID()}` : editingId,
+      name: form.name.trim(),
+      baseUrl: form.baseUrl.trim().replace(/\/+$/, ''),
+      authHeader: form.authHeader.trim(),
+      apiKey: form.apiKey.trim(),
+    };
+    const updated = editingId === 'new'
+      ? [...profiles, saved]
+      : profiles.map((profile) => (profile.id === editingId ? saved : profile));
+    setEndpointProfiles(updated);
+    setProfiles(updated);
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    if (editingId === 'new' || selectedId === saved.id) {
+      await selectProfile(saved.id, updated);
+    }
+  };
+
+  const handleEdit = (profile) => {
+    setEditingId(profile.id);
+    setForm({
+      name: profile.name,
+      baseUrl: profile.baseUrl,
+      authHeader: profile.authHeader || '',
+      apiKey: profile.apiKey || '',
+    });
+  };
+
+  const handleDelete = (profileId) => {
+    const target = profiles.find((profile) => profile.id === profileId);
+    if (!window.confirm(`Are you sure you want to delete "${target?.name || profileId}"?`)) {
+      return;
+    }
+    const updated = profiles.filter((profile) => profile.id !== profileId);
+    setEndpointProfiles(updated);
+    setProfiles(updated);
+    if (selectedId === profileId) {
+      setSelectedId(DEFAULT_ENDPOINT_PROFILE.id);
+      setSelectedEndpointProfileId(null);
+    }
+  };
+
+  return (
+    <>
+      <Form.Group controlId="endpoint-profile-selection">
+        <Form.Label>API endpoint</Form.Label>
+        <Form.Select value={selectedId} onChange={(e) => selectProfile(e.target.value)}>
+          <option value={DEFAULT_ENDPOINT_PROFILE.id}>
+            {DEFAULT_ENDPOINT_PROFILE.name} ({DEFAULT_ENDPOINT_PROFILE.baseUrl})
+          </option>
+          {profiles.map((profile) => (
+            <option key={profile.id} value={profile.id}>
+              {profile.name} ({profile.baseUrl})
+            </option>
+          ))}
+        </Form.Select>
+        <Form.Text className="text-muted">
+          Gemini, file upload, market data and text-to-speech calls go to the selected endpoint. A profile
+          without its own key uses the subscription key. Profiles are synced with your other devices.
+        </Form.Text>
+        {permissionWarning && <div className="text-danger" style={{ fontSize: '0.85em' }}>{permissionWarning}</div>}
+      </Form.Group>
+
+      {profiles.length > 0 && (
+        <ListGroup className="mt-2">
+          {profiles.map((profile) => (
+            <ListGroup.Item key={profile.id} className="d-flex justify-content-between align-items-center">
+              <div style={{ overflow: 'hidden' }}>
+                <strong>{profile.name}</strong>
+                <div className="text-muted" style={{ fontSize: '0.85em', wordBreak: 'break-all' }}>
+                  {profile.baseUrl}
+                  {profile.authHeader ? ` · ${profile.authHeader}` : ' · no auth header'}
+                  {profile.apiKey ? ' · own key' : ''}
+                </div>
+              </div>
+              <div className="d-flex gap-1">
+                <Button variant="outline-secondary" size="sm" onClick={() => handleEdit(profile)}>
+                  <Pencil size={14} />
+                </Button>
+                <Button variant="danger" size="sm" onClick={() => handleDelete(profile.id)}>
+                  <Trash size={14} />
+                </Button>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      {editingId ? (
+        <div className="mt-2 p-2" style={{ border: '1px solid #dee2e6', borderRadius: '4px' }}>
+          <Form.Group className="mb-2" controlId="endpoint-profile-name">
+            <Form.Label>Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              placeholder="e.g. Team gateway"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="endpoint-profile-base-url">
+            <Form.Label>Base URL</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.baseUrl}
+              onChange={(e) => updateForm('baseUrl', e.target.value)}
+              placeholder={DEFAULT_ENDPOINT_PROFILE.baseUrl}
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="endpoint-profile-auth-header">
+            <Form.Label>Auth Header Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.authHeader}
+              onChange={(e) => updateForm('authHeader', e.target.value)}
+              placeholder="Leave empty to send no auth header"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="endpoint-profile-api-key">
+            <Form.Label>Key (optional)</Form.Label>
+            <Form.Control
+              type="password"
+              value={form.apiKey}
+              onChange={(e) => updateForm('apiKey', e.target.value)}
+              placeholder="Defaults to the subscription key"
+            />
+          </Form.Group>
+          <div className="d-flex gap-2">
+            <Button
+              variant="success"
+              size="sm"
+              onClick={handleSave}
+              disabled={!form.name.trim() || !form.baseUrl.trim()}
+            >
+              <CheckCircle size={14} className="me-1" />
+              Save
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => {
+                setEditingId(null);
+                setForm(EMPTY_FORM);
+              }}
+            >
+              <X size={14} className="me-1" />
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          variant="outline-primary"
+          size="sm"
+          className="mt-2"
+          onClick={() => setEditingId('new')}
+        >
+          <PlusCircle size={14} className="me-1" />
+          Add Endpoint Profile
+        </Button>
+      )}
+    </>
+  );
+};
+
+export default EndpointProfileSettings;
@@ -97,6 +97,44 @@ export default function FloatingTabs({ currentTab, onTabChange, showFloatingTabs
       >
         Memory
       </Button>
+      <Button
+        variant={currentTab === "scheduled" ? "primary" : "outline-primary"}
+        size="sm"
+        onClick={() => onTabChange("scheduled")}
+        style={{
+          backgroundColor: currentTab === "scheduled" 
+            ? "rgba(13, 110, 253, 0.8)" 
+            : "rgba(255, 255, 255, 0.5)",
+          borderColor: currentTab === "scheduled" 
+            ? "rgba(13, 110, 253, 0.8)" 
+            : "rgba(13, 110, 253, 0.3)",
+          backdropFilter: "blur(10px)",
+          WebkitBackdropFilter: "blur(10px)",
+          transition: "all 0.3s ease",
+          color: currentTab === "scheduled" ? "white" : "rgba(13, 110, 253, 0.9)"
+        }}
+      >
+        Scheduled
+      </Button>
+      <Button
+        variant={currentTab === "usage" ? "primary" : "outline-primary"}
+        size="sm"
+        onClick={() => onTabChange("usage")}
+        style={{
+          backgroundColor: currentTab === "usage" 
+            ? "rgba(13, 110, 253, 0.8)" 
+            : "rgba(255, 255, 255, 0.5)",
+          borderColor: currentTab === "usage" 
+            ? "rgba(13, 110, 253, 0.8)" 
+            : "rgba(13, 110, 253, 0.3)",
+          backdropFilter: "blur(10px)",
+          WebkitBackdropFilter: "blur(10px)",
+          transition: "all 0.3s ease",
+          color: currentTab === "usage" ? "white" : "rgba(13, 110, 253, 0.9)"
+        }}
+      >
+        Usage
+      </Button>
     </div>
   );
 }
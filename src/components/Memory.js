@@ -2,7 +2,8 @@ import React, { useState, useEffect, useRef } from 'react';
 import { Row, Col, Form, Button, ListGroup, Alert } from 'react-bootstrap';
 import { Database, PlusCircle, CheckCircle, List, Trash, Pencil, X, InfoCircle, Save, Inbox, CloudArrowUp, ExclamationTriangle } from "react-bootstrap-icons";
 import * as Icon from "react-bootstrap-icons";
-import memoryService from '../utils/memoryService';
+import memoryService, { SHARED_MEMORY_SCOPE } from '../utils/memoryService';
+import { getVisibleRoles, getRoleDefinition } from '../utils/roleConfig';
 import profileSyncService from '../utils/profileSyncService';
 import { getAutoSyncEnabled, setAutoSyncEnabled } from '../utils/settingsService';
 import { useAuth } from '../contexts/AuthContext';
@@ -10,7 +11,12 @@ import { msalInstance, onedriveScopes, isMsalConfigured } from '../config/msalCo
 
 function Memory() {
   const [memories, setMemories] = useState({});
+  // Scope of each memory by key: SHARED_MEMORY_SCOPE or the role key of the owning persona
+  const [memoryScopes, setMemoryScopes] = useState({});
+  // Scope shown in the list; empty shows every memory
+  const [scopeFilter, setScopeFilter] = useState('');
   const [newMemoryValue, setNewMemoryValue] = useState('');
+  const [newMemoryScope, setNewMemoryScope] = useState(SHARED_MEMORY_SCOPE);
   const [showAddForm, setShowAddForm] = useState(false);
   const [editingKey, setEditingKey] = useState(null);
   const [editingValue, setEditingValue] = useState('');
@@ -49,8 +55,9 @@ function Memory() {
   // Load all memories
   const loadMemories = async () => {
     try {
-      const loadedMemories = await memoryService.getAllMemories();
-      setMemories(loadedMemories);
+      const entries = await memoryService.getAllMemoryEntries();
+      setMemories(Object.fromEntries(entries.map(({ key, value }) => [key, value])));
+      setMemoryScopes(Object.fromEntries(entries.map(({ key, scope }) => [key, scope])));
     } catch (err) {
       console.error('Error loading memories:', err);
       setError('Failed to load memories');
@@ -213,7 +220,7 @@ function Memory() {
     try {
       // Generate random UUID for memory key
       const memoryKey = crypto.randomUUID();
-      await memoryService.setMemory(memoryKey, newMemoryValue.trim());
+      await memoryService.setMemory(memoryKey, newMemoryValue.trim(), newMemoryScope);
       setNewMemoryValue('');
       setShowAddForm(false);
       setSuccess('Memory added successfully');
@@ -293,9 +300,15 @@ function Memory() {
     }
   };
 
-  // Download memory data
+  // Download memory data; private memories are saved as {value, scope}
   const downloadMemory = () => {
-    const dataStr = JSON.stringify(memories, null, 2);
+    const data = Object.fromEntries(
+      Object.entries(memories).map(([key, value]) => [
+        key,
+        memoryScopes[key] && memoryScopes[key] !== SHARED_MEMORY_SCOPE ? { value, scope: memoryScopes[key] } : value,
+      ])
+    );
+    const dataStr = JSON.stringify(data, null, 2);
     const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
     
     const exportFileDefaultName = 'memory_data.json';
@@ -329,7 +342,11 @@ function Memory() {
       
       // Add each memory from the uploaded file
       for (const [key, value] of Object.entries(memoryData)) {
-        await memoryService.setMemory(key, value);
+        if (value && typeof value === 'object' && value.value !== undefined) {
+          await memoryService.setMemory(key, value.value, value.scope || SHARED_MEMORY_SCOPE);
+        } else {
+          await memoryService.setMemory(key, value, SHARED_MEMORY_SCOPE);
+        }
       }
       
       setSuccess('Memory data uploaded successfully');
@@ -342,6 +359,19 @@ function Memory() {
     }
   };
 
+  const getScopeLabel = (scope) =>
+    scope === SHARED_MEMORY_SCOPE ? 'Shared' : getRoleDefinition(scope)?.name || scope;
+
+  // Personas that can own memories, plus owners of existing memories that are no longer listed
+  const scopeOptions = Array.from(new Set([
+    SHARED_MEMORY_SCOPE,
+    ...getVisibleRoles().map(([roleKey]) => roleKey),
+    ...Object.values(memoryScopes),
+  ]));
+  const visibleMemories = Object.entries(memories).filter(
+    ([key]) => !scopeFilter || (memoryScopes[key] || SHARED_MEMORY_SCOPE) === scopeFilter
+  );
+
   // Toggle auto-sync
   const handleToggleAutoSync = () => {
     const newValue = !autoSyncEnabled;
@@ -454,8 +484,22 @@ function Memory() {
               <div className="d-flex align-items-center gap-3 flex-wrap">
                 <h6 className="mb-0">
                   <List size={18} className="mr-2" />
-                  Stored Memories ({Object.keys(memories).length})
+                  Stored Memories ({scopeFilter ? `${visibleMemories.length} of ${Object.keys(memories).length}` : Object.keys(memories).length})
                 </h6>
+                <Form.Select
+                  size="sm"
+                  style={{ width: 'auto' }}
+                  value={scopeFilter}
+                  onChange={(e) => setScopeFilter(e.target.value)}
+                  aria-label="Show memories of"
+                >
+                  <option value="">All scopes</option>
+                  {scopeOptions.map((scope) => (
+                    <option key={scope} value={scope}>
+                      {scope === SHARED_MEMORY_SCOPE ? 'Shared' : `Private to ${getScopeLabel(scope)}`}
+                    </option>
+                  ))}
+                </Form.Select>
                 {oneDriveConfigured && (
                   <Form.Check
                     type="switch"
@@ -545,6 +589,20 @@ function Memory() {
                       Memory key will be automatically generated
                     </Form.Text>
                   </Form.Group>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Visible to</Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={newMemoryScope}
+                      onChange={(e) => setNewMemoryScope(e.target.value)}
+                    >
+                      {scopeOptions.map((scope) => (
+                        <option key={scope} value={scope}>
+                          {scope === SHARED_MEMORY_SCOPE ? 'Every persona' : `Only ${getScopeLabel(scope)}`}
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
                   <Button
                     variant="success"
                     size="sm"
@@ -556,14 +614,18 @@ function Memory() {
                   </Button>
                 </div>
               )}
-              {Object.keys(memories).length === 0 ? (
+              {visibleMemories.length === 0 ? (
                 <div className="text-center text-muted py-4">
                   <Inbox size={48} className="mb-2" />
-                  <p>No memories stored yet. Add your first memory above.</p>
+                  <p>
+                    {Object.keys(memories).length === 0
+                      ? 'No memories stored yet. Add your first memory above.'
+                      : 'No memories in this scope.'}
+                  </p>
                 </div>
               ) : (
                 <ListGroup variant="flush">
-                  {Object.entries(memories).map(([key, value]) => (
+                  {visibleMemories.map(([key, value]) => (
                     <ListGroup.Item key={key} className="py-3">
                       {editingKey === key ? (
                         <Form onSubmit={handleUpdateMemory}>
@@ -603,7 +665,12 @@ function Memory() {
                       ) : (
                         <Row>
                           <Col xs={12} md={10}>
-                            <div className="text-muted">{value}</div>
+                            {memoryScopes[key] && memoryScopes[key] !== SHARED_MEMORY_SCOPE && (
+                              <span className="badge bg-secondary me-2" title="Only this persona sees the memory">
+                                {getScopeLabel(memoryScopes[key])}
+                              </span>
+                            )}
+                            <span className="text-muted">{value}</span>
                           </Col>
                           <Col xs={12} md={2} className="d-flex gap-2 justify-content-end">
                             <Button
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import { getMemoryRetrievalSettings, setMemoryRetrievalSettings } from '../utils/settingsService';
+import { getMemoryRetrievalConfig } from '../services/memoryRetrievalService';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+const NUMERIC_FIELDS = [
+  { field: 'topK', label: 'Max memories', min: 1, max: 100 },
+  { field: 'tokenBudget', label: 'Token budget', min: 50, max: 20000 },
+  { field: 'recentMessages', label: 'Recent messages searched', min: 1, max: 50 },
+];
+
+/**
+ * Memory retrieval: how many memories relevant to the recent turns are included in each prompt
+ */
+const MemoryRetrievalSettings = () => {
+  const [config, setConfig] = useState(() => getMemoryRetrievalConfig());
+  const [isCustomized, setIsCustomized] = useState(() => !!getMemoryRetrievalSettings());
+
+  const saveConfig = (updated) => {
+    setConfig(updated);
+    setMemoryRetrievalSettings(updated);
+    setIsCustomized(true);
+  };
+
+  const handleNumberChange = ({ field, min, max }, value) => {
+    const parsed = Math.min(max, Math.max(min, parseInt(value, 10) || min));
+    saveConfig({ ...config, [field]: parsed });
+  };
+
+  const handleReset = () => {
+    setMemoryRetrievalSettings(null);
+    setConfig(getMemoryRetrievalConfig());
+    setIsCustomized(false);
+  };
+
+  return (
+    <Form.Group controlId="memory-retrieval">
+      <Form.Label>Memory retrieval</Form.Label>
+      <Form.Check
+        type="switch"
+        id="memory-retrieval-enabled"
+        label="Only include memories relevant to the conversation"
+        checked={config.enabled}
+        onChange={(e) => saveConfig({ ...config, enabled: e.target.checked })}
+        className="mb-2"
+      />
+      <Row className="g-2">
+        {NUMERIC_FIELDS.map((fieldConfig) => (
+          <Col xs={6} md={4} key={fieldConfig.field}>
+            <Form.Label className="mb-0" style={{ fontSize: '0.85em' }}>{fieldConfig.label}</Form.Label>
+            <Form.Control
+              size="sm"
+              type="number"
+              min={fieldConfig.min}
+              max={fieldConfig.max}
+              value={config[fieldConfig.field]}
+              disabled={!config.enabled}
+              onChange={(e) => handleNumberChange(fieldConfig, e.target.value)}
+            />
+          </Col>
+        ))}
+      </Row>
+      <Form.Text className="text-muted">
+        Memories are ranked by similarity to the recent messages using embeddings stored on this
+        device. When embeddings are unavailable the most recently updated memories are used. Turn
+        this off to include every memory in every prompt.
+      </Form.Text>
+      {isCustomized && (
+        <div>
+          <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+            <ArrowCounterclockwise size={14} className="me-1" />
+            Restore defaults
+          </Button>
+        </div>
+      )}
+    </Form.Group>
+  );
+};
+
+export default MemoryRetrievalSettings;
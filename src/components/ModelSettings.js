@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ListGroup from 'react-bootstrap/ListGroup';
+import { getCustomModels, setCustomModels } from '../utils/settingsService';
+import { MODEL_PROVIDERS, SELECTABLE_GEMINI_MODELS, DEFAULT_MODEL } from '../services/api/modelProviders';
+import { PlusCircle, Trash, CheckCircle, X } from 'react-bootstrap-icons';
+
+const EMPTY_FORM = {
+  label: '',
+  provider: 'openai',
+  baseUrl: 'http://localhost:11434/v1',
+  model: '',
+  apiKey: '',
+};
+
+/**
+ * Model selection and management of custom (non-Gemini) models
+ * @param {Object} props
+ * @param {string} props.model - Selected model identifier
+ * @param {Function} props.setModel - Update the selected model
+ */
+const ModelSettings = ({ model, setModel }) => {
+  const [customModels, setCustomModelsState] = useState(() => getCustomModels());
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const customProviders = Object.values(MODEL_PROVIDERS).filter((provider) => provider.id !== 'gemini');
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddModel = () => {
+    if (!form.baseUrl.trim() || !form.model.trim()) {
+      return;
+    }
+    const newModel = {
+      id: `custom-${crypto.randomUUID()}`,
+      label: form.label.trim() || form.model.trim(),
+      provider: form.provider,
+      baseUrl: form.baseUrl.trim(),
+      model: form.model.trim(),
+      apiKey: form.apiKey.trim(),
+    };
+    const updated = [...customModels, newModel];
+    setCustomModels(updated);
+    setCustomModelsState(updated);
+    setModel(newModel.id);
+    setForm(EMPTY_FORM);
+    setShowAddForm(false);
+  };
+
+  const handleDeleteModel = (modelId) => {
+    const target = customModels.find((customModel) => customModel.id === modelId);
+    if (!window.confirm(`Are you sure you want to delete "${target?.label || modelId}"?`)) {
+      return;
+    }
+    const updated = customModels.filter((customModel) => customModel.id !== modelId);
+    setCustomModels(updated);
+    setCustomModelsState(updated);
+    if (model === modelId) {
+      setModel(DEFAULT_MODEL);
+    }
+  };
+
+  return (
+    <>
+      <Form.Group controlId="model-selection">
+        <Form.Label>Model</Form.Label>
+        <Form.Select
+          value={model}
+          onChange={(e) => setModel(e.target.value)}
+        >
+          <optgroup label="Gemini">
+            {SELECTABLE_GEMINI_MODELS.map((modelId) => (
+              <option key={modelId} value={modelId}>{modelId}</option>
+            ))}
+          </optgroup>
+          {customModels.length > 0 && (
+            <optgroup label="Custom">
+              {customModels.map((customModel) => (
+                <option key={customModel.id} value={customModel.id}>
+                  {customModel.label} ({MODEL_PROVIDERS[customModel.provider]?.label || customModel.provider})
+                </option>
+              ))}
+            </optgroup>
+          )}
+        </Form.Select>
+        <Form.Text className="text-muted">
+          Select the AI model to use for generating responses. Custom models run against an
+          OpenAI-compatible endpoint such as a local Ollama or llama.cpp server; Gemini-only tools
+          (search, URL context, code execution) are not available there.
+        </Form.Text>
+      </Form.Group>
+
+      {customModels.length > 0 && (
+        <ListGroup className="mt-2">
+          {customModels.map((customModel) => (
+            <ListGroup.Item key={customModel.id} className="d-flex justify-content-between align-items-center">
+              <div style={{ overflow: 'hidden' }}>
+                <strong>{customModel.label}</strong>
+                <div className="text-muted" style={{ fontSize: '0.85em', wordBreak: 'break-all' }}>
+                  {customModel.model} @ {customModel.baseUrl}
+                </div>
+              </div>
+              <Button
+                variant="danger"
+                size="sm"
+                onClick={() => handleDeleteModel(customModel.id)}
+              >
+                <Trash size={14} />
+              </Button>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      {showAddForm ? (
+        <div className="mt-2 p-2" style={{ border: '1px solid #dee2e6', borderRadius: '4px' }}>
+          <Form.Group className="mb-2" controlId="custom-model-label">
+            <Form.Label>Display Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.label}
+              onChange={(e) => updateForm('label', e.target.value)}
+              placeholder="e.g. Local Llama"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="custom-model-provider">
+            <Form.Label>Provider</Form.Label>
+            <Form.Select
+              value={form.provider}
+              onChange={(e) => updateForm('provider', e.target.value)}
+            >
+              {customProviders.map((provider) => (
+                <option key={provider.id} value={provider.id}>{provider.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="custom-model-base-url">
+            <Form.Label>Base URL</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.baseUrl}
+              onChange={(e) => updateForm('baseUrl', e.target.value)}
+              placeholder="http://localhost:11434/v1"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="custom-model-name">
+            <Form.Label>Model Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.model}
+              onChange={(e) => updateForm('model', e.target.value)}
+              placeholder="e.g. llama3.1:8b"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="custom-model-api-key">
+            <Form.Label>API Key (optional)</Form.Label>
+            <Form.Control
+              type="password"
+              value={form.apiKey}
+              onChange={(e) => updateForm('apiKey', e.target.value)}
+              placeholder="Sent as a Bearer token"
+            />
+          </Form.Group>
+          <div className="d-flex gap-2">
+            <Button
+              variant="success"
+              size="sm"
+              onClick={handleAddModel}
+              disabled={!form.baseUrl.trim() || !form.model.trim()}
+            >
+              <CheckCircle size={14} className="me-1" />
+              Save
+            </Button>
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={() => {
+                setShowAddForm(false);
+                setForm(EMPTY_FORM);
+              }}
+            >
+              <X size={14} className="me-1" />
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <Button
+          variant="outline-primary"
+          size="sm"
+          className="mt-2"
+          onClick={() => setShowAddForm(true)}
+        >
+          <PlusCircle size={14} className="me-1" />
+          Add Custom Model
+        </Button>
+      )}
+    </>
+  );
+};
+
+export default ModelSettings;
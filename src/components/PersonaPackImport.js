@@ -0,0 +1,135 @@
+import React, { useState, useRef } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ListGroup from 'react-bootstrap/ListGroup';
+import {
+  parsePersonaPack,
+  findPersonaConflict,
+  suggestPersonaName,
+  importPersonaPack,
+} from '../utils/personaPackService';
+import { roleDefinition } from '../utils/roleConfig';
+import { Upload, CheckCircle, X } from 'react-bootstrap-icons';
+
+/**
+ * Import a persona pack: pick a file, review its personas and decide what happens to the
+ * ones whose name or @mention handle is already taken
+ *
+ * @param {Object} props
+ * @param {Function} props.onImported - Called with a summary message after importing
+ */
+const PersonaPackImport = ({ onImported }) => {
+  const fileInputRef = useRef(null);
+  // {personas, warnings} of the pack being reviewed
+  const [pack, setPack] = useState(null);
+  const [resolutions, setResolutions] = useState([]);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setPack(null);
+    setResolutions([]);
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = parsePersonaPack(reader.result);
+        setError('');
+        setPack(parsed);
+        setResolutions(parsed.personas.map(() => 'rename'));
+      } catch (parseError) {
+        reset();
+        setError(parseError.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleImport = () => {
+    const { added, replaced, skipped } = importPersonaPack(pack.personas, resolutions);
+    reset();
+    onImported?.(`Imported ${added} new, replaced ${replaced}, skipped ${skipped}.`);
+  };
+
+  const describeConflict = (conflict) =>
+    conflict.type === 'builtin'
+      ? `@${roleDefinition[conflict.roleKey].name} is a built-in role`
+      : `You already have @${conflict.persona.name}`;
+
+  // The review takes the full row of the persona buttons
+  return (
+    <div className={pack ? 'w-100' : undefined}>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+      />
+      {!pack && (
+        <Button variant="outline-secondary" size="sm" className="mt-2" onClick={() => fileInputRef.current?.click()}>
+          <Upload size={14} className="me-1" />
+          Import Pack
+        </Button>
+      )}
+      {error && <div className="text-danger mt-1" style={{ fontSize: '0.85em', whiteSpace: 'pre-line' }}>{error}</div>}
+
+      {pack && (
+        <div className="mt-2 p-2" style={{ border: '1px solid #dee2e6', borderRadius: '4px' }}>
+          <div className="mb-2">Personas in this pack</div>
+          <ListGroup className="mb-2">
+            {pack.personas.map((persona, index) => {
+              const conflict = findPersonaConflict(persona);
+              return (
+                <ListGroup.Item key={persona.name}>
+                  <strong>@{persona.name}</strong>
+                  <div className="text-muted" style={{ fontSize: '0.85em' }}>{persona.description}</div>
+                  {conflict && (
+                    <div className="d-flex align-items-center gap-2 mt-1" style={{ fontSize: '0.85em' }}>
+                      <span className="text-warning">{describeConflict(conflict)}</span>
+                      <Form.Select
+                        size="sm"
+                        style={{ width: 'auto' }}
+                        value={resolutions[index]}
+                        onChange={(e) =>
+                          setResolutions((prev) => prev.map((value, i) => (i === index ? e.target.value : value)))
+                        }
+                      >
+                        {conflict.type === 'custom' && <option value="replace">Replace it</option>}
+                        <option value="rename">Import as @{suggestPersonaName(persona.name)}</option>
+                        <option value="skip">Skip</option>
+                      </Form.Select>
+                    </div>
+                  )}
+                </ListGroup.Item>
+              );
+            })}
+          </ListGroup>
+          {pack.warnings.map((warning) => (
+            <div key={warning} className="text-muted mb-1" style={{ fontSize: '0.85em' }}>{warning}</div>
+          ))}
+          <div className="d-flex gap-2">
+            <Button variant="success" size="sm" onClick={handleImport}>
+              <CheckCircle size={14} className="me-1" />
+              Import
+            </Button>
+            <Button variant="secondary" size="sm" onClick={reset}>
+              <X size={14} className="me-1" />
+              Cancel
+            </Button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PersonaPackImport;
@@ -0,0 +1,340 @@
+import React, { useState, useEffect } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import ListGroup from 'react-bootstrap/ListGroup';
+import {
+  getCustomPersonas,
+  saveCustomPersona,
+  deleteCustomPersona,
+  getCustomModels,
+  PERSONAS_CHANGE_EVENT,
+} from '../utils/settingsService';
+import {
+  PERSONA_TOOL_OPTIONS,
+  DEFAULT_PERSONA_AVATAR,
+  DEFAULT_PERSONA_VOICE,
+  MAX_PERSONA_AVATAR_BYTES,
+  validatePersona,
+} from '../utils/roleConfig';
+import { GEMINI_MODELS } from '../services/api/modelProviders';
+import { TTS_VOICES } from '../utils/ttsUtils';
+import { createPersonaPack } from '../utils/personaPackService';
+import PersonaPackImport from './PersonaPackImport';
+import { PlusCircle, Pencil, Trash, CheckCircle, X, Download } from 'react-bootstrap-icons';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  selfIntroduction: '',
+  detailedInstruction: '',
+  avatar: '',
+  voice: DEFAULT_PERSONA_VOICE,
+  model: '',
+  tools: [],
+};
+
+const TOOL_GROUPS = [...new Set(PERSONA_TOOL_OPTIONS.map((option) => option.group))];
+
+/**
+ * Custom personas: user-defined roles that can be @mentioned next to the built-in ones
+ */
+const PersonaSettings = () => {
+  const [personas, setPersonas] = useState(() => getCustomPersonas());
+  // null: no form, 'new': adding, otherwise the ID of the persona being edited
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState('');
+  const [packMessage, setPackMessage] = useState('');
+  const customModels = getCustomModels();
+
+  // Personas also change when they are synced from another device
+  useEffect(() => {
+    const handleChange = () => setPersonas(getCustomPersonas());
+    window.addEventListener(PERSONAS_CHANGE_EVENT, handleChange);
+    return () => window.removeEventListener(PERSONAS_CHANGE_EVENT, handleChange);
+  }, []);
+
+  const updateForm = (field, value) => {
+    setForm((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const toggleTool = (toolName, checked) => {
+    setForm((prev) => ({
+      ...prev,
+      tools: checked ? [...prev.tools, toolName] : prev.tools.filter((name) => name !== toolName),
+    }));
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+    setError('');
+  };
+
+  const handleAvatarFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) {
+      return;
+    }
+    if (file.size > MAX_PERSONA_AVATAR_BYTES) {
+      setError(`Avatar images must be smaller than ${MAX_PERSONA_AVATAR_BYTES / 1024} KB`);
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => updateForm('avatar', reader.result);
+    reader.readAsDataURL(file);
+  };
+
+  const handleSave = () => {
+    const persona = {
+      id: editingId === 'new' ? `persona-${crypto.randomUUID()}` : editingId,
+      name: form.name.trim(),
+      description: form.description.trim(),
+      selfIntroduction: form.selfIntroduction.trim(),
+      detailedInstruction: form.detailedInstruction.trim(),
+      avatar: form.avatar.trim(),
+      voice: form.voice,
+      model: form.model || null,
+      tools: form.tools,
+      ...(form.generationConfig && { generationConfig: form.generationConfig }),
+    };
+    const validationError = validatePersona(persona, personas);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    saveCustomPersona(persona);
+    setPersonas(getCustomPersonas());
+    closeForm();
+  };
+
+  const handleEdit = (persona) => {
+    setEditingId(persona.id);
+    setError('');
+    setForm({
+      ...EMPTY_FORM,
+      ...persona,
+      avatar: persona.avatar || '',
+      model: persona.model || '',
+      tools: persona.tools || [],
+    });
+  };
+
+  const handleDelete = (persona) => {
+    if (!window.confirm(`Are you sure you want to delete "${persona.name}"?`)) {
+      return;
+    }
+    deleteCustomPersona(persona.id);
+    setPersonas(getCustomPersonas());
+    if (editingId === persona.id) {
+      closeForm();
+    }
+  };
+
+  const handleExport = async (personaIds, fileName) => {
+    try {
+      const pack = await createPersonaPack(personaIds);
+      const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(JSON.stringify(pack, null, 2));
+      const linkElement = document.createElement('a');
+      linkElement.setAttribute('href', dataUri);
+      linkElement.setAttribute('download', fileName);
+      linkElement.click();
+    } catch (exportError) {
+      console.error('Error exporting persona pack:', exportError);
+      setPackMessage('Failed to export the persona pack.');
+    }
+  };
+
+  return (
+    <>
+      <Form.Label>Custom personas</Form.Label>
+      <Form.Text className="text-muted d-block mb-2">
+        Personas join the conversation like the built-in roles: mention them with @name. The
+        description tells the other personas when to call them. Share personas with persona packs, which
+        bundle their instructions, tools, avatar, voice and generation settings. Personas are synced with your other devices.
+      </Form.Text>
+
+      {personas.length > 0 && (
+        <ListGroup>
+          {personas.map((persona) => (
+            <ListGroup.Item key={persona.id} className="d-flex justify-content-between align-items-center">
+              <div className="d-flex align-items-center gap-2" style={{ overflow: 'hidden' }}>
+                <img
+                  src={persona.avatar || DEFAULT_PERSONA_AVATAR}
+                  alt=""
+                  style={{ width: '32px', height: '32px', borderRadius: '50%', objectFit: 'cover' }}
+                />
+                <div style={{ overflow: 'hidden' }}>
+                  <strong>@{persona.name}</strong>
+                  <div className="text-muted" style={{ fontSize: '0.85em' }}>
+                    {persona.description}
+                    {persona.model ? ` · ${persona.model}` : ''}
+                    {persona.tools?.length ? ` · ${persona.tools.length} tools` : ''}
+                  </div>
+                </div>
+              </div>
+              <div className="d-flex gap-1">
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  title="Export as a persona pack"
+                  onClick={() => handleExport([persona.id], `${persona.name}.persona-pack.json`)}
+                >
+                  <Download size={14} />
+                </Button>
+                <Button variant="outline-secondary" size="sm" onClick={() => handleEdit(persona)}>
+                  <Pencil size={14} />
+                </Button>
+                <Button variant="danger" size="sm" onClick={() => handleDelete(persona)}>
+                  <Trash size={14} />
+                </Button>
+              </div>
+            </ListGroup.Item>
+          ))}
+        </ListGroup>
+      )}
+
+      {editingId ? (
+        <div className="mt-2 p-2" style={{ border: '1px solid #dee2e6', borderRadius: '4px' }}>
+          <Form.Group className="mb-2" controlId="persona-name">
+            <Form.Label>Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              placeholder="e.g. Emma (used as @Emma)"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-description">
+            <Form.Label>Description</Form.Label>
+            <Form.Control
+              type="text"
+              value={form.description}
+              onChange={(e) => updateForm('description', e.target.value)}
+              placeholder="e.g. Travel planner who knows visas and local customs"
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-self-introduction">
+            <Form.Label>Self-introduction</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={2}
+              value={form.selfIntroduction}
+              onChange={(e) => updateForm('selfIntroduction', e.target.value)}
+              placeholder={`Defaults to "I am ${form.name.trim() || 'Name'}."`}
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-instructions">
+            <Form.Label>Detailed instructions</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={5}
+              value={form.detailedInstruction}
+              onChange={(e) => updateForm('detailedInstruction', e.target.value)}
+            />
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-avatar">
+            <Form.Label>Avatar</Form.Label>
+            <div className="d-flex align-items-center gap-2">
+              <img
+                src={form.avatar || DEFAULT_PERSONA_AVATAR}
+                alt=""
+                style={{ width: '40px', height: '40px', borderRadius: '50%', objectFit: 'cover' }}
+              />
+              <Form.Control
+                type="text"
+                value={form.avatar.startsWith('data:') ? '' : form.avatar}
+                onChange={(e) => updateForm('avatar', e.target.value)}
+                placeholder={form.avatar.startsWith('data:') ? 'Uploaded image' : 'Image URL'}
+              />
+              <Form.Control id="persona-avatar-file" type="file" accept="image/*" onChange={handleAvatarFile} style={{ maxWidth: '220px' }} />
+            </div>
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-voice">
+            <Form.Label>Voice</Form.Label>
+            <Form.Select value={form.voice} onChange={(e) => updateForm('voice', e.target.value)}>
+              {TTS_VOICES.map((voice) => (
+                <option key={voice} value={voice}>{voice}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-2" controlId="persona-model">
+            <Form.Label>Model</Form.Label>
+            <Form.Select value={form.model} onChange={(e) => updateForm('model', e.target.value)}>
+              <option value="">Selected model</option>
+              <optgroup label="Gemini">
+                {GEMINI_MODELS.map((modelId) => (
+                  <option key={modelId} value={modelId}>{modelId}</option>
+                ))}
+              </optgroup>
+              {customModels.length > 0 && (
+                <optgroup label="Custom">
+                  {customModels.map((customModel) => (
+                    <option key={customModel.id} value={customModel.id}>{customModel.label}</option>
+                  ))}
+                </optgroup>
+              )}
+            </Form.Select>
+          </Form.Group>
+          <Form.Group className="mb-2">
+            <Form.Label>Allowed tools</Form.Label>
+            {TOOL_GROUPS.map((group) => (
+              <div key={group} className="mb-1">
+                <div className="text-muted" style={{ fontSize: '0.85em' }}>{group}</div>
+                {PERSONA_TOOL_OPTIONS.filter((option) => option.group === group).map((option) => (
+                  <Form.Check
+                    inline
+                    key={option.name}
+                    id={`persona-tool-${option.name}`}
+                    type="checkbox"
+                    label={option.label}
+                    checked={form.tools.includes(option.name)}
+                    onChange={(e) => toggleTool(option.name, e.target.checked)}
+                  />
+                ))}
+              </div>
+            ))}
+          </Form.Group>
+          {error && <div className="text-danger mb-2" style={{ fontSize: '0.85em' }}>{error}</div>}
+          <div className="d-flex gap-2">
+            <Button variant="success" size="sm" onClick={handleSave} disabled={!form.name.trim()}>
+              <CheckCircle size={14} className="me-1" />
+              Save
+            </Button>
+            <Button variant="secondary" size="sm" onClick={closeForm}>
+              <X size={14} className="me-1" />
+              Cancel
+            </Button>
+          </div>
+        </div>
+      ) : (
+        <div className="d-flex flex-wrap gap-2 align-items-start">
+          <Button variant="outline-primary" size="sm" className="mt-2" onClick={() => setEditingId('new')}>
+            <PlusCircle size={14} className="me-1" />
+            Add Persona
+          </Button>
+          {personas.length > 0 && (
+            <Button
+              variant="outline-secondary"
+              size="sm"
+              className="mt-2"
+              onClick={() => handleExport(personas.map((persona) => persona.id), 'persona-pack.json')}
+            >
+              <Download size={14} className="me-1" />
+              Export All
+            </Button>
+          )}
+          <PersonaPackImport
+            onImported={(message) => {
+              setPersonas(getCustomPersonas());
+              setPackMessage(message);
+            }}
+          />
+        </div>
+      )}
+      {packMessage && <div className="text-muted mt-1" style={{ fontSize: '0.85em' }}>{packMessage}</div>}
+    </>
+  );
+};
+
+export default PersonaSettings;
@@ -7,6 +7,8 @@ import Col from "react-bootstrap/Col";
 import Form from "react-bootstrap/Form";
 import { getThinkingEnabled, setThinkingEnabled } from "../utils/settingsService";
 import { validateImageFile, validatePdfFile } from "../utils/fileUtils";
+import { DEFAULT_MODERATOR_ROLE } from "../services/discussionService";
+import DiscussionModeSelector from "./DiscussionModeSelector";
 
 // Question input component
 function QuestionInput({ onSubmit, disabled = false, value = "", onChange }) {
@@ -17,6 +19,8 @@ function QuestionInput({ onSubmit, disabled = false, value = "", onChange }) {
   const [imagePreview, setImagePreview] = useState(null);
   const [selectedPdf, setSelectedPdf] = useState(null);
   const [uploadError, setUploadError] = useState("");
+  // Discussion mode for the next message; mode "" sends it as a normal chat message
+  const [discussion, setDiscussion] = useState({ mode: "", rounds: 1, moderator: DEFAULT_MODERATOR_ROLE });
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
   const pdfInputRef = useRef(null);
@@ -256,7 +260,7 @@ function QuestionInput({ onSubmit, disabled = false, value = "", onChange }) {
         contentParts.push({ text: localQuestion.trim() });
       }
 
-      onSubmit(contentParts, thinkingBudget);
+      onSubmit(contentParts, thinkingBudget, discussion.mode ? discussion : null);
 
       // Clear local state
       setLocalQuestion("");
@@ -472,7 +476,10 @@ function QuestionInput({ onSubmit, disabled = false, value = "", onChange }) {
           </Col>
         </Row>
         <Row>
-          <Col className="d-flex justify-content-end align-items-center gap-2">
+          <Col className="d-flex flex-wrap justify-content-end align-items-center gap-2">
+            {/* Discussion Mode */}
+            <DiscussionModeSelector value={discussion} onChange={setDiscussion} disabled={disabled} />
+
             {/* Thinking Toggle */}
             <Form.Check
               type="switch"
@@ -0,0 +1,269 @@
+import { useState, useEffect } from "react";
+import Form from "react-bootstrap/Form";
+import Button from "react-bootstrap/Button";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import Table from "react-bootstrap/Table";
+import * as Icon from "react-bootstrap-icons";
+import {
+  getRequestConcurrency,
+  formatElapsed,
+  REQUEST_CONCURRENCY_LIMITS,
+} from "../services/requestQueueService";
+import { getRequestConcurrencySettings } from "../utils/settingsService";
+import { getVisibleRoles } from "../utils/roleConfig";
+
+const STATUS_LABELS = {
+  running: "Running",
+  queued: "Queued",
+  paused: "Paused",
+  completed: "Done",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+const NUMERIC_FIELDS = [
+  { field: "maxConcurrent", label: "Max requests at once", ...REQUEST_CONCURRENCY_LIMITS.maxConcurrent },
+  { field: "roleLimit", label: "Per persona", ...REQUEST_CONCURRENCY_LIMITS.roleLimit },
+];
+
+const clampLimit = ({ min, max }, value) => Math.min(max, Math.max(min, value));
+
+// Time waited while queued, then time taken since the task started
+const getElapsed = (entry, now) =>
+  (entry.finishedAt || now) - (entry.startedAt || entry.enqueuedAt);
+
+/**
+ * Request queue panel
+ * Lists the persona requests of this session: running, queued (in the order they start) and
+ * recently finished, with what triggered each one and how long it has taken. Queued tasks can be
+ * moved, paused or cancelled, running ones cancelled, and failed or cancelled ones retried.
+ * The concurrency limits are edited here too, so the panel is shown even when nothing is queued.
+ *
+ * @param {Object} props
+ * @param {Array} props.entries - Queue entries, from useRoleRequests
+ * @param {Function} props.onCancel - Cancel a task (taskId)
+ * @param {Function} props.onRetry - Retry a finished task (taskId)
+ * @param {Function} props.onMove - Move a queued task (taskId, offset)
+ * @param {Function} props.onPause - Pause or resume a queued task (taskId, paused)
+ * @param {Function} props.onConcurrencyChange - Save the limits (overrides, or null for defaults)
+ */
+function RequestQueuePanel({ entries = [], onCancel, onRetry, onMove, onPause, onConcurrencyChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const [concurrency, setConcurrency] = useState(() => getRequestConcurrency());
+  const [isCustomized, setIsCustomized] = useState(() => !!getRequestConcurrencySettings());
+  // Limits being typed, by field ("role:<roleKey>" for persona limits); saved on blur
+  const [drafts, setDrafts] = useState({});
+
+  const runningCount = entries.filter((entry) => entry.status === "running").length;
+  const waitingEntries = entries.filter((entry) => entry.status === "queued" || entry.status === "paused");
+
+  // Elapsed times of unfinished tasks tick while the panel is open
+  const hasUnfinished = runningCount > 0 || waitingEntries.length > 0;
+  useEffect(() => {
+    if (!isOpen || !hasUnfinished) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isOpen, hasUnfinished]);
+
+  const saveConcurrency = (updated) => {
+    setConcurrency(updated);
+    setIsCustomized(true);
+    onConcurrencyChange(updated);
+  };
+
+  const setDraft = (key, value) => setDrafts((prev) => ({ ...prev, [key]: value }));
+
+  // Returns the typed value and drops the draft, so the field shows the saved value again
+  const takeDraft = (key) => {
+    const draft = drafts[key];
+    setDrafts(({ [key]: _removed, ...rest }) => rest);
+    return draft;
+  };
+
+  // Invalid input is dropped; out-of-range values are brought into range
+  const handleNumberBlur = (fieldConfig) => {
+    const draft = takeDraft(fieldConfig.field);
+    const value = parseInt(draft, 10);
+    if (draft === undefined || Number.isNaN(value)) {
+      return;
+    }
+    saveConcurrency({ ...concurrency, [fieldConfig.field]: clampLimit(fieldConfig, value) });
+  };
+
+  // An empty persona limit falls back to the per-persona default
+  const handleRoleLimitBlur = (roleKey) => {
+    const draft = takeDraft(`role:${roleKey}`);
+    if (draft === undefined) {
+      return;
+    }
+    const { [roleKey]: _removed, ...roles } = concurrency.roles;
+    if (draft.trim() !== "") {
+      const value = parseInt(draft, 10);
+      if (Number.isNaN(value)) {
+        return;
+      }
+      roles[roleKey] = clampLimit(REQUEST_CONCURRENCY_LIMITS.roleLimit, value);
+    }
+    saveConcurrency({ ...concurrency, roles });
+  };
+
+  const handleReset = () => {
+    onConcurrencyChange(null);
+    setConcurrency(getRequestConcurrency());
+    setIsCustomized(false);
+  };
+
+  const renderActions = (entry) => {
+    const waitingIndex = waitingEntries.findIndex((waiting) => waiting.id === entry.id);
+    return (
+      <span className="d-flex gap-1">
+        {waitingIndex !== -1 && (
+          <>
+            <button
+              type="button"
+              className="branch-action-button"
+              disabled={waitingIndex === 0}
+              onClick={() => onMove(entry.id, -1)}
+              title="Start earlier"
+            >
+              <Icon.ArrowUp size={12} />
+            </button>
+            <button
+              type="button"
+              className="branch-action-button"
+              disabled={waitingIndex === waitingEntries.length - 1}
+              onClick={() => onMove(entry.id, 1)}
+              title="Start later"
+            >
+              <Icon.ArrowDown size={12} />
+            </button>
+            <button
+              type="button"
+              className="branch-action-button"
+              onClick={() => onPause(entry.id, entry.status !== "paused")}
+              title={entry.status === "paused" ? "Resume" : "Pause"}
+            >
+              {entry.status === "paused" ? <Icon.PlayFill size={12} /> : <Icon.PauseFill size={12} />}
+            </button>
+          </>
+        )}
+        {(entry.status === "running" || waitingIndex !== -1) && (
+          <button
+            type="button"
+            className="branch-action-button"
+            onClick={() => onCancel(entry.id)}
+            title="Cancel"
+          >
+            <Icon.X size={12} />
+          </button>
+        )}
+        {(entry.status === "failed" || entry.status === "cancelled") && (
+          <button
+            type="button"
+            className="branch-action-button"
+            onClick={() => onRetry(entry.id)}
+            title="Retry"
+          >
+            <Icon.ArrowRepeat size={12} />
+          </button>
+        )}
+      </span>
+    );
+  };
+
+  return (
+    <div className="mb-2 request-queue-panel">
+      <button type="button" className="summary-panel-toggle" onClick={() => setIsOpen((open) => !open)}>
+        <Icon.ListTask size={12} className="me-1" />
+        Requests ({runningCount} running, {waitingEntries.length} waiting)
+        {isOpen ? <Icon.ChevronUp size={10} className="ms-1" /> : <Icon.ChevronDown size={10} className="ms-1" />}
+      </button>
+
+      {isOpen && (
+        <div className="summary-panel-body">
+          <Table size="sm" bordered responsive className="mb-2 request-queue-table">
+            <thead>
+              <tr>
+                <th>Status</th>
+                <th>Persona</th>
+                <th>Trigger</th>
+                <th>Elapsed</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="text-muted">No requests yet.</td>
+                </tr>
+              )}
+              {entries.map((entry) => (
+                <tr key={entry.id} className={`request-queue-${entry.status}`}>
+                  <td>{STATUS_LABELS[entry.status] || entry.status}</td>
+                  <td>{entry.name}</td>
+                  <td>{entry.trigger}</td>
+                  <td>{formatElapsed(getElapsed(entry, now))}</td>
+                  <td>{renderActions(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <Row className="g-2 mb-1">
+            {NUMERIC_FIELDS.map((fieldConfig) => (
+              <Col xs={6} md={3} key={fieldConfig.field}>
+                <Form.Label className="mb-0" style={{ fontSize: "0.85em" }}>{fieldConfig.label}</Form.Label>
+                <Form.Control
+                  size="sm"
+                  type="number"
+                  min={fieldConfig.min}
+                  max={fieldConfig.max}
+                  value={drafts[fieldConfig.field] ?? concurrency[fieldConfig.field]}
+                  onChange={(e) => setDraft(fieldConfig.field, e.target.value)}
+                  onBlur={() => handleNumberBlur(fieldConfig)}
+                />
+              </Col>
+            ))}
+          </Row>
+          <details className="mb-1">
+            <summary>Limits per persona</summary>
+            <Row className="g-2 mt-1">
+              {getVisibleRoles().map(([roleKey, config]) => (
+                <Col xs={6} md={3} key={roleKey}>
+                  <Form.Label className="mb-0" style={{ fontSize: "0.85em" }}>{config.name}</Form.Label>
+                  <Form.Control
+                    size="sm"
+                    type="number"
+                    min={REQUEST_CONCURRENCY_LIMITS.roleLimit.min}
+                    max={REQUEST_CONCURRENCY_LIMITS.roleLimit.max}
+                    placeholder={String(concurrency.roleLimit)}
+                    value={drafts[`role:${roleKey}`] ?? concurrency.roles[roleKey] ?? ""}
+                    onChange={(e) => setDraft(`role:${roleKey}`, e.target.value)}
+                    onBlur={() => handleRoleLimitBlur(roleKey)}
+                  />
+                </Col>
+              ))}
+            </Row>
+          </details>
+          <div className="text-muted">
+            A persona's requests wait for each other beyond its limit; a waiting request still
+            answers the message that triggered it.
+          </div>
+          {isCustomized && (
+            <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+              <Icon.ArrowCounterclockwise size={12} className="me-1" />
+              Restore defaults
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RequestQueuePanel;
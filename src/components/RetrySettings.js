@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Row from 'react-bootstrap/Row';
+import Col from 'react-bootstrap/Col';
+import { getRetryPolicySettings, setRetryPolicySettings } from '../utils/settingsService';
+import { DEFAULT_RETRY_POLICY, getRetryPolicy } from '../services/api/retryPolicy';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+const REQUEST_TYPE_LABELS = {
+  default: 'Chat responses',
+  summarization: 'Summarization',
+  followUpQuestions: 'Follow-up questions',
+  conversationMetadata: 'Titles',
+  mermaidRepair: 'Diagram repairs',
+  tts: 'Text-to-speech',
+  fileUpload: 'File uploads',
+};
+
+/**
+ * Retry policy for transient failures (429/5xx): base delay and max attempts per request type
+ */
+const RetrySettings = () => {
+  const [policy, setPolicy] = useState(() => getRetryPolicy());
+  const [isCustomized, setIsCustomized] = useState(() => !!getRetryPolicySettings());
+
+  const savePolicy = (updated) => {
+    setPolicy(updated);
+    setRetryPolicySettings({
+      baseDelayMs: updated.baseDelayMs,
+      maxAttempts: updated.maxAttempts,
+    });
+    setIsCustomized(true);
+  };
+
+  const handleAttemptsChange = (requestType, value) => {
+    const attempts = Math.min(10, Math.max(1, parseInt(value, 10) || 1));
+    savePolicy({
+      ...policy,
+      maxAttempts: { ...policy.maxAttempts, [requestType]: attempts },
+    });
+  };
+
+  const handleBaseDelayChange = (value) => {
+    const seconds = Math.min(30, Math.max(0.1, parseFloat(value) || 1));
+    savePolicy({ ...policy, baseDelayMs: Math.round(seconds * 1000) });
+  };
+
+  const handleReset = () => {
+    setRetryPolicySettings(null);
+    setPolicy(getRetryPolicy());
+    setIsCustomized(false);
+  };
+
+  return (
+    <Form.Group controlId="retry-policy">
+      <Form.Label>Retries</Form.Label>
+      <Row className="g-2">
+        <Col xs={6} md={4}>
+          <Form.Label className="mb-0" style={{ fontSize: '0.85em' }}>First retry after (s)</Form.Label>
+          <Form.Control
+            size="sm"
+            type="number"
+            min="0.1"
+            max="30"
+            step="0.5"
+            value={policy.baseDelayMs / 1000}
+            onChange={(e) => handleBaseDelayChange(e.target.value)}
+          />
+        </Col>
+        {Object.keys(DEFAULT_RETRY_POLICY.maxAttempts).map((requestType) => (
+          <Col xs={6} md={4} key={requestType}>
+            <Form.Label className="mb-0" style={{ fontSize: '0.85em' }}>
+              {REQUEST_TYPE_LABELS[requestType] || requestType} attempts
+            </Form.Label>
+            <Form.Control
+              size="sm"
+              type="number"
+              min="1"
+              max="10"
+              value={policy.maxAttempts[requestType]}
+              onChange={(e) => handleAttemptsChange(requestType, e.target.value)}
+            />
+          </Col>
+        ))}
+      </Row>
+      <Form.Text className="text-muted">
+        Rate-limited (429) and server errors (5xx) are retried with exponential backoff and jitter.
+        A Retry-After from the server is honored. Set attempts to 1 to disable retries.
+      </Form.Text>
+      {isCustomized && (
+        <div>
+          <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+            <ArrowCounterclockwise size={14} className="me-1" />
+            Restore defaults
+          </Button>
+        </div>
+      )}
+    </Form.Group>
+  );
+};
+
+export default RetrySettings;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Table from 'react-bootstrap/Table';
+import { getRoleModelOverrides, setRoleModelOverrides, getCustomModels } from '../utils/settingsService';
+import { GEMINI_MODELS } from '../services/api/modelProviders';
+import { ROLE_OVERRIDE_LIMITS } from '../services/api/generationConfig';
+import { getVisibleRoles } from '../utils/roleConfig';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+// Numeric overrides: field, label and input bounds
+const NUMERIC_FIELDS = [
+  { field: 'temperature', label: 'Temperature', step: 0.1, placeholder: '1', ...ROLE_OVERRIDE_LIMITS.temperature },
+  { field: 'topP', label: 'Top P', step: 0.05, placeholder: '0.95', ...ROLE_OVERRIDE_LIMITS.topP },
+  { field: 'thinkingBudget', label: 'Thinking budget', step: 128, placeholder: 'adaptive', ...ROLE_OVERRIDE_LIMITS.thinkingBudget },
+  { field: 'maxOutputTokens', label: 'Max output', step: 256, placeholder: 'model max', ...ROLE_OVERRIDE_LIMITS.maxOutputTokens },
+];
+
+// Clamp a numeric input; empty means "use the default"
+const parseOverride = (value, { min, max }) => {
+  if (value === '') {
+    return null;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : null;
+};
+
+/**
+ * Per-role model and generation config overrides
+ * Empty fields fall back to the selected model and the default generation config.
+ */
+const RoleModelSettings = () => {
+  const [overrides, setOverrides] = useState(() => getRoleModelOverrides());
+  const customModels = getCustomModels();
+
+  const roles = getVisibleRoles();
+
+  const updateRole = (roleKey, field, value) => {
+    const updated = {
+      ...overrides,
+      [roleKey]: { ...overrides[roleKey], [field]: value },
+    };
+    setOverrides(updated);
+    setRoleModelOverrides(updated);
+  };
+
+  const resetRole = (roleKey) => {
+    const { [roleKey]: _removed, ...rest } = overrides;
+    setOverrides(rest);
+    setRoleModelOverrides(rest);
+  };
+
+  return (
+    <Form.Group controlId="role-model-overrides">
+      <Form.Label>Per-role models</Form.Label>
+      <Table size="sm" bordered responsive className="mb-1">
+        <thead>
+          <tr>
+            <th>Role</th>
+            <th>Model</th>
+            {NUMERIC_FIELDS.map(({ field, label }) => (
+              <th key={field}>{label}</th>
+            ))}
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {roles.map(([roleKey, config]) => {
+            const roleOverrides = overrides[roleKey] || {};
+            return (
+              <tr key={roleKey}>
+                <td style={{ whiteSpace: 'nowrap' }}>{config.name}</td>
+                <td style={{ minWidth: '180px' }}>
+                  <Form.Select
+                    size="sm"
+                    value={roleOverrides.model || ''}
+                    onChange={(e) => updateRole(roleKey, 'model', e.target.value || null)}
+                  >
+                    <option value="">Selected model</option>
+                    <optgroup label="Gemini">
+                      {GEMINI_MODELS.map((modelId) => (
+                        <option key={modelId} value={modelId}>{modelId}</option>
+                      ))}
+                    </optgroup>
+                    {customModels.length > 0 && (
+                      <optgroup label="Custom">
+                        {customModels.map((customModel) => (
+                          <option key={customModel.id} value={customModel.id}>{customModel.label}</option>
+                        ))}
+                      </optgroup>
+                    )}
+                  </Form.Select>
+                </td>
+                {NUMERIC_FIELDS.map((fieldConfig) => (
+                  <td key={fieldConfig.field} style={{ minWidth: '90px' }}>
+                    <Form.Control
+                      size="sm"
+                      type="number"
+                      min={fieldConfig.min}
+                      max={fieldConfig.max}
+                      step={fieldConfig.step}
+                      placeholder={config.generationConfig?.[fieldConfig.field] ?? fieldConfig.placeholder}
+                      value={roleOverrides[fieldConfig.field] ?? ''}
+                      onChange={(e) =>
+                        updateRole(roleKey, fieldConfig.field, parseOverride(e.target.value, fieldConfig))
+                      }
+                    />
+                  </td>
+                ))}
+                <td>
+                  {Object.keys(roleOverrides).length > 0 && (
+                    <Button
+                      variant="link"
+                      size="sm"
+                      className="p-0"
+                      onClick={() => resetRole(roleKey)}
+                      title="Use defaults"
+                    >
+                      <ArrowCounterclockwise size={14} />
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </Table>
+      <Form.Text className="text-muted">
+        Leave a field empty to use the selected model and default settings. A thinking budget of -1 is
+        adaptive and 0 disables thinking; turning thinking off globally still applies to every role.
+        Overrides are synced with your other devices.
+      </Form.Text>
+    </Form.Group>
+  );
+};
+
+export default RoleModelSettings;
@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import { getRoleRoutingSettings, setRoleRoutingSettings } from '../utils/settingsService';
+import { getRoleRoutingConfig } from '../services/roleRouterService';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+/**
+ * Automatic role routing: who answers a message that doesn't @mention anyone
+ */
+const RoleRoutingSettings = () => {
+  const [config, setConfig] = useState(() => getRoleRoutingConfig());
+  const [isCustomized, setIsCustomized] = useState(() => !!getRoleRoutingSettings());
+
+  const saveConfig = (updated) => {
+    setConfig(updated);
+    setRoleRoutingSettings(updated);
+    setIsCustomized(true);
+  };
+
+  const handleReset = () => {
+    setRoleRoutingSettings(null);
+    setConfig(getRoleRoutingConfig());
+    setIsCustomized(false);
+  };
+
+  return (
+    <Form.Group controlId="role-routing">
+      <Form.Label>Automatic routing</Form.Label>
+      <Form.Check
+        type="switch"
+        id="role-routing-enabled"
+        label="Send messages without an @mention to the best suited personas"
+        checked={config.enabled}
+        onChange={(e) => saveConfig({ ...config, enabled: e.target.checked })}
+        className="mb-2"
+      />
+      <Form.Check
+        type="switch"
+        id="role-routing-use-model"
+        label="Ask a fast model when no keyword matches"
+        checked={config.useModel}
+        disabled={!config.enabled}
+        onChange={(e) => saveConfig({ ...config, useModel: e.target.checked })}
+      />
+      <Form.Text className="text-muted">
+        Keywords such as "stock", "latest news" or "proofread" pick Diana, Belinda or Charlie right
+        away. Other messages are classified by gemini-3.1-flash-lite, which also knows your custom
+        personas. Each routed message shows who was chosen and why, and you can ask someone else
+        instead. Adrien answers when no one fits better.
+      </Form.Text>
+      {isCustomized && (
+        <div>
+          <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+            <ArrowCounterclockwise size={14} className="me-1" />
+            Restore defaults
+          </Button>
+        </div>
+      )}
+    </Form.Group>
+  );
+};
+
+export default RoleRoutingSettings;
@@ -0,0 +1,350 @@
+import React, { useState, useEffect } from 'react';
+import { Row, Col, Form, Button, ListGroup, Alert, Badge } from 'react-bootstrap';
+import * as Icon from "react-bootstrap-icons";
+import {
+  WEEKDAYS,
+  describeSchedule,
+  saveScheduledTask,
+  setScheduledTaskEnabled,
+  deleteScheduledTask,
+  getScheduledConversation,
+  clearScheduledConversation,
+  describeDeclinedTools,
+  SCHEDULED_TASKS_CHANGE_EVENT,
+} from '../services/scheduledTaskService';
+import { requestNotificationPermission } from '../services/schedulerHostService';
+import { getVisibleRoles, getRoleDefinition } from '../utils/roleConfig';
+import { formatTimestamp } from '../utils/timestampUtils';
+import TextPart from './conversation/TextPart';
+
+const EMPTY_FORM = {
+  id: null,
+  title: '',
+  role: 'general',
+  prompt: '',
+  schedule: { days: [1, 2, 3, 4, 5], time: '08:00' },
+};
+
+/**
+ * Scheduled tab: recurring prompts for a persona and the conversation each one runs in
+ *
+ * @param {Object} props
+ * @param {Array} props.scheduledTasks - Tasks, from useScheduledTasks
+ * @param {Array<string>} props.runningTaskIds - Tasks running now
+ * @param {string|null} props.selectedTaskId - Task whose conversation is shown
+ * @param {Function} props.onSelectTask - Called with a task ID
+ * @param {Function} props.onRunTask - Runs a task now, from useScheduledTasks
+ */
+function ScheduledTasks({ scheduledTasks, runningTaskIds, selectedTaskId, onSelectTask, onRunTask }) {
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState('');
+  const [conversation, setConversation] = useState([]);
+
+  const selectedTask = scheduledTasks.find((task) => task.id === selectedTaskId) || null;
+
+  useEffect(() => {
+    const reload = () => setConversation(selectedTaskId ? getScheduledConversation(selectedTaskId) : []);
+    reload();
+    window.addEventListener(SCHEDULED_TASKS_CHANGE_EVENT, reload);
+    return () => window.removeEventListener(SCHEDULED_TASKS_CHANGE_EVENT, reload);
+  }, [selectedTaskId]);
+
+  const getPersonaName = (role) => getRoleDefinition(role)?.name || role;
+
+  const toggleDay = (day) => {
+    const days = form.schedule.days.includes(day)
+      ? form.schedule.days.filter((d) => d !== day)
+      : [...form.schedule.days, day];
+    setForm({ ...form, schedule: { ...form.schedule, days } });
+  };
+
+  const handleSave = () => {
+    try {
+      const saved = saveScheduledTask(form);
+      setForm(null);
+      setError('');
+      onSelectTask(saved.id);
+      requestNotificationPermission();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleDelete = (task) => {
+    if (window.confirm(`Delete "${task.title}" and its conversation?`)) {
+      deleteScheduledTask(task.id);
+      if (task.id === selectedTaskId) {
+        onSelectTask(null);
+      }
+    }
+  };
+
+  const handleClearConversation = () => {
+    if (window.confirm('Clear the conversation of this task? The persona starts without earlier runs.')) {
+      clearScheduledConversation(selectedTaskId);
+    }
+  };
+
+  const renderMessage = (message, index) => {
+    const textParts = (message.parts || []).filter((part) => part.text && !part.hide && !part.thought);
+    if (textParts.length === 0) {
+      return null;
+    }
+    return (
+      <ListGroup.Item key={`${message.timestamp}-${index}`} className="py-2">
+        <div className="small text-muted mb-1">
+          {message.role === 'user' ? (
+            <>
+              <Icon.Alarm size={12} className="me-1" />
+              {message.scheduledRun?.trigger === 'manual' ? 'Run now' : 'Scheduled run'}
+            </>
+          ) : (
+            <strong>{message.name}</strong>
+          )}
+          {' · '}
+          {formatTimestamp(message.timestamp)}
+          {message.cancelled && ' · cancelled'}
+        </div>
+        {textParts.map((part, partIndex) => (
+          <TextPart key={part.uuid || partIndex} text={part.text} readOnly position="left" />
+        ))}
+        {message.scheduledRun?.declinedTools?.length > 0 && (
+          <div className="small text-warning mt-1">
+            {describeDeclinedTools(message.scheduledRun.declinedTools)}
+          </div>
+        )}
+      </ListGroup.Item>
+    );
+  };
+
+  return (
+    <div className="scheduled-tasks-container">
+      <Row className="mb-4">
+        <Col xs={12}>
+          <h3>
+            <Icon.Alarm size={20} className="mr-2" />
+            Scheduled Tasks
+          </h3>
+          <p>
+            Let a persona answer a prompt on a schedule, such as a market brief every weekday morning.
+            Each task has its own conversation, and a desktop notification shows when the answer arrives.
+          </p>
+        </Col>
+      </Row>
+
+      {error && (
+        <Row className="mb-3">
+          <Col xs={12}>
+            <Alert variant="danger" onClose={() => setError('')} dismissible>
+              {error}
+            </Alert>
+          </Col>
+        </Row>
+      )}
+
+      <Row>
+        <Col xs={12} lg={5} className="mb-3">
+          <div className="card">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h6 className="mb-0">
+                <Icon.List size={18} className="mr-2" />
+                Tasks ({scheduledTasks.length})
+              </h6>
+              <Button
+                variant={form ? 'secondary' : 'primary'}
+                size="sm"
+                onClick={() => setForm(form ? null : { ...EMPTY_FORM })}
+              >
+                {form ? <Icon.X size={16} /> : <Icon.PlusCircle size={16} />}
+                <span className="ms-1">{form ? 'Cancel' : 'Add Task'}</span>
+              </Button>
+            </div>
+            <div className="card-body">
+              {form && (
+                <div className="mb-3 p-3 border rounded">
+                  <Form.Group className="mb-2">
+                    <Form.Label>Persona</Form.Label>
+                    <Form.Select
+                      size="sm"
+                      value={form.role}
+                      onChange={(e) => setForm({ ...form, role: e.target.value })}
+                    >
+                      {getVisibleRoles().map(([roleKey, config]) => (
+                        <option key={roleKey} value={roleKey}>{config.name}</option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Prompt</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={3}
+                      value={form.prompt}
+                      onChange={(e) => setForm({ ...form, prompt: e.target.value })}
+                      placeholder="Give me a brief of the markets and my watchlist"
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Title</Form.Label>
+                    <Form.Control
+                      size="sm"
+                      value={form.title}
+                      onChange={(e) => setForm({ ...form, title: e.target.value })}
+                      placeholder="Market brief"
+                    />
+                  </Form.Group>
+                  <Form.Group className="mb-2">
+                    <Form.Label>Days</Form.Label>
+                    <div className="d-flex flex-wrap gap-2">
+                      {WEEKDAYS.map((label, day) => (
+                        <Form.Check
+                          key={label}
+                          inline
+                          type="checkbox"
+                          id={`scheduled-day-${day}`}
+                          label={label}
+                          checked={form.schedule.days.includes(day)}
+                          onChange={() => toggleDay(day)}
+                        />
+                      ))}
+                    </div>
+                  </Form.Group>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Time</Form.Label>
+                    <Form.Control
+                      size="sm"
+                      type="time"
+                      value={form.schedule.time}
+                      onChange={(e) => setForm({ ...form, schedule: { ...form.schedule, time: e.target.value } })}
+                      style={{ width: 'auto' }}
+                    />
+                  </Form.Group>
+                  <Button variant="success" size="sm" onClick={handleSave}>
+                    <Icon.CheckCircle size={16} className="mr-1" />
+                    {form.id ? 'Save Task' : 'Add Task'}
+                  </Button>
+                </div>
+              )}
+
+              {scheduledTasks.length === 0 ? (
+                <div className="text-center text-muted py-4">
+                  <Icon.Inbox size={48} className="mb-2" />
+                  <p>No scheduled tasks yet.</p>
+                </div>
+              ) : (
+                <ListGroup variant="flush">
+                  {scheduledTasks.map((task) => {
+                    const running = runningTaskIds.includes(task.id);
+                    return (
+                      <ListGroup.Item
+                        key={task.id}
+                        action
+                        active={task.id === selectedTaskId}
+                        onClick={() => onSelectTask(task.id)}
+                        className="py-2"
+                      >
+                        <div className="d-flex justify-content-between align-items-start gap-2">
+                          <div style={{ minWidth: 0 }}>
+                            <div className="fw-semibold text-truncate">{task.title}</div>
+                            <div className="small">
+                              {getPersonaName(task.role)} · {describeSchedule(task.schedule)}
+                            </div>
+                            <div className="small">
+                              {running
+                                ? 'Running ...'
+                                : task.enabled
+                                  ? `Next: ${task.nextRunAt ? formatTimestamp(task.nextRunAt) : 'never'}`
+                                  : 'Paused'}
+                              {task.lastRunAt && ` · Last: ${formatTimestamp(task.lastRunAt)}`}
+                              {task.lastStatus === 'failed' && (
+                                <Badge bg="danger" className="ms-1" title={task.lastError || ''}>failed</Badge>
+                              )}
+                              {task.lastStatus === 'cancelled' && (
+                                <Badge bg="secondary" className="ms-1">stopped</Badge>
+                              )}
+                            </div>
+                          </div>
+                          <div className="d-flex gap-1 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+                            <Button
+                              variant="outline-secondary"
+                              size="sm"
+                              disabled={running}
+                              onClick={() => onRunTask(task.id)}
+                              title="Run now"
+                            >
+                              <Icon.PlayFill size={14} />
+                            </Button>
+                            <Button
+                              variant="outline-secondary"
+                              size="sm"
+                              onClick={() => setScheduledTaskEnabled(task.id, !task.enabled)}
+                              title={task.enabled ? 'Pause' : 'Resume'}
+                            >
+                              {task.enabled ? <Icon.PauseFill size={14} /> : <Icon.Alarm size={14} />}
+                            </Button>
+                            <Button
+                              variant="info"
+                              size="sm"
+                              onClick={() => setForm({ ...task })}
+                              title="Edit"
+                            >
+                              <Icon.Pencil size={14} />
+                            </Button>
+                            <Button
+                              variant="danger"
+                              size="sm"
+                              onClick={() => handleDelete(task)}
+                              title="Delete"
+                            >
+                              <Icon.Trash size={14} />
+                            </Button>
+                          </div>
+                        </div>
+                      </ListGroup.Item>
+                    );
+                  })}
+                </ListGroup>
+              )}
+            </div>
+          </div>
+        </Col>
+
+        <Col xs={12} lg={7} className="mb-3">
+          <div className="card">
+            <div className="card-header d-flex justify-content-between align-items-center">
+              <h6 className="mb-0">
+                <Icon.ChatText size={18} className="mr-2" />
+                {selectedTask ? `${selectedTask.title} · ${getPersonaName(selectedTask.role)}` : 'Conversation'}
+              </h6>
+              {selectedTask && conversation.length > 0 && (
+                <Button variant="outline-danger" size="sm" onClick={handleClearConversation}>
+                  <Icon.Trash size={14} />
+                  <span className="d-none d-md-inline ms-1">Clear</span>
+                </Button>
+              )}
+            </div>
+            <div className="card-body">
+              {!selectedTask ? (
+                <div className="text-center text-muted py-4">
+                  <p>Select a task to see its runs.</p>
+                </div>
+              ) : conversation.length === 0 ? (
+                <div className="text-center text-muted py-4">
+                  <p>No runs yet. The first one is {selectedTask.nextRunAt && selectedTask.enabled
+                    ? formatTimestamp(selectedTask.nextRunAt)
+                    : 'when you run it'}.</p>
+                </div>
+              ) : (
+                <ListGroup variant="flush">
+                  {conversation.filter((message) => !message.deleted).map(renderMessage)}
+                </ListGroup>
+              )}
+            </div>
+          </div>
+        </Col>
+      </Row>
+    </div>
+  );
+}
+
+export default ScheduledTasks;
@@ -8,6 +8,15 @@ import Alert from 'react-bootstrap/Alert';
 import ListGroup from 'react-bootstrap/ListGroup';
 import { getUserAvatar, setUserAvatar, getSystemPrompts, getSelectedSystemPromptKey, setSelectedSystemPromptKey, addSystemPrompt, updateSystemPrompt, deleteSystemPrompt } from '../utils/settingsService';
 import { PlusCircle, Pencil, Trash, CheckCircle, X } from 'react-bootstrap-icons';
+import ModelSettings from './ModelSettings';
+import EndpointProfileSettings from './EndpointProfileSettings';
+import RetrySettings from './RetrySettings';
+import MemoryRetrievalSettings from './MemoryRetrievalSettings';
+import ChainBudgetSettings from './ChainBudgetSettings';
+import RoleRoutingSettings from './RoleRoutingSettings';
+import ToolPolicySettings from './ToolPolicySettings';
+import RoleModelSettings from './RoleModelSettings';
+import PersonaSettings from './PersonaSettings';
 
 const Settings = ({ subscriptionKey, setSubscriptionKey, systemPrompt, setSystemPrompt, model, setModel }) => {
   const [selectedAvatar, setSelectedAvatar] = useState('male');
@@ -347,22 +356,66 @@ const Settings = ({ subscriptionKey, setSubscriptionKey, systemPrompt, setSystem
           </Col>
         </Row>
         
+        {/* API Endpoint Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <EndpointProfileSettings />
+          </Col>
+        </Row>
+
         {/* Model Selection Section */}
         <Row className="mb-4">
           <Col xs={12}>
-            <Form.Group controlId="model-selection">
-              <Form.Label>Model</Form.Label>
-              <Form.Select
-                value={model}
-                onChange={(e) => setModel(e.target.value)}
-              >
-                <option value="gemini-3-flash-preview">gemini-3-flash-preview</option>
-                <option value="gemini-2.5-flash">gemini-2.5-flash</option>
-              </Form.Select>
-              <Form.Text className="text-muted">
-                Select the AI model to use for generating responses.
-              </Form.Text>
-            </Form.Group>
+            <ModelSettings model={model} setModel={setModel} />
+          </Col>
+        </Row>
+
+        {/* Per-role Model Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <RoleModelSettings />
+          </Col>
+        </Row>
+
+        {/* Custom Persona Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <PersonaSettings />
+          </Col>
+        </Row>
+
+        {/* Retry Policy Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <RetrySettings />
+          </Col>
+        </Row>
+
+        {/* Memory Retrieval Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <MemoryRetrievalSettings />
+          </Col>
+        </Row>
+
+        {/* @mention Chain Budget Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <ChainBudgetSettings />
+          </Col>
+        </Row>
+
+        {/* Automatic Routing Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <RoleRoutingSettings />
+          </Col>
+        </Row>
+
+        {/* Tool Approval Section */}
+        <Row className="mb-4">
+          <Col xs={12}>
+            <ToolPolicySettings />
           </Col>
         </Row>
         
@@ -0,0 +1,300 @@
+import { useState, useEffect, useCallback } from "react";
+import Form from "react-bootstrap/Form";
+import Button from "react-bootstrap/Button";
+import Row from "react-bootstrap/Row";
+import Col from "react-bootstrap/Col";
+import * as Icon from "react-bootstrap-icons";
+import {
+  getCurrentSummaryScope,
+  getConversationSummaries,
+  getActiveSummaries,
+  getSummaryChildren,
+  summaryCovers,
+  updateSummaryText,
+  deleteSummary,
+  getCompressionSettings,
+  setCompressionSettings,
+  getCompressionConfig,
+} from "../services/summaryService";
+import { compressConversationNow, regenerateSummary } from "../services/api/geminiService";
+
+// AGE_THRESHOLD is stored in seconds and edited in hours
+const NUMERIC_FIELDS = [
+  { field: "TOKEN_THRESHOLD", label: "Token threshold", min: 1000, max: 1000000 },
+  { field: "RECENT_MESSAGES_COUNT", label: "Recent messages kept", min: 1, max: 100 },
+  { field: "AGE_THRESHOLD", label: "Age threshold (hours)", min: 1, max: 24 * 365, scale: 3600 },
+  { field: "SUMMARY_TOKEN_BUDGET", label: "Summary budget (tokens)", min: 200, max: 100000 },
+];
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : "start");
+
+/**
+ * One summary with its actions; roll-ups list the summaries they were made from
+ */
+function SummaryItem({ summary, summaries, conversation, busyId, onEdit, onDelete, onRegenerate }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [text, setText] = useState("");
+  const children = getSummaryChildren(summaries, summary.id);
+  const messageCount = conversation.filter((message) => summaryCovers(summary, message.timestamp)).length;
+  const currentText = (summary.parts || []).map((part) => part.text).join("\n");
+
+  return (
+    <div className={`summary-item summary-level-${Math.min(summary.level, 3)}`}>
+      <div className="summary-item-header">
+        <span>
+          {summary.level > 0 ? `Roll-up (level ${summary.level})` : "Summary"} · {messageCount} messages ·{" "}
+          {formatTime(summary.startTimestamp)} – {formatTime(summary.timestamp)}
+          {summary.edited && " · edited"}
+        </span>
+        <span className="d-flex gap-1">
+          <button
+            type="button"
+            className="branch-action-button"
+            title="Edit"
+            disabled={isEditing || busyId === summary.id}
+            onClick={() => {
+              setText(currentText);
+              setIsEditing(true);
+            }}
+          >
+            <Icon.Pencil size={12} />
+          </button>
+          <button
+            type="button"
+            className="branch-action-button"
+            title={summary.level > 0 ? "Regenerate from the summaries it rolls up" : "Regenerate from its messages"}
+            disabled={!!busyId}
+            onClick={() => onRegenerate(summary.id)}
+          >
+            <Icon.ArrowRepeat size={12} />
+          </button>
+          <button
+            type="button"
+            className="branch-action-button"
+            title={summary.level > 0 ? "Delete (its summaries are used again)" : "Delete (its messages are sent in full again)"}
+            disabled={busyId === summary.id}
+            onClick={() => onDelete(summary.id)}
+          >
+            <Icon.Trash size={12} />
+          </button>
+        </span>
+      </div>
+      {isEditing ? (
+        <>
+          <Form.Control as="textarea" rows={6} value={text} onChange={(e) => setText(e.target.value)} />
+          <div className="d-flex gap-2 mt-1">
+            <Button
+              variant="success"
+              size="sm"
+              disabled={!text.trim()}
+              onClick={() => {
+                onEdit(summary.id, text.trim());
+                setIsEditing(false);
+              }}
+            >
+              <Icon.CheckCircle size={12} className="me-1" />
+              Save
+            </Button>
+            <Button variant="secondary" size="sm" onClick={() => setIsEditing(false)}>
+              <Icon.X size={12} className="me-1" />
+              Cancel
+            </Button>
+          </div>
+        </>
+      ) : (
+        <div className="summary-item-text">{currentText}</div>
+      )}
+      {children.length > 0 && (
+        <details className="summary-children">
+          <summary>Rolled up from {children.length} summaries</summary>
+          {children.map((child) => (
+            <SummaryItem
+              key={child.id}
+              summary={child}
+              summaries={summaries}
+              conversation={conversation}
+              busyId={busyId}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onRegenerate={onRegenerate}
+            />
+          ))}
+        </details>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Summary panel
+ * Lists the summaries that replace older messages of the current conversation, with
+ * the range each one replaces, and lets the user edit, delete or regenerate them,
+ * compress now and override the compression settings for this conversation.
+ *
+ * @param {Object} props
+ * @param {Array} props.conversation - Current conversation (selected branches)
+ * @param {Function} props.onChanged - Called after summaries or settings change (e.g. to sync)
+ */
+function SummaryPanel({ conversation = [], onChanged }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [summaries, setSummaries] = useState(() => getConversationSummaries());
+  const [config, setConfig] = useState(() => getCompressionConfig());
+  const [isCustomized, setIsCustomized] = useState(() => !!getCompressionSettings()?.overrides);
+  const [busyId, setBusyId] = useState(null);
+  const [status, setStatus] = useState({ error: "", message: "" });
+  // Thresholds being typed, by field; saved on blur
+  const [drafts, setDrafts] = useState({});
+
+  const reload = useCallback(() => {
+    setSummaries(getConversationSummaries());
+    setConfig(getCompressionConfig());
+    setIsCustomized(!!getCompressionSettings()?.overrides);
+  }, []);
+
+  // Background compression and conversation switches change the stored summaries
+  useEffect(() => {
+    reload();
+  }, [conversation, reload]);
+
+  const afterChange = () => {
+    reload();
+    onChanged?.();
+  };
+
+  const runAction = async (id, action, successMessage) => {
+    setBusyId(id);
+    setStatus({ error: "", message: "" });
+    try {
+      const result = await action();
+      setStatus({ error: "", message: typeof result === "string" ? result : successMessage });
+      afterChange();
+    } catch (error) {
+      console.error("Summary action failed:", error);
+      setStatus({ error: error.message || "Action failed", message: "" });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const saveConfig = (updated) => {
+    const overrides = Object.fromEntries(
+      ["AUTO_COMPRESS", ...NUMERIC_FIELDS.map(({ field }) => field)].map((field) => [field, updated[field]])
+    );
+    setCompressionSettings(getCurrentSummaryScope(), overrides);
+    afterChange();
+  };
+
+  const handleNumberChange = (field, value) => setDrafts((prev) => ({ ...prev, [field]: value }));
+
+  // Invalid input is dropped; out-of-range values are brought into range
+  const handleNumberBlur = ({ field, min, max, scale = 1 }) => {
+    const draft = drafts[field];
+    setDrafts(({ [field]: _removed, ...rest }) => rest);
+    const parsed = parseInt(draft, 10);
+    if (draft === undefined || Number.isNaN(parsed)) {
+      return;
+    }
+    const value = Math.min(max, Math.max(min, parsed)) * scale;
+    if (value !== config[field]) {
+      saveConfig({ ...config, [field]: value });
+    }
+  };
+
+  const handleReset = () => {
+    setCompressionSettings(getCurrentSummaryScope(), null);
+    afterChange();
+  };
+
+  const roots = getActiveSummaries(summaries);
+
+  return (
+    <div className="mb-2 summary-panel">
+      <button type="button" className="summary-panel-toggle" onClick={() => setIsOpen((open) => !open)}>
+        <Icon.JournalText size={12} className="me-1" />
+        Summaries ({roots.length})
+        {isOpen ? <Icon.ChevronUp size={10} className="ms-1" /> : <Icon.ChevronDown size={10} className="ms-1" />}
+      </button>
+
+      {isOpen && (
+        <div className="summary-panel-body">
+          <Form.Check
+            type="switch"
+            id="compression-auto"
+            label="Compress this conversation automatically"
+            checked={config.AUTO_COMPRESS}
+            onChange={(e) => saveConfig({ ...config, AUTO_COMPRESS: e.target.checked })}
+            className="mb-2"
+          />
+          <Row className="g-2 mb-2">
+            {NUMERIC_FIELDS.map((fieldConfig) => (
+              <Col xs={6} md={3} key={fieldConfig.field}>
+                <Form.Label className="mb-0" style={{ fontSize: "0.85em" }}>{fieldConfig.label}</Form.Label>
+                <Form.Control
+                  size="sm"
+                  type="number"
+                  min={fieldConfig.min}
+                  max={fieldConfig.max}
+                  value={drafts[fieldConfig.field] ?? Math.round(config[fieldConfig.field] / (fieldConfig.scale || 1))}
+                  onChange={(e) => handleNumberChange(fieldConfig.field, e.target.value)}
+                  onBlur={() => handleNumberBlur(fieldConfig)}
+                />
+              </Col>
+            ))}
+          </Row>
+          <div className="d-flex align-items-center gap-2 mb-2">
+            <Button
+              variant="outline-primary"
+              size="sm"
+              disabled={!!busyId || conversation.length === 0}
+              onClick={() =>
+                runAction("compress", async () =>
+                  (await compressConversationNow(conversation))
+                    ? "Older messages were summarized."
+                    : "Nothing new to summarize; the most recent messages are always kept."
+                )
+              }
+            >
+              <Icon.ArrowsCollapse size={12} className="me-1" />
+              {busyId === "compress" ? "Compressing..." : "Compress now"}
+            </Button>
+            {isCustomized && (
+              <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+                <Icon.ArrowCounterclockwise size={12} className="me-1" />
+                Restore defaults
+              </Button>
+            )}
+          </div>
+          {status.error && <div className="text-danger mb-2">{status.error}</div>}
+          {status.message && <div className="text-muted mb-2">{status.message}</div>}
+
+          {roots.length === 0 ? (
+            <div className="text-muted">No summaries yet; every message is sent in full.</div>
+          ) : (
+            roots.map((summary) => (
+              <SummaryItem
+                key={summary.id}
+                summary={summary}
+                summaries={summaries}
+                conversation={conversation}
+                busyId={busyId}
+                onEdit={(id, text) => {
+                  updateSummaryText(getCurrentSummaryScope(), id, text);
+                  afterChange();
+                }}
+                onDelete={(id) => {
+                  if (window.confirm("Delete this summary?")) {
+                    deleteSummary(getCurrentSummaryScope(), id);
+                    afterChange();
+                  }
+                }}
+                onRegenerate={(id) => runAction(id, () => regenerateSummary(id, conversation), "Summary regenerated.")}
+              />
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SummaryPanel;
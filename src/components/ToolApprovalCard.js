@@ -0,0 +1,46 @@
+import * as Icon from "react-bootstrap-icons";
+import { APPROVABLE_TOOLS } from "../services/toolApprovalService";
+
+const getToolLabel = (toolName) =>
+  APPROVABLE_TOOLS.find((option) => option.name === toolName)?.label || toolName;
+
+// Tool call waiting for the user's approval, shown inline while its persona waits
+function ToolApprovalCard({ approval, onRespond }) {
+  const { name, tool, args, preview } = approval;
+
+  return (
+    <div className="tool-approval-card mb-3" role="alertdialog" aria-label={`${name} wants to run ${tool}`}>
+      <div className="tool-approval-title">
+        <Icon.ShieldExclamation size={14} className="me-1" />
+        {name} wants to run <strong>{getToolLabel(tool)}</strong>
+      </div>
+      <div className="tool-approval-summary">{preview.summary}</div>
+      {preview.before !== null && preview.before !== undefined && (
+        <>
+          <div className="tool-approval-label">{preview.after === null ? "Will be deleted" : "Now"}</div>
+          <pre className="tool-approval-value removed">{preview.before || "(empty)"}</pre>
+        </>
+      )}
+      {preview.after !== null && preview.after !== undefined && (
+        <>
+          <div className="tool-approval-label">{preview.before === null ? "New" : "After"}</div>
+          <pre className="tool-approval-value added">{preview.after || "(empty)"}</pre>
+        </>
+      )}
+      <details className="tool-approval-args">
+        <summary>Arguments</summary>
+        <pre className="tool-approval-value">{JSON.stringify(args ?? {}, null, 2)}</pre>
+      </details>
+      <div className="d-flex gap-2 mt-2">
+        <button type="button" className="btn btn-success btn-sm py-0 px-2" onClick={() => onRespond(approval.id, true)}>
+          <Icon.Check2 size={14} /> Allow
+        </button>
+        <button type="button" className="btn btn-outline-danger btn-sm py-0 px-2" onClick={() => onRespond(approval.id, false)}>
+          <Icon.X size={14} /> Deny
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ToolApprovalCard;
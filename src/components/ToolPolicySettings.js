@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import Form from 'react-bootstrap/Form';
+import Button from 'react-bootstrap/Button';
+import Table from 'react-bootstrap/Table';
+import { getToolPolicySettings, setToolPolicySettings } from '../utils/settingsService';
+import { TOOL_POLICIES, DEFAULT_TOOL_POLICIES, APPROVABLE_TOOLS } from '../services/toolApprovalService';
+import { getVisibleRoles } from '../utils/roleConfig';
+import { ArrowCounterclockwise } from 'react-bootstrap-icons';
+
+// Scope of the policies being edited; a role key edits that role's own policies
+const ALL_ROLES = '';
+
+const getRoleToolNames = (config) => (config.tools?.function_declarations || []).map((declaration) => declaration.name);
+
+/**
+ * Tool approval: per tool, and optionally per role, whether a persona's call runs automatically,
+ * asks the user first or never runs
+ */
+const ToolPolicySettings = () => {
+  const [settings, setSettings] = useState(() => getToolPolicySettings());
+  const [scope, setScope] = useState(ALL_ROLES);
+
+  // Roles that can call tools in the app
+  const roles = getVisibleRoles().filter(([, config]) => config.canUseFunctions && getRoleToolNames(config).length > 0);
+  const scopeRole = roles.find(([roleKey]) => roleKey === scope);
+  const tools = scopeRole
+    ? APPROVABLE_TOOLS.filter((option) => getRoleToolNames(scopeRole[1]).includes(option.name))
+    : APPROVABLE_TOOLS;
+  const allRolesPolicy = (toolName) => settings.tools[toolName] || DEFAULT_TOOL_POLICIES[toolName] || 'auto';
+
+  const save = (updated) => {
+    setSettings(updated);
+    setToolPolicySettings(updated);
+  };
+
+  const handlePolicyChange = (toolName, policy) => {
+    if (!scopeRole) {
+      save({ ...settings, tools: { ...settings.tools, [toolName]: policy } });
+      return;
+    }
+    const { [toolName]: _removed, ...rolePolicies } = settings.roles[scope] || {};
+    const updatedRole = policy ? { ...rolePolicies, [toolName]: policy } : rolePolicies;
+    const { [scope]: _role, ...otherRoles } = settings.roles;
+    save({
+      ...settings,
+      roles: Object.keys(updatedRole).length > 0 ? { ...otherRoles, [scope]: updatedRole } : otherRoles,
+    });
+  };
+
+  const handleReset = () => {
+    setToolPolicySettings(null);
+    setSettings(getToolPolicySettings());
+  };
+
+  const isCustomized = Object.keys(settings.tools).length > 0 || Object.keys(settings.roles).length > 0;
+
+  return (
+    <Form.Group controlId="tool-policies">
+      <Form.Label>Tool approval</Form.Label>
+      <Form.Select
+        size="sm"
+        className="mb-2"
+        style={{ width: 'auto' }}
+        value={scope}
+        onChange={(e) => setScope(e.target.value)}
+        aria-label="Personas the policies apply to"
+      >
+        <option value={ALL_ROLES}>All personas</option>
+        {roles.map(([roleKey, config]) => (
+          <option key={roleKey} value={roleKey}>Only {config.name}</option>
+        ))}
+      </Form.Select>
+      <Table size="sm" bordered responsive className="mb-1">
+        <tbody>
+          {tools.map((option) => (
+            <tr key={option.name}>
+              <td>
+                {option.label}
+                <span className="text-muted ms-1" style={{ fontSize: '0.8em' }}>{option.group}</span>
+              </td>
+              <td style={{ width: '200px' }}>
+                <Form.Select
+                  size="sm"
+                  value={scopeRole ? settings.roles[scope]?.[option.name] || '' : allRolesPolicy(option.name)}
+                  onChange={(e) => handlePolicyChange(option.name, e.target.value)}
+                  aria-label={`Policy for ${option.label}`}
+                >
+                  {scopeRole && (
+                    <option value="">Same as all ({TOOL_POLICIES[allRolesPolicy(option.name)]})</option>
+                  )}
+                  {Object.entries(TOOL_POLICIES).map(([policy, label]) => (
+                    <option key={policy} value={policy}>{label}</option>
+                  ))}
+                </Form.Select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+      <Form.Text className="text-muted">
+        "Ask me first" pauses the persona and shows the call with a preview of what it changes. Calls
+        that don't run are reported back to the persona. Deleting memories and replacing the co-edited
+        document ask first by default.
+      </Form.Text>
+      {isCustomized && (
+        <div>
+          <Button variant="link" size="sm" className="p-0" onClick={handleReset}>
+            <ArrowCounterclockwise size={14} className="me-1" />
+            Restore defaults
+          </Button>
+        </div>
+      )}
+    </Form.Group>
+  );
+};
+
+export default ToolPolicySettings;
@@ -0,0 +1,353 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Row, Col, Form, Button, Table, Alert, InputGroup } from 'react-bootstrap';
+import { BarChart, CurrencyDollar, Trash, Save, Wallet2 } from "react-bootstrap-icons";
+import {
+  getLedgerEntries,
+  clearLedger,
+  getPriceTable,
+  setPriceTable,
+  summarizeUsage,
+  getPeriodRange,
+  getBudgetSettings,
+  setBudgetSettings,
+  checkBudget,
+  USAGE_UPDATED_EVENT,
+} from '../services/usageLedgerService';
+
+const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
+const formatTokens = (tokens) => tokens.toLocaleString();
+
+// Parse a limit input; empty or non-positive values disable the cap
+const parseLimit = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null;
+};
+
+function UsageTotalsCard({ title, totals, limit }) {
+  return (
+    <Col xs={12} md={6} className="mb-3">
+      <div className="p-3 border rounded h-100">
+        <div style={{ fontSize: "0.9em", color: "#666" }}>{title}</div>
+        <div style={{ fontSize: "1.5em", fontWeight: 600 }}>
+          {formatCost(totals.cost)}
+          {limit ? (
+            <span style={{ fontSize: "0.6em", color: "#666", fontWeight: 400 }}>
+              {" "}/ {formatCost(limit)}
+            </span>
+          ) : null}
+        </div>
+        <div style={{ fontSize: "0.85em", color: "#666" }}>
+          {totals.requests} requests · {formatTokens(totals.promptTokens)} in
+          {totals.cachedTokens > 0 &&
+            ` (${formatTokens(totals.cachedTokens)} cached, ${formatCost(totals.cacheSavings)} saved)`}
+          {" "}· {formatTokens(totals.candidatesTokens + totals.thoughtsTokens)} out
+        </div>
+      </div>
+    </Col>
+  );
+}
+
+function UsageBreakdownTable({ title, groups }) {
+  const rows = Object.entries(groups).sort((a, b) => b[1].cost - a[1].cost || b[1].totalTokens - a[1].totalTokens);
+  if (rows.length === 0) {
+    return null;
+  }
+  return (
+    <div className="mb-3">
+      <h6>{title}</h6>
+      <Table size="sm" striped bordered responsive>
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th className="text-end">Requests</th>
+            <th className="text-end">Input</th>
+            <th className="text-end">Output</th>
+            <th className="text-end">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([key, totals]) => (
+            <tr key={key}>
+              <td style={{ wordBreak: "break-all" }}>{key}</td>
+              <td className="text-end">{totals.requests}</td>
+              <td className="text-end">{formatTokens(totals.promptTokens)}</td>
+              <td className="text-end">{formatTokens(totals.candidatesTokens + totals.thoughtsTokens)}</td>
+              <td className="text-end">{formatCost(totals.cost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+  );
+}
+
+function Usage() {
+  const [entries, setEntries] = useState(() => getLedgerEntries());
+  const [priceTable, setPriceTableState] = useState(() => getPriceTable());
+  const [budget, setBudget] = useState(() => getBudgetSettings());
+  const [budgetForm, setBudgetForm] = useState(() => {
+    const stored = getBudgetSettings();
+    return {
+      dailyLimit: stored.dailyLimit ?? '',
+      monthlyLimit: stored.monthlyLimit ?? '',
+      mode: stored.mode,
+    };
+  });
+  const [priceForm, setPriceForm] = useState(() => getPriceTable());
+  const [period, setPeriod] = useState('month');
+  const [success, setSuccess] = useState('');
+
+  const reload = useCallback(() => {
+    setEntries(getLedgerEntries());
+    setPriceTableState(getPriceTable());
+    setBudget(getBudgetSettings());
+  }, []);
+
+  // Refresh whenever a model call is recorded or settings change
+  useEffect(() => {
+    window.addEventListener(USAGE_UPDATED_EVENT, reload);
+    return () => window.removeEventListener(USAGE_UPDATED_EVENT, reload);
+  }, [reload]);
+
+  const today = useMemo(
+    () => summarizeUsage(getPeriodRange('day'), entries, priceTable),
+    [entries, priceTable]
+  );
+  const month = useMemo(
+    () => summarizeUsage(getPeriodRange('month'), entries, priceTable),
+    [entries, priceTable]
+  );
+  const selected = period === 'day' ? today : month;
+
+  // Per-day totals for the current month, most recent first
+  const dailyRows = useMemo(() => {
+    const { from } = getPeriodRange('month');
+    const rows = [];
+    for (let day = new Date(from); day.getTime() <= Date.now(); day.setDate(day.getDate() + 1)) {
+      const summary = summarizeUsage(getPeriodRange('day', day), entries, priceTable);
+      if (summary.totals.requests > 0) {
+        rows.push({ label: day.toLocaleDateString(), totals: summary.totals });
+      }
+    }
+    return rows.reverse();
+  }, [entries, priceTable]);
+
+  const budgetStatus = useMemo(
+    () => checkBudget(budget, entries, priceTable),
+    [budget, entries, priceTable]
+  );
+
+  const showSuccess = (message) => {
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 3000);
+  };
+
+  const handleSaveBudget = () => {
+    setBudgetSettings({
+      dailyLimit: parseLimit(budgetForm.dailyLimit),
+      monthlyLimit: parseLimit(budgetForm.monthlyLimit),
+      mode: budgetForm.mode,
+    });
+    showSuccess('Budget saved');
+  };
+
+  const handlePriceChange = (model, field, value) => {
+    setPriceForm((prev) => ({
+      ...prev,
+      [model]: { ...prev[model], [field]: value },
+    }));
+  };
+
+  const handleSavePrices = () => {
+    const normalized = Object.fromEntries(
+      Object.entries(priceForm).map(([model, prices]) => [
+        model,
+        {
+          input: parseFloat(prices.input) || 0,
+          cachedInput: parseFloat(prices.cachedInput) || 0,
+          output: parseFloat(prices.output) || 0,
+        },
+      ])
+    );
+    setPriceTable(normalized);
+    setPriceForm(normalized);
+    showSuccess('Prices saved');
+  };
+
+  const handleClearLedger = () => {
+    if (window.confirm('Delete all recorded usage? This cannot be undone.')) {
+      clearLedger();
+      showSuccess('Usage history cleared');
+    }
+  };
+
+  return (
+    <Row>
+      <Col>
+        <h3 className="mb-3">
+          <BarChart className="me-2" />
+          Usage
+        </h3>
+
+        {success && <Alert variant="success">{success}</Alert>}
+        {budgetStatus.exceeded && (
+          <Alert variant={budgetStatus.mode === 'block' ? 'danger' : 'warning'}>
+            {budgetStatus.message}
+            {budgetStatus.mode === 'block' ? ' — model requests are blocked.' : '.'}
+          </Alert>
+        )}
+
+        <Row>
+          <UsageTotalsCard title="Today" totals={today.totals} limit={budget.dailyLimit} />
+          <UsageTotalsCard title="This month" totals={month.totals} limit={budget.monthlyLimit} />
+        </Row>
+
+        <div className="d-flex align-items-center gap-2 mb-3">
+          <span>Breakdown for</span>
+          <Form.Select
+            size="sm"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            style={{ width: "auto" }}
+          >
+            <option value="day">Today</option>
+            <option value="month">This month</option>
+          </Form.Select>
+        </div>
+
+        {selected.totals.requests === 0 ? (
+          <p className="text-muted">No usage recorded for this period.</p>
+        ) : (
+          <>
+            <UsageBreakdownTable title="By model" groups={selected.byModel} />
+            <UsageBreakdownTable title="By role" groups={selected.byRole} />
+            <UsageBreakdownTable title="By request type" groups={selected.byRequestType} />
+            <UsageBreakdownTable title="By conversation" groups={selected.byConversation} />
+          </>
+        )}
+
+        {dailyRows.length > 0 && (
+          <div className="mb-3">
+            <h6>Daily totals this month</h6>
+            <Table size="sm" striped bordered responsive>
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th className="text-end">Requests</th>
+                  <th className="text-end">Tokens</th>
+                  <th className="text-end">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dailyRows.map(({ label, totals }) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td className="text-end">{totals.requests}</td>
+                    <td className="text-end">{formatTokens(totals.totalTokens)}</td>
+                    <td className="text-end">{formatCost(totals.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+        )}
+
+        <h5 className="mt-4">
+          <Wallet2 className="me-2" />
+          Budget
+        </h5>
+        <Form.Text className="text-muted d-block mb-2">
+          Limits apply to estimated cost in USD, including background calls such as
+          summarization, titles and follow-up questions. Leave empty to disable.
+        </Form.Text>
+        <Row className="mb-2">
+          <Col xs={12} md={4} className="mb-2">
+            <InputGroup size="sm">
+              <InputGroup.Text>Daily $</InputGroup.Text>
+              <Form.Control
+                type="number"
+                min="0"
+                step="0.01"
+                value={budgetForm.dailyLimit}
+                onChange={(e) => setBudgetForm({ ...budgetForm, dailyLimit: e.target.value })}
+              />
+            </InputGroup>
+          </Col>
+          <Col xs={12} md={4} className="mb-2">
+            <InputGroup size="sm">
+              <InputGroup.Text>Monthly $</InputGroup.Text>
+              <Form.Control
+                type="number"
+                min="0"
+                step="0.01"
+                value={budgetForm.monthlyLimit}
+                onChange={(e) => setBudgetForm({ ...budgetForm, monthlyLimit: e.target.value })}
+              />
+            </InputGroup>
+          </Col>
+          <Col xs={12} md={4} className="mb-2">
+            <Form.Select
+              size="sm"
+              value={budgetForm.mode}
+              onChange={(e) => setBudgetForm({ ...budgetForm, mode: e.target.value })}
+            >
+              <option value="warn">Warn when exceeded</option>
+              <option value="block">Block requests when exceeded</option>
+            </Form.Select>
+          </Col>
+        </Row>
+        <Button variant="primary" size="sm" onClick={handleSaveBudget}>
+          <Save className="me-1" />
+          Save budget
+        </Button>
+
+        <h5 className="mt-4">
+          <CurrencyDollar className="me-2" />
+          Prices (USD per 1M tokens)
+        </h5>
+        <Table size="sm" bordered responsive>
+          <thead>
+            <tr>
+              <th>Model</th>
+              <th>Input</th>
+              <th>Cached input</th>
+              <th>Output</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(priceForm).map(([model, prices]) => (
+              <tr key={model}>
+                <td style={{ wordBreak: "break-all" }}>{model}</td>
+                {['input', 'cachedInput', 'output'].map((field) => (
+                  <td key={field}>
+                    <Form.Control
+                      size="sm"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={prices[field] ?? ''}
+                      onChange={(e) => handlePriceChange(model, field, e.target.value)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        <div className="d-flex gap-2 mb-4">
+          <Button variant="primary" size="sm" onClick={handleSavePrices}>
+            <Save className="me-1" />
+            Save prices
+          </Button>
+          <Button variant="outline-danger" size="sm" onClick={handleClearLedger}>
+            <Trash className="me-1" />
+            Clear usage history
+          </Button>
+        </div>
+      </Col>
+    </Row>
+  );
+}
+
+export default Usage;
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import * as Icon from "react-bootstrap-icons";
+import { getPromptInspection, getSectionText, updatePromptInspection } from "../../services/promptInspectionService";
+import { countTextTokens } from "../../services/api/tokenCountService";
+
+const formatTokens = (tokens) => (typeof tokens === "number" ? tokens.toLocaleString() : "-");
+
+const formatCost = (cost) => `$${cost.toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+
+const JsonBlock = ({ title, value }) => (
+  <details className="prompt-inspector-details">
+    <summary>{title}</summary>
+    <pre className="prompt-inspector-json">
+      {typeof value === "string" ? value : JSON.stringify(value, null, 2)}
+    </pre>
+  </details>
+);
+
+/**
+ * Prompt inspector component
+ * Shows the request a model message was generated from: token counts per section,
+ * the usage the API reported and the raw systemInstruction, contents, tools and
+ * generationConfig. Parts served from a context cache are marked as cached.
+ */
+const PromptInspector = ({ inspectionId }) => {
+  const [inspection, setInspection] = useState(() => getPromptInspection(inspectionId));
+  const [isCounting, setIsCounting] = useState(false);
+  const [countError, setCountError] = useState("");
+
+  if (!inspection) {
+    return (
+      <div className="prompt-inspector">
+        The request for this message is not stored on this device (only the most recent
+        requests are kept).
+      </div>
+    );
+  }
+
+  const { request, sections, usage, cache } = inspection;
+  const { contents, generationConfig, ...requestFields } = request;
+  const { systemInstruction = cache?.systemInstruction, tools = cache?.tools, ...otherFields } = requestFields;
+  const estimatedTotal = sections.reduce((total, section) => total + (section.tokens || 0), 0);
+
+  // Replace estimates of text sections with countTokens results
+  const countExactly = async () => {
+    setIsCounting(true);
+    setCountError("");
+    try {
+      const counted = await Promise.all(
+        sections.map(async (section) => {
+          const text = getSectionText(inspection, section);
+          if (text === null) {
+            return section;
+          }
+          return { ...section, tokens: await countTextTokens(text, inspection.model), exact: true };
+        })
+      );
+      setInspection(updatePromptInspection(inspection.id, { sections: counted }) || { ...inspection, sections: counted });
+    } catch (error) {
+      console.error("Error counting prompt tokens:", error);
+      setCountError(error.message || "Token count failed");
+    } finally {
+      setIsCounting(false);
+    }
+  };
+
+  return (
+    <div className="prompt-inspector">
+      <div className="prompt-inspector-header">
+        <span>
+          {inspection.model} · {inspection.role} · {inspection.requestType}
+        </span>
+        <span>{new Date(inspection.createdAt).toLocaleString()}</span>
+      </div>
+
+      <table className="prompt-inspector-table">
+        <tbody>
+          {sections.map((section) => (
+            <tr key={section.key}>
+              <td>
+                {section.label}
+                {section.cached && <span className="prompt-inspector-cached">cached</span>}
+              </td>
+              <td className="text-end">
+                {section.exact ? "" : "~"}
+                {formatTokens(section.tokens)}
+              </td>
+            </tr>
+          ))}
+          <tr className="prompt-inspector-total">
+            <td>Sections total</td>
+            <td className="text-end">~{formatTokens(estimatedTotal)}</td>
+          </tr>
+          {usage && (
+            <>
+              <tr>
+                <td>
+                  Prompt tokens reported
+                  {usage.cachedTokens > 0 && ` (${formatTokens(usage.cachedTokens)} cached)`}
+                </td>
+                <td className="text-end">{formatTokens(usage.promptTokens)}</td>
+              </tr>
+              {usage.cacheSavings > 0 && (
+                <tr>
+                  <td>Saved by context caching</td>
+                  <td className="text-end">{formatCost(usage.cacheSavings)}</td>
+                </tr>
+              )}
+              <tr>
+                <td>Output tokens (incl. thoughts)</td>
+                <td className="text-end">{formatTokens(usage.candidatesTokens + usage.thoughtsTokens)}</td>
+              </tr>
+              <tr>
+                <td>Estimated cost</td>
+                <td className="text-end">{formatCost(usage.cost || 0)}</td>
+              </tr>
+            </>
+          )}
+        </tbody>
+      </table>
+
+      <button
+        type="button"
+        className="btn btn-outline-secondary btn-sm py-0 px-2 mb-2"
+        onClick={countExactly}
+        disabled={isCounting}
+      >
+        <Icon.Calculator size={12} /> {isCounting ? "Counting..." : "Count exactly"}
+      </button>
+      {countError && <div className="text-danger mb-2">{countError}</div>}
+
+      {systemInstruction &&
+        sections
+          .filter((section) => section.group === "systemInstruction")
+          .map((section) => (
+            <JsonBlock
+              key={section.key}
+              title={`systemInstruction${section.cached ? " (cached)" : ""}: ${section.label}`}
+              value={systemInstruction.parts[section.partIndex]?.text || ""}
+            />
+          ))}
+      <JsonBlock title="contents" value={contents} />
+      {tools && <JsonBlock title={cache?.tools && !request.tools ? "tools (cached)" : "tools"} value={tools} />}
+      <JsonBlock title="generationConfig" value={generationConfig} />
+      {Object.keys(otherFields).length > 0 && <JsonBlock title="Other fields" value={otherFields} />}
+    </div>
+  );
+};
+
+export default PromptInspector;
@@ -10,6 +10,8 @@ import ExpandableHtmlBlock from "./ExpandableHtmlBlock";
 /**
  * Text part component for rendering text content in messages
  * Handles editing, TTS, and thought content display
+ * readOnly hides the edit and speaker buttons (used while a response is streaming)
+ * mermaidRepairs marks the diagrams that were auto-repaired
  */
 const TextPart = ({
   text,
@@ -22,6 +24,8 @@ const TextPart = ({
   isThought = false,
   position = "right",
   speakerVoice = null,
+  readOnly = false,
+  mermaidRepairs = null,
 }) => {
   const [isExpanded, setIsExpanded] = useState(false);
 
@@ -51,7 +55,7 @@ const TextPart = ({
     );
   }
 
-  const actionButtons = (
+  const actionButtons = readOnly ? null : (
     <>
       <EditButton onClick={onEdit} position={position} />
       {hasSpeakableText && (
@@ -114,7 +118,7 @@ const TextPart = ({
     <>
       {actionButtons}
       <div className="markdown-content">
-        {renderTextContent(normalizedText, ExpandableHtmlBlock)}
+        {renderTextContent(normalizedText, ExpandableHtmlBlock, { mermaidRepairs })}
       </div>
       <TtsPlayer
         audioSegments={audioSegments}
@@ -0,0 +1,73 @@
+import { renderHook, act } from "@testing-library/react";
+import { useDiscussion } from "../useDiscussion";
+
+describe("useDiscussion", () => {
+  let conversationRef;
+  let setConversation;
+  let enqueueRoleRequests;
+  let cancelRoleRequestsForRole;
+
+  const renderDiscussion = () =>
+    renderHook(() =>
+      useDiscussion({ conversationRef, setConversation, enqueueRoleRequests, cancelRoleRequestsForRole })
+    );
+
+  // Finish every request of the latest enqueued step
+  const finishStep = (result, status = "completed") => {
+    const [roles, context] = enqueueRoleRequests.mock.calls[enqueueRoleRequests.mock.calls.length - 1];
+    act(() => {
+      roles.forEach((role) => result.current.handleRequestFinished({ role, context }, { status }));
+    });
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    conversationRef = { current: [] };
+    setConversation = jest.fn((conversation) => {
+      conversationRef.current = conversation;
+    });
+    enqueueRoleRequests = jest.fn();
+    cancelRoleRequestsForRole = jest.fn();
+  });
+
+  it("runs every step in order and ends with the moderator summary", () => {
+    const { result } = renderDiscussion();
+
+    act(() => result.current.startDiscussion({ mode: "debate", rounds: 1, moderator: "general" }));
+    expect(enqueueRoleRequests).toHaveBeenLastCalledWith(["searcher"], expect.objectContaining({ source: "discussion" }));
+    finishStep(result);
+    expect(enqueueRoleRequests).toHaveBeenLastCalledWith(["editor"], expect.anything());
+    finishStep(result);
+    expect(enqueueRoleRequests).toHaveBeenLastCalledWith(["general"], expect.anything());
+    expect(result.current.discussionStatus).toMatchObject({ kind: "summary", speakers: ["Adrien"] });
+    finishStep(result);
+
+    expect(result.current.discussionStatus).toBeNull();
+    expect(conversationRef.current.filter((message) => message.discussionNote)).toHaveLength(3);
+  });
+
+  it("waits for every panelist before the next step", () => {
+    const { result } = renderDiscussion();
+
+    act(() => result.current.startDiscussion({ mode: "panel", mentionedRoles: ["searcher", "editor"], rounds: 1 }));
+    const [, context] = enqueueRoleRequests.mock.calls[0];
+    act(() => result.current.handleRequestFinished({ role: "searcher", context }, { status: "completed" }));
+    expect(enqueueRoleRequests).toHaveBeenCalledTimes(1);
+    act(() => result.current.handleRequestFinished({ role: "editor", context }, { status: "completed" }));
+    expect(enqueueRoleRequests).toHaveBeenLastCalledWith(["general"], expect.anything());
+  });
+
+  it("skips to the summary on request and stops when a turn fails", () => {
+    const { result } = renderDiscussion();
+
+    act(() => result.current.startDiscussion({ mode: "debate", rounds: 3 }));
+    act(() => result.current.summarizeNow());
+    expect(cancelRoleRequestsForRole).toHaveBeenCalledWith("searcher");
+    finishStep(result, "cancelled");
+    expect(enqueueRoleRequests).toHaveBeenLastCalledWith(["general"], expect.anything());
+
+    act(() => result.current.startDiscussion({ mode: "debate", rounds: 3 }));
+    finishStep(result, "failed");
+    expect(result.current.discussionStatus).toBeNull();
+  });
+});
@@ -0,0 +1,300 @@
+import { renderHook, act } from "@testing-library/react";
+import { useRoleRequests } from "../useRoleRequests";
+import { processRoleRequest } from "../../services/roleRequestService";
+import { setRequestConcurrencySettings } from "../../utils/settingsService";
+
+jest.mock("../../services/roleRequestService", () => ({
+  ...jest.requireActual("../../services/roleRequestService"),
+  processRoleRequest: jest.fn(),
+}));
+
+// Loaded by roleRequestService, whose createRoleRequestTask stays real
+jest.mock("../../services/api/geminiService", () => ({
+  fetchFromApi: jest.fn(),
+  postProcessModelResponse: (text) => text,
+  repairMermaidDiagrams: jest.fn(),
+}));
+
+jest.mock("../../services/api/financialService", () => ({
+  toolbox: {},
+}));
+
+describe("useRoleRequests queue", () => {
+  let conversationRef;
+  let onAllRequestsComplete;
+  let onRequestFinished;
+  let appendMessage;
+  // Resolvers of the running requests by task id
+  let pending;
+
+  const renderQueue = () =>
+    renderHook(() =>
+      useRoleRequests({
+        conversationRef,
+        setConversation: jest.fn(),
+        appendMessage,
+        onError: jest.fn(),
+        onAllRequestsComplete,
+        onRequestFinished,
+        mentionRoleMap: {},
+      })
+    );
+
+  const userMessage = (timestamp) => ({ role: "user", parts: [{ text: `Question ${timestamp}` }], timestamp });
+
+  const ask = (result, roles, timestamp) => {
+    conversationRef.current = [...conversationRef.current, userMessage(timestamp)];
+    act(() => result.current.enqueueRoleRequests(roles, { source: "user", triggerMessageId: timestamp }));
+  };
+
+  const statuses = (result) => result.current.queueEntries.map(({ role, status }) => `${role}:${status}`);
+
+  const entryId = (result, status, role) =>
+    result.current.queueEntries.find((entry) => entry.status === status && (!role || entry.role === role)).id;
+
+  const finish = async (taskId) => {
+    await act(async () => {
+      pending.get(taskId)();
+    });
+  };
+
+  const runningTask = (role) =>
+    processRoleRequest.mock.calls.map(([task]) => task).find((task) => task.role === role && pending.has(task.id));
+
+  beforeEach(() => {
+    localStorage.clear();
+    conversationRef = { current: [] };
+    onAllRequestsComplete = jest.fn();
+    onRequestFinished = jest.fn();
+    appendMessage = jest.fn();
+    pending = new Map();
+    processRoleRequest.mockReset();
+    processRoleRequest.mockImplementation(
+      (task) =>
+        new Promise((resolve) => {
+          pending.set(task.id, () => {
+            pending.delete(task.id);
+            resolve();
+          });
+        })
+    );
+  });
+
+  it("keeps the snapshot of the message that triggered a waiting request", async () => {
+    const { result } = renderQueue();
+
+    ask(result, ["general"], 1);
+    ask(result, ["general"], 2);
+    ask(result, ["general"], 3);
+    expect(statuses(result)).toEqual(["general:running", "general:queued", "general:queued"]);
+
+    await finish(runningTask("general").id);
+
+    // Started after message 3 arrived, but still answers message 2
+    const [, [secondTask]] = processRoleRequest.mock.calls;
+    expect(secondTask.conversationSnapshot.map((message) => message.timestamp)).toEqual([1, 2]);
+    expect(statuses(result)).toEqual(["general:running", "general:queued", "general:completed"]);
+  });
+
+  it("keeps the turn open while a paused request waits", async () => {
+    const { result } = renderQueue();
+
+    ask(result, ["general"], 1);
+    ask(result, ["general"], 2);
+    act(() => result.current.setRoleRequestPaused(entryId(result, "queued"), true));
+    expect(statuses(result)).toEqual(["general:running", "general:paused"]);
+
+    await finish(runningTask("general").id);
+    expect(onAllRequestsComplete).not.toHaveBeenCalled();
+    expect(statuses(result)).toEqual(["general:paused", "general:completed"]);
+
+    act(() => result.current.setRoleRequestPaused(entryId(result, "paused"), false));
+    expect(statuses(result)[0]).toBe("general:running");
+    expect(onAllRequestsComplete).not.toHaveBeenCalled();
+
+    await finish(runningTask("general").id);
+    expect(onAllRequestsComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it("ends the turn when the last paused request is cancelled", async () => {
+    const { result } = renderQueue();
+
+    ask(result, ["general"], 1);
+    ask(result, ["general"], 2);
+    act(() => result.current.setRoleRequestPaused(entryId(result, "queued"), true));
+    await finish(runningTask("general").id);
+
+    act(() => result.current.cancelRoleRequest(entryId(result, "paused")));
+
+    expect(onAllRequestsComplete).toHaveBeenCalledTimes(1);
+    expect(onRequestFinished).toHaveBeenLastCalledWith(expect.objectContaining({ role: "general" }), {
+      status: "cancelled",
+    });
+    expect(statuses(result)).toEqual(["general:cancelled", "general:completed"]);
+    // The request that never started still leaves a stopped message
+    expect(appendMessage).toHaveBeenCalledWith(
+      expect.objectContaining({ role: "model", name: "Adrien", cancelled: true })
+    );
+  });
+
+  it("starts queued requests in the order they were moved to", async () => {
+    setRequestConcurrencySettings({ maxConcurrent: 1 });
+    const { result } = renderQueue();
+
+    ask(result, ["general", "searcher", "editor"], 1);
+    expect(statuses(result)).toEqual(["general:running", "searcher:queued", "editor:queued"]);
+
+    act(() => result.current.moveRoleRequest(entryId(result, "queued", "editor"), -1));
+    expect(statuses(result)).toEqual(["general:running", "editor:queued", "searcher:queued"]);
+
+    await finish(runningTask("general").id);
+    expect(statuses(result).slice(0, 2)).toEqual(["editor:running", "searcher:queued"]);
+  });
+
+  it("cancels one request and retries it at the end of the queue", async () => {
+    const { result } = renderQueue();
+
+    ask(result, ["general", "searcher"], 1);
+    const searcherTask = runningTask("searcher");
+    act(() => result.current.cancelRoleRequest(searcherTask.id));
+
+    expect(searcherTask.cancelled).toBe(true);
+    expect(searcherTask.abortController.signal.aborted).toBe(true);
+    expect(runningTask("general").cancelled).toBe(false);
+    expect(statuses(result)).toEqual(["general:running"]);
+
+    // The cancelled request reports back once its promise settles
+    await finish(searcherTask.id);
+    expect(statuses(result)).toEqual(["general:running", "searcher:cancelled"]);
+    expect(onAllRequestsComplete).not.toHaveBeenCalled();
+
+    act(() => result.current.retryRoleRequest(searcherTask.id));
+    expect(statuses(result)).toEqual(["general:running", "searcher:running"]);
+    expect(processRoleRequest).toHaveBeenCalledTimes(3);
+  });
+
+  it("cancels a role's request for one message only", async () => {
+    const { result } = renderQueue();
+
+    ask(result, ["searcher"], 1);
+    ask(result, ["searcher"], 2);
+    const firstTask = runningTask("searcher");
+    act(() => result.current.cancelRoleRequestsForMessage(2, "searcher"));
+
+    expect(firstTask.cancelled).toBe(false);
+    expect(statuses(result)).toEqual(["searcher:running", "searcher:cancelled"]);
+  });
+
+  it("hands @mentions of a running request to the latest queue", async () => {
+    const { result, rerender } = renderHook(
+      ({ ref }) =>
+        useRoleRequests({
+          conversationRef: ref,
+          setConversation: jest.fn(),
+          appendMessage,
+          onError: jest.fn(),
+          onAllRequestsComplete,
+          onRequestFinished,
+          mentionRoleMap: {},
+        }),
+      { initialProps: { ref: conversationRef } }
+    );
+    ask(result, ["general"], 1);
+    const [[generalTask, callbacks]] = processRoleRequest.mock.calls;
+
+    // The conversation ref changes while Adrien is still answering
+    const laterRef = { current: [userMessage(1), userMessage(2)] };
+    rerender({ ref: laterRef });
+    act(() =>
+      callbacks.onMentionedRolesFound(["searcher"], {
+        source: "model",
+        triggerMessageId: 3,
+        parentRequestId: generalTask.id,
+      })
+    );
+
+    const searcherTask = runningTask("searcher");
+    expect(searcherTask.conversationSnapshot).toBe(laterRef.current);
+  });
+
+  it("runs detached requests in the same queue, away from the open conversation", async () => {
+    const { result } = renderQueue();
+    const detachedMessages = [];
+    const snapshot = [userMessage(10)];
+
+    ask(result, ["general"], 1);
+    let outcome;
+    act(() => {
+      result.current
+        .runDetachedRoleRequest("general", { source: "schedule", triggerMessageId: 10 }, {
+          conversationSnapshot: snapshot,
+          appendMessage: (message) => detachedMessages.push(message),
+        })
+        .then((value) => {
+          outcome = value;
+        });
+    });
+    // Adrien's limit of one request at a time holds for the scheduled run too
+    expect(statuses(result)).toEqual(["general:running", "general:queued"]);
+
+    await finish(runningTask("general").id);
+    expect(onAllRequestsComplete).toHaveBeenCalledTimes(1);
+    const [detachedTask, callbacks] = processRoleRequest.mock.calls[1];
+    expect(detachedTask.conversationSnapshot).toBe(snapshot);
+    expect(callbacks.onToolApproval).toBeUndefined();
+
+    act(() => {
+      callbacks.onMessageAppended({ role: "model", parts: [{ text: "Brief" }] });
+      callbacks.onMentionedRolesFound(["searcher"], { source: "model", parentRequestId: detachedTask.id });
+    });
+    expect(appendMessage).not.toHaveBeenCalled();
+    expect(detachedMessages).toHaveLength(1);
+    expect(runningTask("searcher")).toBeUndefined();
+
+    await finish(detachedTask.id);
+    expect(outcome).toEqual({ status: "completed" });
+    // The open conversation's turn ended with its own request
+    expect(onAllRequestsComplete).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops detached requests with Stop", async () => {
+    const { result } = renderQueue();
+    const detachedMessages = [];
+    let outcome;
+
+    ask(result, ["general"], 1);
+    act(() => {
+      result.current
+        .runDetachedRoleRequest("general", { source: "schedule", triggerMessageId: 10 }, {
+          conversationSnapshot: [],
+          appendMessage: (message) => detachedMessages.push(message),
+        })
+        .then((value) => {
+          outcome = value;
+        });
+    });
+    await act(async () => {
+      result.current.cancelAllRoleRequests();
+    });
+
+    expect(outcome).toEqual({ status: "cancelled" });
+    expect(detachedMessages).toEqual([expect.objectContaining({ cancelled: true })]);
+    expect(appendMessage).not.toHaveBeenCalled();
+  });
+
+  it("keeps a limited list of finished requests, newest first", async () => {
+    setRequestConcurrencySettings({ maxConcurrent: 10, roleLimit: 5 });
+    const { result } = renderQueue();
+
+    for (let timestamp = 1; timestamp <= 22; timestamp++) {
+      ask(result, ["general"], timestamp);
+      await finish(runningTask("general").id);
+    }
+
+    const finished = result.current.queueEntries;
+    expect(finished).toHaveLength(20);
+    expect(finished.every((entry) => entry.status === "completed")).toBe(true);
+    expect(finished[0].finishedAt).toBeGreaterThanOrEqual(finished[19].finishedAt);
+    expect(onAllRequestsComplete).toHaveBeenCalledTimes(22);
+  });
+});
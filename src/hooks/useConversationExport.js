@@ -1,6 +1,13 @@
 import { useCallback } from "react";
 import { getAllTrackedFiles, setTrackedFiles } from "../utils/fileTrackingService";
 import { createExportData, parseConversationData } from "../services/conversationService";
+import {
+  getConversationSummaries,
+  setConversationSummaries,
+  getCurrentSummaryScope,
+  getCompressionSettings,
+  setCompressionSettings,
+} from "../services/summaryService";
 
 /**
  * Custom hook for conversation export/import functionality
@@ -20,16 +27,14 @@ export const useConversationExport = (
    */
   const downloadConversation = useCallback(() => {
     try {
-      // Get conversation_summaries from localStorage
-      const summaries = JSON.parse(
-        localStorage.getItem("conversation_summaries") || "[]"
-      );
+      // Get the current conversation's summaries
+      const summaries = getConversationSummaries();
 
       // Get tracked files
       const trackedFiles = getAllTrackedFiles();
 
       // Create export data
-      const exportData = createExportData(conversation, summaries, trackedFiles);
+      const exportData = createExportData(conversation, summaries, trackedFiles, getCompressionSettings());
 
       const dataStr = JSON.stringify(exportData, null, 2);
       const dataUri =
@@ -59,30 +64,17 @@ export const useConversationExport = (
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const { conversation: conversationData, summaries, trackedFiles } = 
+        const { conversation: conversationData, summaries, trackedFiles, compressionSettings } = 
           parseConversationData(e.target.result);
 
         // Set conversation
         setConversation(conversationData);
 
-        // Restore conversation_summaries if present
+        // Replace the current conversation's summaries (old format uploads have none)
+        setConversationSummaries(getCurrentSummaryScope(), summaries);
+        setCompressionSettings(getCurrentSummaryScope(), compressionSettings?.overrides, compressionSettings?.updatedAt || 0);
         if (summaries.length > 0) {
-          try {
-            localStorage.setItem(
-              "conversation_summaries",
-              JSON.stringify(summaries)
-            );
-            console.log("Conversation summaries restored from upload");
-          } catch (error) {
-            console.error("Error restoring conversation summaries:", error);
-          }
-        } else {
-          // Clear summaries for old format uploads
-          try {
-            localStorage.removeItem("conversation_summaries");
-          } catch (error) {
-            console.error("Error clearing summaries:", error);
-          }
+          console.log("Conversation summaries restored from upload");
         }
 
         // Restore tracked files if present (version 1.2+)
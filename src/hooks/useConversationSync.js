@@ -2,6 +2,13 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import conversationSyncService from '../utils/conversationSyncService';
 import { parseConversationData, filterDeletedMessages } from '../services/conversationService';
 import { setTrackedFiles } from '../utils/fileTrackingService';
+import {
+  setConversationSummaries,
+  mergeConversationSummaries,
+  clearConversationSummaries,
+  setCompressionSettings,
+  mergeCompressionSettings,
+} from '../services/summaryService';
 import { useAuth } from '../contexts/AuthContext';
 
 /**
@@ -225,7 +232,7 @@ export const useConversationSync = (conversation = [], setConversation = null) =
       }
       
       // Parse conversation data
-      const { conversation: remoteConvData, conversation_summaries, uploaded_files } = 
+      const { conversation: remoteConvData, summaries: remoteSummaries, compressionSettings: remoteCompressionSettings, uploaded_files } = 
         parseConversationData(JSON.stringify(conversationData));
       
       // When switching conversations, replace local with remote (no merge)
@@ -244,10 +251,9 @@ export const useConversationSync = (conversation = [], setConversation = null) =
         console.log('[switchConversation] Reset isLoadingFromOneDriveRef after switching conversation');
       }, 1000);
       
-      // Restore summaries
-      if (conversation_summaries && conversation_summaries.length > 0) {
-        localStorage.setItem('conversation_summaries', JSON.stringify(conversation_summaries));
-      }
+      // Restore summaries and compression settings
+      setConversationSummaries(conversationId, remoteSummaries);
+      setCompressionSettings(conversationId, remoteCompressionSettings?.overrides, remoteCompressionSettings?.updatedAt || 0);
       
       // Restore tracked files
       if (uploaded_files && Object.keys(uploaded_files).length > 0) {
@@ -331,7 +337,7 @@ export const useConversationSync = (conversation = [], setConversation = null) =
                 latestConversationId
               );
               if (conversationData) {
-                const { conversation: remoteConvData, conversation_summaries, uploaded_files } = 
+                const { conversation: remoteConvData, summaries: remoteSummaries, compressionSettings: remoteCompressionSettings, uploaded_files } = 
                   parseConversationData(JSON.stringify(conversationData));
                 
                 // Count thoughts in remote conversation to verify they're being downloaded
@@ -464,10 +470,9 @@ export const useConversationSync = (conversation = [], setConversation = null) =
                   afterStr: afterLocalStorage?.substring(0, 200)
                 });
                 
-                // Restore summaries
-                if (conversation_summaries && conversation_summaries.length > 0) {
-                  localStorage.setItem('conversation_summaries', JSON.stringify(conversation_summaries));
-                }
+                // Merge summaries (same conversation, either device may have added or rolled up some)
+                mergeConversationSummaries(latestConversationId, remoteSummaries);
+                mergeCompressionSettings(latestConversationId, remoteCompressionSettings);
                 
                 // Restore tracked files
                 if (uploaded_files && Object.keys(uploaded_files).length > 0) {
@@ -538,7 +543,7 @@ export const useConversationSync = (conversation = [], setConversation = null) =
                   mostRecentConversation.id
                 );
                 if (conversationData) {
-                  const { conversation: remoteConvData, conversation_summaries, uploaded_files } = 
+                  const { conversation: remoteConvData, summaries: remoteSummaries, compressionSettings: remoteCompressionSettings, uploaded_files } = 
                     parseConversationData(JSON.stringify(conversationData));
                   
                   // CRITICAL: Check if reset happened before loading completes (race condition prevention)
@@ -603,10 +608,9 @@ export const useConversationSync = (conversation = [], setConversation = null) =
                     }
                   }, 100);
                   
-                  // Restore summaries
-                  if (conversation_summaries && conversation_summaries.length > 0) {
-                    localStorage.setItem('conversation_summaries', JSON.stringify(conversation_summaries));
-                  }
+                  // Restore summaries and compression settings
+                  setConversationSummaries(mostRecentConversation.id, remoteSummaries);
+                  setCompressionSettings(mostRecentConversation.id, remoteCompressionSettings?.overrides, remoteCompressionSettings?.updatedAt || 0);
                   
                   // Restore tracked files
                   if (uploaded_files && Object.keys(uploaded_files).length > 0) {
@@ -798,6 +802,7 @@ export const useConversationSync = (conversation = [], setConversation = null) =
       }
       
       await conversationSyncService.deleteConversation(accessToken, conversationId);
+      clearConversationSummaries(conversationId);
       
       // Update index
       const index = await conversationSyncService.fetchConversationsIndex(accessToken);
@@ -881,7 +886,8 @@ export const useConversationSync = (conversation = [], setConversation = null) =
   }, [currentConversationId, renameConversation]);
   
   // Manual sync trigger (for explicit calls only - NO auto-save)
-  const syncCurrentConversation = useCallback(async () => {
+  // options.force uploads even when the messages are unchanged (e.g. after editing summaries)
+  const syncCurrentConversation = useCallback(async (options = {}) => {
     // Don't sync if we're still loading from OneDrive
     if (isLoadingFromOneDriveRef.current) {
       console.log('[useConversationSync] Still loading from OneDrive, skipping sync');
@@ -918,7 +924,7 @@ export const useConversationSync = (conversation = [], setConversation = null) =
     const conversationStr = JSON.stringify(currentConv);
     const lastSyncedStr = lastSyncedConversationRef.current;
     
-    if (conversationStr === lastSyncedStr) {
+    if (conversationStr === lastSyncedStr && !options.force) {
       const lastSyncedLength = lastSyncedStr ? JSON.parse(lastSyncedStr).length : 0;
       console.log('[useConversationSync] Conversation unchanged, skipping sync', {
         conversationLength: currentConv.length,
@@ -0,0 +1,141 @@
+import { useState, useRef, useCallback } from "react";
+import {
+  createDiscussion,
+  createDiscussionNote,
+  getDiscussionTag,
+} from "../services/discussionService";
+import { getRoleDefinition } from "../utils/roleConfig";
+
+/**
+ * Custom hook for running structured discussions (panel, debate, review)
+ * Each step posts a moderator note and sends its personas through the role request queue;
+ * the next step starts when every request of the current one has finished.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Object} options.conversationRef - Ref to current conversation
+ * @param {Function} options.setConversation - Function to update conversation
+ * @param {Function} options.enqueueRoleRequests - Queues role requests (from useRoleRequests)
+ * @param {Function} options.cancelRoleRequestsForRole - Cancels a role's requests (from useRoleRequests)
+ * @returns {Object} startDiscussion, stopDiscussion, summarizeNow, handleRequestFinished and
+ *   discussionStatus (the running step, or null)
+ */
+export const useDiscussion = ({
+  conversationRef,
+  setConversation,
+  enqueueRoleRequests,
+  cancelRoleRequestsForRole,
+}) => {
+  // The running discussion; kept in a ref since request callbacks read it
+  const discussionRef = useRef(null);
+  const [discussionStatus, setDiscussionStatus] = useState(null);
+
+  const runStep = useCallback(
+    (discussion, stepIndex) => {
+      const step = discussion.steps[stepIndex];
+      discussion.stepIndex = stepIndex;
+      discussion.pending = step.roles.length;
+
+      const note = createDiscussionNote(discussion, stepIndex);
+      setConversation([...(conversationRef.current || []), note]);
+      setDiscussionStatus({
+        ...getDiscussionTag(discussion, stepIndex),
+        speakers: step.roles.map((role) => getRoleDefinition(role)?.name || role),
+      });
+
+      enqueueRoleRequests(step.roles, {
+        source: "discussion",
+        triggerMessageId: note.timestamp,
+        discussion: getDiscussionTag(discussion, stepIndex),
+      });
+    },
+    [conversationRef, setConversation, enqueueRoleRequests]
+  );
+
+  const endDiscussion = useCallback(() => {
+    discussionRef.current = null;
+    setDiscussionStatus(null);
+  }, []);
+
+  /**
+   * Start a discussion after the user's message has been added to the conversation
+   * @param {Object} options - mode, mentionedRoles, rounds and moderator
+   */
+  const startDiscussion = useCallback(
+    (options) => {
+      const discussion = createDiscussion(options);
+      discussionRef.current = discussion;
+      runStep(discussion, 0);
+    },
+    [runStep]
+  );
+
+  // Cancel the running step; what happens next depends on discussion.afterCancel
+  const cancelCurrentStep = useCallback(
+    (afterCancel) => {
+      const discussion = discussionRef.current;
+      if (!discussion) {
+        return;
+      }
+      discussion.afterCancel = afterCancel;
+      discussion.steps[discussion.stepIndex].roles.forEach((role) => cancelRoleRequestsForRole(role));
+    },
+    [cancelRoleRequestsForRole]
+  );
+
+  /**
+   * Stop the discussion without a summary
+   */
+  const stopDiscussion = useCallback(() => cancelCurrentStep("stop"), [cancelCurrentStep]);
+
+  /**
+   * Skip the remaining rounds and go straight to the moderator summary
+   */
+  const summarizeNow = useCallback(() => {
+    const discussion = discussionRef.current;
+    if (discussion?.steps[discussion.stepIndex].kind !== "summary") {
+      cancelCurrentStep("summarize");
+    }
+  }, [cancelCurrentStep]);
+
+  /**
+   * Pass to useRoleRequests as onRequestFinished
+   * @param {Object} task - The finished task
+   * @param {{status: string}} result - "completed", "cancelled" or "failed"
+   */
+  const handleRequestFinished = useCallback(
+    (task, { status }) => {
+      const discussion = discussionRef.current;
+      const tag = task.context?.discussion;
+      if (!discussion || tag?.id !== discussion.id || tag.step !== discussion.stepIndex + 1) {
+        return;
+      }
+
+      // A failed turn or a cancel from elsewhere (e.g. Stop) ends the discussion
+      if (status !== "completed" && !discussion.afterCancel) {
+        discussion.afterCancel = "stop";
+      }
+      discussion.pending -= 1;
+      if (discussion.pending > 0) {
+        return;
+      }
+
+      const lastStepIndex = discussion.steps.length - 1;
+      if (discussion.afterCancel === "stop" || discussion.stepIndex === lastStepIndex) {
+        endDiscussion();
+        return;
+      }
+      const nextStepIndex = discussion.afterCancel === "summarize" ? lastStepIndex : discussion.stepIndex + 1;
+      discussion.afterCancel = null;
+      runStep(discussion, nextStepIndex);
+    },
+    [runStep, endDiscussion]
+  );
+
+  return {
+    discussionStatus,
+    startDiscussion,
+    stopDiscussion,
+    summarizeNow,
+    handleRequestFinished,
+  };
+};
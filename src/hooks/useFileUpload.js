@@ -1,6 +1,7 @@
 import { useCallback } from "react";
 import { compressImageForDisplay } from "../services/fileUploadService";
 import { uploadFile } from "../services/api/fileUploadService";
+import { getGatewayApiKey } from "../services/api/endpointProfiles";
 import { trackFile } from "../utils/fileTrackingService";
 
 /**
@@ -68,7 +69,7 @@ export const useFileUpload = (subscriptionKey) => {
       return [];
     }
 
-    if (!subscriptionKey) {
+    if (!subscriptionKey && !getGatewayApiKey()) {
       throw new Error("Subscription key is required for file uploads");
     }
 
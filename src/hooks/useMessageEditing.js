@@ -1,5 +1,5 @@
 import { useState, useCallback } from "react";
-import { updateMessagePart } from "../services/conversationService";
+import { updateMessagePart, toConversationIndex } from "../services/conversationService";
 
 /**
  * Custom hook for managing message editing state and operations
@@ -27,10 +27,11 @@ export const useMessageEditing = (setConversation) => {
   }, []);
 
   // Save edited conversation part
+  // editingIndex refers to the visible messages (selected branches, without deleted ones)
   const saveEditing = useCallback(() => {
     if (editingIndex !== null && editingPartIndex !== null) {
       setConversation((prev) =>
-        updateMessagePart(prev, editingIndex, editingPartIndex, editingText)
+        updateMessagePart(prev, toConversationIndex(prev || [], editingIndex), editingPartIndex, editingText)
       );
       cancelEditing();
     }
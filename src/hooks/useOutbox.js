@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import {
+  getOutbox,
+  addToOutbox,
+  updateOutboxEntry,
+  removeFromOutbox,
+  OUTBOX_UPDATED_EVENT,
+} from "../services/outboxService";
+import { extractMentionedRolesFromParts } from "../utils/textProcessing/mentionUtils";
+import { routeByKeywords } from "../services/roleRouterService";
+
+/**
+ * Custom hook for the offline outbox
+ * Tracks connectivity, exposes the pending messages of the current conversation and
+ * replays them one at a time, in order, once the browser is back online and no role
+ * request is running.
+ *
+ * @param {Object} options - Configuration options
+ * @param {string} options.conversationId - Outbox conversation ID of the current conversation
+ * @param {Array} options.activeTypers - Roles currently responding (from useRoleRequests)
+ * @param {Function} options.dispatchMessage - Sends an entry: receives {message, roles}
+ * @param {Object} options.mentionRoleMap - Mention role mapping, to re-target edited messages
+ * @returns {Object} isOnline, pendingMessages, isPaused and outbox actions
+ */
+export const useOutbox = ({
+  conversationId,
+  activeTypers,
+  dispatchMessage,
+  mentionRoleMap,
+}) => {
+  const [isOnline, setIsOnline] = useState(() =>
+    typeof navigator === "undefined" ? true : navigator.onLine !== false
+  );
+  const [pendingMessages, setPendingMessages] = useState(() => getOutbox(conversationId));
+  // Set when a replayed message failed with a network error although the browser reports
+  // being online; auto-dispatch waits for the next "online" event or an explicit "Send now"
+  const [isPaused, setIsPaused] = useState(false);
+  // Entry sent last, until its role requests show up in activeTypers
+  const dispatchingRef = useRef(null);
+
+  useEffect(() => {
+    const reload = (event) => {
+      setPendingMessages(getOutbox(conversationId));
+      if (event?.detail?.reason === "network_error") {
+        setIsPaused(true);
+      }
+    };
+    reload();
+    window.addEventListener(OUTBOX_UPDATED_EVENT, reload);
+    return () => window.removeEventListener(OUTBOX_UPDATED_EVENT, reload);
+  }, [conversationId]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      setIsPaused(false);
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, []);
+
+  // Replay the oldest entry once nothing else is running, so responses keep their order
+  useEffect(() => {
+    if (activeTypers.length > 0) {
+      dispatchingRef.current = null;
+      return;
+    }
+    if (!isOnline || isPaused || dispatchingRef.current || pendingMessages.length === 0) {
+      return;
+    }
+
+    const [nextEntry] = pendingMessages;
+    dispatchingRef.current = nextEntry.id;
+    removeFromOutbox(nextEntry.id);
+    dispatchMessage(nextEntry);
+  }, [isOnline, isPaused, activeTypers, pendingMessages, dispatchMessage]);
+
+  const queueMessage = useCallback(
+    (message, roles, reason = "offline") =>
+      addToOutbox(message, roles, { conversationId, reason }),
+    [conversationId]
+  );
+
+  // Replace the visible text of a pending message and re-target it from its @mentions
+  const editPendingMessage = useCallback(
+    (id, text) => {
+      const entry = pendingMessages.find((pending) => pending.id === id);
+      if (!entry) {
+        return;
+      }
+      const keptParts = entry.message.parts.filter(
+        (part) => part.hide || typeof part.text !== "string"
+      );
+      const firstTextIndex = entry.message.parts.findIndex(
+        (part) => !part.hide && typeof part.text === "string"
+      );
+      const textPart = { text, uuid: entry.message.parts[firstTextIndex]?.uuid };
+      // Everything before the first visible text part is kept, so its index is unchanged
+      const parts = [...keptParts];
+      parts.splice(firstTextIndex === -1 ? parts.length : firstTextIndex, 0, textPart);
+
+      const mentionedRoles = extractMentionedRolesFromParts([textPart], mentionRoleMap);
+      const { routing, ...message } = entry.message;
+      if (mentionedRoles.length === 0 && routing) {
+        // A routed message is routed again for its new text
+        const newRouting = routeByKeywords(text);
+        updateOutboxEntry(id, { message: { ...message, parts, routing: newRouting }, roles: newRouting.roles });
+        return;
+      }
+      updateOutboxEntry(id, {
+        message: { ...message, parts },
+        roles: mentionedRoles.length > 0 ? mentionedRoles : ["general"],
+      });
+    },
+    [pendingMessages, mentionRoleMap]
+  );
+
+  const discardPendingMessage = useCallback((id) => {
+    removeFromOutbox(id);
+  }, []);
+
+  const sendPendingNow = useCallback(() => {
+    setIsPaused(false);
+  }, []);
+
+  return {
+    isOnline,
+    isPaused,
+    pendingMessages,
+    queueMessage,
+    editPendingMessage,
+    discardPendingMessage,
+    sendPendingNow,
+  };
+};
@@ -1,12 +1,43 @@
 import { useState, useRef, useCallback, useMemo } from "react";
-import { roleDefinition } from "../utils/roleConfig";
+import { getRoleDefinition } from "../utils/roleConfig";
 import {
   processRoleRequest,
   createRoleRequestTask,
-  MAX_CONCURRENT_ROLE_REQUESTS,
+  createCancelledMessage,
 } from "../services/roleRequestService";
+import {
+  pickRunnableTasks,
+  describeTrigger,
+  FINISHED_TASK_LIMIT,
+} from "../services/requestQueueService";
+import { setRequestConcurrencySettings } from "../utils/settingsService";
+import {
+  createChain,
+  checkMentionChain,
+  extendChainBudget,
+  describeChainStop,
+} from "../services/chainBudgetService";
+import { buildToolCallPreview } from "../services/toolApprovalService";
 import { ApiError } from "../services/api/apiClient";
 import { markFileExpired, extractFileIdFromError, removeExpiredFilesFromContents } from "../utils/fileTrackingService";
+import { getBranchContext } from "../services/conversationService";
+
+/**
+ * Tags a task's message with the branch of its regeneration and, for model messages, the
+ * discussion round it belongs to
+ * @param {Object} task - Request task
+ * @param {Object} message - Message to append
+ * @returns {Object} Tagged message
+ */
+const tagTaskMessage = (task, message) => {
+  const branch = task.context?.branch;
+  const discussion = message.role === "model" ? task.context?.discussion : null;
+  return {
+    ...message,
+    ...(branch && { turnId: branch.turnId, branchId: branch.branchId }),
+    ...(discussion && { discussion }),
+  };
+};
 
 /**
  * Custom hook for managing role request queue
@@ -16,10 +47,18 @@ import { markFileExpired, extractFileIdFromError, removeExpiredFilesFromContents
  * @param {Object} options.conversationRef - Ref to current conversation
  * @param {Function} options.setConversation - Function to update conversation
  * @param {Function} options.appendMessage - Function to append message to conversation
- * @param {Function} options.onError - Error handler callback
+ * @param {Function} options.onError - Error handler callback, receives (error, task)
  * @param {Function} options.onAllRequestsComplete - Callback when all requests complete
+ * @param {Function} options.onRequestFinished - Called once per task when it ends, receives
+ *   (task, { status }) with status "completed", "cancelled" or "failed"
  * @param {Object} options.mentionRoleMap - Mention role mapping
- * @returns {Object} Role request management functions and state
+ * @returns {Object} Role request management functions and state, including
+ *   streamingMessages (partial model messages still being streamed),
+ *   retryStates (requests waiting to retry a transient failure),
+ *   chainStop (@mentions held back by the chain budget, see continueChain),
+ *   toolApprovals (tool calls waiting for the user, see respondToToolApproval),
+ *   runDetachedRoleRequest (requests answering outside the open conversation) and
+ *   queueEntries (running, queued and recently finished tasks, see the queue controls)
  */
 export const useRoleRequests = ({
   conversationRef,
@@ -27,32 +66,127 @@ export const useRoleRequests = ({
   appendMessage,
   onError,
   onAllRequestsComplete,
+  onRequestFinished,
   mentionRoleMap,
 }) => {
   const [activeTypers, setActiveTypers] = useState([]);
+  // Partial model messages keyed by task id while their responses stream in
+  const [streamingMessagesByTask, setStreamingMessagesByTask] = useState({});
+  // Pending retries of transient failures (429/5xx) keyed by task id
+  const [retryStatesByTask, setRetryStatesByTask] = useState({});
 
   const requestQueueRef = useRef([]);
   const activeRequestsRef = useRef(new Map());
+  // Recently finished tasks, newest first, kept for the queue panel and retries
+  const finishedTasksRef = useRef([]);
+  // {id, role, name, trigger, status, enqueuedAt, startedAt, finishedAt} of the tasks above
+  const [queueEntries, setQueueEntries] = useState([]);
   const scheduledRequestsRef = useRef(new Set());
+  // Chains of @mention requests started by each user turn, and every request's place in one
+  const chainsRef = useRef(new Map());
+  const lineageRef = useRef(new Map());
+  // {chainId, message, roles, pending: [{roles, context}]} when a chain hit its budget
+  const [chainStop, setChainStop] = useState(null);
+  // Tool calls waiting for the user: {id, taskId, role, name, tool, args, preview}
+  const [toolApprovals, setToolApprovals] = useState([]);
+  // Resolvers of the calls above by approval id
+  const approvalResolversRef = useRef(new Map());
+  // A finished request starts the next one and a reply enqueues the personas it mentions, so
+  // startRoleRequest reaches these two through refs that always hold the latest callbacks
+  const processRoleRequestQueueRef = useRef(() => {});
+  const enqueueRoleRequestsRef = useRef(() => {});
 
+  // Refreshes the typing names and the queue panel after any change to the queue
   const updateLoadingState = useCallback(() => {
+    // Only requests of the open conversation type in it; detached ones show in the queue panel
     const rolesInFlight = new Set();
     activeRequestsRef.current.forEach((task) => {
-      if (!task?.cancelled) {
+      if (!task?.cancelled && !task.detached) {
         rolesInFlight.add(task.role);
       }
     });
     requestQueueRef.current.forEach((task) => {
-      if (!task?.cancelled) {
+      // Paused tasks wait for the user, not for the model
+      if (!task?.cancelled && !task.paused && !task.detached) {
         rolesInFlight.add(task.role);
       }
     });
 
     const typingNames = Array.from(rolesInFlight)
-      .map((roleKey) => roleDefinition[roleKey]?.name || roleKey)
+      .map((roleKey) => getRoleDefinition(roleKey)?.name || roleKey)
       .sort();
 
     setActiveTypers(typingNames);
+
+    const toEntry = (task, status) => ({
+      id: task.id,
+      role: task.role,
+      name: getRoleDefinition(task.role)?.name || task.role,
+      trigger: task.trigger,
+      status,
+      enqueuedAt: task.enqueuedAt,
+      startedAt: task.startedAt || null,
+      finishedAt: task.finishedAt || null,
+    });
+    setQueueEntries([
+      ...Array.from(activeRequestsRef.current.values()).map((task) => toEntry(task, "running")),
+      ...requestQueueRef.current
+        .filter((task) => !task.cancelled)
+        .map((task) => toEntry(task, task.paused ? "paused" : "queued")),
+      ...finishedTasksRef.current.map((task) => toEntry(task, task.status)),
+    ]);
+  }, []);
+
+  // Keeps a task that ended for the queue panel and settles a detached run; a task is recorded once
+  const recordFinishedTask = useCallback((task, status) => {
+    if (task.finishedAt) {
+      return;
+    }
+    task.finishedAt = Date.now();
+    task.status = status;
+    finishedTasksRef.current = [task, ...finishedTasksRef.current].slice(0, FINISHED_TASK_LIMIT);
+    task.detached?.settle({ status, ...(task.error && { error: task.error }) });
+  }, []);
+
+  // A detached task writes to its own conversation, the others to the open one
+  const appendTaskMessage = useCallback(
+    (task, message) => {
+      if (task.detached) {
+        task.detached.appendMessage(message);
+        return;
+      }
+      appendMessage(tagTaskMessage(task, message));
+    },
+    [appendMessage]
+  );
+
+  // Whether the open conversation still waits for a task; detached runs don't keep its turn open
+  const hasConversationTasks = useCallback(
+    () =>
+      [...activeRequestsRef.current.values(), ...requestQueueRef.current].some(
+        (task) => !task.cancelled && !task.detached
+      ),
+    []
+  );
+
+  const clearStreamingMessage = useCallback((taskId) => {
+    setStreamingMessagesByTask((prev) => {
+      if (!prev[taskId]) {
+        return prev;
+      }
+      const { [taskId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  const clearRetryState = useCallback((taskId) => {
+    setRetryStatesByTask((prev) => {
+      if (!prev[taskId]) {
+        return prev;
+      }
+      const { [taskId]: _removed, ...rest } = prev;
+      return rest;
+    });
   }, []);
 
   const handleRoleRequestError = useCallback(
@@ -77,53 +211,195 @@ export const useRoleRequests = ({
       }
 
       if (onError) {
-        onError(error);
+        onError(error, task);
       }
     },
     [setConversation, conversationRef, onError]
   );
 
+  // Pause a task until the user approves or declines its tool call
+  const requestToolApproval = useCallback(async (task, { name, args }) => {
+    const preview = await buildToolCallPreview(name, args, task.role);
+    if (task.cancelled) {
+      return false;
+    }
+    return new Promise((resolve) => {
+      const id = `${task.id}-${name}-${Math.random().toString(16).slice(2)}`;
+      approvalResolversRef.current.set(id, { taskId: task.id, resolve });
+      setToolApprovals((prev) => [
+        ...prev,
+        {
+          id,
+          taskId: task.id,
+          role: task.role,
+          name: getRoleDefinition(task.role)?.name || task.role,
+          tool: name,
+          args,
+          preview,
+        },
+      ]);
+    });
+  }, []);
+
+  /**
+   * Answer a tool call waiting for approval
+   * @param {string} id - Approval id
+   * @param {boolean} approved - Whether the call may run
+   */
+  const respondToToolApproval = useCallback((id, approved) => {
+    const entry = approvalResolversRef.current.get(id);
+    approvalResolversRef.current.delete(id);
+    setToolApprovals((prev) => prev.filter((approval) => approval.id !== id));
+    entry?.resolve(approved);
+  }, []);
+
+  // A cancelled task's pending calls are declined so it can settle
+  const declineToolApprovals = useCallback((taskId) => {
+    let declined = false;
+    approvalResolversRef.current.forEach((entry, id) => {
+      if (entry.taskId === taskId) {
+        approvalResolversRef.current.delete(id);
+        entry.resolve(false);
+        declined = true;
+      }
+    });
+    if (declined) {
+      setToolApprovals((prev) => prev.filter((approval) => approval.taskId !== taskId));
+    }
+  }, []);
+
+  const getTaskChain = useCallback(
+    (taskId) => chainsRef.current.get(lineageRef.current.get(taskId)?.chainId),
+    []
+  );
+
+  // Hold back @mentions over the budget until the user continues the chain
+  const reportChainStop = useCallback((chain, roles, context, reason) => {
+    console.warn(`Stopped @mention chain ${chain.id}: ${describeChainStop(reason)}`);
+    setChainStop((prev) => {
+      const pending = prev?.chainId === chain.id ? prev.pending : [];
+      return {
+        chainId: chain.id,
+        message: describeChainStop(reason),
+        roles: Array.from(new Set([...(prev?.chainId === chain.id ? prev.roles : []), ...roles])),
+        pending: [...pending, { roles, context }],
+      };
+    });
+  }, []);
+
   const startRoleRequest = useCallback(
     (task) => {
       if (task.cancelled) {
         return;
       }
 
+      task.startedAt = Date.now();
       activeRequestsRef.current.set(task.id, task);
       updateLoadingState();
 
+      const { detached } = task;
       const callbacks = {
         onMessageAppended: (message) => {
-          appendMessage(message);
+          appendTaskMessage(task, message);
         },
         onError: (error) => {
-          handleRoleRequestError(error, task);
+          // A detached run reports its own failure, away from the open conversation
+          if (!detached) {
+            handleRoleRequestError(error, task);
+          }
         },
         onMentionedRolesFound: (mentionedRoles, context) => {
-          enqueueRoleRequests(mentionedRoles, context);
+          // Nobody follows a detached run, so its @mentions start nothing
+          if (detached) {
+            return;
+          }
+          const mentionContext = task.context?.branch
+            ? { ...context, branch: task.context.branch }
+            : context;
+          const chain = getTaskChain(task.id);
+          if (!chain) {
+            enqueueRoleRequestsRef.current(mentionedRoles, mentionContext);
+            return;
+          }
+          const { allowed, stopped, reason } = checkMentionChain({
+            chain,
+            lineage: lineageRef.current,
+            parentRequestId: task.id,
+            roles: mentionedRoles,
+          });
+          if (stopped.length > 0) {
+            reportChainStop(chain, stopped, mentionContext, reason);
+          }
+          enqueueRoleRequestsRef.current(allowed, mentionContext);
+        },
+        // Nobody may be there to approve a detached run's "ask" calls, so they are declined
+        onToolApproval: detached ? undefined : (call) => requestToolApproval(task, call),
+        onToolDeclined: detached?.onToolDeclined,
+        onUsage: (usageMetadata) => {
+          const chain = getTaskChain(task.id);
+          if (chain) {
+            chain.tokens += usageMetadata.totalTokenCount || 0;
+          }
         },
         onRequestComplete: () => {
           // Request completed
         },
+        // Previews stream into the open conversation only
+        onStreamUpdate: detached
+          ? undefined
+          : (partialMessage) => {
+            if (task.cancelled) {
+              return;
+            }
+            clearRetryState(task.id);
+            setStreamingMessagesByTask((prev) => ({
+              ...prev,
+              [task.id]: partialMessage,
+            }));
+          },
+        onStreamEnd: () => {
+          clearStreamingMessage(task.id);
+        },
+        onRetry: ({ attempt, maxAttempts, delayMs, error }) => {
+          if (task.cancelled) {
+            return;
+          }
+          setRetryStatesByTask((prev) => ({
+            ...prev,
+            [task.id]: {
+              name: getRoleDefinition(task.role)?.name || task.role,
+              attempt,
+              maxAttempts,
+              delayMs,
+              status: error?.status || null,
+            },
+          }));
+        },
         getConversationSnapshot: () => conversationRef.current || [],
       };
 
+      let failed = false;
       processRoleRequest(task, callbacks, mentionRoleMap)
         .catch((error) => {
+          failed = true;
+          task.error = error?.message || String(error);
           console.error(`Role request failed for ${task.role}:`, error);
         })
         .finally(() => {
+          const status = task.cancelled ? "cancelled" : failed ? "failed" : "completed";
           activeRequestsRef.current.delete(task.id);
+          clearRetryState(task.id);
           if (task.dedupeKey) {
             scheduledRequestsRef.current.delete(task.dedupeKey);
           }
+          recordFinishedTask(task, status);
           updateLoadingState();
-          processRoleRequestQueue();
+          // May enqueue follow-up requests, before checking whether everything is done
+          onRequestFinished?.(task, { status });
+          processRoleRequestQueueRef.current();
 
-          if (
-            activeRequestsRef.current.size === 0 &&
-            requestQueueRef.current.length === 0
-          ) {
+          // Paused tasks keep the turn open until they run or are cancelled
+          if (!detached && !hasConversationTasks()) {
             if (onAllRequestsComplete) {
               onAllRequestsComplete();
             }
@@ -132,42 +408,55 @@ export const useRoleRequests = ({
     },
     [
       updateLoadingState,
-      appendMessage,
+      recordFinishedTask,
+      appendTaskMessage,
+      hasConversationTasks,
       handleRoleRequestError,
+      clearStreamingMessage,
+      clearRetryState,
+      getTaskChain,
+      reportChainStop,
+      requestToolApproval,
       mentionRoleMap,
       conversationRef,
       onAllRequestsComplete,
+      onRequestFinished,
     ]
   );
 
+  // Start the queued tasks the concurrency limits allow, in queue order
   const processRoleRequestQueue = useCallback(() => {
-    while (
-      activeRequestsRef.current.size < MAX_CONCURRENT_ROLE_REQUESTS &&
-      requestQueueRef.current.length > 0
-    ) {
-      const nextTask = requestQueueRef.current.shift();
-      if (!nextTask) {
-        continue;
-      }
-      if (nextTask.cancelled) {
-        continue;
-      }
-      startRoleRequest(nextTask);
+    requestQueueRef.current = requestQueueRef.current.filter((task) => !task.cancelled);
+    const runnableTasks = pickRunnableTasks(
+      requestQueueRef.current,
+      Array.from(activeRequestsRef.current.values())
+    );
+    if (runnableTasks.length === 0) {
+      return;
     }
+    requestQueueRef.current = requestQueueRef.current.filter((task) => !runnableTasks.includes(task));
+    runnableTasks.forEach((task) => startRoleRequest(task));
   }, [startRoleRequest]);
+  processRoleRequestQueueRef.current = processRoleRequestQueue;
 
-  const cancelRoleRequestsForRole = useCallback(
-    (role) => {
+  // Cancel the queued and running tasks matching a predicate
+  const cancelMatchingRequests = useCallback(
+    (matches) => {
       let queueModified = false;
 
       if (requestQueueRef.current.length > 0) {
         const retainedTasks = [];
         for (const task of requestQueueRef.current) {
-          if (task.role === role) {
+          if (matches(task)) {
             task.cancelled = true;
+            task.abortController?.abort();
             if (task.dedupeKey) {
               scheduledRequestsRef.current.delete(task.dedupeKey);
             }
+            // Queued tasks never start, so they end here
+            appendTaskMessage(task, createCancelledMessage(task.role));
+            recordFinishedTask(task, "cancelled");
+            onRequestFinished?.(task, { status: "cancelled" });
             queueModified = true;
           } else {
             retainedTasks.push(task);
@@ -178,8 +467,10 @@ export const useRoleRequests = ({
 
       const tasksToRemove = [];
       activeRequestsRef.current.forEach((task, id) => {
-        if (task.role === role) {
+        if (matches(task)) {
           task.cancelled = true;
+          // Abort the in-flight fetch and any queued tool calls
+          task.abortController?.abort();
           if (task.dedupeKey) {
             scheduledRequestsRef.current.delete(task.dedupeKey);
           }
@@ -190,6 +481,9 @@ export const useRoleRequests = ({
 
       for (const id of tasksToRemove) {
         activeRequestsRef.current.delete(id);
+        clearStreamingMessage(id);
+        clearRetryState(id);
+        declineToolApprovals(id);
       }
 
       if (queueModified) {
@@ -197,9 +491,100 @@ export const useRoleRequests = ({
         processRoleRequestQueue();
       }
     },
-    [updateLoadingState, processRoleRequestQueue]
+    [
+      updateLoadingState,
+      recordFinishedTask,
+      appendTaskMessage,
+      processRoleRequestQueue,
+      clearStreamingMessage,
+      clearRetryState,
+      declineToolApprovals,
+      onRequestFinished,
+    ]
+  );
+
+  const cancelRoleRequestsForRole = useCallback(
+    (role) => cancelMatchingRequests((task) => task.role === role),
+    [cancelMatchingRequests]
+  );
+
+  /**
+   * Cancel a role's tasks answering one message, leaving its other work alone
+   * @param {number} triggerMessageId - Timestamp of the message the tasks answer
+   * @param {string} role - Role key
+   */
+  const cancelRoleRequestsForMessage = useCallback(
+    (triggerMessageId, role) =>
+      cancelMatchingRequests(
+        (task) => task.role === role && task.context?.triggerMessageId === triggerMessageId
+      ),
+    [cancelMatchingRequests]
+  );
+
+  /**
+   * Cancel one queued or running task
+   * @param {string} taskId - Task id
+   */
+  const cancelRoleRequest = useCallback(
+    (taskId) => {
+      const queuedTask = requestQueueRef.current.find((task) => task.id === taskId);
+      cancelMatchingRequests((task) => task.id === taskId);
+      // A running task ends the turn when its request settles; a queued one never starts
+      if (queuedTask && !queuedTask.detached && !hasConversationTasks()) {
+        onAllRequestsComplete?.();
+      }
+    },
+    [cancelMatchingRequests, hasConversationTasks, onAllRequestsComplete]
   );
 
+  // "Stop" in the UI: abort every running request and drop everything queued
+  const cancelAllRoleRequests = useCallback(() => {
+    const queuedTasks = requestQueueRef.current;
+    const hadRunningTasks = Array.from(activeRequestsRef.current.values()).some((task) => !task.detached);
+    const hadQueuedTasks = queuedTasks.some((task) => !task.detached);
+    const tasks = [
+      ...queuedTasks,
+      ...activeRequestsRef.current.values(),
+    ];
+    if (tasks.length === 0) {
+      return;
+    }
+
+    requestQueueRef.current = [];
+    tasks.forEach((task) => {
+      task.cancelled = true;
+      task.abortController?.abort();
+      if (task.dedupeKey) {
+        scheduledRequestsRef.current.delete(task.dedupeKey);
+      }
+      activeRequestsRef.current.delete(task.id);
+      clearStreamingMessage(task.id);
+      clearRetryState(task.id);
+      declineToolApprovals(task.id);
+    });
+    // Running tasks report when their request settles; queued ones never start
+    queuedTasks.forEach((task) => {
+      appendTaskMessage(task, createCancelledMessage(task.role));
+      recordFinishedTask(task, "cancelled");
+      onRequestFinished?.(task, { status: "cancelled" });
+    });
+
+    updateLoadingState();
+    // Only paused tasks were left, so no settling request ends the turn
+    if (hadQueuedTasks && !hadRunningTasks) {
+      onAllRequestsComplete?.();
+    }
+  }, [
+    updateLoadingState,
+    recordFinishedTask,
+    appendTaskMessage,
+    clearStreamingMessage,
+    clearRetryState,
+    declineToolApprovals,
+    onRequestFinished,
+    onAllRequestsComplete,
+  ]);
+
   const enqueueRoleRequests = useCallback(
     (roles, context = {}) => {
       const uniqueRoles = Array.from(new Set(roles)).filter(Boolean);
@@ -207,14 +592,33 @@ export const useRoleRequests = ({
         return;
       }
 
-      // Capture conversation snapshot synchronously to avoid race conditions
-      const conversationSnapshot = conversationRef.current || [];
+      // Capture conversation snapshot synchronously to avoid race conditions, so a task that
+      // waits in the queue still answers the message that triggered it;
+      // a regenerated branch only sees the conversation up to its own messages
+      const conversationSnapshot = context?.branch
+        ? getBranchContext(conversationRef.current || [], context.branch)
+        : conversationRef.current || [];
+
+      // Replies to an @mention join the chain of the reply that mentioned them; anything else
+      // starts a new chain
+      const parent = context?.parentRequestId
+        ? lineageRef.current.get(context.parentRequestId)
+        : null;
+      let chain = parent ? chainsRef.current.get(parent.chainId) : null;
+      if (!chain) {
+        if (!hasConversationTasks()) {
+          chainsRef.current.clear();
+          lineageRef.current.clear();
+        }
+        chain = createChain();
+        chainsRef.current.set(chain.id, chain);
+        setChainStop(null);
+      }
 
       let tasksAdded = false;
 
+      // A persona's requests wait for each other up to its concurrency limit
       uniqueRoles.forEach((role) => {
-        cancelRoleRequestsForRole(role);
-
         const triggerMessageId = context?.triggerMessageId;
         const dedupeKey = triggerMessageId
           ? `${triggerMessageId}:${role}`
@@ -235,6 +639,15 @@ export const useRoleRequests = ({
         }
 
         const task = createRoleRequestTask(role, context, conversationSnapshot);
+        task.trigger = describeTrigger(context, parent?.role);
+        lineageRef.current.set(task.id, {
+          role,
+          parentRequestId: context?.parentRequestId,
+          depth: parent ? parent.depth + 1 : 0,
+          chainId: chain.id,
+          continued: !!context?.continuedChain,
+        });
+        chain.roleCalls += 1;
         requestQueueRef.current.push(task);
         tasksAdded = true;
       });
@@ -246,16 +659,168 @@ export const useRoleRequests = ({
     },
     [
       conversationRef,
-      cancelRoleRequestsForRole,
+      hasConversationTasks,
       updateLoadingState,
       processRoleRequestQueue,
     ]
   );
+  enqueueRoleRequestsRef.current = enqueueRoleRequests;
+
+  /**
+   * Run a request outside the open conversation, such as a scheduled task's run, through the
+   * same queue, limits and Stop as the others. Its messages go to its own conversation, its
+   * @mentions start nothing and its "ask" tool calls are declined.
+   * @param {string} role - Role key
+   * @param {Object} context - Request context; context.source names what started it
+   * @param {Object} target
+   * @param {Array} target.conversationSnapshot - Conversation the persona answers
+   * @param {Function} target.appendMessage - Receives each message of the reply
+   * @param {Function} [target.onToolDeclined] - Receives ({name, args, policy}) for each refused tool call
+   * @returns {Promise<{status: string, error?: string}>} Settles when the task ends, with status
+   *   "completed", "cancelled" or "failed"
+   */
+  const runDetachedRoleRequest = useCallback(
+    (role, context, { conversationSnapshot, appendMessage: appendDetachedMessage, onToolDeclined }) =>
+      new Promise((resolve) => {
+        const task = createRoleRequestTask(role, context, conversationSnapshot);
+        task.trigger = describeTrigger(context);
+        task.detached = { appendMessage: appendDetachedMessage, onToolDeclined, settle: resolve };
+        requestQueueRef.current.push(task);
+        updateLoadingState();
+        processRoleRequestQueue();
+      }),
+    [updateLoadingState, processRoleRequestQueue]
+  );
+
+  /**
+   * Run a failed or cancelled task again, as a new task at the end of the queue
+   * @param {string} taskId - Task id of the finished task
+   */
+  const retryRoleRequest = useCallback(
+    (taskId) => {
+      const task = finishedTasksRef.current.find((finishedTask) => finishedTask.id === taskId);
+      if (!task) {
+        return;
+      }
+      finishedTasksRef.current = finishedTasksRef.current.filter((finishedTask) => finishedTask !== task);
+      updateLoadingState();
+      if (task.detached) {
+        // The run that started it has already settled; the retry only adds its reply
+        runDetachedRoleRequest(task.role, task.context, {
+          ...task.detached,
+          conversationSnapshot: task.conversationSnapshot,
+        });
+        return;
+      }
+      enqueueRoleRequests([task.role], task.context);
+    },
+    [updateLoadingState, enqueueRoleRequests, runDetachedRoleRequest]
+  );
+
+  /**
+   * Move a queued task up (negative offset) or down the queue; tasks start in queue order
+   * @param {string} taskId - Task id
+   * @param {number} offset - Places to move
+   */
+  const moveRoleRequest = useCallback(
+    (taskId, offset) => {
+      const queue = [...requestQueueRef.current];
+      const index = queue.findIndex((task) => task.id === taskId);
+      if (index === -1) {
+        return;
+      }
+      const [task] = queue.splice(index, 1);
+      queue.splice(Math.min(queue.length, Math.max(0, index + offset)), 0, task);
+      requestQueueRef.current = queue;
+      updateLoadingState();
+      processRoleRequestQueue();
+    },
+    [updateLoadingState, processRoleRequestQueue]
+  );
+
+  /**
+   * Hold a queued task back, or let it start again
+   * @param {string} taskId - Task id
+   * @param {boolean} paused - Whether the task waits for the user
+   */
+  const setRoleRequestPaused = useCallback(
+    (taskId, paused) => {
+      const task = requestQueueRef.current.find((queuedTask) => queuedTask.id === taskId);
+      if (!task) {
+        return;
+      }
+      task.paused = paused;
+      updateLoadingState();
+      processRoleRequestQueue();
+    },
+    [updateLoadingState, processRoleRequestQueue]
+  );
+
+  /**
+   * Save new concurrency limits and start the queued tasks they allow
+   * @param {Object|null} concurrency - Overrides of the limits, or null to restore the defaults
+   */
+  const setRequestConcurrency = useCallback(
+    (concurrency) => {
+      setRequestConcurrencySettings(concurrency);
+      processRoleRequestQueue();
+    },
+    [processRoleRequestQueue]
+  );
+
+  /**
+   * Let the personas held back by the chain budget answer, with a fresh budget for the chain
+   */
+  const continueChain = useCallback(() => {
+    if (!chainStop) {
+      return;
+    }
+    const chain = chainsRef.current.get(chainStop.chainId);
+    if (chain) {
+      extendChainBudget(chain);
+    }
+    setChainStop(null);
+    chainStop.pending.forEach(({ roles, context }) =>
+      enqueueRoleRequests(roles, { ...context, continuedChain: true })
+    );
+  }, [chainStop, enqueueRoleRequests]);
+
+  const dismissChainStop = useCallback(() => setChainStop(null), []);
+
+  const streamingMessages = useMemo(
+    () =>
+      Object.values(streamingMessagesByTask)
+        .filter((message) => message.parts?.length > 0)
+        .sort((a, b) => a.timestamp - b.timestamp),
+    [streamingMessagesByTask]
+  );
+
+  const retryStates = useMemo(
+    () =>
+      Object.values(retryStatesByTask).sort((a, b) => a.name.localeCompare(b.name)),
+    [retryStatesByTask]
+  );
 
   return {
     activeTypers,
+    streamingMessages,
+    retryStates,
+    chainStop,
+    continueChain,
+    dismissChainStop,
+    toolApprovals,
+    respondToToolApproval,
     enqueueRoleRequests,
+    runDetachedRoleRequest,
     cancelRoleRequestsForRole,
+    cancelRoleRequestsForMessage,
+    cancelAllRoleRequests,
+    queueEntries,
+    cancelRoleRequest,
+    retryRoleRequest,
+    moveRoleRequest,
+    setRoleRequestPaused,
+    setRequestConcurrency,
     hasActiveRequests: useMemo(
       () =>
         activeRequestsRef.current.size > 0 ||
@@ -0,0 +1,65 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  getScheduledTasks,
+  getRunningScheduledTaskIds,
+  runScheduledTask,
+  syncScheduledTasks,
+  SCHEDULED_TASKS_CHANGE_EVENT,
+} from "../services/scheduledTaskService";
+import {
+  claimScheduledRuns,
+  subscribeToScheduler,
+  focusAppWindow,
+} from "../services/schedulerHostService";
+
+/**
+ * Custom hook for scheduled persona tasks
+ * Hands the schedule to the scheduler host when the app starts, and runs the tasks the host
+ * reports as due, one at a time. Mount it once, where the app is always rendered.
+ *
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onOpenTask - Called with a task ID when its notification was clicked
+ * @param {Function} options.runRequest - Queues a run's request (runDetachedRoleRequest of useRoleRequests)
+ * @returns {Object} scheduledTasks and runningTaskIds, kept up to date, and runTask(taskId) to
+ *   run a task now
+ */
+export const useScheduledTasks = ({ onOpenTask, runRequest }) => {
+  const [scheduledTasks, setScheduledTasks] = useState(() => getScheduledTasks());
+  const [runningTaskIds, setRunningTaskIds] = useState(() => getRunningScheduledTaskIds());
+  // Read through a ref so a new queue callback doesn't resubscribe to the scheduler
+  const runRequestRef = useRef(runRequest);
+  runRequestRef.current = runRequest;
+
+  useEffect(() => {
+    const reload = () => {
+      setScheduledTasks(getScheduledTasks());
+      setRunningTaskIds(getRunningScheduledTaskIds());
+    };
+    window.addEventListener(SCHEDULED_TASKS_CHANGE_EVENT, reload);
+    return () => window.removeEventListener(SCHEDULED_TASKS_CHANGE_EVENT, reload);
+  }, []);
+
+  const handleSchedulerSignal = useCallback(async () => {
+    const { dueTaskIds, openTaskId } = await claimScheduledRuns();
+    if (openTaskId) {
+      focusAppWindow();
+      onOpenTask?.(openTaskId);
+    }
+    for (const taskId of dueTaskIds) {
+      await runScheduledTask(taskId, { trigger: "schedule", runRequest: runRequestRef.current });
+    }
+  }, [onOpenTask]);
+
+  const runTask = useCallback(
+    (taskId) => runScheduledTask(taskId, { trigger: "manual", runRequest: runRequestRef.current }),
+    []
+  );
+
+  useEffect(() => {
+    // The host may have lost the schedule (first start, cleared storage), so hand it over again
+    syncScheduledTasks().then(handleSchedulerSignal);
+    return subscribeToScheduler(handleSchedulerSignal);
+  }, [handleSchedulerSignal]);
+
+  return { scheduledTasks, runningTaskIds, runTask };
+};
@@ -0,0 +1,73 @@
+import { RequestQueue, ApiError, createAbortError, isAbortError, isNetworkError } from "../api/apiClient";
+
+describe("RequestQueue", () => {
+  let logSpy;
+
+  beforeEach(() => {
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  it("passes the signal to the request function", async () => {
+    const queue = new RequestQueue("test");
+    const controller = new AbortController();
+    const requestFn = jest.fn().mockResolvedValue("done");
+
+    await expect(queue.enqueue(requestFn, { signal: controller.signal })).resolves.toBe("done");
+    expect(requestFn).toHaveBeenCalledWith(controller.signal);
+  });
+
+  it("rejects immediately when the signal is already aborted", async () => {
+    const queue = new RequestQueue("test");
+    const controller = new AbortController();
+    controller.abort();
+    const requestFn = jest.fn();
+
+    await expect(queue.enqueue(requestFn, { signal: controller.signal })).rejects.toMatchObject({
+      name: "AbortError",
+    });
+    expect(requestFn).not.toHaveBeenCalled();
+  });
+
+  it("removes queued entries when aborted", async () => {
+    const queue = new RequestQueue("test");
+    queue.minInterval = 20;
+    const controller = new AbortController();
+    const first = jest.fn().mockResolvedValue("first");
+    const second = jest.fn().mockResolvedValue("second");
+
+    const firstPromise = queue.enqueue(first);
+    const secondPromise = queue.enqueue(second, { signal: controller.signal });
+    controller.abort();
+
+    await expect(firstPromise).resolves.toBe("first");
+    await expect(secondPromise).rejects.toMatchObject({ name: "AbortError" });
+    expect(second).not.toHaveBeenCalled();
+  });
+});
+
+describe("isAbortError", () => {
+  it("recognizes abort errors directly or wrapped", () => {
+    expect(isAbortError(createAbortError())).toBe(true);
+    expect(isAbortError({ originalError: createAbortError() })).toBe(true);
+    expect(isAbortError(new Error("boom"))).toBe(false);
+  });
+});
+
+describe("isNetworkError", () => {
+  it("recognizes failed fetches, but not aborts or HTTP errors", () => {
+    expect(isNetworkError(new TypeError("Failed to fetch"))).toBe(true);
+    expect(isNetworkError(new ApiError("x", { originalError: new TypeError("Failed to fetch") }))).toBe(true);
+    expect(isNetworkError(new ApiError("x", { status: 500 }))).toBe(false);
+    expect(isNetworkError(createAbortError())).toBe(false);
+  });
+
+  it("treats any error as a network error while offline", () => {
+    const onLine = jest.spyOn(window.navigator, "onLine", "get").mockReturnValue(false);
+    expect(isNetworkError(new ApiError("x", { status: 500 }))).toBe(true);
+    onLine.mockRestore();
+  });
+});
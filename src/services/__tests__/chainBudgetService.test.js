@@ -0,0 +1,91 @@
+import {
+  createChain,
+  checkMentionChain,
+  findMentionCycle,
+  extendChainBudget,
+  describeChainStop,
+  getChainBudget,
+  DEFAULT_CHAIN_BUDGET,
+} from "../chainBudgetService";
+import { setChainBudgetSettings } from "../../utils/settingsService";
+
+// Requests by task id, as built by useRoleRequests: the user asked Adrien, who mentioned Belinda, ...
+const buildLineage = (roles) =>
+  new Map(
+    roles.map((role, index) => [
+      `task-${index}`,
+      { role, parentRequestId: index > 0 ? `task-${index - 1}` : undefined, depth: index },
+    ])
+  );
+
+describe("chainBudgetService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("merges the saved budget over the defaults", () => {
+    setChainBudgetSettings({ maxDepth: 2 });
+    expect(getChainBudget()).toEqual({ ...DEFAULT_CHAIN_BUDGET, maxDepth: 2 });
+  });
+
+  it("allows one reply back but stops a repeated hop", () => {
+    const lineage = buildLineage(["general", "searcher"]);
+    expect(findMentionCycle(lineage, "task-1", "general")).toBeNull();
+
+    lineage.set("task-2", { role: "general", parentRequestId: "task-1", depth: 2 });
+    expect(findMentionCycle(lineage, "task-2", "searcher")).toEqual(["general", "searcher", "general", "searcher"]);
+    expect(findMentionCycle(lineage, "task-2", "editor")).toBeNull();
+  });
+
+  it("starts over at a continued reply", () => {
+    const lineage = buildLineage(["general", "searcher", "general"]);
+    lineage.set("task-3", { role: "searcher", parentRequestId: "task-2", depth: 3, continued: true });
+    expect(findMentionCycle(lineage, "task-3", "general")).toBeNull();
+  });
+
+  it("stops mentions beyond the max depth", () => {
+    const chain = createChain({ maxDepth: 2, maxRoleCalls: 10, maxTokens: 1000 });
+    const lineage = buildLineage(["general", "searcher", "editor"]);
+
+    expect(checkMentionChain({ chain, lineage, parentRequestId: "task-1", roles: ["editor"] }).allowed).toEqual(["editor"]);
+    expect(checkMentionChain({ chain, lineage, parentRequestId: "task-2", roles: ["general"] })).toEqual({
+      allowed: [],
+      stopped: ["general"],
+      reason: { type: "depth", limit: 2 },
+    });
+  });
+
+  it("stops mentions over the role call and token budgets", () => {
+    const chain = createChain({ maxDepth: 5, maxRoleCalls: 3, maxTokens: 1000 });
+    const lineage = buildLineage(["general"]);
+    chain.roleCalls = 2;
+
+    const result = checkMentionChain({ chain, lineage, parentRequestId: "task-0", roles: ["searcher", "editor"] });
+    expect(result.allowed).toEqual(["searcher"]);
+    expect(result.stopped).toEqual(["editor"]);
+    expect(result.reason.type).toBe("roleCalls");
+
+    chain.tokens = 1200;
+    expect(checkMentionChain({ chain, lineage, parentRequestId: "task-0", roles: ["searcher"] }).reason).toEqual({
+      type: "tokens",
+      used: 1200,
+      limit: 1000,
+    });
+  });
+
+  it("gives a continued chain a fresh budget on top of what it used", () => {
+    const chain = createChain({ maxDepth: 2, maxRoleCalls: 3, maxTokens: 1000 });
+    chain.roleCalls = 3;
+    chain.tokens = 1500;
+
+    extendChainBudget(chain, { maxDepth: 2, maxRoleCalls: 3, maxTokens: 1000 });
+    expect(chain.budget).toEqual({ maxDepth: 4, maxRoleCalls: 6, maxTokens: 2500 });
+  });
+
+  it("describes why a chain stopped", () => {
+    expect(describeChainStop({ type: "depth", limit: 4 })).toBe("@mentions went 4 replies deep.");
+    expect(describeChainStop({ type: "cycle", path: ["general", "searcher", "general", "searcher"] })).toBe(
+      "The personas keep mentioning each other (Adrien → Belinda → Adrien → Belinda)."
+    );
+  });
+});
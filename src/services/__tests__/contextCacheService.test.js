@@ -0,0 +1,152 @@
+import {
+  getContextCache,
+  invalidateContextCache,
+  isContextCacheError,
+} from "../api/contextCacheService";
+import { ApiError } from "../api/apiClient";
+
+const MODEL = "gemini-2.5-flash";
+
+const systemInstruction = (text = "Role instructions. ".repeat(1500)) => ({
+  role: "system",
+  parts: [{ text }],
+});
+
+const mockCacheApi = () => {
+  let created = 0;
+  return jest.fn(async (url, options) => {
+    if (options.method === "DELETE") {
+      return { ok: true, json: async () => ({}) };
+    }
+    created += 1;
+    return {
+      ok: true,
+      json: async () => ({
+        name: `cachedContents/entry-${created}`,
+        expireTime: new Date(Date.now() + 3600 * 1000).toISOString(),
+      }),
+    };
+  });
+};
+
+const postCalls = () => global.fetch.mock.calls.filter(([, options]) => options.method === "POST");
+
+describe("contextCacheService", () => {
+  let warnSpy;
+  let logSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem("subscriptionKey", "test-key");
+    warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    global.fetch = mockCacheApi();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+    logSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  it("creates an entry once and reuses it while the content is unchanged", async () => {
+    const first = await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+    const second = await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+
+    expect(first).toBe("cachedContents/entry-1");
+    expect(second).toBe(first);
+    expect(postCalls()).toHaveLength(1);
+    const body = JSON.parse(postCalls()[0][1].body);
+    expect(body.model).toBe(`models/${MODEL}`);
+    expect(body.ttl).toBe("3600s");
+  });
+
+  it("shares one creation between concurrent requests", async () => {
+    const names = await Promise.all([
+      getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() }),
+      getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() }),
+    ]);
+    expect(names).toEqual(["cachedContents/entry-1", "cachedContents/entry-1"]);
+    expect(postCalls()).toHaveLength(1);
+  });
+
+  it("keeps a shared creation going when one waiting request is cancelled", async () => {
+    const cancelled = new AbortController();
+    const first = getContextCache({
+      model: MODEL,
+      role: "general",
+      systemInstruction: systemInstruction(),
+      signal: cancelled.signal,
+    });
+    const second = getContextCache({
+      model: MODEL,
+      role: "general",
+      systemInstruction: systemInstruction(),
+      signal: new AbortController().signal,
+    });
+    cancelled.abort();
+
+    expect(await first).toBeNull();
+    expect(await second).toBe("cachedContents/entry-1");
+    expect(postCalls()[0][1].signal.aborted).toBe(false);
+  });
+
+  it("cancels the creation once every waiting request is cancelled", async () => {
+    const controllers = [new AbortController(), new AbortController()];
+    const names = controllers.map((controller) =>
+      getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction(), signal: controller.signal })
+    );
+    controllers.forEach((controller) => controller.abort());
+
+    expect(await Promise.all(names)).toEqual([null, null]);
+    expect(postCalls()[0][1].signal.aborted).toBe(true);
+  });
+
+  it("replaces the entry and deletes the old one when the prompt changes", async () => {
+    await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+    const updated = await getContextCache({
+      model: MODEL,
+      role: "general",
+      systemInstruction: systemInstruction("New memories. ".repeat(1500)),
+    });
+
+    expect(updated).toBe("cachedContents/entry-2");
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining("gemini/cachedContents/entry-1"),
+      expect.objectContaining({ method: "DELETE" })
+    );
+  });
+
+  it("keeps entries per role", async () => {
+    await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+    const other = await getContextCache({ model: MODEL, role: "editor", systemInstruction: systemInstruction() });
+    expect(other).toBe("cachedContents/entry-2");
+  });
+
+  it("sends small prompts and non-Gemini models inline", async () => {
+    expect(await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction("Short") })).toBeNull();
+    expect(await getContextCache({ model: "local-llama", role: "general", systemInstruction: systemInstruction() })).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("falls back and stops retrying when creation is unsupported", async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404, text: async () => "Not found" }));
+
+    expect(await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() })).toBeNull();
+    expect(await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() })).toBeNull();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("recreates an invalidated entry", async () => {
+    await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+    invalidateContextCache(MODEL, "general");
+    const recreated = await getContextCache({ model: MODEL, role: "general", systemInstruction: systemInstruction() });
+    expect(recreated).toBe("cachedContents/entry-2");
+  });
+
+  it("recognizes errors caused by the cached content", () => {
+    expect(isContextCacheError(new ApiError("API request failed: CachedContent not found", { status: 403 }))).toBe(true);
+    expect(isContextCacheError(new ApiError("API request failed: File abc expired", { status: 403 }))).toBe(false);
+    expect(isContextCacheError(new ApiError("cachedContent overloaded", { status: 503 }))).toBe(false);
+  });
+});
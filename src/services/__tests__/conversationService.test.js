@@ -4,6 +4,13 @@ import {
   updateMessagePart,
   isFunctionResponseMessage,
   findFunctionResponseIndices,
+  resolveBranches,
+  getVisibleMessages,
+  toConversationIndex,
+  createBranch,
+  selectBranch,
+  getBranchContext,
+  getBranchSwitchers,
 } from "../conversationService";
 
 describe("conversationService", () => {
@@ -201,4 +208,91 @@ describe("conversationService", () => {
       expect(result).toEqual([0, 1]);
     });
   });
+
+  describe("branches", () => {
+    const userMessage = (timestamp, text) => ({
+      role: "user",
+      parts: [{ text: "$$$ USER BEGIN $$$\n", hide: true }, { text }],
+      timestamp,
+    });
+    const modelMessage = (timestamp, text, name = "Adrien") => ({
+      role: "model",
+      name,
+      parts: [{ text }],
+      timestamp,
+    });
+    const baseConversation = () => [
+      userMessage(1, "Question 1"),
+      modelMessage(2, "Answer 1"),
+      userMessage(3, "Question 2"),
+      modelMessage(4, "Thinking", "Researcher"),
+      modelMessage(5, "Answer 2"),
+    ];
+
+    it("returns the same array when there are no branches", () => {
+      const conversation = baseConversation();
+      expect(resolveBranches(conversation)).toBe(conversation);
+    });
+
+    it("forks the turn of a regenerated message", () => {
+      const result = createBranch(baseConversation(), 4, 100);
+
+      expect(result.branch.turnId).toBe(3);
+      expect(result.message.parts[0].text).toBe("Answer 2");
+      // The original responses become the first branch
+      const originals = result.conversation.filter((message) => message.timestamp === 4 || message.timestamp === 5);
+      expect(originals.every((message) => message.turnId === 3 && message.branchId)).toBe(true);
+      expect(originals[0].branchId).not.toBe(result.branch.branchId);
+      // Messages before the regenerated one are copied into the new branch
+      const copy = result.conversation.find((message) => message.branchId === result.branch.branchId);
+      expect(copy).toMatchObject({ timestamp: 100, turnId: 3, name: "Researcher" });
+      expect(copy.parts[0].uuid).toBeDefined();
+
+      expect(getVisibleMessages(result.conversation).map((message) => message.timestamp)).toEqual([1, 2, 3, 100]);
+    });
+
+    it("does not fork user messages or messages outside a turn", () => {
+      expect(createBranch(baseConversation(), 0)).toBeNull();
+      expect(createBranch([modelMessage(1, "Hello")], 0)).toBeNull();
+    });
+
+    it("lists and switches branches", () => {
+      const { conversation, branch } = createBranch(baseConversation(), 4, 100);
+      const regenerated = [
+        ...conversation,
+        { ...modelMessage(101, "Answer 2b"), turnId: branch.turnId, branchId: branch.branchId },
+      ];
+
+      const switchers = getBranchSwitchers(regenerated);
+      expect(switchers.get(100)).toMatchObject({ turnId: 3, activeIndex: 1 });
+      expect(switchers.get(100).branchIds).toHaveLength(2);
+
+      const original = selectBranch(regenerated, 3, switchers.get(100).branchIds[0]);
+      expect(getVisibleMessages(original).map((message) => message.timestamp)).toEqual([1, 2, 3, 4, 5]);
+      expect(getBranchSwitchers(original).get(4).activeIndex).toBe(0);
+    });
+
+    it("anchors the switcher on the user message while the new branch is empty", () => {
+      const { conversation } = createBranch(baseConversation(), 3, 100);
+      expect(getVisibleMessages(conversation).map((message) => message.timestamp)).toEqual([1, 2, 3]);
+      expect(getBranchSwitchers(conversation).get(3).activeIndex).toBe(1);
+    });
+
+    it("gives a branch request only the conversation up to the branch", () => {
+      const conversation = [...baseConversation(), userMessage(6, "Question 3"), modelMessage(7, "Answer 3")];
+      const result = createBranch(conversation, 4, 100);
+
+      expect(getBranchContext(result.conversation, result.branch).map((message) => message.timestamp))
+        .toEqual([1, 2, 3, 100]);
+      // Later turns stay visible with the selected branch
+      expect(getVisibleMessages(result.conversation).map((message) => message.timestamp))
+        .toEqual([1, 2, 3, 100, 6, 7]);
+    });
+
+    it("maps visible indices to conversation indices", () => {
+      const conversation = [userMessage(1, "Question"), { ...modelMessage(2, "Gone"), deleted: true }, modelMessage(3, "Answer")];
+      expect(toConversationIndex(conversation, 1)).toBe(2);
+      expect(toConversationIndex(conversation, 5)).toBe(-1);
+    });
+  });
 });
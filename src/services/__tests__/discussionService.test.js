@@ -0,0 +1,67 @@
+import {
+  createDiscussion,
+  createDiscussionNote,
+  planDiscussion,
+  resolveDiscussionRoles,
+  clampDiscussionRounds,
+  formatDiscussionTag,
+  getDiscussionTag,
+  MAX_DISCUSSION_ROUNDS,
+} from "../discussionService";
+
+const speakers = (steps) => steps.map((step) => `${step.kind}:${step.roles.join("+")}`);
+
+describe("discussionService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("uses the mentioned personas, filling up with the mode's defaults", () => {
+    expect(resolveDiscussionRoles("debate", [])).toEqual(["searcher", "editor"]);
+    expect(resolveDiscussionRoles("debate", ["financialAdvisor"])).toEqual(["financialAdvisor", "searcher"]);
+    expect(resolveDiscussionRoles("debate", ["editor", "general", "searcher"])).toEqual(["editor", "general"]);
+    expect(resolveDiscussionRoles("panel", [])).toEqual(["searcher", "editor", "financialAdvisor"]);
+    expect(resolveDiscussionRoles("panel", ["unknown", "general"])).toEqual(["general", "searcher"]);
+  });
+
+  it("keeps rounds within the limits", () => {
+    expect(clampDiscussionRounds("debate", 0)).toBe(1);
+    expect(clampDiscussionRounds("debate", 99)).toBe(MAX_DISCUSSION_ROUNDS);
+    expect(clampDiscussionRounds("debate", "")).toBe(2);
+  });
+
+  it("plans a panel: parallel answers per round, then the moderator", () => {
+    const steps = planDiscussion({ mode: "panel", roles: ["searcher", "editor"], rounds: 2, moderator: "general" });
+    expect(speakers(steps)).toEqual(["turn:searcher+editor", "turn:searcher+editor", "summary:general"]);
+    expect(steps[1].note).toContain("refine your position");
+  });
+
+  it("plans a debate with alternating turns", () => {
+    const steps = planDiscussion({ mode: "debate", roles: ["searcher", "editor"], rounds: 2, moderator: "general" });
+    expect(speakers(steps)).toEqual([
+      "turn:searcher",
+      "turn:editor",
+      "turn:searcher",
+      "turn:editor",
+      "summary:general",
+    ]);
+    expect(steps[3].note).toContain("Charlie, respond directly to Belinda's latest argument");
+  });
+
+  it("plans a review: draft, then critique and revision per round", () => {
+    const steps = planDiscussion({ mode: "review", roles: ["searcher", "editor"], rounds: 1, moderator: "general" });
+    expect(speakers(steps)).toEqual(["turn:searcher", "turn:editor", "turn:searcher", "summary:general"]);
+    expect(steps[1].note).toContain("critique Belinda's latest draft");
+  });
+
+  it("creates notes tagged with their step", () => {
+    const discussion = createDiscussion({ mode: "debate", rounds: 3 });
+    const note = createDiscussionNote(discussion, 1);
+
+    expect(note.role).toBe("user");
+    expect(note.parts[1].text).toContain("Charlie");
+    expect(note.discussionNote).toMatchObject({ id: discussion.id, kind: "turn", round: 1, step: 2, steps: 7 });
+    expect(formatDiscussionTag(note.discussionNote)).toBe("Debate · round 1 of 3");
+    expect(formatDiscussionTag(getDiscussionTag(discussion, 6))).toBe("Moderator summary");
+  });
+});
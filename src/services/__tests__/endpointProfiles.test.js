@@ -0,0 +1,62 @@
+import {
+  getActiveEndpointProfile,
+  getGatewayUrl,
+  getGatewayHeaders,
+  getHostPermissionPattern,
+  DEFAULT_ENDPOINT_PROFILE,
+} from "../api/endpointProfiles";
+import { setEndpointProfiles, setSelectedEndpointProfileId } from "../../utils/settingsService";
+
+const localProfile = {
+  id: "endpoint-local",
+  name: "Local",
+  baseUrl: "http://localhost:8080/",
+  authHeader: "X-Api-Key",
+  apiKey: "",
+};
+
+describe("endpointProfiles", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+    localStorage.setItem("subscriptionKey", "sub-key");
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("uses the default gateway when nothing is selected", () => {
+    expect(getActiveEndpointProfile()).toBe(DEFAULT_ENDPOINT_PROFILE);
+    expect(getGatewayUrl("gemini/files")).toBe("https://jp-gw2.azure-api.net/gemini/files");
+    expect(getGatewayHeaders({ "Content-Type": "application/json" })).toEqual({
+      "Content-Type": "application/json",
+      "Ocp-Apim-Subscription-Key": "sub-key",
+    });
+  });
+
+  it("routes calls through the selected profile", () => {
+    setEndpointProfiles([localProfile]);
+    setSelectedEndpointProfileId(localProfile.id);
+
+    expect(getGatewayUrl("/finnhub/quote?symbol=AAPL")).toBe("http://localhost:8080/finnhub/quote?symbol=AAPL");
+    // No key of its own: the subscription key is sent under the profile's header
+    expect(getGatewayHeaders()).toEqual({ "X-Api-Key": "sub-key" });
+  });
+
+  it("prefers the profile key and can omit the auth header", () => {
+    const withKey = { ...localProfile, apiKey: "own-key" };
+    expect(getGatewayHeaders({}, { profile: withKey, fallbackKey: "upload-key" })).toEqual({ "X-Api-Key": "own-key" });
+    expect(getGatewayHeaders({}, { profile: { ...localProfile, authHeader: "" } })).toEqual({});
+  });
+
+  it("falls back to the default gateway when the selected profile was removed", () => {
+    setSelectedEndpointProfileId("endpoint-removed");
+    expect(getActiveEndpointProfile()).toBe(DEFAULT_ENDPOINT_PROFILE);
+  });
+
+  it("derives the host permission pattern from the base URL", () => {
+    expect(getHostPermissionPattern(localProfile)).toBe("http://localhost:8080/*");
+    expect(getHostPermissionPattern({ baseUrl: "not a url" })).toBeNull();
+  });
+});
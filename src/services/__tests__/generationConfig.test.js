@@ -0,0 +1,72 @@
+import { getGenerationConfig, applyRoleOverrides } from "../api/generationConfig";
+import { getModelForRole } from "../api/modelProviders";
+import { setRoleModelOverrides, getRoleModelOverrides, saveCustomPersona } from "../../utils/settingsService";
+
+describe("per-role overrides", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("drops empty fields and roles without overrides", () => {
+    setRoleModelOverrides({
+      general: { model: "gemini-3.1-flash-lite-preview", temperature: null },
+      searcher: { topP: "" },
+    });
+    expect(getRoleModelOverrides()).toEqual({
+      general: { model: "gemini-3.1-flash-lite-preview" },
+    });
+  });
+
+  it("applies a role's generation overrides to default requests only", () => {
+    setRoleModelOverrides({
+      financialAdvisor: { temperature: 0.2, topP: 0.5, thinkingBudget: 1024, maxOutputTokens: 4096 },
+    });
+
+    expect(getGenerationConfig("default", "financialAdvisor")).toMatchObject({
+      temperature: 0.2,
+      topP: 0.5,
+      maxOutputTokens: 4096,
+      thinkingConfig: { includeThoughts: true, thinkingBudget: 1024 },
+    });
+    expect(getGenerationConfig("default", "general").temperature).toBe(1);
+    expect(getGenerationConfig("summarization", "financialAdvisor").temperature).toBe(1);
+  });
+
+  it("applies a custom persona's generation config under the settings overrides", () => {
+    saveCustomPersona({
+      id: "persona-emma",
+      name: "Emma",
+      description: "Travel planner",
+      generationConfig: { temperature: 0.3, topP: 0.4 },
+    });
+    setRoleModelOverrides({ "persona-emma": { temperature: 0.9 } });
+
+    expect(getGenerationConfig("default", "persona-emma")).toMatchObject({ temperature: 0.9, topP: 0.4 });
+  });
+
+  it("keeps thinking off when it is disabled globally", () => {
+    localStorage.setItem("thinkingEnabled", "false");
+    const config = applyRoleOverrides(getGenerationConfig("default"), { thinkingBudget: 2048 });
+    expect(config.thinkingConfig.thinkingBudget).toBe(0);
+  });
+
+  it("resolves the role model, falling back to the selected model", () => {
+    localStorage.setItem("model", "gemini-2.5-flash");
+    setRoleModelOverrides({
+      general: { model: "gemini-3.1-flash-lite-preview" },
+      searcher: { model: "custom-removed" },
+    });
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(getModelForRole("general")).toBe("gemini-3.1-flash-lite-preview");
+    expect(getModelForRole("editor")).toBe("gemini-2.5-flash");
+    expect(getModelForRole("searcher")).toBe("gemini-2.5-flash");
+
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  selectRelevantMemories,
+  fitToBudget,
+  getQueryText,
+  clearMemoryEmbeddings,
+  formatMemoryLine,
+} from "../memoryRetrievalService";
+
+const TOPICS = ["stock", "cat", "coffee"];
+
+// Fake embedding: one dimension per topic mentioned in the text
+const embed = (text) => TOPICS.map((topic) => (text.toLowerCase().includes(topic) ? 1 : 0.01));
+
+const mockEmbeddingApi = () =>
+  jest.fn(async (url, options) => {
+    const { requests } = JSON.parse(options.body);
+    return {
+      ok: true,
+      json: async () => ({
+        embeddings: requests.map((request) => ({ values: embed(request.content.parts[0].text) })),
+      }),
+    };
+  });
+
+const storeMemory = (key, data, lastUpdate, scope) =>
+  localStorage.setItem(
+    `memory-${key}`,
+    JSON.stringify({ metadata: { lastUpdate, deleted: false, ...(scope && { scope }) }, data })
+  );
+
+const userMessage = (text) => ({
+  role: "user",
+  parts: [{ text: "$$$ USER BEGIN $$$\n", hide: true }, { text }],
+});
+
+describe("memoryRetrievalService", () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    clearMemoryEmbeddings();
+    localStorage.setItem("subscriptionKey", "test-key");
+    storeMemory("a", "Owns Apple stock", 1);
+    storeMemory("b", "Has a cat named Mochi", 2);
+    storeMemory("c", "Drinks coffee every morning", 3);
+    warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    global.fetch = mockEmbeddingApi();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+    delete global.fetch;
+  });
+
+  it("ranks memories by similarity to the recent turns", async () => {
+    const result = await selectRelevantMemories([userMessage("How is my stock doing?")], { topK: 1 });
+
+    expect(result.strategy).toBe("relevance");
+    expect(result.total).toBe(3);
+    expect(result.memories.map((memory) => memory.key)).toEqual(["a"]);
+  });
+
+  it("stores embeddings and only embeds changed memories", async () => {
+    await selectRelevantMemories([userMessage("cat")]);
+    expect(Object.keys(JSON.parse(localStorage.getItem("memory_embeddings")))).toHaveLength(3);
+
+    storeMemory("b", "Has two cats", 4);
+    global.fetch.mockClear();
+    await selectRelevantMemories([userMessage("coffee")]);
+
+    const embeddedTexts = global.fetch.mock.calls.flatMap(([, options]) =>
+      JSON.parse(options.body).requests.map((request) => request.content.parts[0].text)
+    );
+    expect(embeddedTexts).toEqual(["Has two cats", "coffee"]);
+  });
+
+  it("falls back to the most recent memories when embeddings fail", async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 503, text: async () => "unavailable" }));
+
+    const result = await selectRelevantMemories([userMessage("stock")], { topK: 2 });
+
+    expect(result.strategy).toBe("recency");
+    expect(result.memories.map((memory) => memory.key)).toEqual(["c", "b"]);
+  });
+
+  it("includes every memory when retrieval is disabled", async () => {
+    const result = await selectRelevantMemories([userMessage("stock")], { enabled: false });
+    expect(result.strategy).toBe("all");
+    expect(result.memories).toHaveLength(3);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it("leaves out other personas' private memories and marks the persona's own", async () => {
+    storeMemory("d", "Writes in British English", 4, "editor");
+
+    const forSearcher = await selectRelevantMemories([userMessage("stock")], { enabled: false, role: "searcher" });
+    expect(forSearcher.memories.map((memory) => memory.key)).not.toContain("d");
+
+    const forEditor = await selectRelevantMemories([userMessage("stock")], { enabled: false, role: "editor" });
+    const privateMemory = forEditor.memories.find((memory) => memory.key === "d");
+    expect(formatMemoryLine(privateMemory)).toBe("Memory d (private): Writes in British English");
+    expect(formatMemoryLine(forEditor.memories.find((memory) => memory.key === "a"))).toBe("Memory a: Owns Apple stock");
+  });
+
+  it("keeps the embeddings of other personas' private memories", async () => {
+    storeMemory("d", "Drinks tea in the afternoon", 4, "editor");
+    await selectRelevantMemories([userMessage("coffee")], { role: "editor" });
+
+    global.fetch.mockClear();
+    await selectRelevantMemories([userMessage("coffee")], { role: "searcher" });
+    await selectRelevantMemories([userMessage("coffee")], { role: "editor" });
+
+    expect(Object.keys(JSON.parse(localStorage.getItem("memory_embeddings")))).toContain("d");
+    const embeddedTexts = global.fetch.mock.calls.flatMap(([, options]) =>
+      JSON.parse(options.body).requests.map((request) => request.content.parts[0].text)
+    );
+    expect(embeddedTexts).not.toContain("Drinks tea in the afternoon");
+  });
+
+  it("keeps within the token budget, skipping memories that don't fit", () => {
+    const ranked = [
+      { key: "long", value: "word ".repeat(100) },
+      { key: "short", value: "tiny" },
+    ];
+    const { selected, tokens } = fitToBudget(ranked, { topK: 5, tokenBudget: 20 });
+    expect(selected.map((memory) => memory.key)).toEqual(["short"]);
+    expect(tokens).toBeLessThanOrEqual(20);
+  });
+
+  it("builds the query from visible text of the recent messages", () => {
+    const contents = [
+      userMessage("old"),
+      { role: "model", parts: [{ text: "thinking", thought: true }, { text: "answer" }] },
+      userMessage("new"),
+    ];
+    expect(getQueryText(contents, 2)).toBe("answer\nnew");
+  });
+});
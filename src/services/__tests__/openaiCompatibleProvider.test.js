@@ -0,0 +1,194 @@
+import {
+  buildChatCompletionsUrl,
+  toOpenAITools,
+  toOpenAIMessages,
+  toOpenAIRequest,
+  fromOpenAIResponse,
+} from "../api/openaiCompatibleProvider";
+
+describe("openaiCompatibleProvider", () => {
+  describe("buildChatCompletionsUrl", () => {
+    it("appends the chat completions path to a base URL", () => {
+      expect(buildChatCompletionsUrl("http://localhost:11434/v1/")).toBe(
+        "http://localhost:11434/v1/chat/completions"
+      );
+    });
+
+    it("keeps a full chat completions URL unchanged", () => {
+      expect(
+        buildChatCompletionsUrl("http://127.0.0.1:8080/v1/chat/completions")
+      ).toBe("http://127.0.0.1:8080/v1/chat/completions");
+    });
+  });
+
+  describe("toOpenAITools", () => {
+    it("translates function declarations and drops Gemini-only tools", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const tools = toOpenAITools([
+        {
+          function_declarations: [
+            {
+              name: "create_memory",
+              description: "Create a memory",
+              parameters: {
+                type: "OBJECT",
+                properties: { memoryValue: { type: "STRING" } },
+              },
+            },
+          ],
+        },
+        { google_search: {} },
+      ]);
+
+      expect(tools).toEqual([
+        {
+          type: "function",
+          function: {
+            name: "create_memory",
+            description: "Create a memory",
+            parameters: {
+              type: "object",
+              properties: { memoryValue: { type: "string" } },
+            },
+          },
+        },
+      ]);
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe("toOpenAIMessages", () => {
+    it("maps system instruction, roles and images", () => {
+      const messages = toOpenAIMessages(
+        [
+          {
+            role: "user",
+            parts: [
+              { inline_data: { mime_type: "image/png", data: "AAAA" } },
+              { text: "What is this?" },
+            ],
+          },
+          { role: "model", parts: [{ text: "A cat" }] },
+        ],
+        { parts: [{ text: "Be nice" }, { text: "Be brief" }] }
+      );
+
+      expect(messages).toEqual([
+        { role: "system", content: "Be nice\n\nBe brief" },
+        {
+          role: "user",
+          content: [
+            { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } },
+            { type: "text", text: "What is this?" },
+          ],
+        },
+        { role: "assistant", content: "A cat" },
+      ]);
+    });
+
+    it("pairs function responses with preceding function calls", () => {
+      const messages = toOpenAIMessages([
+        { role: "model", parts: [{ functionCall: { name: "get_memory", args: { memoryKey: "k" } } }] },
+        { role: "user", parts: [{ functionResponse: { name: "get_memory", response: { result: "v" } } }] },
+      ]);
+
+      expect(messages[0].tool_calls[0]).toEqual({
+        id: "call_0",
+        type: "function",
+        function: { name: "get_memory", arguments: '{"memoryKey":"k"}' },
+      });
+      expect(messages[1]).toEqual({
+        role: "tool",
+        tool_call_id: "call_0",
+        content: '{"result":"v"}',
+      });
+    });
+
+    it("synthesizes a tool call for an unmatched function response", () => {
+      const messages = toOpenAIMessages([
+        { role: "user", parts: [{ functionResponse: { name: "create_memory", response: { result: { success: true } } } }] },
+      ]);
+
+      expect(messages).toHaveLength(2);
+      expect(messages[0].role).toBe("assistant");
+      expect(messages[0].tool_calls[0].function.name).toBe("create_memory");
+      expect(messages[1].tool_call_id).toBe(messages[0].tool_calls[0].id);
+    });
+  });
+
+  describe("toOpenAIRequest", () => {
+    it("maps generation config fields", () => {
+      const request = toOpenAIRequest(
+        {
+          contents: [{ role: "user", parts: [{ text: "Hi" }] }],
+          generationConfig: {
+            temperature: 0.5,
+            topP: 0.9,
+            maxOutputTokens: 100,
+            responseMimeType: "application/json",
+            thinkingConfig: { thinkingBudget: -1 },
+          },
+          safety_settings: [],
+        },
+        "llama3",
+        true
+      );
+
+      expect(request).toMatchObject({
+        model: "llama3",
+        stream: true,
+        temperature: 0.5,
+        top_p: 0.9,
+        max_tokens: 100,
+        response_format: { type: "json_object" },
+        stream_options: { include_usage: true },
+      });
+      expect(request.tools).toBeUndefined();
+    });
+  });
+
+  describe("fromOpenAIResponse", () => {
+    it("translates content, tool calls, finish reason and usage", () => {
+      const response = fromOpenAIResponse({
+        model: "llama3",
+        choices: [
+          {
+            message: {
+              content: "Saving that",
+              reasoning_content: "User wants memory",
+              tool_calls: [
+                { id: "1", function: { name: "create_memory", arguments: '{"memoryValue":"x"}' } },
+              ],
+            },
+            finish_reason: "tool_calls",
+          },
+        ],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+      });
+
+      expect(response.candidates[0]).toEqual({
+        content: {
+          role: "model",
+          parts: [
+            { text: "User wants memory", thought: true },
+            { text: "Saving that" },
+            { functionCall: { name: "create_memory", args: { memoryValue: "x" } } },
+          ],
+        },
+        finishReason: "STOP",
+      });
+      expect(response.usageMetadata).toEqual({
+        promptTokenCount: 10,
+        candidatesTokenCount: 5,
+        totalTokenCount: 15,
+      });
+    });
+
+    it("maps length to MAX_TOKENS", () => {
+      const response = fromOpenAIResponse({
+        choices: [{ message: { content: "cut" }, finish_reason: "length" }],
+      });
+      expect(response.candidates[0].finishReason).toBe("MAX_TOKENS");
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import {
+  getOutbox,
+  addToOutbox,
+  updateOutboxEntry,
+  removeFromOutbox,
+  getCurrentOutboxConversationId,
+  OUTBOX_UPDATED_EVENT,
+} from "../outboxService";
+
+const message = (timestamp, text = "hello") => ({
+  role: "user",
+  parts: [{ text: "$$$ USER BEGIN $$$\n", hide: true }, { text }],
+  timestamp,
+});
+
+describe("outboxService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("queues messages with their roles in submission order", () => {
+    addToOutbox(message(1), ["general"], { conversationId: "conv-1" });
+    addToOutbox(message(2), ["searcher", "general"], { conversationId: "conv-1" });
+
+    const entries = getOutbox("conv-1");
+    expect(entries.map((entry) => entry.message.timestamp)).toEqual([1, 2]);
+    expect(entries[1].roles).toEqual(["searcher", "general"]);
+  });
+
+  it("scopes entries to the conversation", () => {
+    localStorage.setItem("onedrive_latest_conversation_id", "conv-2");
+    addToOutbox(message(1), ["general"], { conversationId: "conv-1" });
+    addToOutbox(message(2), ["general"]);
+
+    expect(getCurrentOutboxConversationId()).toBe("conv-2");
+    expect(getOutbox("conv-1")).toHaveLength(1);
+    expect(getOutbox("conv-2")).toHaveLength(1);
+    expect(getOutbox()).toHaveLength(2);
+  });
+
+  it("uses a local ID before the conversation is saved", () => {
+    expect(getCurrentOutboxConversationId()).toBe("local");
+  });
+
+  it("merges roles when the same message fails again", () => {
+    addToOutbox(message(1), ["general"], { conversationId: "conv-1", reason: "network_error" });
+    addToOutbox(message(1), ["searcher"], { conversationId: "conv-1", reason: "network_error" });
+
+    const entries = getOutbox("conv-1");
+    expect(entries).toHaveLength(1);
+    expect(entries[0].roles).toEqual(["general", "searcher"]);
+  });
+
+  it("puts messages that failed in flight ahead of queued ones", () => {
+    addToOutbox(message(2), ["general"], { conversationId: "conv-1" });
+    addToOutbox(message(1), ["general"], { conversationId: "conv-1", reason: "network_error" });
+
+    expect(getOutbox("conv-1").map((entry) => entry.message.timestamp)).toEqual([1, 2]);
+  });
+
+  it("updates and removes entries", () => {
+    const entry = addToOutbox(message(1), ["general"], { conversationId: "conv-1" });
+
+    updateOutboxEntry(entry.id, { message: message(1, "edited"), roles: ["searcher"] });
+    expect(getOutbox("conv-1")[0]).toMatchObject({
+      id: entry.id,
+      roles: ["searcher"],
+      message: { parts: [expect.anything(), { text: "edited" }] },
+    });
+    expect(updateOutboxEntry("missing", {})).toBeNull();
+
+    removeFromOutbox(entry.id);
+    expect(getOutbox()).toHaveLength(0);
+    expect(localStorage.getItem("message_outbox")).toBeNull();
+  });
+
+  it("notifies listeners with the reason", () => {
+    const listener = jest.fn();
+    window.addEventListener(OUTBOX_UPDATED_EVENT, listener);
+
+    addToOutbox(message(1), ["general"], { reason: "network_error" });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].detail.reason).toBe("network_error");
+    window.removeEventListener(OUTBOX_UPDATED_EVENT, listener);
+  });
+});
@@ -0,0 +1,34 @@
+import { prepareContentsForRequest } from "../api/geminiService";
+
+jest.mock("mermaid", () => ({
+  initialize: jest.fn(),
+  parse: jest.fn(),
+}));
+
+describe("prepareContentsForRequest", () => {
+  it("strips mermaidRepairs and other internal fields from parts", async () => {
+    const contents = [
+      { role: "user", parts: [{ text: "Draw a chart" }] },
+      {
+        role: "model",
+        name: "Adrien",
+        parts: [
+          {
+            text: "```mermaid\ngraph TD; A-->B\n```",
+            uuid: "part-1",
+            timestamp: 1,
+            lastUpdate: 2,
+            mermaidRepairs: [
+              { original: "graph TD; A->B", repaired: "graph TD; A-->B", error: "Parse error" },
+            ],
+          },
+        ],
+      },
+    ];
+
+    const result = await prepareContentsForRequest(contents, "general");
+
+    expect(result[1].parts).toEqual([{ text: "```mermaid\ngraph TD; A-->B\n```" }]);
+    expect(contents[1].parts[0].mermaidRepairs).toHaveLength(1);
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  buildPromptInspection,
+  savePromptInspection,
+  updatePromptInspection,
+  getPromptInspection,
+  getSectionText,
+} from "../promptInspectionService";
+
+const requestBody = () => ({
+  systemInstruction: {
+    role: "system",
+    parts: [{ text: "You are Adrien." }, { text: "Memory a: b" }],
+  },
+  contents: [
+    {
+      role: "user",
+      parts: [{ text: "Look at this" }, { inline_data: { mime_type: "image/png", data: "AAAA" } }],
+    },
+  ],
+  tools: [{ functionDeclarations: [{ name: "set_memory" }] }],
+  generationConfig: { temperature: 1 },
+  safety_settings: [],
+});
+
+const systemSections = [
+  { key: "selfIntroduction", label: "Self-introduction", text: "You are Adrien." },
+  { key: "memories", label: "Memories", text: "Memory a: b" },
+];
+
+describe("promptInspectionService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("labels system sections and counts tokens per section", () => {
+    const inspection = buildPromptInspection({
+      model: "gemini-2.5-flash",
+      role: "general",
+      requestType: "default",
+      requestBody: requestBody(),
+      systemSections,
+      contentsTokens: 300,
+    });
+
+    expect(inspection.sections.map((section) => section.key)).toEqual([
+      "selfIntroduction",
+      "memories",
+      "contents",
+      "tools",
+    ]);
+    expect(inspection.sections[0].tokens).toBeGreaterThan(0);
+    expect(inspection.sections[2].tokens).toBe(300);
+    expect(inspection.request.generationConfig).toEqual({ temperature: 1 });
+    expect(inspection.request.safety_settings).toEqual([]);
+  });
+
+  it("drops base64 payloads from the stored contents", () => {
+    const inspection = buildPromptInspection({ requestBody: requestBody(), systemSections });
+    expect(inspection.request.contents[0].parts[1].inline_data).toEqual({
+      mime_type: "image/png",
+      data: "[base64, 4 chars]",
+    });
+  });
+
+  it("stores only the recent messages of long requests, with long texts cut short", () => {
+    const contents = Array.from({ length: 25 }, (_, index) => ({
+      role: "user",
+      parts: [{ text: `${index}:${"x".repeat(3000)}` }],
+    }));
+    const inspection = buildPromptInspection({ requestBody: { contents }, systemSections });
+
+    expect(inspection.sections.find((section) => section.key === "contents").label).toBe("Conversation (25 messages)");
+    expect(inspection.request.contents).toHaveLength(21);
+    expect(inspection.request.contents[0]).toEqual({ omitted: "5 earlier messages not stored" });
+    const text = inspection.request.contents[1].parts[0].text;
+    expect(text.startsWith("5:")).toBe(true);
+    expect(text.length).toBeLessThan(2100);
+    expect(text).toMatch(/\[1002 more chars\]$/);
+  });
+
+  it("omits system sections when no system instruction was sent", () => {
+    const { systemInstruction, ...body } = requestBody();
+    const inspection = buildPromptInspection({ requestBody: body, systemSections });
+    expect(inspection.sections.map((section) => section.key)).toEqual(["contents", "tools"]);
+  });
+
+  it("marks sections served from a context cache", () => {
+    const { systemInstruction, tools, ...body } = requestBody();
+    const inspection = buildPromptInspection({
+      requestBody: { ...body, cachedContent: "cachedContents/abc" },
+      systemSections,
+      cache: { name: "cachedContents/abc", systemInstruction, tools },
+    });
+
+    expect(inspection.sections.filter((section) => section.cached).map((section) => section.key)).toEqual([
+      "selfIntroduction",
+      "memories",
+      "tools",
+    ]);
+    expect(inspection.request.cachedContent).toBe("cachedContents/abc");
+    expect(getSectionText(inspection, inspection.sections[1])).toBe("Memory a: b");
+  });
+
+  it("stores, updates and evicts inspections", () => {
+    const first = savePromptInspection(buildPromptInspection({ requestBody: requestBody(), systemSections }));
+    updatePromptInspection(first.id, { usage: { promptTokens: 42 } });
+    expect(getPromptInspection(first.id).usage.promptTokens).toBe(42);
+
+    for (let i = 0; i < 10; i++) {
+      savePromptInspection({ ...buildPromptInspection({ requestBody: requestBody() }), id: `later-${i}` });
+    }
+    expect(getPromptInspection(first.id)).toBeNull();
+    expect(getPromptInspection("later-9")).not.toBeNull();
+  });
+
+  it("returns the text of countable sections", () => {
+    const inspection = buildPromptInspection({ requestBody: requestBody(), systemSections });
+    const [, memories, contents, tools] = inspection.sections;
+    expect(getSectionText(inspection, memories)).toBe("Memory a: b");
+    expect(getSectionText(inspection, contents)).toBeNull();
+    expect(JSON.parse(getSectionText(inspection, tools))[0].functionDeclarations[0].name).toBe("set_memory");
+  });
+});
@@ -0,0 +1,64 @@
+import {
+  pickRunnableTasks,
+  getRequestConcurrency,
+  getRoleConcurrencyLimit,
+  describeTrigger,
+  formatElapsed,
+  DEFAULT_REQUEST_CONCURRENCY,
+} from "../requestQueueService";
+import { setRequestConcurrencySettings } from "../../utils/settingsService";
+
+const task = (id, role, extra = {}) => ({ id, role, paused: false, cancelled: false, ...extra });
+
+describe("requestQueueService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("merges the saved limits over the defaults", () => {
+    setRequestConcurrencySettings({ maxConcurrent: 5, roles: { searcher: 2 } });
+
+    const concurrency = getRequestConcurrency();
+    expect(concurrency).toEqual({ ...DEFAULT_REQUEST_CONCURRENCY, maxConcurrent: 5, roles: { searcher: 2 } });
+    expect(getRoleConcurrencyLimit("searcher", concurrency)).toBe(2);
+    expect(getRoleConcurrencyLimit("general", concurrency)).toBe(DEFAULT_REQUEST_CONCURRENCY.roleLimit);
+  });
+
+  it("starts queued tasks in order within the total and per-role limits", () => {
+    const queue = [task("a", "general"), task("b", "general"), task("c", "searcher"), task("d", "editor")];
+    const concurrency = { maxConcurrent: 2, roleLimit: 1, roles: {} };
+
+    expect(pickRunnableTasks(queue, [], concurrency).map(({ id }) => id)).toEqual(["a", "c"]);
+    expect(pickRunnableTasks(queue, [task("x", "searcher")], concurrency).map(({ id }) => id)).toEqual(["a"]);
+    expect(
+      pickRunnableTasks(queue, [], { ...concurrency, roles: { general: 2 } }).map(({ id }) => id)
+    ).toEqual(["a", "b"]);
+  });
+
+  it("skips paused and cancelled tasks", () => {
+    const queue = [
+      task("a", "general", { paused: true }),
+      task("b", "searcher", { cancelled: true }),
+      task("c", "editor"),
+    ];
+
+    expect(pickRunnableTasks(queue, [], DEFAULT_REQUEST_CONCURRENCY).map(({ id }) => id)).toEqual(["c"]);
+  });
+
+  it("describes what triggered a request", () => {
+    expect(describeTrigger({ source: "user" })).toBe("You");
+    expect(describeTrigger({ source: "model" }, "general")).toBe("@mention by Adrien");
+    expect(describeTrigger({ source: "model", continuedChain: true }, "searcher")).toBe(
+      "@mention by Belinda (continued)"
+    );
+    expect(describeTrigger({ source: "regenerate" })).toBe("Regenerate");
+    expect(describeTrigger({ source: "schedule", scheduledTaskTitle: "Market brief" })).toBe(
+      "Scheduled · Market brief"
+    );
+  });
+
+  it("formats elapsed times", () => {
+    expect(formatElapsed(8400)).toBe("8s");
+    expect(formatElapsed(125000)).toBe("2m 05s");
+  });
+});
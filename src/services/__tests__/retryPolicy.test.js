@@ -0,0 +1,121 @@
+import {
+  withRetry,
+  parseRetryAfter,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  isRetryableError,
+  getMaxAttempts,
+  getRetryPolicy,
+  DEFAULT_RETRY_POLICY,
+} from "../api/retryPolicy";
+import { ApiError } from "../api/apiClient";
+import { setRetryPolicySettings } from "../../utils/settingsService";
+
+describe("retryPolicy", () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe("parseRetryAfter", () => {
+    it("parses seconds", () => {
+      expect(parseRetryAfter("3")).toBe(3000);
+    });
+
+    it("parses HTTP dates relative to now", () => {
+      const now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+      expect(parseRetryAfter("Wed, 21 Oct 2015 07:28:05 GMT", now)).toBe(5000);
+    });
+
+    it("returns null for missing or invalid values", () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter("soon")).toBeNull();
+    });
+  });
+
+  it("getRetryAfterMs falls back to Gemini RetryInfo details", () => {
+    const response = { headers: { get: () => null } };
+    const errorDetails = {
+      details: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "12s" }],
+    };
+    expect(getRetryAfterMs(response, errorDetails)).toBe(12000);
+    expect(getRetryAfterMs({ headers: { get: () => "2" } }, errorDetails)).toBe(2000);
+  });
+
+  it("computeBackoffDelay grows exponentially within the cap", () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, baseDelayMs: 1000, maxDelayMs: 5000, jitter: 0.5 };
+    expect(computeBackoffDelay(1, policy, () => 1)).toBe(1000);
+    expect(computeBackoffDelay(2, policy, () => 1)).toBe(2000);
+    expect(computeBackoffDelay(2, policy, () => 0)).toBe(1000);
+    expect(computeBackoffDelay(10, policy, () => 1)).toBe(5000);
+  });
+
+  it("isRetryableError accepts 429, 5xx and network failures only", () => {
+    expect(isRetryableError(new ApiError("x", { status: 429 }))).toBe(true);
+    expect(isRetryableError(new ApiError("x", { status: 503 }))).toBe(true);
+    expect(isRetryableError(new ApiError("x", { status: 400 }))).toBe(false);
+    expect(isRetryableError(new ApiError("x", { originalError: new TypeError("Failed to fetch") }))).toBe(true);
+    expect(isRetryableError(new ApiError("x", { errorType: "budget_exceeded" }))).toBe(false);
+  });
+
+  it("merges stored overrides per request type", () => {
+    setRetryPolicySettings({ maxAttempts: { tts: 5 } });
+    const policy = getRetryPolicy();
+    expect(getMaxAttempts("tts", policy)).toBe(5);
+    expect(getMaxAttempts("fileUpload", policy)).toBe(DEFAULT_RETRY_POLICY.maxAttempts.fileUpload);
+    expect(getMaxAttempts("unknownType", policy)).toBe(DEFAULT_RETRY_POLICY.maxAttempts.default);
+  });
+
+  describe("withRetry", () => {
+    beforeEach(() => {
+      setRetryPolicySettings({ baseDelayMs: 1, jitter: 0, maxAttempts: { default: 3 } });
+    });
+
+    it("retries transient failures and reports each retry", async () => {
+      const requestFn = jest
+        .fn()
+        .mockRejectedValueOnce(new ApiError("busy", { status: 503 }))
+        .mockResolvedValueOnce("ok");
+      const onRetry = jest.fn();
+
+      await expect(withRetry(requestFn, { onRetry })).resolves.toBe("ok");
+      expect(requestFn).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(
+        expect.objectContaining({ attempt: 1, maxAttempts: 3, requestType: "default" })
+      );
+    });
+
+    it("honors the Retry-After delay", async () => {
+      const requestFn = jest
+        .fn()
+        .mockRejectedValueOnce(new ApiError("slow down", { status: 429, details: { retryAfterMs: 20 } }))
+        .mockResolvedValueOnce("ok");
+      const onRetry = jest.fn();
+
+      await withRetry(requestFn, { onRetry });
+      expect(onRetry.mock.calls[0][0].delayMs).toBe(20);
+    });
+
+    it("gives up after max attempts", async () => {
+      const error = new ApiError("busy", { status: 503 });
+      const requestFn = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(requestFn)).rejects.toBe(error);
+      expect(requestFn).toHaveBeenCalledTimes(3);
+    });
+
+    it("does not retry client errors", async () => {
+      const error = new ApiError("bad request", { status: 400 });
+      const requestFn = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(requestFn)).rejects.toBe(error);
+      expect(requestFn).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,259 @@
+import { processRoleRequest, createRoleRequestTask } from "../roleRequestService";
+import { fetchFromApi, repairMermaidDiagrams } from "../api/geminiService";
+import { toolbox } from "../api/financialService";
+
+jest.mock("../api/geminiService", () => ({
+  fetchFromApi: jest.fn(),
+  postProcessModelResponse: (text) => text,
+  repairMermaidDiagrams: jest.fn(),
+}));
+
+jest.mock("../api/financialService", () => ({
+  toolbox: {},
+}));
+
+const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+describe("processRoleRequest cancellation", () => {
+  beforeEach(() => {
+    fetchFromApi.mockReset();
+    repairMermaidDiagrams.mockImplementation(async (text) => ({ text, repairs: [] }));
+    Object.keys(toolbox).forEach((name) => delete toolbox[name]);
+  });
+
+  it("passes the task signal to fetchFromApi", async () => {
+    const task = createRoleRequestTask("general");
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "hello" }] } }],
+    });
+
+    await processRoleRequest(task, {});
+
+    const requestOptions = fetchFromApi.mock.calls[0][8];
+    expect(requestOptions.signal).toBe(task.abortController.signal);
+  });
+
+  it("passes a summary scope from the task context only when one is set", async () => {
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "hello" }] } }],
+    });
+
+    await processRoleRequest(createRoleRequestTask("general"), {});
+    await processRoleRequest(createRoleRequestTask("general", { summaryScope: null }), {});
+
+    expect(fetchFromApi.mock.calls[0][8]).not.toHaveProperty("summaryScope");
+    expect(fetchFromApi.mock.calls[1][8].summaryScope).toBeNull();
+  });
+
+  it("records streamed text as a cancelled partial message when aborted", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    const onError = jest.fn();
+
+    fetchFromApi.mockImplementation(async (...args) => {
+      const onStreamUpdate = args[7];
+      onStreamUpdate({
+        candidates: [{ content: { parts: [{ text: "partial answer" }] } }],
+      });
+      task.cancelled = true;
+      task.abortController.abort();
+      throw abortError();
+    });
+
+    await processRoleRequest(task, {
+      onMessageAppended,
+      onError,
+      onStreamUpdate: jest.fn(),
+    });
+
+    expect(onError).not.toHaveBeenCalled();
+    expect(onMessageAppended).toHaveBeenCalledTimes(1);
+    expect(onMessageAppended.mock.calls[0][0]).toMatchObject({
+      role: "model",
+      cancelled: true,
+      parts: [{ text: "partial answer", uuid: expect.any(String) }],
+    });
+  });
+
+  it("records a stopped placeholder when cancelled before any text streamed", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    task.abortController.abort();
+    task.cancelled = true;
+    fetchFromApi.mockRejectedValue(abortError());
+
+    await processRoleRequest(task, { onMessageAppended, onStreamUpdate: jest.fn() });
+
+    expect(onMessageAppended).toHaveBeenCalledTimes(1);
+    const [message] = onMessageAppended.mock.calls[0];
+    expect(message).toMatchObject({ role: "model", cancelled: true });
+    expect(message.parts).toHaveLength(1);
+    expect(message.parts[0].text).toContain("Stopped.");
+    expect(message.parts[0].uuid).toEqual(expect.any(String));
+  });
+
+  it("records a cancelled message when stopped between tool-call rounds", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    toolbox.first_tool = jest.fn(async () => ({ success: true }));
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "Let me check" }, { functionCall: { name: "first_tool", args: {} } }] } }],
+    });
+    onMessageAppended.mockImplementation((message) => {
+      // Stop right after the tool results are recorded
+      if (message.role === "user") {
+        task.cancelled = true;
+      }
+    });
+
+    await processRoleRequest(task, { onMessageAppended });
+
+    const messages = onMessageAppended.mock.calls.map(([message]) => message);
+    expect(messages.map((message) => message.role)).toEqual(["model", "user", "model"]);
+    expect(messages[2].cancelled).toBe(true);
+    expect(messages[2].parts[0].text).not.toContain("Let me check");
+    expect(fetchFromApi).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips remaining tool calls once aborted", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    toolbox.first_tool = jest.fn(async (args, { signal }) => {
+      expect(signal).toBe(task.abortController.signal);
+      task.cancelled = true;
+      task.abortController.abort();
+      throw abortError();
+    });
+    toolbox.second_tool = jest.fn();
+    fetchFromApi.mockResolvedValue({
+      candidates: [{
+        content: {
+          parts: [
+            { functionCall: { name: "first_tool", args: {} } },
+            { functionCall: { name: "second_tool", args: {} } },
+          ],
+        },
+      }],
+    });
+
+    await processRoleRequest(task, { onMessageAppended });
+
+    expect(toolbox.first_tool).toHaveBeenCalled();
+    expect(toolbox.second_tool).not.toHaveBeenCalled();
+    expect(onMessageAppended).toHaveBeenCalledTimes(1);
+    expect(onMessageAppended.mock.calls[0][0].cancelled).toBe(true);
+    expect(fetchFromApi).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("processRoleRequest Mermaid repair", () => {
+  beforeEach(() => {
+    fetchFromApi.mockReset();
+    repairMermaidDiagrams.mockImplementation(async (text) => ({ text, repairs: [] }));
+  });
+
+  it("swaps in repaired diagrams and keeps the originals on the part", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    const repair = { original: "graph TD\nA-->", repaired: "graph TD\nA-->B", error: "Parse error" };
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "```mermaid\ngraph TD\nA-->\n```" }] } }],
+    });
+    repairMermaidDiagrams.mockResolvedValueOnce({ text: "```mermaid\ngraph TD\nA-->B\n```", repairs: [repair] });
+
+    await processRoleRequest(task, { onMessageAppended });
+
+    expect(repairMermaidDiagrams).toHaveBeenCalledWith(
+      "```mermaid\ngraph TD\nA-->\n```",
+      expect.objectContaining({ role: "general", signal: task.abortController.signal })
+    );
+    const [part] = onMessageAppended.mock.calls[0][0].parts;
+    expect(part.text).toBe("```mermaid\ngraph TD\nA-->B\n```");
+    expect(part.mermaidRepairs).toEqual([repair]);
+  });
+
+  it("records only a cancelled message when cancelled during a repair", async () => {
+    const task = createRoleRequestTask("general");
+    const onMessageAppended = jest.fn();
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "```mermaid\nbad\n```" }] } }],
+    });
+    repairMermaidDiagrams.mockImplementationOnce(async () => {
+      task.cancelled = true;
+      task.abortController.abort();
+      throw abortError();
+    });
+
+    await processRoleRequest(task, { onMessageAppended });
+
+    expect(onMessageAppended).toHaveBeenCalledTimes(1);
+    expect(onMessageAppended.mock.calls[0][0].cancelled).toBe(true);
+  });
+});
+
+describe("processRoleRequest tool approval", () => {
+  const toolCallThenText = () => {
+    fetchFromApi
+      .mockResolvedValueOnce({
+        candidates: [{ content: { parts: [{ functionCall: { name: "delete_memory", args: { memoryKey: "k1" } } }] } }],
+      })
+      .mockResolvedValueOnce({ candidates: [{ content: { parts: [{ text: "done" }] } }] });
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    fetchFromApi.mockReset();
+    repairMermaidDiagrams.mockImplementation(async (text) => ({ text, repairs: [] }));
+    Object.keys(toolbox).forEach((name) => delete toolbox[name]);
+    toolbox.delete_memory = jest.fn(() => ({ success: true }));
+  });
+
+  it("runs an approved call", async () => {
+    toolCallThenText();
+    const onToolApproval = jest.fn(async () => true);
+
+    await processRoleRequest(createRoleRequestTask("general"), { onToolApproval });
+
+    expect(onToolApproval).toHaveBeenCalledWith({ name: "delete_memory", args: { memoryKey: "k1" } }, expect.anything());
+    expect(toolbox.delete_memory).toHaveBeenCalled();
+  });
+
+  it("reports a declined call back to the model", async () => {
+    toolCallThenText();
+    const onMessageAppended = jest.fn();
+
+    await processRoleRequest(createRoleRequestTask("general"), {
+      onMessageAppended,
+      onToolApproval: async () => false,
+    });
+
+    expect(toolbox.delete_memory).not.toHaveBeenCalled();
+    const [{ functionResponse }] = onMessageAppended.mock.calls[0][0].parts;
+    expect(functionResponse.response.result).toMatchObject({ success: false, denied: true });
+    expect(fetchFromApi).toHaveBeenCalledTimes(2);
+  });
+
+  it("declines \"ask\" calls when nobody can approve them", async () => {
+    toolCallThenText();
+    const onToolDeclined = jest.fn();
+
+    await processRoleRequest(createRoleRequestTask("general"), { onToolDeclined });
+
+    expect(toolbox.delete_memory).not.toHaveBeenCalled();
+    expect(onToolDeclined).toHaveBeenCalledWith(
+      { name: "delete_memory", args: { memoryKey: "k1" }, policy: "ask" },
+      expect.anything()
+    );
+  });
+
+  it("refuses denied tools without asking", async () => {
+    localStorage.setItem("toolPolicies", JSON.stringify({ roles: { general: { delete_memory: "deny" } } }));
+    toolCallThenText();
+    const onToolApproval = jest.fn();
+
+    await processRoleRequest(createRoleRequestTask("general"), { onToolApproval });
+
+    expect(onToolApproval).not.toHaveBeenCalled();
+    expect(toolbox.delete_memory).not.toHaveBeenCalled();
+  });
+});
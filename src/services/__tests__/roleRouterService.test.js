@@ -0,0 +1,114 @@
+import {
+  classifyByKeywords,
+  routeByKeywords,
+  routeQuestion,
+  getRoleRoutingConfig,
+  DEFAULT_ROLE_ROUTING,
+} from "../roleRouterService";
+import { classifyRoleIntent } from "../api/geminiService";
+import { setRoleRoutingSettings } from "../../utils/settingsService";
+
+jest.mock("../api/geminiService", () => ({
+  classifyRoleIntent: jest.fn(),
+}));
+
+describe("roleRouterService", () => {
+  // A routing call that only settles when its signal is aborted
+  const rejectOnAbort = (text, personas, { signal }) =>
+    new Promise((resolve, reject) => {
+      signal.addEventListener("abort", () => {
+        const abortError = new Error("aborted");
+        abortError.name = "AbortError";
+        reject(abortError);
+      });
+    });
+
+  beforeEach(() => {
+    localStorage.clear();
+    classifyRoleIntent.mockResolvedValue({ roles: ["editor"], reason: "Wants a cover letter" });
+  });
+
+  it("merges the saved settings over the defaults", () => {
+    setRoleRoutingSettings({ enabled: true });
+    expect(getRoleRoutingConfig()).toEqual({ ...DEFAULT_ROLE_ROUTING, enabled: true });
+  });
+
+  it("routes by keywords, most matches first", () => {
+    expect(classifyByKeywords("How did $AAPL earnings do?")).toEqual({
+      roles: ["financialAdvisor"],
+      reason: 'Mentions "$AAPL", "earnings"',
+    });
+    expect(classifyByKeywords("Search the latest news on NVDA stock").roles).toEqual([
+      "searcher",
+      "financialAdvisor",
+    ]);
+    expect(classifyByKeywords("How are you today?")).toBeNull();
+  });
+
+  it("uses keyword matches without asking the model", async () => {
+    const route = await routeQuestion("Please proofread this paragraph", { useModel: true });
+
+    expect(route).toEqual({ roles: ["editor"], reason: expect.any(String), source: "keywords" });
+    expect(classifyRoleIntent).not.toHaveBeenCalled();
+  });
+
+  it("asks the model when no keyword matches and keeps only visible personas", async () => {
+    classifyRoleIntent.mockResolvedValue({ roles: ["editor", "memoryManager", "nobody", "editor"], reason: "Wants a cover letter" });
+
+    const route = await routeQuestion("Help me with a cover letter", { useModel: true });
+
+    expect(route).toEqual({ roles: ["editor"], reason: "Wants a cover letter", source: "model" });
+    const personas = classifyRoleIntent.mock.calls[0][1];
+    expect(personas.map((persona) => persona.role)).toEqual(
+      expect.arrayContaining(["general", "searcher", "editor", "financialAdvisor"])
+    );
+    expect(personas.map((persona) => persona.role)).not.toContain("memoryManager");
+  });
+
+  it("falls back to the default persona", async () => {
+    expect(routeByKeywords("Hi there")).toMatchObject({ roles: ["general"], source: "default" });
+    expect(await routeQuestion("Hi there", { useModel: false })).toMatchObject({
+      roles: ["general"],
+      source: "default",
+    });
+
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    classifyRoleIntent.mockRejectedValue(new Error("quota exceeded"));
+    expect(await routeQuestion("Hi there", { useModel: true })).toMatchObject({
+      roles: ["general"],
+      source: "default",
+    });
+    console.warn.mockRestore();
+  });
+
+  it("rethrows when the routing call is cancelled", async () => {
+    const abortError = new Error("aborted");
+    abortError.name = "AbortError";
+    classifyRoleIntent.mockRejectedValue(abortError);
+
+    await expect(routeQuestion("Hi there", { useModel: true })).rejects.toThrow("aborted");
+  });
+
+  it("falls back to the default persona when the router times out", async () => {
+    jest.useFakeTimers();
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    classifyRoleIntent.mockImplementation(rejectOnAbort);
+
+    const route = routeQuestion("Hi there", { useModel: true, timeoutMs: 1000 });
+    jest.advanceTimersByTime(1000);
+
+    await expect(route).resolves.toMatchObject({ roles: ["general"], source: "default" });
+    warnSpy.mockRestore();
+    jest.useRealTimers();
+  });
+
+  it("passes the caller's cancellation on to the router", async () => {
+    const controller = new AbortController();
+    classifyRoleIntent.mockImplementation(rejectOnAbort);
+
+    const route = routeQuestion("Hi there", { useModel: true, signal: controller.signal });
+    controller.abort();
+
+    await expect(route).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  getNextRunAt,
+  describeSchedule,
+  saveScheduledTask,
+  getScheduledTask,
+  getScheduledConversation,
+  getScheduledContext,
+  runScheduledTask,
+} from "../scheduledTaskService";
+import { processRoleRequest, createRoleRequestTask } from "../roleRequestService";
+import { fetchFromApi, repairMermaidDiagrams } from "../api/geminiService";
+import { toolbox } from "../api/financialService";
+import { syncScheduleWithHost, notifyFromHost } from "../schedulerHostService";
+
+jest.mock("../api/geminiService", () => ({
+  fetchFromApi: jest.fn(),
+  postProcessModelResponse: (text) => text,
+  repairMermaidDiagrams: jest.fn(),
+}));
+
+jest.mock("../api/financialService", () => ({
+  toolbox: {},
+}));
+
+jest.mock("../schedulerHostService", () => ({
+  syncScheduleWithHost: jest.fn(),
+  notifyFromHost: jest.fn(),
+}));
+
+// Local time, so the tests don't depend on the time zone
+const at = (year, month, day, hours, minutes) => new Date(year, month - 1, day, hours, minutes).getTime();
+
+const WEEKDAYS_AT_8 = { days: [1, 2, 3, 4, 5], time: "08:00" };
+
+// Starts the request right away, as the queue of useRoleRequests does with a detached task
+const runRequest = async (role, context, { conversationSnapshot, appendMessage, onToolDeclined }) => {
+  const task = createRoleRequestTask(role, context, conversationSnapshot);
+  try {
+    await processRoleRequest(task, { onMessageAppended: appendMessage, onToolDeclined });
+    return { status: "completed" };
+  } catch (error) {
+    return { status: "failed", error: error.message };
+  }
+};
+
+describe("scheduledTaskService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    Object.keys(toolbox).forEach((name) => delete toolbox[name]);
+    syncScheduleWithHost.mockResolvedValue();
+    notifyFromHost.mockResolvedValue();
+    repairMermaidDiagrams.mockImplementation(async (text) => ({ text, repairs: [] }));
+    fetchFromApi.mockResolvedValue({
+      candidates: [{ content: { parts: [{ text: "Markets are up." }] } }],
+    });
+  });
+
+  it("finds the next run on a scheduled day", () => {
+    // Friday 2026-10-16 09:00, after the day's run: next is Monday
+    expect(getNextRunAt(WEEKDAYS_AT_8, at(2026, 10, 16, 9, 0))).toBe(at(2026, 10, 19, 8, 0));
+    // Monday before the run: later that day
+    expect(getNextRunAt(WEEKDAYS_AT_8, at(2026, 10, 19, 7, 59))).toBe(at(2026, 10, 19, 8, 0));
+    expect(getNextRunAt({ days: [], time: "08:00" })).toBeNull();
+  });
+
+  it("describes schedules", () => {
+    expect(describeSchedule(WEEKDAYS_AT_8)).toBe("Weekdays at 08:00");
+    expect(describeSchedule({ days: [1], time: "09:30" })).toBe("Mondays at 09:30");
+    expect(describeSchedule({ days: [4, 1], time: "18:00" })).toBe("Mon, Thu at 18:00");
+  });
+
+  it("validates tasks and hands the schedule to the host", () => {
+    expect(() => saveScheduledTask({ role: "financialAdvisor", prompt: " ", schedule: WEEKDAYS_AT_8 })).toThrow(
+      "Write the prompt"
+    );
+
+    const task = saveScheduledTask({ role: "financialAdvisor", prompt: "Market brief", schedule: WEEKDAYS_AT_8 });
+
+    expect(task.title).toBe("Market brief");
+    expect(task.enabled).toBe(true);
+    expect(task.nextRunAt).toBeGreaterThan(Date.now());
+    expect(syncScheduleWithHost).toHaveBeenLastCalledWith([
+      { id: task.id, title: "Market brief", nextRunAt: task.nextRunAt },
+    ]);
+  });
+
+  it("runs the prompt into the task's conversation and notifies", async () => {
+    const task = saveScheduledTask({ role: "financialAdvisor", prompt: "Market brief", schedule: WEEKDAYS_AT_8 });
+    const queue = jest.fn(runRequest);
+
+    const outcome = await runScheduledTask(task.id, { trigger: "schedule", runRequest: queue });
+
+    expect(outcome).toEqual({ status: "completed" });
+    expect(queue.mock.calls[0][1]).toMatchObject({ source: "schedule", scheduledTaskTitle: "Market brief" });
+    expect(fetchFromApi.mock.calls[0][3]).toBe("financialAdvisor");
+    // Summaries of the open conversation neither apply to nor come from the run
+    expect(fetchFromApi.mock.calls[0][8].summaryScope).toBeNull();
+    const conversation = getScheduledConversation(task.id);
+    expect(conversation.map((message) => message.role)).toEqual(["user", "model"]);
+    expect(conversation[0].scheduledRun).toEqual({ taskId: task.id, trigger: "schedule" });
+    expect(getScheduledTask(task.id).lastStatus).toBe("completed");
+    expect(notifyFromHost).toHaveBeenCalledWith(
+      expect.objectContaining({ taskId: task.id, body: "Markets are up." })
+    );
+  });
+
+  it("records failed runs and still moves to the next time", async () => {
+    const task = saveScheduledTask({ role: "financialAdvisor", prompt: "Market brief", schedule: WEEKDAYS_AT_8 });
+    fetchFromApi.mockRejectedValue(new Error("Quota exceeded"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const outcome = await runScheduledTask(task.id, { trigger: "schedule", runRequest });
+
+    expect(outcome).toEqual({ status: "failed", error: "Quota exceeded" });
+    const saved = getScheduledTask(task.id);
+    expect(saved.lastError).toBe("Quota exceeded");
+    expect(saved.nextRunAt).toBeGreaterThan(Date.now());
+    console.error.mockRestore();
+  });
+
+  it("lists the tool calls it declined on the run and in the notification", async () => {
+    const task = saveScheduledTask({ role: "financialAdvisor", prompt: "Tidy my notes", schedule: WEEKDAYS_AT_8 });
+    toolbox.delete_memory = jest.fn(() => ({ success: true }));
+    fetchFromApi
+      .mockResolvedValueOnce({
+        candidates: [{ content: { parts: [{ functionCall: { name: "delete_memory", args: { memoryKey: "k1" } } }] } }],
+      })
+      .mockResolvedValueOnce({ candidates: [{ content: { parts: [{ text: "Couldn't delete it." }] } }] });
+
+    await runScheduledTask(task.id, { trigger: "manual", runRequest });
+
+    expect(toolbox.delete_memory).not.toHaveBeenCalled();
+    expect(getScheduledConversation(task.id)[0].scheduledRun.declinedTools).toEqual(["delete_memory"]);
+    expect(notifyFromHost).toHaveBeenCalledWith(
+      expect.objectContaining({ body: expect.stringContaining("Declined without asking: delete_memory") })
+    );
+  });
+
+  it("reports a stopped run", async () => {
+    const task = saveScheduledTask({ role: "financialAdvisor", prompt: "Market brief", schedule: WEEKDAYS_AT_8 });
+
+    const outcome = await runScheduledTask(task.id, {
+      trigger: "manual",
+      runRequest: async () => ({ status: "cancelled" }),
+    });
+
+    expect(outcome).toEqual({ status: "cancelled" });
+    expect(getScheduledTask(task.id).lastStatus).toBe("cancelled");
+    expect(notifyFromHost).toHaveBeenCalledWith(
+      expect.objectContaining({ body: "The scheduled run was stopped." })
+    );
+  });
+
+  it("only sends the last runs as context", () => {
+    const run = (n) => [
+      { role: "user", scheduledRun: { taskId: "t" }, parts: [{ text: `run ${n}` }] },
+      { role: "model", parts: [{ text: `reply ${n}` }] },
+    ];
+    const conversation = [...run(1), ...run(2), ...run(3), ...run(4)];
+
+    const context = getScheduledContext(conversation, 2);
+
+    expect(context.map((message) => message.parts[0].text)).toEqual(["run 3", "reply 3", "run 4", "reply 4"]);
+  });
+});
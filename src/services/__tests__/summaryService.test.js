@@ -0,0 +1,179 @@
+import {
+  getConversationSummaries,
+  setConversationSummaries,
+  mergeConversationSummaries,
+  addConversationSummary,
+  createSummary,
+  getActiveSummaries,
+  planSummaryRollup,
+  rollUpSummaries,
+  replaceSummarizedSegments,
+  updateSummaryText,
+  deleteSummary,
+  getCompressionConfig,
+  getCompressionSettings,
+  setCompressionSettings,
+  mergeCompressionSettings,
+  DEFAULT_COMPRESSION_CONFIG,
+  LOCAL_SUMMARY_SCOPE,
+} from "../summaryService";
+
+const message = (timestamp) => ({ role: "user", parts: [{ text: `message ${timestamp}` }], timestamp });
+
+const summary = (text, timestamp, level = 0) => createSummary(text, { timestamp, level });
+
+describe("summaryService", () => {
+  let logSpy;
+
+  beforeEach(() => {
+    localStorage.clear();
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  it("keeps summaries per conversation", () => {
+    addConversationSummary("conv-a", summary("A", 10));
+    addConversationSummary("conv-b", summary("B", 20));
+
+    expect(getConversationSummaries("conv-a").map((s) => s.parts[0].text)).toEqual(["A"]);
+    expect(getConversationSummaries("conv-b").map((s) => s.parts[0].text)).toEqual(["B"]);
+  });
+
+  it("moves legacy and pre-sync summaries to the current conversation", () => {
+    localStorage.setItem("conversation_summaries", JSON.stringify([{ role: "model", name: "Xaiver", parts: [{ text: "old" }], timestamp: 5 }]));
+    localStorage.setItem("onedrive_latest_conversation_id", "conv-a");
+
+    const [migrated] = getConversationSummaries();
+    expect(migrated).toMatchObject({ id: "summary-5", level: 0, parentId: null });
+    expect(localStorage.getItem("conversation_summaries")).toBeNull();
+
+    localStorage.removeItem("onedrive_latest_conversation_id");
+    addConversationSummary(LOCAL_SUMMARY_SCOPE, summary("new", 7));
+    localStorage.setItem("onedrive_latest_conversation_id", "conv-new");
+    expect(getConversationSummaries().map((s) => s.parts[0].text)).toEqual(["new"]);
+  });
+
+  it("does not hand pre-sync summaries to a conversation loaded without summaries", () => {
+    addConversationSummary(LOCAL_SUMMARY_SCOPE, summary("unsynced", 7));
+    setConversationSummaries("conv-a", []);
+    localStorage.setItem("onedrive_latest_conversation_id", "conv-a");
+    expect(getConversationSummaries()).toEqual([]);
+  });
+
+  it("rolls the oldest lowest-level roots up when over budget", () => {
+    const long = "word ".repeat(100);
+    [10, 20, 30].forEach((timestamp) => addConversationSummary("conv-a", summary(long, timestamp)));
+
+    const children = planSummaryRollup(getConversationSummaries("conv-a"), { tokenBudget: 200, keepRecent: 1 });
+    expect(children.map((child) => child.timestamp)).toEqual([10, 20]);
+
+    const parent = rollUpSummaries("conv-a", children, "rolled");
+    expect(parent).toMatchObject({ level: 1, timestamp: 20 });
+
+    const stored = getConversationSummaries("conv-a");
+    expect(stored).toHaveLength(4);
+    expect(getActiveSummaries(stored).map((s) => s.parts[0].text)).toEqual(["rolled", long]);
+    expect(planSummaryRollup(stored, { tokenBudget: 1000, keepRecent: 1 })).toBeNull();
+  });
+
+  it("replaces segments with the roots of the tree only", () => {
+    const children = [summary("first", 2), summary("second", 4)];
+    const parent = summary("both", 4, 1);
+    const summaries = [
+      ...children.map((child) => ({ ...child, parentId: parent.id })),
+      parent,
+      summary("third", 6),
+    ];
+    const contents = [1, 2, 3, 4, 5, 6, 7, 8].map(message);
+
+    const result = replaceSummarizedSegments(contents, summaries);
+
+    expect(result.map((item) => item.summaryId ? item.parts[0].text : item.timestamp)).toEqual(["both", "third", 7, 8]);
+    expect(result[0].summaryLevel).toBe(1);
+  });
+
+  it("merges remote summaries, keeping the most recently updated copy", () => {
+    const local = summary("local", 10);
+    setConversationSummaries("conv-a", [local]);
+    const rolledRemotely = { ...local, parentId: "summary-parent", lastUpdate: local.lastUpdate + 1 };
+    const remoteParent = { ...summary("parent", 10, 1), id: "summary-parent" };
+
+    const merged = mergeConversationSummaries("conv-a", [rolledRemotely, remoteParent]);
+
+    expect(merged).toHaveLength(2);
+    expect(getActiveSummaries(merged).map((s) => s.id)).toEqual(["summary-parent"]);
+  });
+
+  it("edits a summary and marks it as edited", () => {
+    const original = summary("original", 10);
+    setConversationSummaries("conv-a", [original]);
+
+    updateSummaryText("conv-a", original.id, "corrected");
+
+    const [stored] = getConversationSummaries("conv-a");
+    expect(stored.parts[0].text).toBe("corrected");
+    expect(stored.edited).toBe(true);
+    expect(stored.lastUpdate).toBeGreaterThanOrEqual(original.lastUpdate);
+  });
+
+  it("deletes a roll-up, uses its children again and keeps the deletion through a merge", () => {
+    const children = [summary("first", 2), summary("second", 4)];
+    const parent = summary("both", 4, 1);
+    setConversationSummaries("conv-a", [...children.map((child) => ({ ...child, parentId: parent.id })), parent]);
+
+    deleteSummary("conv-a", parent.id);
+    expect(getActiveSummaries(getConversationSummaries("conv-a")).map((s) => s.id)).toEqual(children.map((c) => c.id));
+
+    const merged = mergeConversationSummaries("conv-a", [parent]);
+    expect(getActiveSummaries(merged).map((s) => s.id)).toEqual(children.map((c) => c.id));
+  });
+
+  it("sends the messages of a deleted summary in full again", () => {
+    const first = createSummary("first", { startTimestamp: 1, timestamp: 2 });
+    const second = createSummary("second", { startTimestamp: 3, timestamp: 4 });
+    setConversationSummaries("conv-a", [first, second]);
+    deleteSummary("conv-a", first.id);
+
+    const result = replaceSummarizedSegments([1, 2, 3, 4, 5].map(message), getConversationSummaries("conv-a"));
+
+    expect(result.map((item) => item.summaryId ? item.parts[0].text : item.timestamp)).toEqual([1, 2, "second", 5]);
+  });
+
+  it("applies per-conversation compression settings over the defaults", () => {
+    setCompressionSettings("conv-a", { TOKEN_THRESHOLD: 5000, AUTO_COMPRESS: false });
+
+    expect(getCompressionConfig("conv-a")).toMatchObject({ TOKEN_THRESHOLD: 5000, AUTO_COMPRESS: false });
+    expect(getCompressionConfig("conv-b")).toEqual(DEFAULT_COMPRESSION_CONFIG);
+
+    setCompressionSettings("conv-a", null);
+    expect(getCompressionConfig("conv-a")).toEqual(DEFAULT_COMPRESSION_CONFIG);
+  });
+
+  it("moves unsynced compression settings to the conversation's first ID only", () => {
+    localStorage.removeItem("onedrive_latest_conversation_id");
+    setCompressionSettings(LOCAL_SUMMARY_SCOPE, { TOKEN_THRESHOLD: 5000 });
+
+    // Another synced conversation doesn't pick them up
+    expect(getCompressionSettings("conv-b")).toBeNull();
+
+    localStorage.setItem("onedrive_latest_conversation_id", "conv-new");
+    expect(getCompressionConfig().TOKEN_THRESHOLD).toBe(5000);
+    expect(getCompressionSettings(LOCAL_SUMMARY_SCOPE)).toBeNull();
+    expect(getCompressionConfig("conv-b")).toEqual(DEFAULT_COMPRESSION_CONFIG);
+  });
+
+  it("keeps the more recently changed compression settings when merging", () => {
+    setCompressionSettings("conv-a", { TOKEN_THRESHOLD: 5000 }, 100);
+
+    mergeCompressionSettings("conv-a", { overrides: { TOKEN_THRESHOLD: 9000 }, updatedAt: 50 });
+    expect(getCompressionConfig("conv-a").TOKEN_THRESHOLD).toBe(5000);
+
+    // Restoring the defaults later wins over older overrides
+    setCompressionSettings("conv-a", null, 200);
+    mergeCompressionSettings("conv-a", { overrides: { TOKEN_THRESHOLD: 9000 }, updatedAt: 150 });
+    expect(getCompressionSettings("conv-a").overrides).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import { mergeConversations } from "../sync/syncOrchestrator";
+
+const userMessage = (fields = {}) => ({
+  role: "user",
+  parts: [{ text: "Question", uuid: "u1", timestamp: 1, lastUpdate: 1 }],
+  timestamp: 1,
+  ...fields,
+});
+
+const modelMessage = (fields = {}) => ({
+  role: "model",
+  parts: [{ text: "Answer", uuid: "m1", timestamp: 2, lastUpdate: 2 }],
+  timestamp: 2,
+  ...fields,
+});
+
+describe("mergeConversations branches", () => {
+  it("keeps the branch selected last on either side", () => {
+    const local = [userMessage({ activeBranchId: "b1", branchSelectedAt: 10 })];
+    const remote = [userMessage({ activeBranchId: "b2", branchSelectedAt: 20 })];
+
+    expect(mergeConversations(local, remote)[0].activeBranchId).toBe("b2");
+    expect(mergeConversations(remote, local)[0].activeBranchId).toBe("b2");
+  });
+
+  it("keeps branch tags added on only one side", () => {
+    const local = [userMessage(), modelMessage({ turnId: 1, branchId: "b1" })];
+    const remote = [userMessage(), modelMessage()];
+
+    expect(mergeConversations(local, remote)[1]).toMatchObject({ turnId: 1, branchId: "b1" });
+    expect(mergeConversations(remote, local)[1]).toMatchObject({ turnId: 1, branchId: "b1" });
+  });
+
+  it("adds messages of branches created on the other device", () => {
+    const local = [userMessage(), modelMessage()];
+    const remote = [
+      userMessage({ activeBranchId: "b2", branchSelectedAt: 30 }),
+      modelMessage({ turnId: 1, branchId: "b1" }),
+      { ...modelMessage({ turnId: 1, branchId: "b2" }), timestamp: 30 },
+    ];
+
+    const merged = mergeConversations(local, remote);
+    expect(merged).toHaveLength(3);
+    expect(merged[0].activeBranchId).toBe("b2");
+  });
+});
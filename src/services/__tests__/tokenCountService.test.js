@@ -0,0 +1,218 @@
+import {
+  estimateTokenCount,
+  estimatePartTokens,
+  getMessageTokenCount,
+  calculateConversationTokenCount,
+  refreshTokenCounts,
+  clearTokenCountCache,
+} from "../api/tokenCountService";
+
+describe("tokenCountService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  describe("estimateTokenCount", () => {
+    it("estimates words at 1.3 tokens each", () => {
+      expect(estimateTokenCount("one two three four five six seven eight nine ten")).toBe(13);
+    });
+
+    it("counts CJK characters individually", () => {
+      expect(estimateTokenCount("你好世界")).toBe(4);
+      expect(estimateTokenCount("hello 世界")).toBe(4);
+    });
+
+    it("returns 0 for empty text", () => {
+      expect(estimateTokenCount("")).toBe(0);
+    });
+  });
+
+  describe("estimatePartTokens", () => {
+    it("uses fixed estimates for images and PDFs", () => {
+      expect(estimatePartTokens({ file_data: { mime_type: "image/png", file_uri: "u" } })).toBe(258);
+      expect(estimatePartTokens({ file_data: { mime_type: "application/pdf", file_uri: "u" } })).toBe(2580);
+    });
+  });
+
+  describe("getMessageTokenCount", () => {
+    it("uses recorded usageMetadata for unedited model messages", () => {
+      const message = {
+        role: "model",
+        timestamp: 100,
+        usageMetadata: { candidatesTokenCount: 42 },
+        parts: [{ text: "short", timestamp: 100, lastUpdate: 100, uuid: "a" }],
+      };
+      expect(getMessageTokenCount(message)).toBe(42);
+    });
+
+    it("ignores usageMetadata after a part was edited", () => {
+      const message = {
+        role: "model",
+        timestamp: 100,
+        usageMetadata: { candidatesTokenCount: 42 },
+        parts: [{ text: "short", timestamp: 100, lastUpdate: 200, uuid: "a" }],
+      };
+      expect(getMessageTokenCount(message)).toBe(2);
+    });
+
+    it("skips thought parts", () => {
+      const message = {
+        role: "model",
+        parts: [{ text: "lots of thinking here", thought: true }, { text: "answer" }],
+      };
+      expect(getMessageTokenCount(message)).toBe(2);
+    });
+  });
+
+  describe("refreshTokenCounts", () => {
+    it("counts uncached parts once and reuses the cache", async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ totalTokens: 7 }),
+      });
+      const conversation = [
+        { role: "user", parts: [{ text: "你好", uuid: "p1", timestamp: 1 }] },
+      ];
+
+      expect(await refreshTokenCounts(conversation)).toBe(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining(":countTokens"),
+        expect.objectContaining({ method: "POST" })
+      );
+      expect(calculateConversationTokenCount(conversation)).toBe(7);
+
+      expect(await refreshTokenCounts(conversation)).toBe(0);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("recounts a part after it is edited", async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: async () => ({ totalTokens: 3 }),
+      });
+      await refreshTokenCounts([
+        { role: "user", parts: [{ text: "a", uuid: "p1", timestamp: 1 }] },
+      ]);
+      const edited = [
+        { role: "user", parts: [{ text: "a b c d", uuid: "p1", timestamp: 1, lastUpdate: 5 }] },
+      ];
+
+      expect(await refreshTokenCounts(edited)).toBe(1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it("shares counts in progress and merges concurrent results", async () => {
+      let releaseFirst;
+      global.fetch.mockImplementation(async (url, { body }) => {
+        const text = JSON.parse(body).contents[0].parts[0].text;
+        if (text === "ab") {
+          await new Promise((resolve) => {
+            releaseFirst = resolve;
+          });
+        }
+        return { ok: true, json: async () => ({ totalTokens: text.length }) };
+      });
+      const first = [{ role: "user", parts: [{ text: "ab", uuid: "p1", timestamp: 1 }] }];
+      const second = [{ role: "user", parts: [{ text: "abcde", uuid: "p2", timestamp: 2 }] }];
+
+      const pending = [refreshTokenCounts(first), refreshTokenCounts(first)];
+      await refreshTokenCounts(second);
+      releaseFirst();
+      await Promise.all(pending);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      // The refresh that finished last kept the other's count
+      expect(calculateConversationTokenCount([...first, ...second])).toBe(7);
+    });
+
+    it("waits before counting a failed part again", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const nowSpy = jest.spyOn(Date, "now").mockReturnValue(1_000_000);
+      global.fetch.mockResolvedValue({ ok: false, status: 403, text: async () => "expired" });
+      const conversation = [
+        { role: "user", parts: [{ file_data: { file_uri: "files/x", mime_type: "image/png" }, uuid: "p1", timestamp: 1 }] },
+      ];
+
+      expect(await refreshTokenCounts(conversation)).toBe(0);
+      expect(await refreshTokenCounts(conversation)).toBe(0);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      nowSpy.mockReturnValue(1_000_000 + 61 * 1000);
+      await refreshTokenCounts(conversation);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      // Failed twice, so the next try waits twice as long
+      nowSpy.mockReturnValue(1_000_000 + 61 * 1000 + 61 * 1000);
+      await refreshTokenCounts(conversation);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      nowSpy.mockRestore();
+      warnSpy.mockRestore();
+    });
+
+    it("counts the newest parts first, up to the limit", async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: async () => ({ totalTokens: 5 }) });
+      const conversation = [1, 2, 3].map((index) => ({
+        role: "user",
+        parts: [{ text: `message ${index}`, uuid: `p${index}`, timestamp: index }],
+      }));
+
+      expect(await refreshTokenCounts(conversation, { limit: 2 })).toBe(2);
+      expect(getMessageTokenCount(conversation[2])).toBe(5);
+      expect(getMessageTokenCount(conversation[0])).toBe(estimateTokenCount("message 1"));
+    });
+
+    it("stops when its signal is aborted, keeping counts already made", async () => {
+      const controller = new AbortController();
+      global.fetch.mockImplementation(async () => {
+        // Stopped while the second batch is counted
+        if (global.fetch.mock.calls.length === 5) {
+          controller.abort();
+        }
+        return { ok: true, json: async () => ({ totalTokens: 5 }) };
+      });
+      const conversation = [1, 2, 3, 4, 5].map((index) => ({
+        role: "user",
+        parts: [{ text: `message ${index}`, uuid: `p${index}`, timestamp: index }],
+      }));
+
+      await expect(refreshTokenCounts(conversation, { signal: controller.signal })).rejects.toMatchObject({
+        name: "AbortError",
+      });
+      // The first batch of four was stored before the refresh stopped
+      expect(getMessageTokenCount(conversation[4])).toBe(5);
+      expect(getMessageTokenCount(conversation[0])).toBe(estimateTokenCount("message 1"));
+    });
+
+    it("falls back to estimates when counting fails", async () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 500,
+        text: async () => "boom",
+      });
+      const conversation = [
+        { role: "user", parts: [{ text: "one two three", uuid: "p1" }] },
+      ];
+
+      expect(await refreshTokenCounts(conversation)).toBe(0);
+      expect(calculateConversationTokenCount(conversation)).toBe(4);
+      warnSpy.mockRestore();
+    });
+  });
+
+  it("clearTokenCountCache removes cached counts", async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: async () => ({ totalTokens: 9 }),
+    });
+    const conversation = [{ role: "user", parts: [{ text: "x", uuid: "p1" }] }];
+    await refreshTokenCounts(conversation);
+    clearTokenCountCache();
+    expect(calculateConversationTokenCount(conversation)).toBe(2);
+  });
+});
@@ -0,0 +1,69 @@
+import { getToolPolicy, buildToolCallPreview, createDeniedToolResult } from "../toolApprovalService";
+import { setToolPolicySettings } from "../../utils/settingsService";
+import memoryService from "../../utils/memoryService";
+import { setDocumentContent } from "../../utils/coEditService";
+
+describe("toolApprovalService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("asks before destructive tools and runs the others", () => {
+    expect(getToolPolicy("general", "delete_memory")).toBe("ask");
+    expect(getToolPolicy("editor", "set_document_content")).toBe("ask");
+    expect(getToolPolicy("general", "create_memory")).toBe("auto");
+  });
+
+  it("prefers a role's own policy over the policy for all roles", () => {
+    setToolPolicySettings({
+      tools: { create_memory: "deny", delete_memory: "auto" },
+      roles: { general: { create_memory: "ask" } },
+    });
+
+    expect(getToolPolicy("general", "create_memory")).toBe("ask");
+    expect(getToolPolicy("custom-role", "create_memory")).toBe("deny");
+    expect(getToolPolicy("general", "delete_memory")).toBe("auto");
+  });
+
+  it("previews a memory deletion with the current value", async () => {
+    await memoryService.setMemory("k1", "Lives in Berlin");
+
+    expect(await buildToolCallPreview("delete_memory", { memoryKey: "k1" })).toEqual({
+      summary: "Deletes memory k1.",
+      before: "Lives in Berlin",
+      after: null,
+    });
+  });
+
+  it("previews another persona's private memory as the tool sees it", async () => {
+    await memoryService.setMemory("k2", "Birthday gift idea", "searcher");
+
+    const preview = await buildToolCallPreview("delete_memory", { memoryKey: "k2" }, "general");
+    expect(preview).toEqual({ summary: "Changes nothing: Memory k2 not found.", before: null, after: null });
+    expect(await buildToolCallPreview("delete_memory", { memoryKey: "k2" }, "searcher")).toMatchObject({
+      summary: "Deletes memory k2.",
+      before: "Birthday gift idea",
+    });
+  });
+
+  it("previews a private-memory call on a shared memory as refused", async () => {
+    await memoryService.setMemory("k1", "Lives in Berlin");
+
+    const preview = await buildToolCallPreview("delete_private_memory", { memoryKey: "k1" }, "general");
+    expect(preview.summary).toBe("Changes nothing: Memory k1 is shared, not one of your private memories.");
+    expect(preview.before).toBeNull();
+  });
+
+  it("previews replacing the co-edited document", async () => {
+    setDocumentContent("line 1\nline 2");
+
+    const preview = await buildToolCallPreview("set_document_content", { documentContent: "" });
+    expect(preview.summary).toBe("Clears the co-edited document (2 lines).");
+    expect(preview.before).toBe("line 1\nline 2");
+  });
+
+  it("tells the model whether the user or the policy refused the call", () => {
+    expect(createDeniedToolResult("delete_memory", "ask").error).toContain("declined");
+    expect(createDeniedToolResult("delete_memory", "deny").error).toContain("does not allow");
+  });
+});
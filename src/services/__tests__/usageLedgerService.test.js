@@ -0,0 +1,209 @@
+import {
+  recordUsage,
+  getLedgerEntries,
+  compactLedgerEntries,
+  clearLedger,
+  estimateEntryCost,
+  estimateCacheSavings,
+  getPeriodRange,
+  summarizeUsage,
+  setBudgetSettings,
+  checkBudget,
+  enforceBudget,
+  BUDGET_WARNING_EVENT,
+} from "../usageLedgerService";
+
+const PRICES = {
+  "test-model": { input: 1, cachedInput: 0.1, output: 10 },
+};
+
+describe("usageLedgerService", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe("recordUsage", () => {
+    it("stores token counts with role, request type and conversation", () => {
+      localStorage.setItem("onedrive_latest_conversation_id", "conv-1");
+      const entry = recordUsage({
+        model: "test-model",
+        role: "general",
+        requestType: "default",
+        usageMetadata: {
+          promptTokenCount: 100,
+          cachedContentTokenCount: 40,
+          candidatesTokenCount: 20,
+          thoughtsTokenCount: 5,
+          totalTokenCount: 125,
+        },
+      });
+
+      expect(entry).toMatchObject({
+        model: "test-model",
+        role: "general",
+        conversationId: "conv-1",
+        promptTokens: 100,
+        cachedTokens: 40,
+        candidatesTokens: 20,
+        thoughtsTokens: 5,
+      });
+      expect(getLedgerEntries()).toHaveLength(1);
+    });
+
+    it("ignores responses without usageMetadata", () => {
+      expect(recordUsage({ model: "test-model" })).toBeNull();
+      expect(getLedgerEntries()).toHaveLength(0);
+    });
+
+    it("clearLedger removes all entries", () => {
+      recordUsage({ model: "test-model", usageMetadata: { promptTokenCount: 1 } });
+      clearLedger();
+      expect(getLedgerEntries()).toHaveLength(0);
+    });
+  });
+
+  describe("compactLedgerEntries", () => {
+    const now = new Date(2024, 5, 30, 12).getTime();
+    const call = (date, overrides = {}) => ({
+      timestamp: date.getTime(),
+      model: "test-model",
+      role: "general",
+      requestType: "default",
+      conversationId: "conv-1",
+      promptTokens: 1_000_000,
+      cachedTokens: 500_000,
+      candidatesTokens: 100_000,
+      thoughtsTokens: 0,
+      totalTokens: 1_100_000,
+      ...overrides,
+    });
+
+    it("folds older calls into daily totals and keeps recent calls", () => {
+      const entries = [
+        call(new Date(2024, 5, 1, 9)),
+        call(new Date(2024, 5, 1, 18)),
+        call(new Date(2024, 5, 1, 20), { role: "searcher" }),
+        call(new Date(2024, 5, 2, 9)),
+        call(new Date(2024, 5, 29, 9)),
+      ];
+      const compacted = compactLedgerEntries(entries, now);
+
+      expect(compacted).toHaveLength(4);
+      expect(compacted[0]).toMatchObject({
+        timestamp: new Date(2024, 5, 1).getTime(),
+        role: "general",
+        requests: 2,
+        promptTokens: 2_000_000,
+        cachedTokens: 1_000_000,
+      });
+      expect(compacted[3]).toEqual(entries[4]);
+
+      const range = { from: 0, to: now };
+      const before = summarizeUsage(range, entries, PRICES).totals;
+      const after = summarizeUsage(range, compacted, PRICES).totals;
+      expect(after.requests).toBe(5);
+      expect(after.promptTokens).toBe(before.promptTokens);
+      expect(after.cost).toBeCloseTo(before.cost);
+      expect(after.cacheSavings).toBeCloseTo(before.cacheSavings);
+    });
+
+    it("drops entries past the retention period", () => {
+      expect(compactLedgerEntries([call(new Date(2022, 0, 1))], now)).toEqual([]);
+    });
+  });
+
+  describe("estimateEntryCost", () => {
+    it("bills cached input at the cached price and thoughts as output", () => {
+      const cost = estimateEntryCost(
+        {
+          model: "test-model",
+          promptTokens: 1_000_000,
+          cachedTokens: 500_000,
+          candidatesTokens: 100_000,
+          thoughtsTokens: 100_000,
+        },
+        PRICES
+      );
+      // 0.5M * $1 + 0.5M * $0.1 + 0.2M * $10
+      expect(cost).toBeCloseTo(2.55);
+    });
+
+    it("estimates the savings of cached input", () => {
+      const savings = estimateCacheSavings({ model: "test-model", promptTokens: 1_000_000, cachedTokens: 500_000 }, PRICES);
+      // 0.5M * ($1 - $0.1)
+      expect(savings).toBeCloseTo(0.45);
+      expect(estimateCacheSavings({ model: "test-model", promptTokens: 1000 }, PRICES)).toBe(0);
+    });
+
+    it("treats unknown models as free", () => {
+      expect(estimateEntryCost({ model: "local", promptTokens: 1000 }, PRICES)).toBe(0);
+    });
+  });
+
+  describe("summarizeUsage", () => {
+    it("groups entries within the range", () => {
+      const entries = [
+        { timestamp: 10, model: "test-model", role: "general", requestType: "default", promptTokens: 1_000_000 },
+        { timestamp: 20, model: "test-model", role: "memoryManager", requestType: "summarization", promptTokens: 1_000_000 },
+        { timestamp: 30, model: "test-model", role: "general", requestType: "default", promptTokens: 1_000_000 },
+      ];
+      const summary = summarizeUsage({ from: 0, to: 25 }, entries, PRICES);
+
+      expect(summary.totals.requests).toBe(2);
+      expect(summary.totals.cost).toBeCloseTo(2);
+      expect(summary.byRole.general.requests).toBe(1);
+      expect(summary.byRequestType.summarization.requests).toBe(1);
+      expect(summary.byConversation.local.requests).toBe(2);
+    });
+  });
+
+  it("getPeriodRange covers the whole day and month", () => {
+    const date = new Date(2024, 1, 15, 13, 30);
+    expect(getPeriodRange("day", date)).toEqual({
+      from: new Date(2024, 1, 15).getTime(),
+      to: new Date(2024, 1, 16).getTime(),
+    });
+    expect(getPeriodRange("month", date)).toEqual({
+      from: new Date(2024, 1, 1).getTime(),
+      to: new Date(2024, 2, 1).getTime(),
+    });
+  });
+
+  describe("budgets", () => {
+    const spend = () =>
+      recordUsage({
+        model: "gemini-2.5-flash",
+        usageMetadata: { promptTokenCount: 10_000_000 },
+      });
+
+    it("is not exceeded without limits", () => {
+      spend();
+      expect(checkBudget().exceeded).toBe(false);
+    });
+
+    it("throws a budget_exceeded error in block mode", () => {
+      spend();
+      setBudgetSettings({ dailyLimit: 1, mode: "block" });
+
+      expect(checkBudget()).toMatchObject({ exceeded: true, period: "day" });
+      expect(() => enforceBudget("default")).toThrow(
+        expect.objectContaining({ errorType: "budget_exceeded" })
+      );
+    });
+
+    it("dispatches a warning event in warn mode", () => {
+      const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      const listener = jest.fn();
+      window.addEventListener(BUDGET_WARNING_EVENT, listener);
+      spend();
+      setBudgetSettings({ monthlyLimit: 1, mode: "warn" });
+
+      expect(enforceBudget("summarization").exceeded).toBe(true);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail.period).toBe("month");
+
+      window.removeEventListener(BUDGET_WARNING_EVENT, listener);
+      warnSpy.mockRestore();
+    });
+  });
+});
@@ -18,6 +18,43 @@ export class ApiError extends Error {
   }
 }
 
+/**
+ * Create the error thrown when a request is cancelled through an AbortSignal
+ * @returns {DOMException} Error named "AbortError", like the one fetch throws
+ */
+export function createAbortError() {
+  return new DOMException("The operation was aborted.", "AbortError");
+}
+
+/**
+ * Check whether an error comes from an aborted request
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return (
+    error?.name === "AbortError" ||
+    error?.errorType === "aborted" ||
+    error?.originalError?.name === "AbortError"
+  );
+}
+
+/**
+ * Check whether an error means the network is unreachable (offline, DNS, connection reset)
+ * fetch rejects with a TypeError when the request itself fails, before any response.
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isNetworkError(error) {
+  if (!error || isAbortError(error)) {
+    return false;
+  }
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+  return error instanceof TypeError || error.originalError instanceof TypeError;
+}
+
 /**
  * Request queue managers for rate limiting (1 request/second per API)
  */
@@ -30,13 +67,39 @@ export class RequestQueue {
     this.minInterval = 2000; // 2 second in milliseconds
   }
 
-  async enqueue(requestFn) {
+  /**
+   * Add a request to the queue
+   * @param {Function} requestFn - Performs the request; receives the signal
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborting removes a queued entry without running it
+   * @returns {Promise<*>} Result of requestFn
+   */
+  async enqueue(requestFn, { signal } = {}) {
     return new Promise((resolve, reject) => {
-      this.queue.push({
+      if (signal?.aborted) {
+        reject(createAbortError());
+        return;
+      }
+
+      const entry = {
         requestFn,
         resolve,
         reject,
-      });
+        signal,
+      };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(createAbortError());
+          }
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+
+      this.queue.push(entry);
       this.processQueue();
     });
   }
@@ -56,9 +119,16 @@ export class RequestQueue {
       if (timeSinceLastRequest < this.minInterval) {
         const waitTime = this.minInterval - timeSinceLastRequest;
         await new Promise(resolve => setTimeout(resolve, waitTime));
+        // Aborted entries leave the queue, which may now be empty
+        if (this.queue.length === 0) {
+          break;
+        }
       }
 
-      const { requestFn, resolve, reject } = this.queue.shift();
+      const { requestFn, resolve, reject, signal, onAbort } = this.queue.shift();
+      if (signal && onAbort) {
+        signal.removeEventListener("abort", onAbort);
+      }
       this.lastRequestTime = Date.now();
 
       const timeStr = new Date().toLocaleString();
@@ -67,7 +137,7 @@ export class RequestQueue {
       );
 
       try {
-        const result = await requestFn();
+        const result = await requestFn(signal);
         resolve(result);
       } catch (error) {
         reject(error);
@@ -0,0 +1,269 @@
+/**
+ * Context Cache Service
+ * Keeps one Gemini cachedContents entry per model and role holding the static part
+ * of the prompt (role definition, user list, system prompt and tools).
+ * Entries are keyed by a hash of that content, so any change creates a new entry
+ * and deletes the old one. When caching is unsupported (non-Gemini model, prompt
+ * below the minimum size, gateway without the endpoint) callers send the prompt inline.
+ */
+
+import { getGatewayUrl, getGatewayHeaders, getGatewayApiKey } from './endpointProfiles';
+import { isGeminiModel } from './modelProviders';
+import { estimateTokenCount } from './tokenCountService';
+import { ApiError, isAbortError } from './apiClient';
+
+const CACHE_REGISTRY_KEY = "context_caches";
+export const CACHE_TTL_SECONDS = 3600;
+// Gemini rejects cachedContents below this size
+export const MIN_CACHE_TOKENS = 1024;
+// An entry this close to expiry is replaced rather than reused
+const EXPIRY_MARGIN_MS = 60 * 1000;
+// After a failed creation, the same content is sent inline for this long before trying again
+const UNSUPPORTED_RETRY_MS = 6 * 60 * 60 * 1000;
+
+// In-flight creations by registry key, so concurrent requests of one role share an entry:
+// {hash, promise, controller, waiters}
+const pendingCreations = new Map();
+
+/**
+ * Wait for a shared creation on behalf of one request
+ * A creation has its own controller, so one request being cancelled doesn't fail the others
+ * waiting on it; it is aborted once every waiting request has been cancelled.
+ * @param {Object} pending - Entry of pendingCreations
+ * @param {AbortSignal} signal - The waiting request's signal
+ * @returns {Promise<string|null>} Entry name, or null if this request was cancelled
+ */
+const waitForCreation = (pending, signal) => {
+  if (!signal) {
+    pending.waiters += 1;
+    return pending.promise;
+  }
+  if (signal.aborted) {
+    return Promise.resolve(null);
+  }
+  pending.waiters += 1;
+  return new Promise((resolve) => {
+    const handleAbort = () => {
+      pending.waiters -= 1;
+      if (pending.waiters === 0) {
+        pending.controller.abort();
+      }
+      resolve(null);
+    };
+    signal.addEventListener("abort", handleAbort, { once: true });
+    pending.promise.then((name) => {
+      signal.removeEventListener("abort", handleAbort);
+      resolve(name);
+    });
+  });
+};
+
+const readRegistry = () => {
+  try {
+    const stored = localStorage.getItem(CACHE_REGISTRY_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error("Error reading context caches from localStorage:", error);
+    return {};
+  }
+};
+
+const writeRegistryEntry = (key, entry) => {
+  const registry = readRegistry();
+  if (entry) {
+    registry[key] = entry;
+  } else {
+    delete registry[key];
+  }
+  try {
+    localStorage.setItem(CACHE_REGISTRY_KEY, JSON.stringify(registry));
+  } catch (error) {
+    console.error("Error writing context caches to localStorage:", error);
+  }
+};
+
+const getRegistryKey = (model, role) => `${model}:${role}`;
+
+/**
+ * Hash the content a cache entry is built from
+ * @param {Object} content - {systemInstruction, tools}
+ * @returns {string} Short hash; changes whenever any text or tool changes
+ */
+export const hashCacheContent = (content) => {
+  const text = JSON.stringify(content);
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}-${hash.toString(36)}`;
+};
+
+/**
+ * Delete a cachedContents entry on the server (best effort)
+ * @param {string} name - Entry name, e.g. "cachedContents/abc123"
+ */
+const deleteCachedContent = async (name) => {
+  try {
+    await fetch(getGatewayUrl(`gemini/${name}`), {
+      method: "DELETE",
+      headers: getGatewayHeaders(),
+    });
+  } catch (error) {
+    console.warn(`Failed to delete context cache ${name}:`, error);
+  }
+};
+
+/**
+ * Create a cachedContents entry
+ * @param {string} model - Gemini model ID
+ * @param {string} role - Role key, used as the display name
+ * @param {Object} content - {systemInstruction, tools}
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>} {name, expireTime}
+ * @throws {ApiError} If the request fails
+ */
+const createCachedContent = async (model, role, content, signal) => {
+  let response;
+  try {
+    response = await fetch(getGatewayUrl("gemini/cachedContents"), {
+      method: "POST",
+      headers: getGatewayHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify({
+        model: `models/${model}`,
+        displayName: `chatsphere-${role}`,
+        systemInstruction: content.systemInstruction,
+        ...(content.tools && { tools: content.tools }),
+        ttl: `${CACHE_TTL_SECONDS}s`,
+      }),
+      signal,
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    throw new ApiError(`Context cache request failed: ${error.message}`, {
+      errorType: "network_error",
+      originalError: error,
+    });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new ApiError(`Context cache request failed: ${errorText}`, {
+      status: response.status,
+      statusCode: response.status,
+      errorType: "api_response_error",
+    });
+  }
+
+  const data = await response.json();
+  const expireTime = Date.parse(data.expireTime);
+  return {
+    name: data.name,
+    expireTime: Number.isFinite(expireTime) ? expireTime : Date.now() + CACHE_TTL_SECONDS * 1000,
+  };
+};
+
+/**
+ * Get a cachedContents entry for the static part of a role's prompt, creating it if needed
+ *
+ * @param {Object} params
+ * @param {string} params.model - Model the request is sent to
+ * @param {string} params.role - Role key
+ * @param {Object} params.systemInstruction - System instruction to cache
+ * @param {Array} params.tools - Tools to cache (requests using the entry can't send their own)
+ * @param {AbortSignal} params.signal - Stops waiting for the entry; the creation itself is only
+ *   cancelled once every request waiting for it is
+ * @returns {Promise<string|null>} Entry name, or null if the prompt should be sent inline
+ */
+export const getContextCache = async ({ model, role, systemInstruction, tools, signal }) => {
+  if (!isGeminiModel(model) || !getGatewayApiKey()) {
+    return null;
+  }
+  const content = { systemInstruction, ...(tools && { tools }) };
+  if (estimateTokenCount(JSON.stringify(content)) < MIN_CACHE_TOKENS) {
+    return null;
+  }
+
+  const key = getRegistryKey(model, role);
+  const hash = hashCacheContent(content);
+  const entry = readRegistry()[key];
+  const now = Date.now();
+
+  if (entry?.hash === hash) {
+    if (entry.unsupportedUntil > now) {
+      return null;
+    }
+    if (entry.name && entry.expireTime - EXPIRY_MARGIN_MS > now) {
+      return entry.name;
+    }
+  }
+
+  const pending = pendingCreations.get(key);
+  if (pending?.hash === hash) {
+    return waitForCreation(pending, signal);
+  }
+
+  const controller = new AbortController();
+  const promise = (async () => {
+    try {
+      const created = await createCachedContent(model, role, content, controller.signal);
+      writeRegistryEntry(key, { hash, ...created });
+      // The previous entry holds outdated content
+      if (entry?.name && entry.name !== created.name) {
+        deleteCachedContent(entry.name);
+      }
+      console.log(`Created context cache ${created.name} for ${role} (${model})`);
+      return created.name;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        console.warn(`Context caching unavailable for ${role} (${model}), sending the prompt inline:`, error.message);
+        writeRegistryEntry(key, { hash, unsupportedUntil: Date.now() + UNSUPPORTED_RETRY_MS });
+      }
+      return null;
+    } finally {
+      pendingCreations.delete(key);
+    }
+  })();
+  const creation = { hash, promise, controller, waiters: 0 };
+  pendingCreations.set(key, creation);
+  return waitForCreation(creation, signal);
+};
+
+/**
+ * Forget a role's cache entry (e.g. after the server rejected it) and delete it on the server
+ * @param {string} model - Model ID
+ * @param {string} role - Role key
+ */
+export const invalidateContextCache = (model, role) => {
+  const key = getRegistryKey(model, role);
+  const entry = readRegistry()[key];
+  writeRegistryEntry(key, null);
+  if (entry?.name) {
+    deleteCachedContent(entry.name);
+  }
+};
+
+/**
+ * Whether a failed request was rejected because of its cachedContent (expired, deleted
+ * or not usable with the model), so it can be resent with the prompt inline
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean}
+ */
+export const isContextCacheError = (error) =>
+  error instanceof ApiError &&
+  [400, 403, 404].includes(error.status) &&
+  /cached ?content/i.test(error.message || "");
+
+const contextCacheService = {
+  CACHE_TTL_SECONDS,
+  MIN_CACHE_TOKENS,
+  hashCacheContent,
+  getContextCache,
+  invalidateContextCache,
+  isContextCacheError,
+};
+
+export default contextCacheService;
@@ -0,0 +1,124 @@
+/**
+ * Embedding Service
+ * Embeds texts with the Gemini embedding endpoint through the gateway.
+ */
+
+import { getGatewayUrl, getGatewayHeaders, getGatewayApiKey } from './endpointProfiles';
+import { ApiError } from './apiClient';
+
+export const EMBEDDING_MODEL = "gemini-embedding-001";
+// Reduced dimensionality keeps locally stored vectors small
+export const EMBEDDING_DIMENSIONS = 256;
+// Max texts per batchEmbedContents request
+const BATCH_SIZE = 100;
+
+/**
+ * Call batchEmbedContents for one batch
+ * @param {string[]} texts - Texts to embed
+ * @param {string} taskType - RETRIEVAL_DOCUMENT or RETRIEVAL_QUERY
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<number[][]>} One vector per text
+ * @throws {ApiError} If the request fails or the key is missing
+ */
+const embedBatch = async (texts, taskType, signal) => {
+  if (!getGatewayApiKey()) {
+    throw new ApiError("Subscription key is not set", {
+      errorType: "validation_error",
+      details: { parameter: "subscriptionKey" },
+    });
+  }
+
+  let response;
+  try {
+    response = await fetch(
+      getGatewayUrl(`gemini/models/${EMBEDDING_MODEL}:batchEmbedContents`),
+      {
+        method: "POST",
+        headers: getGatewayHeaders({
+          "Content-Type": "application/json",
+        }),
+        body: JSON.stringify({
+          requests: texts.map((text) => ({
+            model: `models/${EMBEDDING_MODEL}`,
+            content: { parts: [{ text }] },
+            taskType,
+            outputDimensionality: EMBEDDING_DIMENSIONS,
+          })),
+        }),
+        signal,
+      }
+    );
+  } catch (error) {
+    throw new ApiError(`Embedding request failed: ${error.message}`, {
+      errorType: "network_error",
+      originalError: error,
+    });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new ApiError(`Embedding request failed: ${errorText}`, {
+      status: response.status,
+      statusCode: response.status,
+      errorType: "api_response_error",
+    });
+  }
+
+  const data = await response.json();
+  const embeddings = data.embeddings || [];
+  if (embeddings.length !== texts.length) {
+    throw new ApiError("Embedding response does not match the request", {
+      errorType: "api_response_error",
+      details: { expected: texts.length, received: embeddings.length },
+    });
+  }
+  return embeddings.map((embedding) => embedding.values || []);
+};
+
+/**
+ * Embed texts
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} options
+ * @param {string} options.taskType - "RETRIEVAL_DOCUMENT" (stored texts) or "RETRIEVAL_QUERY" (search text)
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @returns {Promise<number[][]>} One vector per text, in order
+ * @throws {ApiError} If any batch fails
+ */
+export const embedTexts = async (texts, options = {}) => {
+  const { taskType = "RETRIEVAL_DOCUMENT", signal } = options;
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+    vectors.push(...(await embedBatch(texts.slice(i, i + BATCH_SIZE), taskType, signal)));
+  }
+  return vectors;
+};
+
+/**
+ * Cosine similarity of two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Similarity in [-1, 1], or 0 for empty or mismatched vectors
+ */
+export const cosineSimilarity = (a, b) => {
+  if (!a?.length || a.length !== b?.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+const embeddingService = {
+  EMBEDDING_MODEL,
+  EMBEDDING_DIMENSIONS,
+  embedTexts,
+  cosineSimilarity,
+};
+
+export default embeddingService;
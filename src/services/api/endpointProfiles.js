@@ -0,0 +1,115 @@
+/**
+ * API Endpoint Profiles
+ * Every gateway call (Gemini, file uploads, AlphaVantage, Finnhub, TTS) resolves
+ * its URL and auth header through the selected profile, so the app can point at
+ * another gateway or a local stand-in server.
+ */
+
+import {
+  getSubscriptionKey,
+  getEndpointProfiles,
+  getSelectedEndpointProfileId,
+} from '../../utils/settingsService';
+
+export const DEFAULT_ENDPOINT_PROFILE = {
+  id: "default",
+  name: "Default gateway",
+  baseUrl: "https://jp-gw2.azure-api.net",
+  authHeader: "Ocp-Apim-Subscription-Key",
+  // Empty: use the subscription key
+  apiKey: "",
+};
+
+/**
+ * Get every selectable profile, the default gateway first
+ * @returns {Array} Array of {id, name, baseUrl, authHeader, apiKey}
+ */
+export const getEndpointProfileList = () => [DEFAULT_ENDPOINT_PROFILE, ...getEndpointProfiles()];
+
+/**
+ * Get the profile gateway calls go to
+ * @returns {Object} Selected profile, or the default gateway if none (or a removed one) is selected
+ */
+export const getActiveEndpointProfile = () => {
+  const selectedId = getSelectedEndpointProfileId();
+  return getEndpointProfiles().find((profile) => profile.id === selectedId) || DEFAULT_ENDPOINT_PROFILE;
+};
+
+/**
+ * Get the key sent with gateway calls
+ * @param {Object} profile - Endpoint profile
+ * @param {string} fallbackKey - Key to use when the profile has none (defaults to the subscription key)
+ * @returns {string} API key, or empty string if none is configured
+ */
+export const getGatewayApiKey = (profile = getActiveEndpointProfile(), fallbackKey) =>
+  profile.apiKey || fallbackKey || getSubscriptionKey();
+
+/**
+ * Build a gateway URL
+ * @param {string} path - Path below the base URL, e.g. "gemini/files"
+ * @param {Object} profile - Endpoint profile
+ * @returns {string} Absolute URL
+ */
+export const getGatewayUrl = (path, profile = getActiveEndpointProfile()) =>
+  `${profile.baseUrl.replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+
+/**
+ * Add the profile's auth header to request headers
+ * @param {Object} headers - Other request headers
+ * @param {Object} options
+ * @param {Object} options.profile - Endpoint profile (defaults to the active one)
+ * @param {string} options.fallbackKey - Key to use when the profile has none
+ * @returns {Object} Headers; the auth header is omitted when no key is configured
+ */
+export const getGatewayHeaders = (headers = {}, options = {}) => {
+  const { profile = getActiveEndpointProfile(), fallbackKey } = options;
+  const apiKey = getGatewayApiKey(profile, fallbackKey);
+  return profile.authHeader && apiKey
+    ? { ...headers, [profile.authHeader]: apiKey }
+    : headers;
+};
+
+/**
+ * Get the extension host permission pattern for a profile
+ * @param {Object} profile - Endpoint profile
+ * @returns {string|null} Match pattern such as "https://example.com/*", or null if the URL is invalid
+ */
+export const getHostPermissionPattern = (profile) => {
+  try {
+    return `${new URL(profile.baseUrl).origin}/*`;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Ask for host permission to a profile's server when running as the extension
+ * Must be called from a user gesture. Elsewhere (web, Electron) there is nothing to grant.
+ * @param {Object} profile - Endpoint profile
+ * @returns {Promise<boolean>} Whether requests to the profile are allowed
+ */
+export const requestHostPermission = async (profile) => {
+  const pattern = getHostPermissionPattern(profile);
+  if (!pattern || typeof chrome === "undefined" || !chrome.permissions?.request) {
+    return !!pattern;
+  }
+  try {
+    return await chrome.permissions.request({ origins: [pattern] });
+  } catch (error) {
+    console.error("Error requesting host permission:", error);
+    return false;
+  }
+};
+
+const endpointProfiles = {
+  DEFAULT_ENDPOINT_PROFILE,
+  getEndpointProfileList,
+  getActiveEndpointProfile,
+  getGatewayApiKey,
+  getGatewayUrl,
+  getGatewayHeaders,
+  getHostPermissionPattern,
+  requestHostPermission,
+};
+
+export default endpointProfiles;
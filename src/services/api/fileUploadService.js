@@ -3,17 +3,21 @@
  * Handles file uploads to Gemini API using the 2-step resumable upload protocol
  */
 
-import { ApiError } from './apiClient';
+import { ApiError, isAbortError } from './apiClient';
+import { withRetry, getRetryAfterMs } from './retryPolicy';
+import { getGatewayUrl, getGatewayHeaders } from './endpointProfiles';
 
 /**
- * Upload a file using the 2-step resumable upload protocol
+ * Single upload attempt using the 2-step resumable upload protocol
  * @param {File} file - The file to upload
- * @param {string} subscriptionKey - The subscription key for authentication
+ * @param {string} subscriptionKey - The subscription key for authentication (used unless the
+ *   selected endpoint profile has its own key)
+ * @param {AbortSignal} signal - Cancels the upload
  * @returns {Promise<string>} - The file URI from the upload response
  * @throws {ApiError} - If the upload fails
  */
-export const uploadFile = async (file, subscriptionKey) => {
-  const uploadApiUrl = "https://jp-gw2.azure-api.net/gemini/files";
+const uploadFileOnce = async (file, subscriptionKey, signal) => {
+  const uploadApiUrl = getGatewayUrl("gemini/files");
   const fileSize = file.size;
   const mimeType = file.type;
 
@@ -21,14 +25,14 @@ export const uploadFile = async (file, subscriptionKey) => {
     // Step 1: Prepare the upload
     const prepareResponse = await fetch(uploadApiUrl, {
       method: "POST",
-      headers: {
+      headers: getGatewayHeaders({
         "X-Goog-Upload-Protocol": "resumable",
         "X-Goog-Upload-Command": "start",
         "X-Goog-Upload-Header-Content-Length": fileSize.toString(),
         "X-Goog-Upload-Header-Content-Type": mimeType,
         "Content-Type": "application/json",
-        "Ocp-Apim-Subscription-Key": subscriptionKey,
-      },
+      }, { fallbackKey: subscriptionKey }),
+      signal,
     });
 
     if (!prepareResponse.ok) {
@@ -36,7 +40,7 @@ export const uploadFile = async (file, subscriptionKey) => {
       throw new ApiError(`Failed to prepare file upload: ${errorText}`, {
         status: prepareResponse.status,
         errorType: "file_upload_error",
-        details: { step: "prepare" },
+        details: { step: "prepare", retryAfterMs: getRetryAfterMs(prepareResponse) },
       });
     }
 
@@ -65,12 +69,12 @@ export const uploadFile = async (file, subscriptionKey) => {
     const fileArrayBuffer = await file.arrayBuffer();
     const uploadResponse = await fetch(`${uploadApiUrl}${queryParams}`, {
       method: "POST",
-      headers: {
+      headers: getGatewayHeaders({
         "X-Goog-Upload-Offset": "0",
         "X-Goog-Upload-Command": "upload, finalize",
-        "Ocp-Apim-Subscription-Key": subscriptionKey,
-      },
+      }, { fallbackKey: subscriptionKey }),
       body: fileArrayBuffer,
+      signal,
     });
 
     if (!uploadResponse.ok) {
@@ -78,7 +82,7 @@ export const uploadFile = async (file, subscriptionKey) => {
       throw new ApiError(`Failed to upload file: ${errorText}`, {
         status: uploadResponse.status,
         errorType: "file_upload_error",
-        details: { step: "upload" },
+        details: { step: "upload", retryAfterMs: getRetryAfterMs(uploadResponse) },
       });
     }
 
@@ -93,7 +97,7 @@ export const uploadFile = async (file, subscriptionKey) => {
       });
     }
   } catch (error) {
-    if (error instanceof ApiError) {
+    if (error instanceof ApiError || isAbortError(error)) {
       throw error;
     }
     throw new ApiError(`File upload failed: ${error.message}`, {
@@ -102,3 +106,22 @@ export const uploadFile = async (file, subscriptionKey) => {
     });
   }
 };
+
+/**
+ * Upload a file using the 2-step resumable upload protocol
+ * Transient failures (429/5xx, network errors) restart the upload per the retry policy.
+ * @param {File} file - The file to upload
+ * @param {string} subscriptionKey - The subscription key for authentication
+ * @param {Object} options
+ * @param {Function} options.onRetry - Called before each retry
+ * @param {AbortSignal} options.signal - Cancels the upload and any pending retry
+ * @returns {Promise<string>} - The file URI from the upload response
+ * @throws {ApiError} - If the upload fails
+ * @throws {DOMException} - AbortError if the signal is aborted
+ */
+export const uploadFile = (file, subscriptionKey, options = {}) =>
+  withRetry(() => uploadFileOnce(file, subscriptionKey, options.signal), {
+    requestType: "fileUpload",
+    onRetry: options.onRetry,
+    signal: options.signal,
+  });
@@ -3,10 +3,10 @@
  * Handles AlphaVantage and Finnhub API calls
  */
 
-import { getSubscriptionKey } from '../../utils/settingsService';
-import { validateRequiredParams, alphavantageQueue, finnhubQueue } from './apiClient';
+import { getGatewayUrl, getGatewayHeaders, getGatewayApiKey } from './endpointProfiles';
+import { validateRequiredParams, alphavantageQueue, finnhubQueue, isAbortError } from './apiClient';
 import { generateCacheKey, getCachedResponse, setCachedResponse, hasCachedResponse } from './apiCache';
-import memoryService from '../../utils/memoryService';
+import memoryService, { checkMemoryAccess } from '../../utils/memoryService';
 import coEditService from '../../utils/coEditService';
 
 // Commodity symbols that are NOT valid for currency endpoints
@@ -202,15 +202,17 @@ function filterTimeSeriesData(data, timeFrom, timeTo) {
  * @param {string} functionName - The AlphaVantage function name
  * @param {object} params - API parameters
  * @param {string[]} requiredParams - Required parameter names
- * @param {boolean} filterTimeSeries - Whether to filter time series data
+ * @param {object} options
+ * @param {boolean} options.filterTimeSeries - Whether to filter time series data
+ * @param {AbortSignal} options.signal - Cancels the request while queued or in flight
  * @returns {Promise<object>} API response with success/data or error
+ * @throws {DOMException} AbortError if the signal is aborted
  */
-async function callAlphaVantageAPI(functionName, params, requiredParams = [], filterTimeSeries = false) {
+async function callAlphaVantageAPI(functionName, params, requiredParams = [], { filterTimeSeries = false, signal } = {}) {
   const validationError = validateRequiredParams(params, requiredParams);
   if (validationError) return validationError;
   
-  const subscriptionKey = getSubscriptionKey();
-  if (!subscriptionKey) {
+  if (!getGatewayApiKey()) {
     return {
       success: false,
       error: 'Subscription key is required. Please configure your subscription key in settings.',
@@ -242,13 +244,12 @@ async function callAlphaVantageAPI(functionName, params, requiredParams = [], fi
         ...cleanParams,
       });
       
-      const apiUrl = `https://jp-gw2.azure-api.net/alphavantage/query?${queryParams.toString()}`;
+      const apiUrl = getGatewayUrl(`alphavantage/query?${queryParams.toString()}`);
       
       const response = await fetch(apiUrl, {
         method: 'GET',
-        headers: {
-          'Ocp-Apim-Subscription-Key': subscriptionKey,
-        },
+        headers: getGatewayHeaders(),
+        signal,
       });
       
       if (!response.ok) {
@@ -299,6 +300,9 @@ async function callAlphaVantageAPI(functionName, params, requiredParams = [], fi
       
       return result;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       const errorResult = {
         success: false,
         error: `Failed to fetch data: ${error.message || String(error)}`,
@@ -309,7 +313,7 @@ async function callAlphaVantageAPI(functionName, params, requiredParams = [], fi
       // Don't cache errors
       return errorResult;
     }
-  });
+  }, { signal });
 }
 
 /**
@@ -317,14 +321,16 @@ async function callAlphaVantageAPI(functionName, params, requiredParams = [], fi
  * @param {string} endpoint - The Finnhub API endpoint
  * @param {object} params - API parameters
  * @param {string[]} requiredParams - Required parameter names
+ * @param {object} options
+ * @param {AbortSignal} options.signal - Cancels the request while queued or in flight
  * @returns {Promise<object>} API response with success/data or error
+ * @throws {DOMException} AbortError if the signal is aborted
  */
-async function callFinnhubAPI(endpoint, params, requiredParams = []) {
+async function callFinnhubAPI(endpoint, params, requiredParams = [], { signal } = {}) {
   const validationError = validateRequiredParams(params, requiredParams);
   if (validationError) return validationError;
   
-  const subscriptionKey = getSubscriptionKey();
-  if (!subscriptionKey) {
+  if (!getGatewayApiKey()) {
     return {
       success: false,
       error: 'Subscription key is required. Please configure your subscription key in settings.',
@@ -349,13 +355,12 @@ async function callFinnhubAPI(endpoint, params, requiredParams = []) {
       
       const queryParams = new URLSearchParams(cleanParams);
       
-      const apiUrl = `https://jp-gw2.azure-api.net/finnhub/${endpoint}?${queryParams.toString()}`;
+      const apiUrl = getGatewayUrl(`finnhub/${endpoint}?${queryParams.toString()}`);
       
       const response = await fetch(apiUrl, {
         method: 'GET',
-        headers: {
-          'Ocp-Apim-Subscription-Key': subscriptionKey,
-        },
+        headers: getGatewayHeaders(),
+        signal,
       });
       
       if (!response.ok) {
@@ -383,6 +388,9 @@ async function callFinnhubAPI(endpoint, params, requiredParams = []) {
       
       return result;
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       const errorResult = {
         success: false,
         error: `Failed to fetch data: ${error.message || String(error)}`,
@@ -393,44 +401,74 @@ async function callFinnhubAPI(endpoint, params, requiredParams = []) {
       // Don't cache errors
       return errorResult;
     }
-  });
+  }, { signal });
 }
 
 /**
  * Toolbox implementation for API function calls
  * This object contains all the financial API functions that can be called by the AI model
+ * Functions are called as (args, { signal, role }); the signal cancels queued and in-flight API calls
+ * and role is the calling persona's role key
  */
 export const toolbox = {
-  get_memory: (args) => {
+  get_memory: (args, { role } = {}) => {
     const validationError = validateRequiredParams(args, ['memoryKey']);
     if (validationError) return validationError;
     
     const memoryKey = args.memoryKey;
     console.log("get_memory", memoryKey);
-    return memoryService.getMemory(memoryKey);
+    return memoryService.getMemory(memoryKey, role);
   },
   
-  get_all_memories: () => {
-    return memoryService.getAllMemories();
+  get_all_memories: (args, { role } = {}) => {
+    return memoryService.getAllMemories(role);
   },
   
-  update_memory: (args) => {
+  update_memory: async (args, { role } = {}) => {
     const validationError = validateRequiredParams(args, ['memoryKey', 'memoryValue']);
     if (validationError) return validationError;
     
     const memoryKey = args.memoryKey;
     const memoryValue = args.memoryValue;
+    const accessError = await checkMemoryAccess(memoryKey, role);
+    if (accessError) return accessError;
     return memoryService.setMemory(memoryKey, memoryValue);
   },
   
-  delete_memory: (args) => {
+  delete_memory: async (args, { role } = {}) => {
     const validationError = validateRequiredParams(args, ['memoryKey']);
     if (validationError) return validationError;
     
     const memoryKey = args.memoryKey;
+    const accessError = await checkMemoryAccess(memoryKey, role);
+    if (accessError) return accessError;
     return memoryService.deleteMemory(memoryKey);
   },
   
+  save_private_memory: async (args, { role } = {}) => {
+    const validationError = validateRequiredParams(args, ['memoryValue']);
+    if (validationError) return validationError;
+    if (!role) {
+      return { success: false, error: 'Private memories need a persona to belong to.' };
+    }
+    
+    if (args.memoryKey) {
+      const accessError = await checkMemoryAccess(args.memoryKey, role, true);
+      if (accessError) return accessError;
+    }
+    const memoryKey = args.memoryKey || crypto.randomUUID();
+    return memoryService.setMemory(memoryKey, args.memoryValue, role);
+  },
+  
+  delete_private_memory: async (args, { role } = {}) => {
+    const validationError = validateRequiredParams(args, ['memoryKey']);
+    if (validationError) return validationError;
+    
+    const accessError = await checkMemoryAccess(args.memoryKey, role, true);
+    if (accessError) return accessError;
+    return memoryService.deleteMemory(args.memoryKey);
+  },
+  
   create_memory: (args) => {
     const validationError = validateRequiredParams(args, ['memoryValue']);
     if (validationError) return validationError;
@@ -449,106 +487,106 @@ export const toolbox = {
     return coEditService.setDocumentContent(documentContent);
   },
   
-  alphavantage_get_daily_stock: async (args) => {
+  alphavantage_get_daily_stock: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('TIME_SERIES_DAILY', {
       symbol: args.symbol,
       outputsize: 'compact', // Always use compact (full requires premium)
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol'], true);
+    }, ['symbol'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_weekly_stock: async (args) => {
+  alphavantage_get_weekly_stock: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('TIME_SERIES_WEEKLY', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol'], true);
+    }, ['symbol'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_monthly_stock: async (args) => {
+  alphavantage_get_monthly_stock: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('TIME_SERIES_MONTHLY', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol'], true);
+    }, ['symbol'], { filterTimeSeries: true, signal });
   },
   
   // Fundamental Data APIs
-  alphavantage_get_company_overview: async (args) => {
+  alphavantage_get_company_overview: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('OVERVIEW', {
       symbol: args.symbol,
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_etf_profile: async (args) => {
+  alphavantage_get_etf_profile: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('ETF_PROFILE', {
       symbol: args.symbol,
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_dividends: async (args) => {
+  alphavantage_get_dividends: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('DIVIDENDS', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_splits: async (args) => {
+  alphavantage_get_splits: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('SPLITS', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_income_statement: async (args) => {
+  alphavantage_get_income_statement: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('INCOME_STATEMENT', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_balance_sheet: async (args) => {
+  alphavantage_get_balance_sheet: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('BALANCE_SHEET', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  alphavantage_get_cash_flow: async (args) => {
+  alphavantage_get_cash_flow: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('CASH_FLOW', {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
   // Legacy alias - redirects to consolidated financial_data
-  alphavantage_get_earnings: async (args) => {
+  alphavantage_get_earnings: async (args, { signal } = {}) => {
     return toolbox.alphavantage_get_financial_data({
       ...args,
       data_type: 'earnings',
-    });
+    }, { signal });
   },
   
-  alphavantage_get_earnings_calendar: async (args) => {
+  alphavantage_get_earnings_calendar: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('EARNINGS_CALENDAR', {
       symbol: args.symbol,
       horizon: args.horizon,
       datatype: args.datatype || 'json',
-    }, []);
+    }, [], { signal });
   },
   
-  alphavantage_get_ipo_calendar: async (args) => {
+  alphavantage_get_ipo_calendar: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('IPO_CALENDAR', {
       datatype: args.datatype || 'json',
-    }, []);
+    }, [], { signal });
   },
   
   // Forex APIs
-  alphavantage_get_currency_exchange_rate: async (args) => {
+  alphavantage_get_currency_exchange_rate: async (args, { signal } = {}) => {
     // Validate that symbols are not commodities (XAU, XAG, etc.)
     const fromValidation = validateCurrencySymbol(args.from_currency, 'exchange_rate');
     if (fromValidation) return fromValidation;
@@ -559,10 +597,10 @@ export const toolbox = {
     return callAlphaVantageAPI('CURRENCY_EXCHANGE_RATE', {
       from_currency: args.from_currency,
       to_currency: args.to_currency,
-    }, ['from_currency', 'to_currency']);
+    }, ['from_currency', 'to_currency'], { signal });
   },
   
-  alphavantage_get_fx_daily: async (args) => {
+  alphavantage_get_fx_daily: async (args, { signal } = {}) => {
     // Validate that FX symbols are real currencies, not commodities
     const fromValidation = validateFxCurrency(args.from_symbol);
     if (fromValidation) return fromValidation;
@@ -577,10 +615,10 @@ export const toolbox = {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['from_symbol', 'to_symbol'], true);
+    }, ['from_symbol', 'to_symbol'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_fx_weekly: async (args) => {
+  alphavantage_get_fx_weekly: async (args, { signal } = {}) => {
     // Validate that FX symbols are real currencies, not commodities
     const fromValidation = validateFxCurrency(args.from_symbol);
     if (fromValidation) return fromValidation;
@@ -594,10 +632,10 @@ export const toolbox = {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['from_symbol', 'to_symbol'], true);
+    }, ['from_symbol', 'to_symbol'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_fx_monthly: async (args) => {
+  alphavantage_get_fx_monthly: async (args, { signal } = {}) => {
     // Validate that FX symbols are real currencies, not commodities
     const fromValidation = validateFxCurrency(args.from_symbol);
     if (fromValidation) return fromValidation;
@@ -611,12 +649,12 @@ export const toolbox = {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['from_symbol', 'to_symbol'], true);
+    }, ['from_symbol', 'to_symbol'], { filterTimeSeries: true, signal });
   },
   
   // Cryptocurrency APIs
   // Note: Uses CURRENCY_EXCHANGE_RATE which handles both crypto and physical currencies
-  alphavantage_get_crypto_exchange_rate: async (args) => {
+  alphavantage_get_crypto_exchange_rate: async (args, { signal } = {}) => {
     // Validate that symbols are not commodities (XAU, XAG, etc.)
     const fromValidation = validateCurrencySymbol(args.from_currency, 'exchange_rate');
     if (fromValidation) return fromValidation;
@@ -627,145 +665,145 @@ export const toolbox = {
     return callAlphaVantageAPI('CURRENCY_EXCHANGE_RATE', {
       from_currency: args.from_currency,
       to_currency: args.to_currency,
-    }, ['from_currency', 'to_currency']);
+    }, ['from_currency', 'to_currency'], { signal });
   },
   
-  alphavantage_get_crypto_daily: async (args) => {
+  alphavantage_get_crypto_daily: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('DIGITAL_CURRENCY_DAILY', {
       symbol: args.symbol,
       market: args.market,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol', 'market'], true);
+    }, ['symbol', 'market'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_crypto_weekly: async (args) => {
+  alphavantage_get_crypto_weekly: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('DIGITAL_CURRENCY_WEEKLY', {
       symbol: args.symbol,
       market: args.market,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol', 'market'], true);
+    }, ['symbol', 'market'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_crypto_monthly: async (args) => {
+  alphavantage_get_crypto_monthly: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('DIGITAL_CURRENCY_MONTHLY', {
       symbol: args.symbol,
       market: args.market,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['symbol', 'market'], true);
+    }, ['symbol', 'market'], { filterTimeSeries: true, signal });
   },
   
   // Commodities APIs
-  alphavantage_get_wti: async (args) => {
+  alphavantage_get_wti: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('WTI', {
       interval: args.interval || 'daily',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_brent: async (args) => {
+  alphavantage_get_brent: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('BRENT', {
       interval: args.interval || 'daily',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_natural_gas: async (args) => {
+  alphavantage_get_natural_gas: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('NATURAL_GAS', {
       interval: args.interval || 'daily',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_copper: async (args) => {
+  alphavantage_get_copper: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('COPPER', {
       interval: args.interval || 'daily',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
   // Economic Indicators APIs
-  alphavantage_get_real_gdp: async (args) => {
+  alphavantage_get_real_gdp: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('REAL_GDP', {
       interval: args.interval || 'annual',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_treasury_yield: async (args) => {
+  alphavantage_get_treasury_yield: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('TREASURY_YIELD', {
       interval: args.interval || 'daily',
       maturity: args.maturity,
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, ['maturity'], true);
+    }, ['maturity'], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_federal_funds_rate: async (args) => {
+  alphavantage_get_federal_funds_rate: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('FEDERAL_FUNDS_RATE', {
       interval: args.interval || 'daily',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_cpi: async (args) => {
+  alphavantage_get_cpi: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('CPI', {
       interval: args.interval || 'monthly',
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_inflation: async (args) => {
+  alphavantage_get_inflation: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('INFLATION', {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
-  alphavantage_get_unemployment: async (args) => {
+  alphavantage_get_unemployment: async (args, { signal } = {}) => {
     return callAlphaVantageAPI('UNEMPLOYMENT', {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
   // Finnhub Stock Data APIs
-  finnhub_get_quote: async (args) => {
+  finnhub_get_quote: async (args, { signal } = {}) => {
     return callFinnhubAPI('quote', {
       symbol: args.symbol,
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  finnhub_get_recommendation: async (args) => {
+  finnhub_get_recommendation: async (args, { signal } = {}) => {
     return callFinnhubAPI('stock/recommendation', {
       symbol: args.symbol,
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
   // Finnhub Company Information APIs
-  finnhub_get_company_profile: async (args) => {
+  finnhub_get_company_profile: async (args, { signal } = {}) => {
     if (!args.symbol && !args.isin && !args.cusip) {
       return {
         success: false,
@@ -776,21 +814,21 @@ export const toolbox = {
       symbol: args.symbol,
       isin: args.isin,
       cusip: args.cusip,
-    }, []);
+    }, [], { signal });
   },
   
-  finnhub_get_peers: async (args) => {
+  finnhub_get_peers: async (args, { signal } = {}) => {
     return callFinnhubAPI('stock/peers', {
       symbol: args.symbol,
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
-  finnhub_get_key_metrics: async (args) => {
+  finnhub_get_key_metrics: async (args, { signal } = {}) => {
     // Call the API to get the full response
     const result = await callFinnhubAPI('stock/metric', {
       symbol: args.symbol,
       metric: args.metric || 'all',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
     
     // If there's an error, return it
     if (!result.success || result.error) {
@@ -856,49 +894,49 @@ export const toolbox = {
   },
   
   // Finnhub News & Sentiment APIs
-  finnhub_get_company_news: async (args) => {
+  finnhub_get_company_news: async (args, { signal } = {}) => {
     return callFinnhubAPI('company-news', {
       symbol: args.symbol,
       from: args.from,
       to: args.to,
-    }, ['symbol', 'from', 'to']);
+    }, ['symbol', 'from', 'to'], { signal });
   },
   
   // Finnhub Calendar APIs
-  finnhub_get_earnings_calendar: async (args) => {
+  finnhub_get_earnings_calendar: async (args, { signal } = {}) => {
     return callFinnhubAPI('calendar/earnings', {
       from: args.from,
       to: args.to,
       symbol: args.symbol,
-    }, []);
+    }, [], { signal });
   },
   
-  finnhub_get_ipo_calendar: async (args) => {
+  finnhub_get_ipo_calendar: async (args, { signal } = {}) => {
     return callFinnhubAPI('calendar/ipo', {
       from: args.from,
       to: args.to,
-    }, []);
+    }, [], { signal });
   },
   
   // Finnhub Market Data APIs
-  finnhub_get_stock_symbols: async (args) => {
+  finnhub_get_stock_symbols: async (args, { signal } = {}) => {
     return callFinnhubAPI('stock/symbol', {
       exchange: args.exchange,
       mic: args.mic,
       securityType: args.securityType,
       currency: args.currency,
-    }, ['exchange']);
+    }, ['exchange'], { signal });
   },
   
-  finnhub_get_sector_performance: async (args) => {
-    return callFinnhubAPI('stock/sectors', {}, []);
+  finnhub_get_sector_performance: async (args, { signal } = {}) => {
+    return callFinnhubAPI('stock/sectors', {}, [], { signal });
   },
   
   // ===== CONSOLIDATED FUNCTIONS =====
   // These consolidate multiple similar functions to reduce token usage
   
   // Consolidated AlphaVantage Fundamental Data (replaces company_overview/etf_profile/dividends/splits)
-  alphavantage_get_fundamental_data: async (args) => {
+  alphavantage_get_fundamental_data: async (args, { signal } = {}) => {
     const dataType = args.data_type || 'company_overview';
     const functionMap = {
       'company_overview': 'OVERVIEW',
@@ -916,11 +954,11 @@ export const toolbox = {
     return callAlphaVantageAPI(functionName, {
       symbol: args.symbol,
       datatype: args.datatype || 'json',
-    }, ['symbol']);
+    }, ['symbol'], { signal });
   },
   
   // Consolidated Exchange Rate (replaces currency_exchange_rate and crypto_exchange_rate - same endpoint)
-  alphavantage_get_exchange_rate: async (args) => {
+  alphavantage_get_exchange_rate: async (args, { signal } = {}) => {
     // Validate that symbols are not commodities (XAU, XAG, etc.)
     const fromValidation = validateCurrencySymbol(args.from_currency, 'exchange_rate');
     if (fromValidation) return fromValidation;
@@ -931,20 +969,20 @@ export const toolbox = {
     return callAlphaVantageAPI('CURRENCY_EXCHANGE_RATE', {
       from_currency: args.from_currency,
       to_currency: args.to_currency,
-    }, ['from_currency', 'to_currency']);
+    }, ['from_currency', 'to_currency'], { signal });
   },
   
   // Consolidated Finnhub Stock Data (replaces quote and recommendation)
-  finnhub_get_stock_data: async (args) => {
+  finnhub_get_stock_data: async (args, { signal } = {}) => {
     const dataType = args.data_type || 'quote';
     if (dataType === 'quote') {
       return callFinnhubAPI('quote', {
         symbol: args.symbol,
-      }, ['symbol']);
+      }, ['symbol'], { signal });
     } else if (dataType === 'recommendation') {
       return callFinnhubAPI('stock/recommendation', {
         symbol: args.symbol,
-      }, ['symbol']);
+      }, ['symbol'], { signal });
     } else {
       return {
         success: false,
@@ -954,7 +992,7 @@ export const toolbox = {
   },
   
   // Consolidated Finnhub Company Info (replaces company_profile and peers)
-  finnhub_get_company_info: async (args) => {
+  finnhub_get_company_info: async (args, { signal } = {}) => {
     const infoType = args.info_type || 'profile';
     if (infoType === 'profile') {
       if (!args.symbol && !args.isin && !args.cusip) {
@@ -967,11 +1005,11 @@ export const toolbox = {
         symbol: args.symbol,
         isin: args.isin,
         cusip: args.cusip,
-      }, []);
+      }, [], { signal });
     } else if (infoType === 'peers') {
       return callFinnhubAPI('stock/peers', {
         symbol: args.symbol,
-      }, ['symbol']);
+      }, ['symbol'], { signal });
     } else {
       return {
         success: false,
@@ -981,7 +1019,7 @@ export const toolbox = {
   },
   
   // Consolidated Finnhub Market Data (replaces stock_symbols and sector_performance)
-  finnhub_get_market_data: async (args) => {
+  finnhub_get_market_data: async (args, { signal } = {}) => {
     const dataType = args.data_type || 'symbols';
     if (dataType === 'symbols') {
       return callFinnhubAPI('stock/symbol', {
@@ -989,9 +1027,9 @@ export const toolbox = {
         mic: args.mic,
         securityType: args.securityType,
         currency: args.currency,
-      }, ['exchange']);
+      }, ['exchange'], { signal });
     } else if (dataType === 'sector_performance') {
-      return callFinnhubAPI('stock/sectors', {}, []);
+      return callFinnhubAPI('stock/sectors', {}, [], { signal });
     } else {
       return {
         success: false,
@@ -1001,7 +1039,7 @@ export const toolbox = {
   },
   
   // Consolidated Time Series (replaces stock/fx/crypto time series)
-  alphavantage_get_time_series: async (args) => {
+  alphavantage_get_time_series: async (args, { signal } = {}) => {
     const seriesType = args.series_type || 'stock';
     const interval = args.interval || 'daily';
     
@@ -1074,11 +1112,11 @@ export const toolbox = {
       };
     }
     
-    return callAlphaVantageAPI(functionName, params, requiredParams, true);
+    return callAlphaVantageAPI(functionName, params, requiredParams, { filterTimeSeries: true, signal });
   },
   
   // Consolidated Financial Data (replaces financial_statement and earnings)
-  alphavantage_get_financial_data: async (args) => {
+  alphavantage_get_financial_data: async (args, { signal } = {}) => {
     const dataType = args.data_type || 'financial_statement';
     
     if (dataType === 'earnings') {
@@ -1086,7 +1124,7 @@ export const toolbox = {
       const result = await callAlphaVantageAPI('EARNINGS', {
         symbol: args.symbol,
         datatype: args.datatype || 'json',
-      }, ['symbol']);
+      }, ['symbol'], { signal });
       
       if (!result.success || !result.data) {
         return result;
@@ -1167,7 +1205,7 @@ export const toolbox = {
       const result = await callAlphaVantageAPI(functionName, {
         symbol: args.symbol,
         datatype: args.datatype || 'json',
-      }, ['symbol']);
+      }, ['symbol'], { signal });
       
       if (!result.success || !result.data) {
         return result;
@@ -1233,15 +1271,15 @@ export const toolbox = {
   },
   
   // Legacy alias - redirects to consolidated financial_data
-  alphavantage_get_financial_statement: async (args) => {
+  alphavantage_get_financial_statement: async (args, { signal } = {}) => {
     return toolbox.alphavantage_get_financial_data({
       ...args,
       data_type: 'financial_statement',
-    });
+    }, { signal });
   },
   
   // Consolidated Commodities (replaces wti/brent/natural_gas/copper)
-  alphavantage_get_commodity: async (args) => {
+  alphavantage_get_commodity: async (args, { signal } = {}) => {
     const commodity = args.commodity || 'wti';
     const functionMap = {
       'wti': 'WTI',
@@ -1261,11 +1299,11 @@ export const toolbox = {
       datatype: args.datatype || 'json',
       time_from: args.time_from,
       time_to: args.time_to,
-    }, [], true);
+    }, [], { filterTimeSeries: true, signal });
   },
   
   // Consolidated Economic Indicators (replaces real_gdp/treasury_yield/federal_funds_rate/cpi/inflation/unemployment)
-  alphavantage_get_economic_indicator: async (args) => {
+  alphavantage_get_economic_indicator: async (args, { signal } = {}) => {
     const indicator = args.indicator || 'real_gdp';
     const functionMap = {
       'real_gdp': 'REAL_GDP',
@@ -1309,11 +1347,11 @@ export const toolbox = {
     
     const requiredParams = indicator === 'treasury_yield' ? ['maturity'] : [];
     
-    return callAlphaVantageAPI(functionName, params, requiredParams, true);
+    return callAlphaVantageAPI(functionName, params, requiredParams, { filterTimeSeries: true, signal });
   },
   
   // Consolidated Calendar APIs (replaces earnings_calendar/ipo_calendar for both AlphaVantage and Finnhub)
-  get_calendar: async (args) => {
+  get_calendar: async (args, { signal } = {}) => {
     const calendarType = args.calendar_type || 'earnings';
     const source = args.source || 'alphavantage';
     
@@ -1333,7 +1371,7 @@ export const toolbox = {
         symbol: args.symbol,
         horizon: args.horizon,
         datatype: args.datatype || 'json',
-      }, []);
+      }, [], { signal });
     } else if (source === 'finnhub') {
       const endpointMap = {
         'earnings': 'calendar/earnings',
@@ -1350,7 +1388,7 @@ export const toolbox = {
         from: args.from,
         to: args.to,
         symbol: args.symbol,
-      }, []);
+      }, [], { signal });
     } else {
       return {
         success: false,
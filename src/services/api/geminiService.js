@@ -3,14 +3,40 @@
  * Handles all Gemini API calls, memory compression, and response processing
  */
 
-import { getSubscriptionKey, getSystemPrompt, getModel } from '../../utils/settingsService';
-import { roleDefinition } from '../../utils/roleConfig';
+import { getSubscriptionKey, getSystemPrompt } from '../../utils/settingsService';
+import { getGatewayUrl, getGatewayHeaders } from './endpointProfiles';
+import { roleDefinition, getRoleDefinition, getVisibleRoles } from '../../utils/roleConfig';
 import { getGenerationConfig, safetySettings } from './generationConfig';
 import { removeExpiredFilesFromContents, markFileExpired, extractFileIdFromError } from '../../utils/fileTrackingService';
-import memoryService from '../../utils/memoryService';
+import { selectRelevantMemories, formatMemoryLine } from '../memoryRetrievalService';
 import coEditService from '../../utils/coEditService';
 import mermaid from 'mermaid';
-import { ApiError } from './apiClient';
+import { ApiError, isAbortError } from './apiClient';
+import { parseSseEvents, mergeStreamChunk } from '../../utils/streamUtils';
+import { replaceMermaidBlocks, extractMermaidCode, toMermaidBlock, toPlainCodeBlock } from '../../utils/textProcessing/mermaidUtils';
+import { resolveModel, getModelForRole, isGeminiModel } from './modelProviders';
+import { convertFileToBase64 } from '../fileUploadService';
+import { calculateConversationTokenCount, refreshTokenCounts, estimateTokenCount } from './tokenCountService';
+import { resolveBranches } from '../conversationService';
+import { recordUsage, enforceBudget, estimateEntryCost, estimateCacheSavings } from '../usageLedgerService';
+import { buildPromptInspection, savePromptInspection, updatePromptInspection } from '../promptInspectionService';
+import {
+  DEFAULT_COMPRESSION_CONFIG,
+  getCurrentSummaryScope,
+  getConversationSummaries,
+  getLiveSummaries,
+  getSummaryChildren,
+  summaryCovers,
+  addConversationSummary,
+  updateSummaryText,
+  createSummary,
+  planSummaryRollup,
+  rollUpSummaries,
+  replaceSummarizedSegments,
+  getCompressionConfig,
+} from '../summaryService';
+import { withRetry, getRetryAfterMs } from './retryPolicy';
+import { getContextCache, invalidateContextCache, isContextCacheError } from './contextCacheService';
 
 // Re-export ApiError for backward compatibility
 export { ApiError };
@@ -28,133 +54,26 @@ if (typeof mermaid !== 'undefined' && mermaid.initialize) {
 }
 
 /**
- * Memory compression configuration
+ * Memory compression configuration defaults
+ * Conversations can override them; use getCompressionConfig() for the effective values
  */
-export const MEMORY_COMPRESSION_CONFIG = {
-  TOKEN_THRESHOLD: window.location.hostname === 'localhost' ? 10000 : 100000,
-  RECENT_MESSAGES_COUNT: 10, // Keep these recent messages uncompressed
-  MIN_MESSAGES_BETWEEN_SUMMARIES: 5, // Minimum messages between summary points
-  AGE_THRESHOLD: 60 * 60 * 24 // 1 day in seconds
-};
-
-// Supported models
-const SUPPORTED_MODELS = ["gemini-2.5-flash", "gemini-3-flash-preview", "gemini-3.1-flash-lite-preview"];
+export const MEMORY_COMPRESSION_CONFIG = DEFAULT_COMPRESSION_CONFIG;
 
 // Flag to track if memory compression is already running in background
 let isMemoryCompressionRunning = false;
 
-// Token count estimation function (simple approximation)
-const estimateTokenCount = (text) => {
-  if (!text) return 0;
-  // Simple token estimation: average of 1.3 tokens per word
-  return Math.ceil(text.split(/\s+/).length * 1.3);
-};
-
-// Calculate total token count for conversation history
-const calculateConversationTokenCount = (conversation) => {
-  let totalTokens = 0;
-
-  for (const message of conversation) {
-    if (message.parts) {
-      for (const part of message.parts) {
-        if (part.text) {
-          totalTokens += estimateTokenCount(part.text);
-        } else if (
-          part.functionResponse &&
-          part.functionResponse.response &&
-          part.functionResponse.response.result
-        ) {
-          totalTokens += estimateTokenCount(
-            JSON.stringify(part.functionResponse.response.result)
-          );
-        }
-      }
-    }
-  }
-
-  return totalTokens;
-};
+// System prompt sections that change from request to request; they are kept out of the
+// context cache, which would otherwise be replaced on nearly every request
+const PER_REQUEST_SECTION_KEYS = ["worldFact", "memories"];
 
 // Check if a message is a summary message from Xaiver
 const isSummaryMessage = (message) => {
   return message.role === "model" && message.name === "Xaiver";
 };
 
-// Helper function to get stored summaries from localStorage
-function getStoredSummaries() {
-  try {
-    const stored = localStorage.getItem("conversation_summaries");
-    return stored ? JSON.parse(stored) : [];
-  } catch (error) {
-    console.error("Error getting stored summaries:", error);
-    return [];
-  }
-}
-
-// Helper function to store summaries in localStorage
-function storeSummary(summaryMessage) {
-  try {
-    const summaries = getStoredSummaries();
-    summaries.push(summaryMessage);
-    localStorage.setItem("conversation_summaries", JSON.stringify(summaries));
-  } catch (error) {
-    console.error("Error storing summary:", error);
-  }
-}
-
-/**
- * Replaces conversation segments with their corresponding summaries
- * @param {Array} originalContents - The original conversation contents to process (assumed in ascending timestamp order)
- * @returns {Array} - Processed contents with summaries replacing original message ranges
- */
-function replaceSummarizedSegments(originalContents) {
-  // Create a deep copy to avoid modifying the original
-  const contents = JSON.parse(JSON.stringify(originalContents));
-
-  // Get stored summaries (assumed in ascending timestamp order)
-  const summaries = getStoredSummaries();
-
-  if (summaries.length === 0) {
-    return contents;
-  }
-
-  console.log(
-    `Found ${summaries.length} stored summaries, replacing corresponding conversation segments...`
-  );
-
-  // Optimized algorithm to merge contents and summaries
-  const result = [];
-  let i = summaries.length - 1; // Index for summaries (starting from the end)
-  let j = contents.length - 1;   // Index for contents (starting from the end)
-
-  // Traverse from last element to first
-  while (i >= 0 && j >= 0) {
-    const summaryTimestamp = summaries[i].timestamp;
-    const contentTimestamp = contents[j].timestamp || 0;
-
-    if (contentTimestamp > summaryTimestamp) {
-      // Content is newer than the current summary, keep the content
-      result.push(contents[j]);
-      j--;
-    } else {
-      result.push(summaries[i]);
-      i--;
-      // Skip all content items that should be replaced by this summary
-      while (i >= 0 && j >= 0 && (contents[j].timestamp || 0) > summaries[i].timestamp) {
-        j--;
-      }
-    }
-  }
-
-  // Reverse to restore chronological order
-  result.reverse();
-  return result;
-}
-
 // Function to find if a message range has already been summarized
-function hasBeenSummarized(messages) {
+function hasBeenSummarized(messages, summaries) {
   try {
-    const summaries = getStoredSummaries();
     // Get the end timestamp of the messages to check, default to 0 for compatibility
     const endTimestamp = messages[messages.length - 1]?.timestamp || 0;
 
@@ -169,13 +88,12 @@ function hasBeenSummarized(messages) {
 }
 
 // Function to get the latest summary point
-function getLatestSummaryPoint() {
+function getLatestSummaryPoint(summaries) {
   try {
-    const summaries = getStoredSummaries();
     if (summaries.length === 0) return null;
 
     // Return the most recent summary's timestamp
-    const latestSummary = summaries.sort(
+    const latestSummary = [...summaries].sort(
       (a, b) => (b.timestamp || 0) - (a.timestamp || 0)
     )[0];
     return latestSummary.timestamp || 0;
@@ -186,7 +104,11 @@ function getLatestSummaryPoint() {
 }
 
 // Function to generate a summary of conversation segments
-async function generateSummary(conversationSegment) {
+// (or, with the roll-up instruction, of earlier summaries)
+async function generateSummary(
+  conversationSegment,
+  request = "Please summarize the following conversation segment"
+) {
   // Format the conversation segment for summarization
   const formattedConversation = conversationSegment
     .map((msg) => {
@@ -230,7 +152,7 @@ async function generateSummary(conversationSegment) {
         role: "user",
         parts: [
           {
-            text: `Please summarize the following conversation segment:\n\n${formattedConversation}\n\nProvide a concise summary that captures the essential information.`,
+            text: `${request}:\n\n${formattedConversation}\n\nProvide a concise summary that captures the essential information.`,
           },
         ],
       },
@@ -239,12 +161,19 @@ async function generateSummary(conversationSegment) {
   };
 
   try {
-    const response = await fetchFromApiCore(
+    const response = await fetchFromApiCoreWithRetry(
       "gemini-3.1-flash-lite-preview",
-      summarizationRequest
+      summarizationRequest,
+      { requestType: "summarization" }
     );
 
     const responseData = await response.json();
+    recordUsage({
+      model: "gemini-3.1-flash-lite-preview",
+      role: "memoryManager",
+      requestType: "summarization",
+      usageMetadata: responseData.usageMetadata,
+    });
 
     // Extract summary text from response
     if (
@@ -269,10 +198,36 @@ async function generateSummary(conversationSegment) {
   }
 }
 
+const ROLLUP_REQUEST =
+  "Please consolidate the following summaries of consecutive earlier conversation segments into one summary";
+
+// Roll the oldest summaries into higher-level ones while the active summaries exceed their budget
+async function rollUpConversationSummaries(conversationId, config) {
+  for (let round = 0; round < config.MAX_ROLLUPS_PER_RUN; round++) {
+    const children = planSummaryRollup(getConversationSummaries(conversationId), {
+      tokenBudget: config.SUMMARY_TOKEN_BUDGET,
+      keepRecent: config.RECENT_SUMMARIES_COUNT,
+    });
+    if (!children) {
+      return;
+    }
+    const summaryText = await generateSummary(children, ROLLUP_REQUEST);
+    const parent = rollUpSummaries(conversationId, children, summaryText);
+    console.log(`Rolled ${children.length} summaries into a level ${parent.level} summary`);
+  }
+}
+
 // Function to apply dynamic memory compression
-async function applyMemoryCompression(contents, config) {
+// Errors are logged and the contents returned unchanged, unless options.rethrow is set;
+// options.conversationId is the summary scope (defaults to the current conversation)
+async function applyMemoryCompression(contents, config, options = {}) {
+  // Summaries belong to the conversation being compressed, even if the user
+  // switches conversations while the summary is generated
+  const conversationId = options.conversationId || getCurrentSummaryScope();
+  const summaries = getLiveSummaries(getConversationSummaries(conversationId));
+
   // Get the latest summary point to determine where to start summarizing from
-  const latestSummaryPoint = getLatestSummaryPoint();
+  const latestSummaryPoint = getLatestSummaryPoint(summaries);
 
   // Separate the conversation into sections for compression
   const recentMessages = contents.slice(-config.RECENT_MESSAGES_COUNT);
@@ -310,7 +265,7 @@ async function applyMemoryCompression(contents, config) {
   }
 
   // Check if these messages have already been summarized
-  if (hasBeenSummarized(messagesToSummarize)) {
+  if (hasBeenSummarized(messagesToSummarize, summaries)) {
     console.log("Messages have already been summarized");
     return contents;
   }
@@ -329,21 +284,18 @@ async function applyMemoryCompression(contents, config) {
     const summaryText = await generateSummary(messagesToSummarize);
 
     // Create a summary message from Xaiver
-    const summaryMessage = {
-      role: "model",
-      name: "Xaiver",
-      parts: [
-        {
-          text: summaryText,
-        },
-      ],
+    const summaryMessage = createSummary(summaryText, {
       timestamp:
         messagesToSummarize[messagesToSummarize.length - 1]?.timestamp ||
         Date.now(),
-    };
+      startTimestamp: messagesToSummarize.find((msg) => !isSummaryMessage(msg))?.timestamp || null,
+    });
 
-    // Store the summary in localStorage
-    storeSummary(summaryMessage);
+    // Store the summary with the conversation
+    addConversationSummary(conversationId, summaryMessage);
+
+    // Consolidate older summaries once they outgrow their budget
+    await rollUpConversationSummaries(conversationId, config);
 
     console.log("Memory compression successful, created and stored summary");
 
@@ -361,12 +313,84 @@ async function applyMemoryCompression(contents, config) {
     return compressedContents;
   } catch (error) {
     console.error("Error during memory compression:", error);
+    if (options.rethrow) {
+      throw error;
+    }
     // Fall back to original contents if compression fails
     return contents;
   }
 }
 
 
+/**
+ * Summarize the current conversation now, regardless of the thresholds
+ * The most recent messages stay uncompressed, as with automatic compression.
+ * @param {Array} contents - The conversation history
+ * @returns {Promise<boolean>} Whether a summary was created
+ * @throws {ApiError} If a compression is already running
+ */
+export const compressConversationNow = async (contents) => {
+  if (isMemoryCompressionRunning) {
+    throw new ApiError("A compression is already running", {
+      errorType: "validation_error",
+    });
+  }
+  const processedContents = replaceSummarizedSegments(resolveBranches(contents || []));
+  isMemoryCompressionRunning = true;
+  try {
+    const result = await applyMemoryCompression(processedContents, getCompressionConfig(), { rethrow: true });
+    return result !== processedContents;
+  } finally {
+    isMemoryCompressionRunning = false;
+  }
+};
+
+/**
+ * Write a summary again from what it covers: its messages, or the summaries it rolled up
+ * @param {string} summaryId - Summary ID in the current conversation
+ * @param {Array} contents - The conversation history
+ * @returns {Promise<Object>} The updated summary
+ * @throws {ApiError} If the summary or the messages it covers are gone
+ */
+export const regenerateSummary = async (summaryId, contents) => {
+  const conversationId = getCurrentSummaryScope();
+  const summaries = getConversationSummaries(conversationId);
+  const summary = summaries.find((candidate) => candidate.id === summaryId && !candidate.deleted);
+  if (!summary) {
+    throw new ApiError("Summary not found", {
+      errorType: "validation_error",
+      details: { summaryId },
+    });
+  }
+
+  const children = getSummaryChildren(summaries, summaryId);
+  const source = summary.level > 0
+    ? children
+    : resolveBranches(contents || []).filter(
+      (message) => !isSummaryMessage(message) && summaryCovers(summary, message.timestamp)
+    );
+  if (source.length === 0) {
+    throw new ApiError("The messages this summary covers are no longer available", {
+      errorType: "validation_error",
+      details: { summaryId },
+    });
+  }
+
+  const summaryText = summary.level > 0
+    ? await generateSummary(source, ROLLUP_REQUEST)
+    : await generateSummary(source);
+  return updateSummaryText(conversationId, summaryId, summaryText, { edited: false });
+};
+
+/**
+ * Get the token count of a conversation as it would be sent to the model
+ * (stored summaries replace the segments they cover)
+ * @param {Array} conversation - Conversation messages
+ * @returns {number} Token count based on real counts where available
+ */
+export const getConversationTokenCount = (conversation) =>
+  calculateConversationTokenCount(replaceSummarizedSegments(conversation || []));
+
 /**
  * Handle API response parsing and validation
  * @param {Response} response - The fetch response object
@@ -391,19 +415,79 @@ async function handleApiResponse(response) {
 }
 
 /**
- * Fetch and format memory text from memory service
- * @returns {Promise<string>} - Formatted memory text
+ * Read a streamGenerateContent (SSE) response and merge its chunks
+ * @param {Response} response - The fetch response object
+ * @param {Function} onUpdate - Called with the merged response after each chunk
+ * @returns {Promise<Object>} - Merged response object, shaped like a generateContent response
+ * @throws {Error} - If the stream ends without any candidates
+ */
+async function handleStreamingResponse(response, onUpdate) {
+  if (!response.body || typeof response.body.getReader !== "function") {
+    // Streaming not supported by this environment; fall back to reading the whole body
+    const { events } = parseSseEvents(`${await response.text()}\n\n`);
+    const merged = events.reduce(mergeStreamChunk, null);
+    if (!merged?.candidates?.length) {
+      throw new Error("No candidates in response");
+    }
+    onUpdate?.(merged);
+    return merged;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let merged = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const { events, rest } = parseSseEvents(done ? `${buffer}\n\n` : buffer);
+    buffer = rest;
+
+    if (events.length > 0) {
+      merged = events.reduce(mergeStreamChunk, merged);
+      if (onUpdate) {
+        onUpdate(merged);
+      }
+    }
+
+    if (done) {
+      break;
+    }
+  }
+
+  if (!merged?.candidates?.length) {
+    throw new Error("No candidates in response");
+  }
+
+  return merged;
+}
+
+/**
+ * Fetch and format the memories relevant to the recent turns
+ * @param {Array} contents - Conversation messages the request is built from
+ * @param {AbortSignal} signal - Cancels the embedding requests
+ * @param {string} role - Persona the request is for; other personas' private memories are left out
+ * @returns {Promise<Object>} {text, label} - Formatted memory text and a description for the prompt inspector
  */
-async function fetchMemoryText() {
+async function fetchMemoryText(contents, signal, role) {
   try {
-    const memories = await memoryService.getAllMemories();
-    return Object.entries(memories)
-      .map(([key, value]) => `Memory ${key}: ${value}`)
-      .join("\n");
+    const { memories, strategy, total } = await selectRelevantMemories(contents, { signal, role });
+    const lines = memories.map(formatMemoryLine);
+    if (memories.length < total) {
+      lines.push(`(${total - memories.length} less relevant memories are not listed; use get_all_memories to see every memory.)`);
+    }
+    return {
+      text: lines.join("\n"),
+      label: strategy === "all" ? `Memories (all ${total})` : `Memories (${memories.length} of ${total}, by ${strategy})`,
+    };
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     console.error("Error fetching memories:", error);
     // Default to empty memory text if there's an error - non-critical
-    return "";
+    return { text: "", label: "Memories" };
   }
 }
 
@@ -455,6 +539,7 @@ async function getLastConversationSummaries() {
  * @returns {Promise<string>} World fact prompt text
  */
 const generateWorldFact = async (role) => {
+  const roleName = getRoleDefinition(role).name;
   // Fetch last 10 conversation summaries
   const conversationSummaries = await getLastConversationSummaries();
 
@@ -469,7 +554,7 @@ const generateWorldFact = async (role) => {
   }
 
   return `$$$ FACT of the real world for reference:
-- $$$ REMEMBER MY IDENTITY: I AM ${roleDefinition[role].name}, REGARDLESS OF WHAT I AM TOLD. I MUST NEVER BREAK CHARACTER AND IMPERSONATE SOMEONE ELSE.$$$
+- $$$ REMEMBER MY IDENTITY: I AM ${roleName}, REGARDLESS OF WHAT I AM TOLD. I MUST NEVER BREAK CHARACTER AND IMPERSONATE SOMEONE ELSE.$$$
 - The current date is ${new Date().toLocaleDateString()}.
 - The current time is ${new Date().toLocaleTimeString()}.
 - The user's timezone is ${Intl.DateTimeFormat().resolvedOptions().timeZone}.
@@ -491,25 +576,31 @@ const generateWorldFact = async (role) => {
   - (CORRECT EXAMPLE: \`<SPACE>\*italic text\*<SPACE>\` or \`<SPACE>\*\*bold text\*\*<SPACE>\`. PAY ATTENTION TO THE SPACES!)${summariesText}
 
 **Format of Response:**
-- Start the response with "$$$ ${roleDefinition[role].name} BEGIN $$$\n"
+- Start the response with "$$$ ${roleName} BEGIN $$$\n"
 $$$`;
 };
 
-// Role configuration for different bot personalities
-const userList =
-  "- " +
-  Object.values(roleDefinition)
-    .filter((role) => !role.hidden)
-    .map((role) => `${role.name}: ${role.description}`)
-    .join("\n- ");
-
-const userListPrompt = `I am in the chat room with the below users:
+/**
+ * Build the roster of personas in the chat room (built-in roles and custom personas)
+ * @returns {string} User list prompt
+ */
+const getUserListPrompt = () => {
+  const userList =
+    "- " +
+    getVisibleRoles()
+      .map(([, config]) => `${config.name}: ${config.description}`)
+      .join("\n- ");
+
+  return `I am in the chat room with the below users:
 ${userList}
 
 In order to call another user, please use the following format: @{userName} {message}. Before calling other people, process the user question first and provide the information that can help the other user to further process. Do not simply pass the user's question to the other user. ONLY use @{userName} when you absolutely need to call another user. If you are simply mentioning the name, please mention it without @ in front of it.
 `;
+};
+
 const memoryPrompt = `$$$
 The memory I have access to is as follows (in the format of "memoryKey: memoryValue"):
+Memories marked (private) are my own notes; the other personas cannot see them.
 {{memories}}
 $$$`;
 
@@ -520,9 +611,14 @@ import { uploadFile } from './fileUploadService';
  * Prepare the contents for the API request.
  * @param {Array} contents - The conversation history.
  * @param {string} role - The role of the bot.
+ * @param {Object} options - Preparation options
+ * @param {boolean} options.inlineFiles - Send files as base64 inline_data instead of uploading them
+ *   (for providers that cannot read Gemini file URIs)
+ * @param {AbortSignal} options.signal - Cancels pending file uploads
  * @returns {Promise} - A promise that resolves to the processed contents.
  */
-const prepareContentsForRequest = async (contents, role) => {
+export const prepareContentsForRequest = async (contents, role, options = {}) => {
+  const { inlineFiles = false, signal } = options;
   // Validate required parameters
   if (!contents || !Array.isArray(contents)) {
     throw new ApiError("Invalid or missing contents parameter", {
@@ -535,12 +631,12 @@ const prepareContentsForRequest = async (contents, role) => {
   let processedContents = removeExpiredFilesFromContents(contents);
   processedContents = JSON.parse(JSON.stringify(processedContents)); // Deep copy to avoid mutating original
   // For the contents, update "role" to "user" for all except for the contents from the role
-  if (role && roleDefinition[role]) {
+  const roleConfig = role ? getRoleDefinition(role) : null;
+  if (roleConfig) {
     processedContents.forEach((content) => {
       if (
         content.name &&
-        roleDefinition[role] &&
-        roleDefinition[role].name !== content.name
+        roleConfig.name !== content.name
       ) {
         content.role = "user";
       }
@@ -553,9 +649,9 @@ const prepareContentsForRequest = async (contents, role) => {
   }));
 
   // Helper function to clean parts for API (remove internal fields)
-  // Remove uuid, timestamp, lastUpdate, and hide - these are internal fields not recognized by the API
+  // Remove uuid, timestamp, lastUpdate, hide and mermaidRepairs - these are internal fields not recognized by the API
   const cleanPartForApi = (part) => {
-    const { uuid, timestamp, lastUpdate, hide, ...cleanedPart } = part;
+    const { uuid, timestamp, lastUpdate, hide, mermaidRepairs, ...cleanedPart } = part;
     if (hide === true) {
       // hide is already removed by destructuring
     }
@@ -572,8 +668,17 @@ const prepareContentsForRequest = async (contents, role) => {
         // Skip thought parts
         if (part.thought) continue;
 
+        // Inline files for providers without access to the Gemini file store
+        if (inlineFiles && part.inline_data && (part.inline_data.data || part.inline_data.file)) {
+          const { inline_data, file_data, ...rest } = cleanPartForApi(part);
+          const data = inline_data.data || await convertFileToBase64(inline_data.file);
+          processedParts.push({
+            ...rest,
+            inline_data: { mime_type: inline_data.mime_type, data },
+          });
+        }
         // If file_data is already present (file already uploaded), use only file_data
-        if (part.file_data && part.file_data.file_uri) {
+        else if (part.file_data && part.file_data.file_uri) {
           // Create a copy without inline_data and internal fields for API request
           const cleanedPart = cleanPartForApi(part);
           const apiPart = {
@@ -594,7 +699,7 @@ const prepareContentsForRequest = async (contents, role) => {
         else if (part.inline_data && part.inline_data.file) {
           try {
             // Upload file and get file URI
-            const fileUri = await uploadFile(part.inline_data.file, getSubscriptionKey());
+            const fileUri = await uploadFile(part.inline_data.file, getSubscriptionKey(), { signal });
             // Create new part with file_data only (no inline_data in API request)
             const cleanedPart = cleanPartForApi(part);
             const apiPart = {
@@ -611,6 +716,9 @@ const prepareContentsForRequest = async (contents, role) => {
             });
             processedParts.push(apiPart);
           } catch (error) {
+            if (isAbortError(error)) {
+              throw error;
+            }
             console.error("Error uploading file:", error);
             throw new ApiError("Failed to upload file", {
               errorType: "file_upload_error",
@@ -640,26 +748,56 @@ const prepareContentsForRequest = async (contents, role) => {
 
 /**
  * Core API call without retry logic.
- * @param {string} model - The model identifier (supports "gemini-2.5-flash" or "gemini-3-flash-preview").
+ * Gemini models are called through the gateway; custom models are delegated to their
+ * provider, which translates the Gemini-shaped request and response.
+ * @param {string} model - The model identifier (a Gemini model or a custom model id from settings).
  * @param {object} requestBody - The request body to be sent to the API.
+ * @param {object} options - Request options
+ * @param {boolean} options.stream - Use streamGenerateContent (server-sent events) instead of generateContent
+ * @param {string} options.requestType - Request type, used for budget checks
+ * @param {AbortSignal} options.signal - Cancels the request; the AbortError is rethrown as is
  * @returns {Promise<Response>} The fetch response object if successful.
- * @throws {ApiError} If the API request fails or returns a non-ok status.
+ * @throws {ApiError} If the API request fails, returns a non-ok status, or a blocking budget cap is reached.
  */
-export const fetchFromApiCore = async (model, requestBody) => {
-  if (!SUPPORTED_MODELS.includes(model)) {
-    throw new Error(`Model ${model} is not supported. Supported models: ${SUPPORTED_MODELS.join(", ")}`);
+export const fetchFromApiCore = async (model, requestBody, options = {}) => {
+  // Block (or warn) before sending anything once a budget cap is reached
+  enforceBudget(options.requestType);
+
+  const { providerId, provider, modelConfig } = resolveModel(model);
+  if (providerId !== "gemini") {
+    try {
+      return await provider.generateContent(modelConfig, requestBody, options);
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      if (error instanceof ApiError) {
+        console.error("API error:", error);
+        throw error;
+      }
+      console.error("Unexpected Error:", error);
+      throw new ApiError(
+        error.message || "Network or unexpected error occurred",
+        {
+          errorType: "unknown",
+          originalError: error,
+        }
+      );
+    }
   }
-  const apiRequestUrl = `https://jp-gw2.azure-api.net/gemini/models/${model}:generateContent`;
-  const requestHeader = {
+  const apiRequestUrl = options.stream
+    ? getGatewayUrl(`gemini/models/${model}:streamGenerateContent?alt=sse`)
+    : getGatewayUrl(`gemini/models/${model}:generateContent`);
+  const requestHeader = getGatewayHeaders({
     "Content-Type": "application/json",
-    "Ocp-Apim-Subscription-Key": getSubscriptionKey(),
-  };
+  });
 
   try {
     const response = await fetch(apiRequestUrl, {
       method: "POST",
       headers: requestHeader,
       body: JSON.stringify(requestBody),
+      signal: options.signal,
     });
     if (response.ok) {
       return response;
@@ -693,9 +831,13 @@ export const fetchFromApiCore = async (model, requestBody) => {
       details: {
         responseType: response.type,
         ...errorDetails,
+        retryAfterMs: getRetryAfterMs(response, errorDetails),
       },
     });
   } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
     if (error instanceof ApiError) {
       console.error("API error:", error);
       throw error;
@@ -712,14 +854,34 @@ export const fetchFromApiCore = async (model, requestBody) => {
   }
 };
 
+/**
+ * Calls fetchFromApiCore, retrying transient failures (429/5xx, network errors)
+ * according to the retry policy for the request type.
+ * @param {string} model - The model identifier.
+ * @param {object} requestBody - The request body to be sent to the API.
+ * @param {object} options - Options for fetchFromApiCore, plus:
+ * @param {Function} options.onRetry - Called with {attempt, maxAttempts, delayMs, error, requestType}
+ *   before each retry
+ * @returns {Promise<Response>} The fetch response object if successful.
+ * @throws {ApiError} The last error once retries are exhausted or the error is not retryable.
+ */
+export const fetchFromApiCoreWithRetry = (model, requestBody, options = {}) => {
+  const { onRetry, ...coreOptions } = options;
+  return withRetry(() => fetchFromApiCore(model, requestBody, coreOptions), {
+    requestType: coreOptions.requestType,
+    onRetry,
+    signal: coreOptions.signal,
+  });
+};
+
 /**
  * Generate follow-up questions based on the conversation history.
  * @param {Array} contents - The conversation history.
  * @returns {Promise} - A promise that resolves to the follow-up questions.
  */
 export const generateFollowUpQuestions = async (contents) => {
-  const finalContents = await prepareContentsForRequest(contents);
-  const response = await fetchFromApiCore(
+  const finalContents = await prepareContentsForRequest(resolveBranches(contents));
+  const response = await fetchFromApiCoreWithRetry(
     "gemini-3.1-flash-lite-preview",
     {
       systemInstruction: { role: "system", parts: [{ text: "You are a helpful assistant that generates follow-up questions as a JSON array of strings." }] },
@@ -735,10 +897,16 @@ export const generateFollowUpQuestions = async (contents) => {
       }],
       safety_settings: safetySettings,
       generationConfig: getGenerationConfig("followUpQuestions"),
-    }
+    },
+    { requestType: "followUpQuestions" }
   );
 
   const responseObj = await handleApiResponse(response);
+  recordUsage({
+    model: "gemini-3.1-flash-lite-preview",
+    requestType: "followUpQuestions",
+    usageMetadata: responseObj.usageMetadata,
+  });
 
   // Handle finishReason
   let finishReason = responseObj.candidates[0].finishReason;
@@ -764,7 +932,7 @@ export const generateFollowUpQuestions = async (contents) => {
  */
 export const generateConversationMetadata = async (contents, options = {}) => {
   const { currentTitle, currentTags = [] } = options;
-  const finalContents = await prepareContentsForRequest(contents);
+  const finalContents = await prepareContentsForRequest(resolveBranches(contents));
 
   const referenceSection = (currentTitle || currentTags?.length > 0)
     ? "\n\nFor reference, the conversation currently has:\n" +
@@ -773,7 +941,7 @@ export const generateConversationMetadata = async (contents, options = {}) => {
     "\nImportant: Keep the title unchanged if it is still suitable for the conversation. Only suggest a new title when the discussion has clearly shifted to a different topic."
     : "";
 
-  const response = await fetchFromApiCore(
+  const response = await fetchFromApiCoreWithRetry(
     "gemini-3.1-flash-lite-preview",
     {
       systemInstruction: {
@@ -801,10 +969,16 @@ export const generateConversationMetadata = async (contents, options = {}) => {
       }],
       safety_settings: safetySettings,
       generationConfig: getGenerationConfig("conversationMetadata"),
-    }
+    },
+    { requestType: "conversationMetadata" }
   );
 
   const responseObj = await handleApiResponse(response);
+  recordUsage({
+    model: "gemini-3.1-flash-lite-preview",
+    requestType: "conversationMetadata",
+    usageMetadata: responseObj.usageMetadata,
+  });
 
   // Handle finishReason
   let finishReason = responseObj.candidates[0].finishReason;
@@ -855,8 +1029,66 @@ export const generateConversationMetadata = async (contents, options = {}) => {
   throw new Error('No valid response from API');
 };
 
+/**
+ * Pick the personas best suited to answer a question, with a flash-lite call
+ * @param {string} question - Text of the user's message
+ * @param {Array<{role: string, name: string, description: string}>} personas - Personas to choose from
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{roles: Array<string>, reason: string}>} Role keys as the model returned them,
+ *   and why it chose them
+ */
+export const classifyRoleIntent = async (question, personas, { signal } = {}) => {
+  const personaList = personas
+    .map(({ role, name, description }) => `- ${role}: ${name}, ${description}`)
+    .join("\n");
+
+  const response = await fetchFromApiCoreWithRetry(
+    "gemini-3.1-flash-lite-preview",
+    {
+      systemInstruction: {
+        role: "system",
+        parts: [{
+          text: "You route a user's message to the personas of a group chat. Return a JSON object with 'roles' " +
+            "(the keys of 1 to 3 personas who should answer, best first) and 'reason' (why, in less than 12 words). " +
+            "Prefer a single persona; add more only when the message clearly needs several kinds of expertise."
+        }]
+      },
+      contents: [{
+        role: "user",
+        parts: [{ text: `Personas (key: name, expertise):\n${personaList}\n\nMessage:\n${question}` }],
+      }],
+      safety_settings: safetySettings,
+      generationConfig: getGenerationConfig("roleRouting"),
+    },
+    { requestType: "roleRouting", signal }
+  );
+
+  const responseObj = await handleApiResponse(response);
+  recordUsage({
+    model: "gemini-3.1-flash-lite-preview",
+    requestType: "roleRouting",
+    usageMetadata: responseObj.usageMetadata,
+  });
+
+  const text = responseObj.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (!text) {
+    throw new Error('No valid response from API');
+  }
+  const parsed = JSON.parse(text);
+  if (!Array.isArray(parsed.roles)) {
+    throw new Error('Invalid response structure');
+  }
+  return {
+    roles: parsed.roles.filter((role) => typeof role === 'string'),
+    reason: typeof parsed.reason === 'string' ? parsed.reason.trim() : '',
+  };
+};
+
 /**
  * Main API call function with memory compression and retry logic
+ * Transient failures are retried by the shared retry policy; malformed function calls
+ * and expired files are retried here with adjusted contents.
  * @param {Array} contents - The conversation history
  * @param {string} requestType - The type of request (default, followUpQuestions, etc.)
  * @param {boolean} includeTools - Whether to include tools in the request
@@ -864,6 +1096,14 @@ export const generateConversationMetadata = async (contents, options = {}) => {
  * @param {boolean} ignoreSystemPrompts - Whether to ignore system prompts
  * @param {number} depth - Current retry depth
  * @param {Function} onContentsUpdated - Callback when contents are updated
+ * @param {Function} onStreamUpdate - When provided, the response is streamed and this callback
+ *   receives the partially merged response after every chunk
+ * @param {Object} requestOptions
+ * @param {Function} requestOptions.onRetry - Called before each retry of a transient failure (429/5xx)
+ * @param {AbortSignal} requestOptions.signal - Cancels file uploads and the model request
+ * @param {string|null} requestOptions.summaryScope - Conversation whose summaries replace older
+ *   messages and receive new ones (defaults to the current conversation); null for contents that
+ *   are not a summarized conversation, which turns off summaries and compression
  * @returns {Promise<Object>} API response
  */
 export const fetchFromApi = async (
@@ -873,8 +1113,11 @@ export const fetchFromApi = async (
   role = "general",
   ignoreSystemPrompts = false,
   depth = 0,
-  onContentsUpdated = null
+  onContentsUpdated = null,
+  onStreamUpdate = null,
+  requestOptions = {}
 ) => {
+  const { onRetry, signal, summaryScope = getCurrentSummaryScope() } = requestOptions;
   if (depth >= 3) {
     throw Error("Hit Max Retry");
   }
@@ -886,15 +1129,39 @@ export const fetchFromApi = async (
       details: { parameter: "contents" },
     });
   }
+  // Built-in role or custom persona (a deleted persona can still have queued requests)
+  const roleConfig = getRoleDefinition(role);
+  if (!roleConfig) {
+    throw new ApiError(`Unknown role or persona: ${role}`, {
+      errorType: "validation_error",
+      details: { parameter: "role", role },
+    });
+  }
 
-  // Dynamic memory compression implementation
-  let processedContents = replaceSummarizedSegments(contents);
+  // Dynamic memory compression implementation, on the selected branch of each turn
+  let processedContents = summaryScope === null
+    ? resolveBranches(contents)
+    : replaceSummarizedSegments(resolveBranches(contents), getConversationSummaries(summaryScope));
+
+  // Count new parts with countTokens in the background; this request decides on
+  // compression with cached counts and estimates, later ones with the real counts.
+  // Retries of this request rely on the refresh of its first attempt, and runs without a
+  // summary scope don't compress, so both skip it.
+  if (depth === 0 && summaryScope !== null) {
+    refreshTokenCounts(processedContents, { signal }).catch((error) => {
+      if (!isAbortError(error)) {
+        console.warn("Token count refresh failed, using estimates:", error);
+      }
+    });
+  }
 
   // Calculate current token count with summaries applied
   const currentTokenCount = calculateConversationTokenCount(processedContents);
   console.log(`Current conversation token count: ${currentTokenCount}`);
 
   // Check if compression is needed based on token count or age threshold
+  // (thresholds can be overridden per conversation)
+  const compressionConfig = summaryScope === null ? null : getCompressionConfig(summaryScope);
   const currentTime = Date.now() / 1000; // Convert to seconds
   // Find oldest message, treating those without timestamp as 0 (Jan 1, 1970)
   const oldestMessage = processedContents.reduce((oldest, current) => {
@@ -903,20 +1170,25 @@ export const fetchFromApi = async (
     return currentTimestamp < oldestTimestamp ? current : oldest;
   }, null);
   const hasOldMessages =
+    !!compressionConfig &&
     oldestMessage &&
     currentTime - (oldestMessage.timestamp || 0) / 1000 >
-    MEMORY_COMPRESSION_CONFIG.AGE_THRESHOLD;
+    compressionConfig.AGE_THRESHOLD;
 
   // Store the original contents for potential compression
   const originalContents = [...processedContents];
 
   // Check if compression is needed and not already running
-  if (
-    (currentTokenCount > MEMORY_COMPRESSION_CONFIG.TOKEN_THRESHOLD ||
+  if (!compressionConfig) {
+    console.log("No summary scope for these contents, compression skipped");
+  } else if (!compressionConfig.AUTO_COMPRESS) {
+    console.log("Automatic compression is turned off for this conversation");
+  } else if (
+    (currentTokenCount > compressionConfig.TOKEN_THRESHOLD ||
       hasOldMessages) &&
     !isMemoryCompressionRunning
   ) {
-    if (currentTokenCount > MEMORY_COMPRESSION_CONFIG.TOKEN_THRESHOLD) {
+    if (currentTokenCount > compressionConfig.TOKEN_THRESHOLD) {
       console.log(
         "Token threshold exceeded, scheduling background memory compression..."
       );
@@ -936,7 +1208,8 @@ export const fetchFromApi = async (
         console.log("Starting background memory compression...");
         await applyMemoryCompression(
           originalContents,
-          MEMORY_COMPRESSION_CONFIG,
+          compressionConfig,
+          { conversationId: summaryScope },
         );
         console.log("Background memory compression completed successfully");
       } catch (error) {
@@ -958,8 +1231,8 @@ export const fetchFromApi = async (
     );
   }
 
-  // Extract all memories from storage service and include them in the prompt
-  const memoryText = await fetchMemoryText();
+  // Include the memories relevant to the recent turns in the prompt
+  const memory = await fetchMemoryText(processedContents, signal, role);
 
   let documentContent = "";
   try {
@@ -972,27 +1245,37 @@ export const fetchFromApi = async (
   }
 
   // Get the system prompt for the specified role, defaulting to 'general'
+  // Sections are labelled for the prompt inspector
   const worldFact = await generateWorldFact(role);
+  const systemSections = [
+    { key: "worldFact", label: "World facts and recent conversations", text: worldFact },
+    { key: "selfIntroduction", label: "Self-introduction", text: roleConfig.selfIntroduction },
+    { key: "userList", label: "User list", text: getUserListPrompt() },
+    {
+      key: "instructions",
+      label: "Role instructions",
+      text: role === "editor"
+        ? roleConfig.detailedInstruction.replace(
+          "{{coEditContent}}",
+          documentContent || "(No document content has been set yet.)"
+        )
+        : roleConfig.detailedInstruction,
+    },
+    { key: "memories", label: memory.label, text: memoryPrompt.replace("{{memories}}", memory.text) },
+    { key: "userSystemPrompt", label: "Your system prompt", text: getSystemPrompt() },
+  ];
   const systemPrompts = {
     role: "system",
-    parts: [
-      { text: worldFact },
-      { text: roleDefinition[role].selfIntroduction },
-      { text: userListPrompt },
-      {
-        text: role === "editor"
-          ? roleDefinition[role].detailedInstruction.replace(
-            "{{coEditContent}}",
-            documentContent || "(No document content has been set yet.)"
-          )
-          : roleDefinition[role].detailedInstruction,
-      },
-      { text: memoryPrompt.replace("{{memories}}", memoryText) },
-      { text: getSystemPrompt() },
-    ],
+    parts: systemSections.map(({ text }) => ({ text })),
   };
+  const model = getModelForRole(role);
+
   // For the contents, update "role" to "user" for all except for the contents from the role
-  const finalContents = await prepareContentsForRequest(processedContents, role);
+  // Non-Gemini providers cannot read Gemini file URIs, so they get inline data instead
+  const finalContents = await prepareContentsForRequest(processedContents, role, {
+    inlineFiles: !isGeminiModel(model),
+    signal,
+  });
 
   // Prepare the conversation contents (without system prompt)
   // Ensure we always have at least one content item for the API
@@ -1051,27 +1334,102 @@ export const fetchFromApi = async (
     });
   }
 
+  const generationConfig = getGenerationConfig(requestType, role);
+  const tools = includeTools ? roleConfig.tools : undefined;
+
   // Use the proper systemInstruction field instead of embedding in contents
-  const requestBody = {
-    // Don't include systemPrompt if ignoreSystemPrompts is true (for follow-up questions)
+  // Don't include systemPrompt if ignoreSystemPrompts is true (for follow-up questions)
+  const buildInlineRequestBody = () => ({
     ...(!ignoreSystemPrompts && { systemInstruction: systemPrompts }),
     contents: conversationContents,
     safety_settings: safetySettings,
-    generationConfig: getGenerationConfig(requestType),
-  };
+    generationConfig,
+    // Configure tools based on role
+    ...(tools && { tools }),
+  });
 
-  // Configure tools based on role
-  if (includeTools) {
-    requestBody.tools = roleDefinition[role].tools;
-  }
+  // The static sections and tools go into a cachedContents entry; world facts and the
+  // memories picked for this request change every request, so they lead the contents instead
+  const isPerRequestSection = ({ key }) => PER_REQUEST_SECTION_KEYS.includes(key);
+  const cacheableSections = systemSections.filter((section) => !isPerRequestSection(section));
+  const perRequestParts = systemSections.filter(isPerRequestSection).map(({ text }) => ({ text }));
+  const cachedSystemInstruction = {
+    role: "system",
+    parts: cacheableSections.map(({ text }) => ({ text })),
+  };
+  const cachedContent = ignoreSystemPrompts
+    ? null
+    : await getContextCache({ model, role, systemInstruction: cachedSystemInstruction, tools, signal });
+
+  let requestBody = cachedContent
+    ? {
+      cachedContent,
+      contents: [{ role: "user", parts: perRequestParts }, ...conversationContents],
+      safety_settings: safetySettings,
+      generationConfig,
+    }
+    : buildInlineRequestBody();
+
+  const contentsTokens = calculateConversationTokenCount(processedContents);
+  const inspection = savePromptInspection(
+    buildPromptInspection({
+      model,
+      role,
+      requestType,
+      requestBody,
+      systemSections: cachedContent ? cacheableSections : systemSections,
+      contentsTokens: cachedContent
+        ? perRequestParts.reduce((total, { text }) => total + estimateTokenCount(text), contentsTokens)
+        : contentsTokens,
+      cache: cachedContent && { name: cachedContent, systemInstruction: cachedSystemInstruction, tools },
+    })
+  );
 
   try {
-    const response = await fetchFromApiCore(
-      getModel(),
-      requestBody
-    );
+    const coreOptions = { stream: !!onStreamUpdate, requestType, onRetry, signal };
+    let response;
+    try {
+      response = await fetchFromApiCoreWithRetry(model, requestBody, coreOptions);
+    } catch (error) {
+      if (!requestBody.cachedContent || !isContextCacheError(error)) {
+        throw error;
+      }
+      // The entry expired or was rejected; send this request inline and recreate it next time
+      console.warn("Context cache rejected, sending the prompt inline:", error.message);
+      invalidateContextCache(model, role);
+      requestBody = buildInlineRequestBody();
+      const { id, createdAt, ...inlineInspection } = buildPromptInspection({
+        model,
+        role,
+        requestType,
+        requestBody,
+        systemSections,
+        contentsTokens,
+      });
+      updatePromptInspection(inspection.id, inlineInspection);
+      response = await fetchFromApiCoreWithRetry(model, requestBody, coreOptions);
+    }
+
+    let responseObj = onStreamUpdate
+      ? await handleStreamingResponse(response, onStreamUpdate)
+      : await handleApiResponse(response);
 
-    let responseObj = await handleApiResponse(response);
+    const usageEntry = recordUsage({
+      model,
+      role,
+      requestType,
+      usageMetadata: responseObj.usageMetadata,
+    });
+    if (usageEntry) {
+      updatePromptInspection(inspection.id, {
+        usage: {
+          ...usageEntry,
+          cost: estimateEntryCost(usageEntry),
+          cacheSavings: estimateCacheSavings(usageEntry),
+        },
+      });
+    }
+    responseObj.promptInspectionId = inspection.id;
 
     // Log token usage statistics in a single line
     if (responseObj.usageMetadata) {
@@ -1079,10 +1437,11 @@ export const fetchFromApi = async (
         promptTokenCount,
         candidatesTokenCount,
         thoughtsTokenCount,
+        cachedContentTokenCount,
         totalTokenCount,
       } = responseObj.usageMetadata;
       console.log(
-        `Token Usage: Prompt=${promptTokenCount}, Candidates=${candidatesTokenCount}, Thoughts=${thoughtsTokenCount} Total=${totalTokenCount}`
+        `Token Usage: Prompt=${promptTokenCount} (Cached=${cachedContentTokenCount || 0}), Candidates=${candidatesTokenCount}, Thoughts=${thoughtsTokenCount} Total=${totalTokenCount}`
       );
     } else {
       console.log("No usageMetadata available in response");
@@ -1118,7 +1477,10 @@ export const fetchFromApi = async (
         includeTools,
         role,
         ignoreSystemPrompts,
-        depth + 1
+        depth + 1,
+        onContentsUpdated,
+        onStreamUpdate,
+        requestOptions
       );
     } else {
       throw new Error(
@@ -1151,7 +1513,9 @@ export const fetchFromApi = async (
           role,
           ignoreSystemPrompts,
           depth + 1,
-          onContentsUpdated
+          onContentsUpdated,
+          onStreamUpdate,
+          requestOptions
         );
       }
     }
@@ -1197,41 +1561,131 @@ export function extractTextFromResponse(responseData) {
 }
 
 /**
- * Validates Mermaid diagram syntax
+ * Get the parser error of a Mermaid diagram
  * @param {string} mermaidCode - The Mermaid code to validate
- * @returns {boolean} - True if valid, false otherwise
+ * @returns {Promise<string|null>} - The error message, or null if the diagram is valid
  */
-function isValidMermaidCode(mermaidCode) {
-  if (!mermaidCode || typeof mermaidCode !== 'string') {
-    return false;
+async function getMermaidSyntaxError(mermaidCode) {
+  if (!mermaidCode || typeof mermaidCode !== 'string' || !mermaidCode.trim()) {
+    return "Empty diagram";
   }
 
-  const trimmedCode = mermaidCode.trim();
-  if (!trimmedCode) {
-    return false;
+  // If parse() is not available we can't validate reliably; assume valid to avoid
+  // false positives (rendering will fail later if it's actually invalid)
+  if (typeof mermaid === 'undefined' || typeof mermaid.parse !== 'function') {
+    console.debug("Mermaid.parse() not available, skipping validation");
+    return null;
   }
 
   try {
-    // Check if mermaid.parse() is available (should be in mermaid v11+)
-    if (typeof mermaid !== 'undefined' && typeof mermaid.parse === 'function') {
-      // Use mermaid.parse() to validate the syntax
-      // If parsing succeeds without throwing, the code is valid
-      mermaid.parse(trimmedCode);
-      return true;
-    } else {
-      // If parse() is not available, we can't validate reliably
-      // In this case, assume valid to avoid false positives
-      // The rendering will fail later if it's actually invalid
-      console.debug("Mermaid.parse() not available, skipping validation");
-      return true;
-    }
+    // mermaid.parse() rejects with the parser error when the syntax is invalid
+    await mermaid.parse(mermaidCode.trim());
+    return null;
   } catch (error) {
-    // If parsing fails, the code is invalid
     console.debug("Mermaid syntax validation failed:", error.message);
-    return false;
+    return error.message || String(error);
   }
 }
 
+const MERMAID_REPAIR_MODEL = "gemini-3.1-flash-lite-preview";
+// Diagrams past this many in one response are not sent for repair
+const MAX_MERMAID_REPAIRS = 3;
+
+/**
+ * Ask a lightweight model to fix a Mermaid diagram that fails to parse
+ * @param {string} mermaidCode - The invalid diagram
+ * @param {string} parserError - Error reported by mermaid.parse()
+ * @param {Object} options
+ * @param {string} options.role - Role whose response contains the diagram (for usage tracking)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<string>} - The corrected diagram code (not yet validated)
+ */
+async function requestMermaidRepair(mermaidCode, parserError, { role, signal } = {}) {
+  const response = await fetchFromApiCoreWithRetry(
+    MERMAID_REPAIR_MODEL,
+    {
+      systemInstruction: {
+        role: "system",
+        parts: [{
+          text: "You fix Mermaid diagram syntax. Keep the diagram's content and meaning, change only what is needed for it to parse. " +
+            "Reply with the corrected Mermaid code only, without explanations.",
+        }],
+      },
+      contents: [{
+        role: "user",
+        parts: [{
+          text: `This Mermaid diagram fails to parse.\n\nParser error:\n${parserError}\n\nDiagram:\n${toMermaidBlock(mermaidCode)}`,
+        }],
+      }],
+      safety_settings: safetySettings,
+      generationConfig: getGenerationConfig("mermaidRepair"),
+    },
+    { requestType: "mermaidRepair", signal }
+  );
+
+  const responseObj = await handleApiResponse(response);
+  recordUsage({
+    model: MERMAID_REPAIR_MODEL,
+    role,
+    requestType: "mermaidRepair",
+    usageMetadata: responseObj.usageMetadata,
+  });
+
+  const text = (responseObj.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.thought !== true && part.text)
+    .map((part) => part.text)
+    .join("\n");
+  return extractMermaidCode(text);
+}
+
+/**
+ * Validate the Mermaid diagrams of a response and repair the invalid ones
+ * Each invalid diagram is sent with its parser error to a lightweight model; a fix that
+ * parses replaces it, otherwise the diagram is shown as a plain code block.
+ *
+ * @param {string} text - Response text
+ * @param {Object} options
+ * @param {string} options.role - Role that wrote the response
+ * @param {AbortSignal} options.signal - Cancels pending repairs
+ * @returns {Promise<Object>} - {text, repairs}; each repair is {original, repaired, error}
+ * @throws {Error} AbortError if cancelled
+ */
+export async function repairMermaidDiagrams(text, { role, signal } = {}) {
+  const repairs = [];
+  let attempted = 0;
+
+  const repairedText = await replaceMermaidBlocks(text, async (block, mermaidCode) => {
+    const parserError = await getMermaidSyntaxError(mermaidCode);
+    if (!parserError) {
+      return block;
+    }
+
+    if (attempted < MAX_MERMAID_REPAIRS) {
+      attempted++;
+      try {
+        const repaired = await requestMermaidRepair(mermaidCode, parserError, { role, signal });
+        if (repaired && !(await getMermaidSyntaxError(repaired))) {
+          console.log("Mermaid diagram auto-repaired");
+          repairs.push({ original: mermaidCode.trim(), repaired, error: parserError });
+          return toMermaidBlock(repaired);
+        }
+        console.debug("Repaired Mermaid diagram still fails to parse");
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.warn("Mermaid repair failed:", error.message);
+      }
+    }
+
+    // Invalid Mermaid code - convert to regular code block
+    console.debug("Converting invalid Mermaid block to regular code block");
+    return toPlainCodeBlock(mermaidCode);
+  });
+
+  return { text: repairedText, repairs };
+}
+
 /**
  * Post-process text responses from the model to fix formatting issues.
  * 
@@ -1239,7 +1693,8 @@ function isValidMermaidCode(mermaidCode) {
  *    "$$$ [Other Person] BEGIN $$$", removes that and everything after it.
  * 2. Adds spaces before opening ** and after closing ** for bold/italic formatting
  *    to be rendered correctly in markdown.
- * 3. Validates Mermaid code blocks - if invalid, converts them to regular code blocks.
+ * 
+ * Mermaid diagrams are validated separately, see repairMermaidDiagrams.
  * 
  * @param {string} text - The text to post-process
  * @param {string} currentPersonaName - The name of the current persona (e.g., "Adrien", "Belinda", "Charlie", "Diana", "Xaiver")
@@ -1252,25 +1707,9 @@ export function postProcessModelResponse(text, currentPersonaName) {
 
   let processedText = text;
 
-  // 3. Validate Mermaid code blocks and convert invalid ones to regular code blocks
-  // Match ```mermaid blocks and validate their content
-  // Pattern matches: ```mermaid followed by optional whitespace/newline, then content, then ```
-  const mermaidBlockRegex = /```mermaid\s*\n?([\s\S]*?)```/g;
-  processedText = processedText.replace(mermaidBlockRegex, (match, mermaidCode) => {
-    // Validate the Mermaid code
-    if (isValidMermaidCode(mermaidCode)) {
-      // Valid Mermaid code - keep as is
-      return match;
-    } else {
-      // Invalid Mermaid code - convert to regular code block
-      console.debug("Converting invalid Mermaid block to regular code block");
-      return `\`\`\`\n${mermaidCode}\`\`\``;
-    }
-  });
-
   // 1. Remove impersonation attempts
-  // Get all persona names from roleDefinition
-  const personaNames = ['Xaiver', 'Adrien', 'Belinda', 'Charlie', 'Diana'];
+  // Get all persona names, including custom personas and the hidden memory manager
+  const personaNames = [roleDefinition.memoryManager.name, ...getVisibleRoles().map(([, config]) => config.name)];
 
   // Find any impersonation attempts ($$$ [Other Person] BEGIN $$$ where Other Person != currentPersonaName)
   // Find the earliest impersonation attempt across all personas
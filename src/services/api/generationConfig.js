@@ -3,7 +3,8 @@
  * Centralized configuration for API generation settings
  */
 
-import { getThinkingEnabled } from '../../utils/settingsService';
+import { getThinkingEnabled, getRoleModelOverrides } from '../../utils/settingsService';
+import { getRoleDefinition } from '../../utils/roleConfig';
 
 /**
  * Safety settings for API requests
@@ -57,6 +58,15 @@ const generationConfigs = {
       thinkingBudget: 0,
     },
   },
+  mermaidRepair: {
+    temperature: 0.2,
+    maxOutputTokens: 4096,
+    responseMimeType: "text/plain",
+    thinkingConfig: {
+      includeThoughts: false,
+      thinkingBudget: 0,
+    },
+  },
   conversationMetadata: {
     temperature: 1,
     topP: 0.95,
@@ -86,28 +96,87 @@ const generationConfigs = {
       thinkingBudget: 0,
     },
   },
+  roleRouting: {
+    temperature: 0,
+    maxOutputTokens: 256,
+    responseMimeType: "application/json",
+    responseJsonSchema: {
+      type: "object",
+      properties: {
+        roles: {
+          type: "array",
+          items: { type: "string" },
+          maxItems: 3
+        },
+        reason: { type: "string" }
+      },
+      required: ["roles", "reason"]
+    },
+    thinkingConfig: {
+      includeThoughts: false,
+      thinkingBudget: 0,
+    },
+  },
+};
+
+/**
+ * Allowed range of each numeric role override
+ */
+export const ROLE_OVERRIDE_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  thinkingBudget: { min: -1, max: 32768 },
+  maxOutputTokens: { min: 1, max: 65536 },
+};
+
+/**
+ * Apply a role's overrides (temperature, topP, thinking budget, max output tokens) to a config
+ * @param {Object} config - Generation configuration
+ * @param {Object} overrides - Overrides of the role, from settings
+ * @returns {Object} The configuration with overrides applied
+ */
+export const applyRoleOverrides = (config, overrides = {}) => {
+  const result = { ...config };
+  ["temperature", "topP", "maxOutputTokens"].forEach((field) => {
+    if (typeof overrides[field] === "number") {
+      result[field] = overrides[field];
+    }
+  });
+  // Only when thinking is on; the global toggle still turns thinking off for every role
+  if (typeof overrides.thinkingBudget === "number" && result.thinkingConfig?.thinkingBudget !== 0) {
+    result.thinkingConfig = {
+      ...result.thinkingConfig,
+      thinkingBudget: overrides.thinkingBudget,
+    };
+  }
+  return result;
 };
 
 /**
  * Get the appropriate generation configuration based on request type and thinking enabled state
  * @param {string} requestType - The type of request (e.g., 'default', 'followUpQuestions', 'summarization')
+ * @param {string} role - Role answering the request; its overrides from settings apply to 'default' requests
  * @returns {Object} The appropriate generation configuration
  */
-export const getGenerationConfig = (requestType = "default") => {
+export const getGenerationConfig = (requestType = "default", role = null) => {
   const baseConfig = generationConfigs[requestType] || generationConfigs.default;
   if (requestType !== 'default') {
     return baseConfig;
   }
 
-  if (!getThinkingEnabled()) {
-    return {
+  const config = getThinkingEnabled()
+    ? baseConfig
+    : {
       ...baseConfig,
       thinkingConfig: {
         includeThoughts: true,
         thinkingBudget: 0,
       },
     };
-  }
 
-  return baseConfig;
+  // Overrides from settings win over the generation config a custom persona brings along
+  const roleOverrides = role
+    ? { ...getRoleDefinition(role)?.generationConfig, ...getRoleModelOverrides()[role] }
+    : null;
+  return roleOverrides ? applyRoleOverrides(config, roleOverrides) : config;
 };
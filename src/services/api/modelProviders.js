@@ -0,0 +1,94 @@
+/**
+ * Model Providers
+ * Registry of model backends and resolution of model identifiers to providers.
+ * Gemini models go through the Gemini gateway; user-defined models are served
+ * by the provider named in their definition (currently OpenAI-compatible).
+ */
+
+import { getCustomModels, getModel, getRoleModelOverrides } from '../../utils/settingsService';
+import openaiCompatibleProvider from './openaiCompatibleProvider';
+import { getRoleDefinition } from '../../utils/roleConfig';
+
+export const DEFAULT_MODEL = "gemini-3-flash-preview";
+
+// All Gemini models the gateway accepts (including ones used for background tasks)
+export const GEMINI_MODELS = ["gemini-2.5-flash", "gemini-3-flash-preview", "gemini-3.1-flash-lite-preview"];
+
+// Gemini models offered in the Settings model selector
+export const SELECTABLE_GEMINI_MODELS = ["gemini-3-flash-preview", "gemini-2.5-flash"];
+
+export const MODEL_PROVIDERS = {
+  gemini: { id: "gemini", label: "Gemini" },
+  [openaiCompatibleProvider.id]: openaiCompatibleProvider,
+};
+
+/**
+ * Find a user-defined model by its identifier
+ * @param {string} modelId - Model identifier stored in settings
+ * @returns {Object|null} Custom model definition or null
+ */
+export const getCustomModelById = (modelId) =>
+  getCustomModels().find((customModel) => customModel.id === modelId) || null;
+
+/**
+ * Resolve a model identifier to its provider
+ * @param {string} modelId - Model identifier
+ * @returns {{providerId: string, provider: Object, modelConfig: Object|null}}
+ * @throws {Error} If the model is unknown or its provider is not registered
+ */
+export const resolveModel = (modelId) => {
+  if (GEMINI_MODELS.includes(modelId)) {
+    return { providerId: "gemini", provider: MODEL_PROVIDERS.gemini, modelConfig: null };
+  }
+
+  const modelConfig = getCustomModelById(modelId);
+  if (!modelConfig) {
+    throw new Error(`Model ${modelId} is not supported. Supported models: ${GEMINI_MODELS.join(", ")}`);
+  }
+
+  const provider = MODEL_PROVIDERS[modelConfig.provider];
+  if (!provider) {
+    throw new Error(`Provider ${modelConfig.provider} for model ${modelConfig.label || modelId} is not available`);
+  }
+
+  return { providerId: modelConfig.provider, provider, modelConfig };
+};
+
+/**
+ * Get the model selected in settings, falling back to the default Gemini model
+ * when a custom model was selected and later removed (or selected on another device)
+ * @returns {string} Model identifier
+ */
+export const getActiveModel = () => {
+  const modelId = getModel();
+  if (GEMINI_MODELS.includes(modelId) || getCustomModelById(modelId)) {
+    return modelId;
+  }
+  console.warn(`Selected model ${modelId} is not available, using ${DEFAULT_MODEL}`);
+  return DEFAULT_MODEL;
+};
+
+/**
+ * Get the model a role runs on: its override from settings or the model of a custom
+ * persona if still available, otherwise the model selected in settings
+ * @param {string} role - Role key
+ * @returns {string} Model identifier
+ */
+export const getModelForRole = (role) => {
+  const modelId = role ? getRoleModelOverrides()[role]?.model || getRoleDefinition(role)?.model : null;
+  if (!modelId) {
+    return getActiveModel();
+  }
+  if (GEMINI_MODELS.includes(modelId) || getCustomModelById(modelId)) {
+    return modelId;
+  }
+  console.warn(`Model ${modelId} for role ${role} is not available, using the selected model`);
+  return getActiveModel();
+};
+
+/**
+ * Check whether a model identifier is served by the Gemini gateway
+ * @param {string} modelId - Model identifier
+ * @returns {boolean}
+ */
+export const isGeminiModel = (modelId) => GEMINI_MODELS.includes(modelId);
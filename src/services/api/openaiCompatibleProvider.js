@@ -0,0 +1,523 @@
+/**
+ * OpenAI-Compatible Provider
+ * Runs Gemini-shaped requests against an OpenAI-compatible chat completions
+ * endpoint (e.g. Ollama, llama.cpp server, vLLM) and translates the responses
+ * back, so the rest of the app keeps working with Gemini request/response shapes.
+ */
+
+import { ApiError } from './apiClient';
+import { parseSseEvents } from '../../utils/streamUtils';
+
+const FINISH_REASON_MAP = {
+  stop: "STOP",
+  tool_calls: "STOP",
+  function_call: "STOP",
+  length: "MAX_TOKENS",
+  content_filter: "SAFETY",
+};
+
+/**
+ * Build the chat completions URL from a configured base URL
+ * Accepts both ".../v1" and full ".../v1/chat/completions" forms
+ * @param {string} baseUrl - Configured base URL
+ * @returns {string} Chat completions URL
+ */
+export const buildChatCompletionsUrl = (baseUrl = "") => {
+  const trimmed = baseUrl.trim().replace(/\/+$/, "");
+  if (trimmed.endsWith("/chat/completions")) {
+    return trimmed;
+  }
+  return `${trimmed}/chat/completions`;
+};
+
+/**
+ * Gemini schemas may use upper-case type names ("OBJECT", "STRING");
+ * JSON Schema used by OpenAI-compatible servers expects lower case.
+ * @param {Object} schema - Gemini parameter schema
+ * @returns {Object} JSON schema
+ */
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) {
+    return schema.map(toJsonSchema);
+  }
+  if (!schema || typeof schema !== "object") {
+    return schema;
+  }
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => {
+      if (key === "type" && typeof value === "string") {
+        return [key, value.toLowerCase()];
+      }
+      return [key, toJsonSchema(value)];
+    })
+  );
+};
+
+/**
+ * Translate Gemini tools into OpenAI tool definitions
+ * Gemini-only tools (google_search, url_context, code_execution) have no equivalent and are dropped
+ * @param {Array} tools - Gemini tools array
+ * @returns {Array} OpenAI tools array
+ */
+export const toOpenAITools = (tools = []) => {
+  const openAITools = [];
+  (tools || []).forEach((tool) => {
+    const declarations = tool.function_declarations || tool.functionDeclarations;
+    if (Array.isArray(declarations)) {
+      declarations.forEach((declaration) => {
+        openAITools.push({
+          type: "function",
+          function: {
+            name: declaration.name,
+            description: declaration.description || "",
+            parameters: toJsonSchema(
+              declaration.parameters || { type: "object", properties: {} }
+            ),
+          },
+        });
+      });
+    } else {
+      console.warn(
+        "Tool not supported by OpenAI-compatible provider, skipping:",
+        Object.keys(tool)
+      );
+    }
+  });
+  return openAITools;
+};
+
+/**
+ * Translate one Gemini content part into an OpenAI content segment
+ * @param {Object} part - Gemini part
+ * @returns {Object|null} OpenAI content segment
+ */
+const toOpenAIContentSegment = (part) => {
+  if (typeof part.text === "string") {
+    return { type: "text", text: part.text };
+  }
+  const inlineData = part.inline_data || part.inlineData;
+  if (inlineData && inlineData.data) {
+    const mimeType = inlineData.mime_type || inlineData.mimeType;
+    if (mimeType && mimeType.startsWith("image/")) {
+      return {
+        type: "image_url",
+        image_url: { url: `data:${mimeType};base64,${inlineData.data}` },
+      };
+    }
+    return { type: "text", text: `[Attached ${mimeType || "file"} omitted]` };
+  }
+  const fileData = part.file_data || part.fileData;
+  if (fileData) {
+    const mimeType = fileData.mime_type || fileData.mimeType;
+    return { type: "text", text: `[Attached ${mimeType || "file"} omitted]` };
+  }
+  if (part.executableCode) {
+    return {
+      type: "text",
+      text: `\`\`\`${(part.executableCode.language || "").toLowerCase()}\n${part.executableCode.code}\n\`\`\``,
+    };
+  }
+  if (part.codeExecutionResult) {
+    return { type: "text", text: part.codeExecutionResult.output || "" };
+  }
+  return null;
+};
+
+/**
+ * Collapse content segments: plain string when text-only, array otherwise
+ * @param {Array} segments - OpenAI content segments
+ * @returns {string|Array} Message content
+ */
+const collapseSegments = (segments) => {
+  if (segments.every((segment) => segment.type === "text")) {
+    return segments.map((segment) => segment.text).join("\n");
+  }
+  return segments;
+};
+
+/**
+ * Translate Gemini contents and systemInstruction into OpenAI chat messages
+ * Function calls become assistant tool_calls and function responses become tool messages.
+ * A function response without a preceding call (the app does not keep functionCall
+ * parts in the conversation) gets a synthetic assistant tool call so the pair stays valid.
+ * @param {Array} contents - Gemini contents
+ * @param {Object} systemInstruction - Gemini systemInstruction
+ * @returns {Array} OpenAI messages
+ */
+export const toOpenAIMessages = (contents = [], systemInstruction = null) => {
+  const messages = [];
+  const pendingCallIds = {};
+  let callCounter = 0;
+  const nextCallId = () => `call_${callCounter++}`;
+
+  const systemText = (systemInstruction?.parts || [])
+    .map((part) => part.text)
+    .filter(Boolean)
+    .join("\n\n");
+  if (systemText) {
+    messages.push({ role: "system", content: systemText });
+  }
+
+  contents.forEach((content) => {
+    const parts = content.parts || [];
+    const segments = [];
+    const toolCalls = [];
+    const toolResults = [];
+
+    parts.forEach((part) => {
+      if (part.thought) {
+        return;
+      }
+      if (part.functionCall) {
+        const id = part.functionCall.id || nextCallId();
+        const name = part.functionCall.name;
+        pendingCallIds[name] = [...(pendingCallIds[name] || []), id];
+        toolCalls.push({
+          id,
+          type: "function",
+          function: {
+            name,
+            arguments: JSON.stringify(part.functionCall.args || {}),
+          },
+        });
+        return;
+      }
+      if (part.functionResponse) {
+        toolResults.push(part.functionResponse);
+        return;
+      }
+      const segment = toOpenAIContentSegment(part);
+      if (segment) {
+        segments.push(segment);
+      }
+    });
+
+    if (content.role === "model") {
+      if (segments.length > 0 || toolCalls.length > 0) {
+        messages.push({
+          role: "assistant",
+          content: segments.length > 0 ? collapseSegments(segments) : null,
+          ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+        });
+      }
+      return;
+    }
+
+    if (toolResults.length > 0) {
+      const resolved = toolResults.map((functionResponse) => {
+        const queue = pendingCallIds[functionResponse.name] || [];
+        const id = functionResponse.id || queue.shift();
+        return { functionResponse, id };
+      });
+      const unmatched = resolved.filter((result) => !result.id);
+      if (unmatched.length > 0) {
+        const syntheticCalls = unmatched.map((result) => {
+          result.id = nextCallId();
+          return {
+            id: result.id,
+            type: "function",
+            function: { name: result.functionResponse.name, arguments: "{}" },
+          };
+        });
+        messages.push({ role: "assistant", content: null, tool_calls: syntheticCalls });
+      }
+      resolved.forEach(({ functionResponse, id }) => {
+        messages.push({
+          role: "tool",
+          tool_call_id: id,
+          content: JSON.stringify(functionResponse.response ?? {}),
+        });
+      });
+    }
+
+    if (segments.length > 0) {
+      messages.push({ role: "user", content: collapseSegments(segments) });
+    }
+  });
+
+  return messages;
+};
+
+/**
+ * Translate a Gemini generateContent request body into a chat completions request
+ * @param {Object} requestBody - Gemini request body
+ * @param {string} modelName - Model name on the OpenAI-compatible server
+ * @param {boolean} stream - Whether to request a streamed response
+ * @returns {Object} Chat completions request body
+ */
+export const toOpenAIRequest = (requestBody, modelName, stream = false) => {
+  const generationConfig = requestBody.generationConfig || {};
+  const request = {
+    model: modelName,
+    messages: toOpenAIMessages(requestBody.contents, requestBody.systemInstruction),
+    stream,
+  };
+
+  if (generationConfig.temperature !== undefined) {
+    request.temperature = generationConfig.temperature;
+  }
+  if (generationConfig.topP !== undefined) {
+    request.top_p = generationConfig.topP;
+  }
+  if (generationConfig.maxOutputTokens !== undefined) {
+    request.max_tokens = generationConfig.maxOutputTokens;
+  }
+  if (generationConfig.stopSequences) {
+    request.stop = generationConfig.stopSequences;
+  }
+  if (generationConfig.responseMimeType === "application/json") {
+    request.response_format = { type: "json_object" };
+  }
+  if (stream) {
+    request.stream_options = { include_usage: true };
+  }
+
+  const tools = toOpenAITools(requestBody.tools);
+  if (tools.length > 0) {
+    request.tools = tools;
+  }
+
+  return request;
+};
+
+/**
+ * Parse tool call arguments, tolerating malformed JSON from small local models
+ * @param {string} argumentsText - JSON encoded arguments
+ * @returns {Object} Parsed arguments
+ */
+const parseToolArguments = (argumentsText) => {
+  if (!argumentsText) {
+    return {};
+  }
+  try {
+    return JSON.parse(argumentsText);
+  } catch (error) {
+    console.warn("Failed to parse tool call arguments:", argumentsText);
+    return {};
+  }
+};
+
+/**
+ * Translate OpenAI usage into Gemini usageMetadata
+ * @param {Object} usage - OpenAI usage object
+ * @returns {Object|undefined} Gemini usageMetadata
+ */
+const toUsageMetadata = (usage) =>
+  usage
+    ? {
+      promptTokenCount: usage.prompt_tokens,
+      candidatesTokenCount: usage.completion_tokens,
+      totalTokenCount: usage.total_tokens,
+    }
+    : undefined;
+
+/**
+ * Translate a chat completions response into a Gemini generateContent response
+ * @param {Object} data - Chat completions response
+ * @returns {Object} Gemini-shaped response
+ */
+export const fromOpenAIResponse = (data) => {
+  const choice = data?.choices?.[0];
+  const message = choice?.message || {};
+  const parts = [];
+
+  if (message.reasoning_content) {
+    parts.push({ text: message.reasoning_content, thought: true });
+  }
+  if (message.content) {
+    parts.push({ text: message.content });
+  }
+  (message.tool_calls || []).forEach((toolCall) => {
+    parts.push({
+      functionCall: {
+        name: toolCall.function?.name,
+        args: parseToolArguments(toolCall.function?.arguments),
+      },
+    });
+  });
+
+  const response = {
+    candidates: choice
+      ? [
+        {
+          content: { role: "model", parts },
+          finishReason: FINISH_REASON_MAP[choice.finish_reason] || "STOP",
+        },
+      ]
+      : [],
+    modelVersion: data?.model,
+  };
+  const usageMetadata = toUsageMetadata(data?.usage);
+  if (usageMetadata) {
+    response.usageMetadata = usageMetadata;
+  }
+  return response;
+};
+
+/**
+ * Convert a streamed chat completions response into a Gemini-style SSE stream
+ * Text deltas are forwarded immediately; tool calls are buffered until complete
+ * because their arguments arrive in fragments.
+ * @param {Response} response - Streamed chat completions response
+ * @returns {ReadableStream} Stream of `data: {gemini chunk}` events
+ */
+const toGeminiEventStream = (response) => {
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      const reader = response.body.getReader();
+      const toolCalls = [];
+      let finishReason = null;
+      let usage = null;
+      let buffer = "";
+
+      const emit = (chunk) => {
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunk)}\n\n`));
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+          const { events, rest } = parseSseEvents(done ? `${buffer}\n\n` : buffer);
+          buffer = rest;
+
+          for (const event of events) {
+            if (event.usage) {
+              usage = event.usage;
+            }
+            const choice = event.choices?.[0];
+            if (!choice) {
+              continue;
+            }
+            const delta = choice.delta || {};
+            const parts = [];
+            if (delta.reasoning_content) {
+              parts.push({ text: delta.reasoning_content, thought: true });
+            }
+            if (delta.content) {
+              parts.push({ text: delta.content });
+            }
+            for (const toolCallDelta of delta.tool_calls || []) {
+              const index = toolCallDelta.index ?? toolCalls.length;
+              const current = toolCalls[index] || { name: "", arguments: "" };
+              current.name += toolCallDelta.function?.name || "";
+              current.arguments += toolCallDelta.function?.arguments || "";
+              toolCalls[index] = current;
+            }
+            if (choice.finish_reason) {
+              finishReason = choice.finish_reason;
+            }
+            if (parts.length > 0) {
+              emit({ candidates: [{ content: { role: "model", parts } }] });
+            }
+          }
+
+          if (done) {
+            break;
+          }
+        }
+
+        const finalChunk = {
+          candidates: [
+            {
+              content: {
+                role: "model",
+                parts: toolCalls.filter(Boolean).map((toolCall) => ({
+                  functionCall: {
+                    name: toolCall.name,
+                    args: parseToolArguments(toolCall.arguments),
+                  },
+                })),
+              },
+              finishReason: FINISH_REASON_MAP[finishReason] || "STOP",
+            },
+          ],
+        };
+        const usageMetadata = toUsageMetadata(usage);
+        if (usageMetadata) {
+          finalChunk.usageMetadata = usageMetadata;
+        }
+        emit(finalChunk);
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+};
+
+/**
+ * Send a Gemini-shaped request to an OpenAI-compatible endpoint
+ * @param {Object} modelConfig - Custom model definition {baseUrl, model, apiKey}
+ * @param {Object} requestBody - Gemini request body
+ * @param {Object} options - Request options
+ * @param {boolean} options.stream - Return a Gemini-style SSE stream
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<Response>} Response whose body is Gemini-shaped JSON (or SSE when streaming)
+ * @throws {ApiError} If the endpoint returns a non-ok status
+ */
+export const generateContent = async (modelConfig, requestBody, options = {}) => {
+  const stream = !!options.stream;
+  const headers = { "Content-Type": "application/json" };
+  if (modelConfig.apiKey) {
+    headers.Authorization = `Bearer ${modelConfig.apiKey}`;
+  }
+
+  const response = await fetch(buildChatCompletionsUrl(modelConfig.baseUrl), {
+    method: "POST",
+    headers,
+    body: JSON.stringify(toOpenAIRequest(requestBody, modelConfig.model, stream)),
+    signal: options.signal,
+  });
+
+  if (!response.ok) {
+    let errorMessage = "";
+    let errorDetails = {};
+    try {
+      const errorBody = await response.text();
+      try {
+        const parsedError = JSON.parse(errorBody);
+        errorMessage = parsedError.error?.message || errorBody;
+        errorDetails = typeof parsedError.error === "object" ? parsedError.error : {};
+      } catch (e) {
+        errorMessage = errorBody;
+      }
+    } catch (e) {
+      errorMessage = "Unknown error occurred";
+    }
+    throw new ApiError(`API request failed: ${errorMessage}`, {
+      status: response.status,
+      statusCode: response.status,
+      errorType: "api_response_error",
+      details: { provider: "openai", ...errorDetails },
+    });
+  }
+
+  if (stream && response.body && typeof response.body.getReader === "function") {
+    return new Response(toGeminiEventStream(response), {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream" },
+    });
+  }
+
+  const data = await response.json();
+  const geminiResponse = fromOpenAIResponse(data);
+  const body = stream
+    ? `data: ${JSON.stringify(geminiResponse)}\n\n`
+    : JSON.stringify(geminiResponse);
+  return new Response(body, {
+    status: 200,
+    headers: { "Content-Type": stream ? "text/event-stream" : "application/json" },
+  });
+};
+
+const openaiCompatibleProvider = {
+  id: "openai",
+  label: "OpenAI-compatible",
+  generateContent,
+};
+
+export default openaiCompatibleProvider;
@@ -0,0 +1,213 @@
+/**
+ * Retry Policy
+ * Retries transient gateway failures (429 and 5xx) with exponential backoff and jitter,
+ * honoring Retry-After. Shared by Gemini, TTS and file upload calls.
+ */
+
+import { getRetryPolicySettings } from '../../utils/settingsService';
+import { createAbortError, isAbortError, isNetworkError } from './apiClient';
+
+export const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+export const DEFAULT_RETRY_POLICY = {
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  // Give up instead of waiting when the server asks for a longer delay than this
+  maxRetryAfterMs: 60000,
+  // Fraction of the delay that is randomized (0 = no jitter, 1 = full jitter)
+  jitter: 0.5,
+  // Max attempts per request type, including the first one
+  maxAttempts: {
+    default: 4,
+    summarization: 3,
+    followUpQuestions: 2,
+    conversationMetadata: 2,
+    mermaidRepair: 2,
+    tts: 3,
+    fileUpload: 3,
+  },
+};
+
+/**
+ * Get the retry policy, merged over the defaults
+ * @returns {Object} Retry policy
+ */
+export const getRetryPolicy = () => {
+  const stored = getRetryPolicySettings() || {};
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...stored,
+    maxAttempts: {
+      ...DEFAULT_RETRY_POLICY.maxAttempts,
+      ...(stored.maxAttempts || {}),
+    },
+  };
+};
+
+/**
+ * Get the max number of attempts for a request type
+ * @param {string} requestType - Request type
+ * @param {Object} policy - Retry policy
+ * @returns {number} Max attempts (at least 1)
+ */
+export const getMaxAttempts = (requestType = "default", policy = getRetryPolicy()) => {
+  const attempts = policy.maxAttempts[requestType] ?? policy.maxAttempts.default;
+  return Math.max(1, Math.floor(attempts) || 1);
+};
+
+/**
+ * Parse a Retry-After header value (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null if absent or invalid
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Read the server-requested delay from a failed response
+ * Uses the Retry-After header, or the RetryInfo detail Gemini includes in 429 bodies.
+ * @param {Response} response - Failed fetch response
+ * @param {Object} errorDetails - Parsed `error` object from the response body
+ * @returns {number|null} Delay in ms
+ */
+export const getRetryAfterMs = (response, errorDetails = {}) => {
+  const fromHeader = parseRetryAfter(response?.headers?.get?.("Retry-After"));
+  if (fromHeader !== null) {
+    return fromHeader;
+  }
+  const retryInfo = (errorDetails.details || []).find(
+    (detail) => typeof detail?.retryDelay === "string"
+  );
+  const match = retryInfo?.retryDelay.match(/^([\d.]+)s$/);
+  return match ? parseFloat(match[1]) * 1000 : null;
+};
+
+/**
+ * Compute the backoff delay before the next attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Function} random - Random source, for tests
+ * @returns {number} Delay in ms
+ */
+export const computeBackoffDelay = (attempt, policy = getRetryPolicy(), random = Math.random) => {
+  const exponential = Math.min(
+    policy.maxDelayMs,
+    policy.baseDelayMs * 2 ** Math.max(0, attempt - 1)
+  );
+  const jitter = Math.min(1, Math.max(0, policy.jitter));
+  return Math.round(exponential * (1 - jitter + jitter * random()));
+};
+
+/**
+ * Whether an error is worth retrying: retryable HTTP statuses and network failures
+ * @param {Error} error - Error thrown by the request
+ * @returns {boolean}
+ */
+export const isRetryableError = (error) => {
+  if (!error || isAbortError(error)) {
+    return false;
+  }
+  const status = error.status || error.statusCode;
+  if (status) {
+    return RETRYABLE_STATUS_CODES.includes(status);
+  }
+  return isNetworkError(error);
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Run a request with retries
+ *
+ * @param {Function} requestFn - Receives the attempt number (1-based) and returns a promise
+ * @param {Object} options
+ * @param {string} options.requestType - Request type, selects max attempts
+ * @param {Function} options.onRetry - Called with {attempt, maxAttempts, delayMs, error, requestType}
+ *   before waiting for the next attempt
+ * @param {Function} options.shouldRetry - Override for isRetryableError
+ * @param {AbortSignal} options.signal - Stops waiting between attempts
+ * @returns {Promise<*>} Result of requestFn
+ * @throws The last error once attempts are exhausted or the error is not retryable,
+ *   or an AbortError if the signal is aborted
+ */
+export const withRetry = async (requestFn, options = {}) => {
+  const {
+    requestType = "default",
+    onRetry,
+    shouldRetry = isRetryableError,
+    signal,
+  } = options;
+  const policy = getRetryPolicy();
+  const maxAttempts = getMaxAttempts(requestType, policy);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await requestFn(attempt);
+    } catch (error) {
+      if (attempt >= maxAttempts || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const retryAfterMs = error.details?.retryAfterMs;
+      if (typeof retryAfterMs === "number" && retryAfterMs > policy.maxRetryAfterMs) {
+        throw error;
+      }
+
+      const backoff = computeBackoffDelay(attempt, policy);
+      // Honor the server's delay, but never wait less than the backoff
+      const delayMs = typeof retryAfterMs === "number"
+        ? Math.max(retryAfterMs, backoff)
+        : backoff;
+
+      console.warn(
+        `[retry] ${requestType} attempt ${attempt}/${maxAttempts} failed (${error.status || error.message}), retrying in ${delayMs}ms`
+      );
+      if (onRetry) {
+        try {
+          onRetry({ attempt, maxAttempts, delayMs, error, requestType });
+        } catch (callbackError) {
+          console.error("Error in onRetry callback:", callbackError);
+        }
+      }
+      await wait(delayMs, signal);
+    }
+  }
+};
+
+const retryPolicy = {
+  DEFAULT_RETRY_POLICY,
+  getRetryPolicy,
+  getMaxAttempts,
+  parseRetryAfter,
+  getRetryAfterMs,
+  computeBackoffDelay,
+  isRetryableError,
+  withRetry,
+};
+
+export default retryPolicy;
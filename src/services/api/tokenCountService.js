@@ -0,0 +1,401 @@
+/**
+ * Token Count Service
+ * Counts conversation tokens with the Gemini countTokens endpoint.
+ * Counts are cached in localStorage keyed by part UUID; model messages use the
+ * usageMetadata recorded when they were generated. Local estimates are only a
+ * fallback for parts that have not been counted yet. A part whose count fails is
+ * tried again after a growing delay, not on every request.
+ */
+
+import { getGatewayUrl, getGatewayHeaders } from './endpointProfiles';
+import { ApiError, createAbortError, isAbortError } from './apiClient';
+import { getActiveModel, isGeminiModel, DEFAULT_MODEL } from './modelProviders';
+
+const TOKEN_COUNT_CACHE_KEY = "token_count_cache";
+const MAX_CACHE_ENTRIES = 2000;
+const COUNT_CONCURRENCY = 4;
+// Newest parts first; the rest are counted by later refreshes
+const MAX_PARTS_PER_REFRESH = 20;
+// Delay before counting a part again after its count failed, doubled per failure
+const FAILED_COUNT_RETRY_MS = 60 * 1000;
+const MAX_FAILED_COUNT_RETRY_MS = 24 * 60 * 60 * 1000;
+
+// Counts in progress by part uuid and version, shared by concurrent refreshes:
+// {promise, controller, waiters}
+const inFlightCounts = new Map();
+
+// Gemini bills images at a fixed size; PDFs are roughly that per page
+const IMAGE_TOKEN_ESTIMATE = 258;
+const PDF_TOKEN_ESTIMATE = IMAGE_TOKEN_ESTIMATE * 10;
+
+// CJK characters are roughly one token each, unlike whitespace-separated words
+const CJK_CHAR_REGEX = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g;
+
+/**
+ * Estimate token count for text when no real count is available
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export const estimateTokenCount = (text) => {
+  if (!text) return 0;
+  const cjkCount = (text.match(CJK_CHAR_REGEX) || []).length;
+  const remainder = text.replace(CJK_CHAR_REGEX, " ").trim();
+  const wordCount = remainder ? remainder.split(/\s+/).length : 0;
+  // Average of 1.3 tokens per word for alphabetic scripts
+  return cjkCount + Math.ceil(wordCount * 1.3);
+};
+
+/**
+ * Estimate token count for a single part
+ * @param {Object} part - Conversation part
+ * @returns {number} Estimated token count
+ */
+export const estimatePartTokens = (part) => {
+  if (!part) return 0;
+  if (part.text) {
+    return estimateTokenCount(part.text);
+  }
+  if (part.functionResponse?.response?.result !== undefined) {
+    return estimateTokenCount(JSON.stringify(part.functionResponse.response.result));
+  }
+  const mimeType =
+    part.file_data?.mime_type || part.inline_data?.mime_type || part.inlineData?.mimeType;
+  if (mimeType) {
+    return mimeType === "application/pdf" ? PDF_TOKEN_ESTIMATE : IMAGE_TOKEN_ESTIMATE;
+  }
+  return 0;
+};
+
+/**
+ * Version of a part used to invalidate cached counts after edits
+ * @param {Object} part - Conversation part
+ * @returns {number} Last update timestamp
+ */
+const getPartVersion = (part) => part.lastUpdate || part.timestamp || 0;
+
+const loadCache = () => {
+  try {
+    const stored = localStorage.getItem(TOKEN_COUNT_CACHE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error("Error reading token count cache:", error);
+    return {};
+  }
+};
+
+const saveCache = (cache) => {
+  try {
+    const entries = Object.entries(cache);
+    const pruned =
+      entries.length > MAX_CACHE_ENTRIES
+        ? Object.fromEntries(
+          entries
+            .sort((a, b) => (b[1].countedAt || 0) - (a[1].countedAt || 0))
+            .slice(0, MAX_CACHE_ENTRIES)
+        )
+        : cache;
+    localStorage.setItem(TOKEN_COUNT_CACHE_KEY, JSON.stringify(pruned));
+  } catch (error) {
+    console.error("Error saving token count cache:", error);
+  }
+};
+
+/**
+ * Get the cached token count for a part
+ * @param {Object} part - Conversation part with uuid
+ * @param {Object} cache - Optional preloaded cache
+ * @returns {number|null} Cached count, or null when missing, stale or failed
+ */
+export const getCachedPartTokens = (part, cache = loadCache()) => {
+  if (!part?.uuid) return null;
+  const entry = cache[part.uuid];
+  if (!entry || entry.version !== getPartVersion(part) || typeof entry.tokens !== "number") {
+    return null;
+  }
+  return entry.tokens;
+};
+
+/**
+ * Check whether a part's last count failed too recently to try again
+ * @param {Object} part - Conversation part with uuid
+ * @param {Object} cache - Preloaded cache
+ * @returns {boolean}
+ */
+const isCountFailureRecent = (part, cache) => {
+  const entry = cache[part.uuid];
+  return (
+    !!entry?.failures &&
+    entry.version === getPartVersion(part) &&
+    Date.now() < entry.retryAt
+  );
+};
+
+/**
+ * Check whether a model message's recorded usageMetadata still describes its parts
+ * (it becomes stale once any part is edited after the message was generated)
+ * @param {Object} message - Conversation message
+ * @returns {boolean}
+ */
+const hasCurrentUsage = (message) =>
+  message.role === "model" &&
+  typeof message.usageMetadata?.candidatesTokenCount === "number" &&
+  (message.parts || []).every(
+    (part) => !part.lastUpdate || part.lastUpdate <= (message.timestamp || 0)
+  );
+
+/**
+ * Count tokens for one message
+ * Thoughts are not sent back to the model, so they are not counted.
+ * @param {Object} message - Conversation message
+ * @param {Object} cache - Optional preloaded cache
+ * @returns {number} Token count
+ */
+export const getMessageTokenCount = (message, cache = loadCache()) => {
+  if (!message?.parts) return 0;
+  if (hasCurrentUsage(message)) {
+    return message.usageMetadata.candidatesTokenCount;
+  }
+  return message.parts
+    .filter((part) => !part.thought)
+    .reduce((total, part) => {
+      const cached = getCachedPartTokens(part, cache);
+      return total + (cached !== null ? cached : estimatePartTokens(part));
+    }, 0);
+};
+
+/**
+ * Calculate total token count for conversation history
+ * Uses real counts where known and estimates for the rest
+ * @param {Array} conversation - Conversation messages
+ * @returns {number} Token count
+ */
+export const calculateConversationTokenCount = (conversation = []) => {
+  const cache = loadCache();
+  return conversation.reduce(
+    (total, message) => total + getMessageTokenCount(message, cache),
+    0
+  );
+};
+
+/**
+ * Strip internal fields so a part can be sent to countTokens
+ * @param {Object} part - Conversation part
+ * @returns {Object|null} API part, or null if it cannot be counted remotely
+ */
+const toCountablePart = (part) => {
+  const { uuid, timestamp, lastUpdate, hide, thought, ...apiPart } = part;
+  if (apiPart.file_data?.file_uri) {
+    return { file_data: apiPart.file_data };
+  }
+  if (apiPart.inline_data) {
+    return apiPart.inline_data.data ? { inline_data: apiPart.inline_data } : null;
+  }
+  return Object.keys(apiPart).length > 0 ? apiPart : null;
+};
+
+/**
+ * Call the countTokens endpoint for a single part
+ * @param {Object} apiPart - Part in API format
+ * @param {string} model - Gemini model used for tokenization
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<number>} Total tokens
+ * @throws {ApiError} If the request fails
+ */
+const countTokens = async (apiPart, model, signal) => {
+  const response = await fetch(
+    getGatewayUrl(`gemini/models/${model}:countTokens`),
+    {
+      method: "POST",
+      headers: getGatewayHeaders({
+        "Content-Type": "application/json",
+      }),
+      body: JSON.stringify({ contents: [{ role: "user", parts: [apiPart] }] }),
+      signal,
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => "");
+    throw new ApiError(`Token count request failed: ${errorText}`, {
+      status: response.status,
+      statusCode: response.status,
+      errorType: "api_response_error",
+    });
+  }
+
+  const data = await response.json();
+  return data.totalTokens || 0;
+};
+
+/**
+ * Wait for a shared count on behalf of one refresh
+ * A count has its own controller, so one refresh being cancelled doesn't fail the others
+ * waiting on it; it is aborted once every waiting refresh has been cancelled.
+ * @param {Object} pending - Entry of inFlightCounts
+ * @param {AbortSignal} signal - The waiting refresh's signal
+ * @returns {Promise<number>} Total tokens
+ * @throws AbortError if the signal is aborted
+ */
+const waitForCount = (pending, signal) => {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  pending.waiters += 1;
+  if (!signal) {
+    return pending.promise;
+  }
+  return new Promise((resolve, reject) => {
+    const handleAbort = () => {
+      pending.waiters -= 1;
+      if (pending.waiters === 0) {
+        pending.controller.abort();
+      }
+      reject(createAbortError());
+    };
+    signal.addEventListener("abort", handleAbort, { once: true });
+    pending.promise.then(
+      (tokens) => {
+        signal.removeEventListener("abort", handleAbort);
+        resolve(tokens);
+      },
+      (error) => {
+        signal.removeEventListener("abort", handleAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+/**
+ * Count one part, joining a count already in progress for the same part version
+ * @param {Object} part - Conversation part
+ * @param {Object} apiPart - Part in API format
+ * @param {string} model - Gemini model used for tokenization
+ * @param {AbortSignal} signal - Cancels this refresh's wait for the count
+ * @returns {Promise<number>} Total tokens
+ */
+const countPartTokens = (part, apiPart, model, signal) => {
+  const key = `${part.uuid}:${getPartVersion(part)}`;
+  if (!inFlightCounts.has(key)) {
+    const controller = new AbortController();
+    inFlightCounts.set(key, {
+      controller,
+      waiters: 0,
+      promise: countTokens(apiPart, model, controller.signal).finally(() =>
+        inFlightCounts.delete(key)
+      ),
+    });
+  }
+  return waitForCount(inFlightCounts.get(key), signal);
+};
+
+/**
+ * Count and cache tokens for the newest parts that have no current count yet
+ * Failures are logged, leave the part on its local estimate and are recorded so the
+ * part waits before it is counted again. Counts are merged into the stored cache after
+ * each batch, so concurrent refreshes don't drop each other's.
+ * @param {Array} conversation - Conversation messages
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops the refresh; counts so far are kept
+ * @param {number} options.limit - Most parts counted by this refresh
+ * @returns {Promise<number>} Number of parts newly counted
+ * @throws AbortError if the signal is aborted
+ */
+export const refreshTokenCounts = async (
+  conversation = [],
+  { signal, limit = MAX_PARTS_PER_REFRESH } = {}
+) => {
+  const cache = loadCache();
+  const activeModel = getActiveModel();
+  const model = isGeminiModel(activeModel) ? activeModel : DEFAULT_MODEL;
+
+  const pending = [];
+  [...conversation].reverse().forEach((message) => {
+    if (!message?.parts || hasCurrentUsage(message)) return;
+    message.parts.forEach((part) => {
+      if (
+        !part.uuid ||
+        part.thought ||
+        getCachedPartTokens(part, cache) !== null ||
+        isCountFailureRecent(part, cache)
+      ) {
+        return;
+      }
+      const apiPart = toCountablePart(part);
+      if (apiPart) {
+        pending.push({ part, apiPart });
+      }
+    });
+  });
+
+  let counted = 0;
+  const toCount = pending.slice(0, limit);
+  for (let i = 0; i < toCount.length; i += COUNT_CONCURRENCY) {
+    const batch = toCount.slice(i, i + COUNT_CONCURRENCY);
+    const results = await Promise.allSettled(
+      batch.map(({ part, apiPart }) => countPartTokens(part, apiPart, model, signal))
+    );
+    const stored = loadCache();
+    results.forEach((result, index) => {
+      const { part } = batch[index];
+      if (result.status === "fulfilled") {
+        stored[part.uuid] = {
+          tokens: result.value,
+          version: getPartVersion(part),
+          countedAt: Date.now(),
+        };
+      } else if (!isAbortError(result.reason)) {
+        console.warn(`Token count failed for part ${part.uuid}:`, result.reason);
+        const previous = stored[part.uuid];
+        const failures =
+          previous?.version === getPartVersion(part) ? (previous.failures || 0) + 1 : 1;
+        stored[part.uuid] = {
+          version: getPartVersion(part),
+          failures,
+          retryAt:
+            Date.now() +
+            Math.min(FAILED_COUNT_RETRY_MS * 2 ** (failures - 1), MAX_FAILED_COUNT_RETRY_MS),
+          countedAt: Date.now(),
+        };
+      }
+    });
+    saveCache(stored);
+    counted += results.filter((result) => result.status === "fulfilled").length;
+
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+  }
+
+  return counted;
+};
+
+/**
+ * Count the tokens of a text with the countTokens endpoint
+ * @param {string} text - Text to count
+ * @param {string} model - Model to tokenize for (non-Gemini models use the default model)
+ * @returns {Promise<number>} Total tokens
+ * @throws {ApiError} If the request fails
+ */
+export const countTextTokens = (text, model = getActiveModel()) =>
+  text ? countTokens({ text }, isGeminiModel(model) ? model : DEFAULT_MODEL) : Promise.resolve(0);
+
+/**
+ * Remove all cached token counts
+ */
+export const clearTokenCountCache = () => {
+  localStorage.removeItem(TOKEN_COUNT_CACHE_KEY);
+};
+
+const tokenCountService = {
+  estimateTokenCount,
+  estimatePartTokens,
+  getCachedPartTokens,
+  getMessageTokenCount,
+  calculateConversationTokenCount,
+  refreshTokenCounts,
+  countTextTokens,
+  clearTokenCountCache,
+};
+
+export default tokenCountService;
@@ -0,0 +1,161 @@
+import { getChainBudgetSettings } from "../utils/settingsService";
+import { roleUtils } from "../utils/roleConfig";
+
+/**
+ * Chain Budget Service
+ * Limits the chains of role requests that model replies start by @mentioning other personas.
+ * Every user turn starts a chain with a budget: how deep the @mentions may go, how many persona
+ * replies it may take and how many tokens it may use. Personas mentioning each other in a loop
+ * (Adrien → Belinda → Adrien → Belinda) stop the chain as well.
+ */
+
+export const DEFAULT_CHAIN_BUDGET = {
+  // Replies started by @mentions in a row, after the one answering the user
+  maxDepth: 4,
+  // Persona replies per user turn, including the first ones
+  maxRoleCalls: 10,
+  // Total tokens (prompt and response) of the requests in the chain
+  maxTokens: 300000,
+};
+
+export const CHAIN_BUDGET_LIMITS = {
+  maxDepth: { min: 1, max: 20 },
+  maxRoleCalls: { min: 1, max: 50 },
+  maxTokens: { min: 10000, max: 5000000 },
+};
+
+/**
+ * Get the chain budget, merged over the defaults
+ * @returns {{maxDepth: number, maxRoleCalls: number, maxTokens: number}} Chain budget
+ */
+export const getChainBudget = () => ({
+  ...DEFAULT_CHAIN_BUDGET,
+  ...(getChainBudgetSettings() || {}),
+});
+
+/**
+ * Start the chain of a user turn
+ * @param {Object} budget - Chain budget
+ * @returns {{id: string, budget: Object, roleCalls: number, tokens: number}} Chain
+ */
+export const createChain = (budget = getChainBudget()) => ({
+  id: `chain-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+  budget: { ...budget },
+  roleCalls: 0,
+  tokens: 0,
+});
+
+/**
+ * Find whether a persona mentioning another one repeats a hop already made in the chain
+ * One reply back is fine (Adrien → Belinda → Adrien); mentioning Belinda again closes a loop.
+ *
+ * @param {Map<string, {role: string, parentRequestId?: string, continued?: boolean}>} lineage - Requests
+ *   by task id
+ * @param {string} parentRequestId - Task id of the reply containing the @mention
+ * @param {string} role - Mentioned role key
+ * @returns {Array<string>|null} Role keys from the start of the chain to the mentioned role, or null
+ */
+export const findMentionCycle = (lineage, parentRequestId, role) => {
+  const parent = lineage.get(parentRequestId);
+  if (!parent) {
+    return null;
+  }
+
+  const path = [role];
+  let repeated = false;
+  let current = parent;
+  while (current) {
+    path.unshift(current.role);
+    // A chain the user continued starts over at the continued reply
+    if (current.continued) {
+      break;
+    }
+    const ancestor = current.parentRequestId ? lineage.get(current.parentRequestId) : null;
+    if (ancestor && ancestor.role === parent.role && current.role === role) {
+      repeated = true;
+    }
+    current = ancestor;
+  }
+  return repeated ? path : null;
+};
+
+/**
+ * Decide which roles mentioned in a model reply may answer
+ *
+ * @param {Object} options
+ * @param {Object} options.chain - Chain of the reply, from createChain
+ * @param {Map} options.lineage - Requests by task id: {role, parentRequestId, depth, continued}
+ * @param {string} options.parentRequestId - Task id of the reply
+ * @param {Array<string>} options.roles - Mentioned role keys
+ * @returns {{allowed: Array<string>, stopped: Array<string>, reason: Object|null}} Roles that may
+ *   answer, roles that were stopped and why: {type: "depth"|"roleCalls"|"tokens"|"cycle", ...}
+ */
+export const checkMentionChain = ({ chain, lineage, parentRequestId, roles }) => {
+  const { budget } = chain;
+  const depth = (lineage.get(parentRequestId)?.depth ?? 0) + 1;
+
+  if (depth > budget.maxDepth) {
+    return { allowed: [], stopped: roles, reason: { type: "depth", limit: budget.maxDepth } };
+  }
+  if (chain.tokens >= budget.maxTokens) {
+    return {
+      allowed: [],
+      stopped: roles,
+      reason: { type: "tokens", used: chain.tokens, limit: budget.maxTokens },
+    };
+  }
+
+  let reason = null;
+  const stopped = [];
+  const candidates = roles.filter((role) => {
+    const cycle = findMentionCycle(lineage, parentRequestId, role);
+    if (cycle) {
+      stopped.push(role);
+      reason = reason || { type: "cycle", path: cycle };
+      return false;
+    }
+    return true;
+  });
+
+  const remaining = Math.max(0, budget.maxRoleCalls - chain.roleCalls);
+  if (candidates.length > remaining) {
+    stopped.push(...candidates.slice(remaining));
+    reason = reason || { type: "roleCalls", limit: budget.maxRoleCalls };
+  }
+  return { allowed: candidates.slice(0, remaining), stopped, reason };
+};
+
+/**
+ * Give a stopped chain a fresh budget on top of what it has used
+ * @param {Object} chain - Chain to extend, updated in place
+ * @param {Object} budget - Budget to add
+ * @returns {Object} The chain
+ */
+export const extendChainBudget = (chain, budget = getChainBudget()) => {
+  chain.budget = {
+    maxDepth: chain.budget.maxDepth + budget.maxDepth,
+    maxRoleCalls: chain.roleCalls + budget.maxRoleCalls,
+    maxTokens: chain.tokens + budget.maxTokens,
+  };
+  return chain;
+};
+
+/**
+ * Explain why a chain stopped
+ * @param {Object} reason - Reason from checkMentionChain
+ * @returns {string} Message for the chain stopped notice
+ */
+export const describeChainStop = (reason) => {
+  switch (reason?.type) {
+    case "depth":
+      return `@mentions went ${reason.limit} replies deep.`;
+    case "roleCalls":
+      return `This turn reached ${reason.limit} persona replies.`;
+    case "tokens":
+      return `This turn used ${reason.used.toLocaleString()} of ${reason.limit.toLocaleString()} tokens.`;
+    case "cycle":
+      return `The personas keep mentioning each other (${reason.path.map((role) => roleUtils.getRoleName(role)).join(" → ")}).`;
+    default:
+      return "";
+  }
+};
@@ -165,20 +165,284 @@ export const findFunctionResponseIndices = (conversation, modelMessageIndex) =>
   return indicesToDelete;
 };
 
+/*
+ * Branches
+ * Regenerating a response forks the turn it belongs to. A turn starts at a user
+ * message (not a function response) and holds every message up to the next one.
+ * Once a turn has alternatives, each of its messages carries `turnId` (timestamp
+ * of the turn's user message) and `branchId`; the user message carries
+ * `activeBranchId` and `branchSelectedAt`. Messages stay in one flat array keyed
+ * by timestamp, so sync and export handle them like any other message; views
+ * are resolved with resolveBranches.
+ */
+
+const isTurnStart = (message) =>
+  message?.role === "user" && !message.branchId && !isFunctionResponseMessage(message);
+
+const groupBranchMessages = (conversation) => {
+  const messagesByTurn = new Map();
+  conversation.forEach((message) => {
+    if (message.branchId && message.turnId !== undefined) {
+      if (!messagesByTurn.has(message.turnId)) {
+        messagesByTurn.set(message.turnId, []);
+      }
+      messagesByTurn.get(message.turnId).push(message);
+    }
+  });
+  return messagesByTurn;
+};
+
+/**
+ * Lists the branches of a turn, oldest first
+ * A selected branch without messages yet (a regeneration in progress) is listed last.
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {number} turnId - Timestamp of the turn's user message
+ * @returns {Array} Branch IDs
+ */
+export const getTurnBranches = (conversation, turnId) => {
+  const safeConversation = Array.isArray(conversation) ? conversation : [];
+  const branchIds = [];
+  safeConversation
+    .filter((message) => message.turnId === turnId && message.branchId)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((message) => {
+      if (!branchIds.includes(message.branchId)) {
+        branchIds.push(message.branchId);
+      }
+    });
+  const turnStart = safeConversation.find((message) => message.timestamp === turnId && isTurnStart(message));
+  if (turnStart?.activeBranchId && !branchIds.includes(turnStart.activeBranchId)) {
+    branchIds.push(turnStart.activeBranchId);
+  }
+  return branchIds;
+};
+
+const getActiveBranchId = (turnStart, branchIds, activeOverrides) =>
+  activeOverrides[turnStart.timestamp] ||
+  (branchIds.includes(turnStart.activeBranchId) ? turnStart.activeBranchId : branchIds[branchIds.length - 1]);
+
+/**
+ * Resolves the linear conversation shown and sent to the model: each turn with
+ * branches is followed by the messages of its selected branch only
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {Object} activeOverrides - Branch to use per turn ID instead of the selected one
+ * @returns {Array} Linear conversation (the same array if there are no branches)
+ */
+export const resolveBranches = (conversation, activeOverrides = {}) => {
+  const safeConversation = Array.isArray(conversation) ? conversation : [];
+  const messagesByTurn = groupBranchMessages(safeConversation);
+  if (messagesByTurn.size === 0) {
+    return safeConversation;
+  }
+
+  const resolved = [];
+  safeConversation.forEach((message) => {
+    if (message.branchId) {
+      return;
+    }
+    resolved.push(message);
+    const turnMessages = messagesByTurn.get(message.timestamp);
+    if (turnMessages && isTurnStart(message)) {
+      const activeBranchId = getActiveBranchId(
+        message,
+        getTurnBranches(safeConversation, message.timestamp),
+        activeOverrides
+      );
+      resolved.push(...turnMessages.filter((turnMessage) => turnMessage.branchId === activeBranchId));
+      messagesByTurn.delete(message.timestamp);
+    }
+  });
+
+  // Keep branches whose user message is gone visible rather than losing them
+  messagesByTurn.forEach((turnMessages) => resolved.push(...turnMessages));
+  return resolved;
+};
+
+/**
+ * Gets the messages shown in the conversation history: the resolved branches without deleted messages
+ *
+ * @param {Array} conversation - Current conversation array
+ * @returns {Array} Visible messages; history indices refer to this array
+ */
+export const getVisibleMessages = (conversation) =>
+  filterDeletedMessages(resolveBranches(conversation));
+
+/**
+ * Maps an index in the visible messages to the index in the conversation array
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {number} visibleIndex - Index in getVisibleMessages(conversation)
+ * @returns {number} Index in the conversation array, or -1 if not found
+ */
+export const toConversationIndex = (conversation, visibleIndex) => {
+  const message = getVisibleMessages(conversation)[visibleIndex];
+  return message ? conversation.indexOf(message) : -1;
+};
+
+/**
+ * Forks the turn of a model message so the message can be regenerated
+ * The turn's existing messages become its first branch (if it had none), and a new
+ * selected branch starts with copies of the turn's messages before the regenerated one.
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {number} visibleIndex - Index of the model message in getVisibleMessages(conversation)
+ * @param {number} now - Current time, for tests
+ * @returns {Object|null} {conversation, branch: {turnId, branchId}, message} or null if the
+ *   message is not a model message inside a turn
+ */
+export const createBranch = (conversation, visibleIndex, now = Date.now()) => {
+  const safeConversation = Array.isArray(conversation) ? conversation : [];
+  const target = getVisibleMessages(safeConversation)[visibleIndex];
+  if (!target || target.role !== "model") {
+    return null;
+  }
+
+  const view = resolveBranches(safeConversation);
+  const targetPosition = view.indexOf(target);
+  let turnStartPosition = targetPosition - 1;
+  while (turnStartPosition >= 0 && !isTurnStart(view[turnStartPosition])) {
+    turnStartPosition--;
+  }
+  if (turnStartPosition < 0) {
+    return null;
+  }
+  let turnEndPosition = targetPosition + 1;
+  while (turnEndPosition < view.length && !isTurnStart(view[turnEndPosition])) {
+    turnEndPosition++;
+  }
+
+  const turnStart = view[turnStartPosition];
+  const turnId = turnStart.timestamp;
+  const turnMessages = view.slice(turnStartPosition + 1, turnEndPosition);
+  const currentBranchId = turnMessages.find((message) => message.branchId)?.branchId || generatePartUUID();
+  const branchId = generatePartUUID();
+
+  const copies = view
+    .slice(turnStartPosition + 1, targetPosition)
+    .filter((message) => !message.deleted)
+    .map((message, offset) => ({
+      ...message,
+      timestamp: now + offset,
+      lastUpdate: now + offset,
+      turnId,
+      branchId,
+      parts: (message.parts || []).map((part) => ({
+        ...part,
+        uuid: generatePartUUID(),
+        timestamp: now + offset,
+        lastUpdate: now + offset,
+      })),
+    }));
+
+  const updatedConversation = safeConversation.map((message) => {
+    if (message === turnStart) {
+      return { ...message, activeBranchId: branchId, branchSelectedAt: now, lastUpdate: now };
+    }
+    if (!message.branchId && turnMessages.includes(message)) {
+      return { ...message, turnId, branchId: currentBranchId, lastUpdate: now };
+    }
+    return message;
+  });
+
+  return {
+    conversation: [...updatedConversation, ...copies],
+    branch: { turnId, branchId },
+    message: target,
+  };
+};
+
+/**
+ * Selects the branch shown for a turn
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {number} turnId - Timestamp of the turn's user message
+ * @param {string} branchId - Branch to select
+ * @returns {Array} Updated conversation array
+ */
+export const selectBranch = (conversation, turnId, branchId) => {
+  const safeConversation = Array.isArray(conversation) ? conversation : [];
+  const now = Date.now();
+  return safeConversation.map((message) =>
+    message.timestamp === turnId && isTurnStart(message)
+      ? { ...message, activeBranchId: branchId, branchSelectedAt: now, lastUpdate: now }
+      : message
+  );
+};
+
+/**
+ * Gets the conversation a request for a branch should see: everything before the
+ * turn, the turn's user message and the branch's messages so far
+ *
+ * @param {Array} conversation - Current conversation array
+ * @param {Object} branch - {turnId, branchId}
+ * @returns {Array} Linear conversation ending with the branch
+ */
+export const getBranchContext = (conversation, { turnId, branchId }) => {
+  const view = filterDeletedMessages(resolveBranches(conversation, { [turnId]: branchId }));
+  let end = view.findIndex((message) => message.timestamp === turnId && isTurnStart(message));
+  if (end === -1) {
+    return view;
+  }
+  while (end + 1 < view.length && view[end + 1].branchId === branchId) {
+    end++;
+  }
+  return view.slice(0, end + 1);
+};
+
+/**
+ * Describes the branch switchers to show: for each turn with alternatives, the
+ * first visible message of its selected branch (or its user message while the
+ * branch is still empty)
+ *
+ * @param {Array} conversation - Current conversation array
+ * @returns {Map} Message timestamp -> {turnId, branchIds, activeIndex}
+ */
+export const getBranchSwitchers = (conversation) => {
+  const switchers = new Map();
+  const visible = getVisibleMessages(conversation);
+  visible.forEach((message) => {
+    if (!isTurnStart(message)) {
+      return;
+    }
+    const branchIds = getTurnBranches(conversation, message.timestamp);
+    if (branchIds.length < 2) {
+      return;
+    }
+    const activeBranchId = getActiveBranchId(message, branchIds, {});
+    const anchor = visible.find(
+      (candidate) => candidate.turnId === message.timestamp && candidate.branchId === activeBranchId
+    ) || message;
+    switchers.set(anchor.timestamp, {
+      turnId: message.timestamp,
+      branchIds,
+      activeIndex: branchIds.indexOf(activeBranchId),
+    });
+  });
+  return switchers;
+};
+
 /**
  * Creates export data structure for conversation
  * 
  * @param {Array} conversation - Conversation array
  * @param {Array} summaries - Conversation summaries
  * @param {Object} trackedFiles - Tracked files object
+ * @param {Object|null} compressionSettings - Per-conversation compression settings ({overrides, updatedAt})
  * @returns {Object} Export data structure
  */
-export const createExportData = (conversation, summaries = [], trackedFiles = {}) => {
+export const createExportData = (conversation, summaries = [], trackedFiles = {}, compressionSettings = null) => {
   return {
-    version: "1.2", // Version marker - updated to include file tracking
+    // 1.2 added file tracking; 1.3 messages may carry branch fields
+    // (turnId/branchId, and activeBranchId/branchSelectedAt on a turn's user message);
+    // 1.4 summaries form a tree (id, level, parentId, startTimestamp);
+    // 1.5 adds compression_settings and summary tombstones (deleted)
+    version: "1.5",
     conversation: conversation,
     conversation_summaries: summaries,
     uploaded_files: trackedFiles,
+    compression_settings: compressionSettings,
   };
 };
 
@@ -186,7 +450,7 @@ export const createExportData = (conversation, summaries = [], trackedFiles = {}
  * Parses uploaded conversation data (supports old and new formats)
  * 
  * @param {string} jsonString - JSON string to parse
- * @returns {Object} Parsed data with conversation, summaries, and trackedFiles
+ * @returns {Object} Parsed data with conversation, summaries, trackedFiles and compressionSettings
  */
 export const parseConversationData = (jsonString) => {
   const uploadedData = JSON.parse(jsonString);
@@ -199,6 +463,7 @@ export const parseConversationData = (jsonString) => {
         : [],
       summaries: uploadedData.conversation_summaries || [],
       trackedFiles: uploadedData.uploaded_files || {},
+      compressionSettings: uploadedData.compression_settings || null,
     };
   } else {
     // Old format: just the conversation (assuming the entire file is conversation data)
@@ -206,6 +471,7 @@ export const parseConversationData = (jsonString) => {
       conversation: Array.isArray(uploadedData) ? uploadedData : [],
       summaries: [],
       trackedFiles: {},
+      compressionSettings: null,
     };
   }
 };
@@ -0,0 +1,233 @@
+import { getRoleDefinition } from "../utils/roleConfig";
+import { generatePartUUID } from "./conversationService";
+
+/**
+ * Discussion Service
+ * Plans structured multi-agent discussions (panel, debate, review) as a list of steps.
+ * Each step is a moderator note followed by the turns of one or more personas; the last
+ * step is always the moderator's summary.
+ */
+
+export const DISCUSSION_MODES = {
+  panel: {
+    label: "Panel",
+    description: "Every persona answers independently, then the moderator synthesizes",
+    minRoles: 2,
+    maxRoles: 5,
+    defaultRoles: ["searcher", "editor", "financialAdvisor"],
+    defaultRounds: 1,
+  },
+  debate: {
+    label: "Debate",
+    description: "Two personas take turns arguing, then the moderator sums up",
+    minRoles: 2,
+    maxRoles: 2,
+    defaultRoles: ["searcher", "editor"],
+    defaultRounds: 2,
+  },
+  review: {
+    label: "Review",
+    description: "The first persona drafts, the second critiques, the first revises",
+    minRoles: 2,
+    maxRoles: 2,
+    defaultRoles: ["searcher", "editor"],
+    defaultRounds: 1,
+  },
+};
+
+export const MAX_DISCUSSION_ROUNDS = 5;
+export const DEFAULT_MODERATOR_ROLE = "general";
+
+const roleName = (roleKey) => getRoleDefinition(roleKey)?.name || roleKey;
+
+const listNames = (roles) => roles.map(roleName).join(", ");
+
+/**
+ * Pick the participants of a discussion
+ * Without mentions the mode's defaults take part. Otherwise mentioned roles come first, in order,
+ * defaults fill up to the minimum and the list is cut at the maximum.
+ *
+ * @param {string} mode - Discussion mode
+ * @param {Array<string>} mentionedRoles - Role keys mentioned in the user's message
+ * @returns {Array<string>} Role keys of the participants
+ */
+export const resolveDiscussionRoles = (mode, mentionedRoles = []) => {
+  const { minRoles, maxRoles, defaultRoles } = DISCUSSION_MODES[mode];
+  const roles = Array.from(new Set(mentionedRoles)).filter((role) => getRoleDefinition(role));
+  if (roles.length === 0) {
+    return defaultRoles.slice(0, maxRoles);
+  }
+  defaultRoles.forEach((role) => {
+    if (roles.length < minRoles && !roles.includes(role)) {
+      roles.push(role);
+    }
+  });
+  return roles.slice(0, maxRoles);
+};
+
+/**
+ * Clamp the number of rounds to the allowed range
+ *
+ * @param {string} mode - Discussion mode
+ * @param {number} rounds - Requested rounds
+ * @returns {number} Rounds between 1 and MAX_DISCUSSION_ROUNDS
+ */
+export const clampDiscussionRounds = (mode, rounds) => {
+  const parsed = parseInt(rounds, 10);
+  return Number.isFinite(parsed)
+    ? Math.min(MAX_DISCUSSION_ROUNDS, Math.max(1, parsed))
+    : DISCUSSION_MODES[mode].defaultRounds;
+};
+
+const panelSteps = (roles, rounds) =>
+  Array.from({ length: rounds }, (_, index) => ({
+    kind: "turn",
+    round: index + 1,
+    roles,
+    note:
+      index === 0
+        ? `Panel discussion with ${listNames(roles)}. Each panelist answers the question above independently, with their own view.`
+        : `Panel round ${index + 1} of ${rounds}: ${listNames(roles)}, read the other panelists' answers above and refine your position. Say where you agree and where you disagree.`,
+  }));
+
+const debateSteps = ([first, second], rounds) => {
+  const steps = [];
+  for (let round = 1; round <= rounds; round++) {
+    [[first, second], [second, first]].forEach(([speaker, opponent], turn) => {
+      steps.push({
+        kind: "turn",
+        round,
+        roles: [speaker],
+        note:
+          round === 1 && turn === 0
+            ? `Debate round 1 of ${rounds}: ${roleName(speaker)}, make your case on the question above. ${roleName(opponent)} will argue against it.`
+            : `Debate round ${round} of ${rounds}: ${roleName(speaker)}, respond directly to ${roleName(opponent)}'s latest argument and defend your position.`,
+      });
+    });
+  }
+  return steps;
+};
+
+const reviewSteps = ([author, reviewer], rounds) => {
+  const steps = [
+    {
+      kind: "turn",
+      round: 1,
+      roles: [author],
+      note: `Review: ${roleName(author)}, write a draft answer to the question above. ${roleName(reviewer)} will review it.`,
+    },
+  ];
+  for (let round = 1; round <= rounds; round++) {
+    steps.push(
+      {
+        kind: "turn",
+        round,
+        roles: [reviewer],
+        note: `Review round ${round} of ${rounds}: ${roleName(reviewer)}, critique ${roleName(author)}'s latest draft. List concrete problems and how to fix them; do not rewrite it yourself.`,
+      },
+      {
+        kind: "turn",
+        round,
+        roles: [author],
+        note: `Review round ${round} of ${rounds}: ${roleName(author)}, revise your draft to address ${roleName(reviewer)}'s review and give the full revised version.`,
+      }
+    );
+  }
+  return steps;
+};
+
+/**
+ * Plan the steps of a discussion
+ *
+ * @param {Object} options
+ * @param {string} options.mode - "panel", "debate" or "review"
+ * @param {Array<string>} options.roles - Participants, from resolveDiscussionRoles
+ * @param {number} options.rounds - Number of rounds
+ * @param {string} options.moderator - Role key of the moderator who writes the summary
+ * @returns {Array<{kind: string, round: number|null, roles: Array<string>, note: string}>} Steps
+ */
+export const planDiscussion = ({ mode, roles, rounds, moderator = DEFAULT_MODERATOR_ROLE }) => {
+  const stepsByMode = { panel: panelSteps, debate: debateSteps, review: reviewSteps };
+  const steps = stepsByMode[mode](roles, rounds);
+  steps.push({
+    kind: "summary",
+    round: null,
+    roles: [moderator],
+    note: `Moderator summary: ${roleName(moderator)}, summarize the ${DISCUSSION_MODES[mode].label.toLowerCase()} above for the user: the main positions, where they agree and disagree, and your conclusion. Do not continue the discussion.`,
+  });
+  return steps;
+};
+
+/**
+ * Create a discussion ready to run
+ *
+ * @param {Object} options - mode, mentionedRoles, rounds and moderator
+ * @returns {Object} Discussion with id, mode, roles, rounds, moderator, steps and stepIndex
+ */
+export const createDiscussion = ({ mode, mentionedRoles = [], rounds, moderator = DEFAULT_MODERATOR_ROLE }) => {
+  if (!DISCUSSION_MODES[mode]) {
+    throw new Error(`Unknown discussion mode: ${mode}`);
+  }
+  const roles = resolveDiscussionRoles(mode, mentionedRoles);
+  const clampedRounds = clampDiscussionRounds(mode, rounds);
+  return {
+    id: `discussion-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    mode,
+    roles,
+    rounds: clampedRounds,
+    moderator,
+    steps: planDiscussion({ mode, roles, rounds: clampedRounds, moderator }),
+    stepIndex: 0,
+  };
+};
+
+/**
+ * Build the moderator note that opens a step
+ * The note is a user message: the personas read it as an instruction and the UI shows it as a note.
+ *
+ * @param {Object} discussion - Discussion from createDiscussion
+ * @param {number} stepIndex - Index of the step
+ * @returns {Object} Conversation message
+ */
+export const createDiscussionNote = (discussion, stepIndex) => {
+  const step = discussion.steps[stepIndex];
+  return {
+    role: "user",
+    parts: [
+      { text: "$$$ USER BEGIN $$$\n", hide: true, uuid: generatePartUUID() },
+      { text: step.note, uuid: generatePartUUID() },
+    ],
+    timestamp: Date.now(),
+    discussionNote: getDiscussionTag(discussion, stepIndex),
+  };
+};
+
+/**
+ * Describe a step for tagging messages and showing progress
+ *
+ * @param {Object} discussion - Discussion from createDiscussion
+ * @param {number} stepIndex - Index of the step
+ * @returns {{id: string, mode: string, kind: string, round: number|null, rounds: number, step: number, steps: number}}
+ */
+export const getDiscussionTag = (discussion, stepIndex) => ({
+  id: discussion.id,
+  mode: discussion.mode,
+  kind: discussion.steps[stepIndex].kind,
+  round: discussion.steps[stepIndex].round,
+  rounds: discussion.rounds,
+  step: stepIndex + 1,
+  steps: discussion.steps.length,
+});
+
+/**
+ * Short label of a discussion tag, e.g. "Debate · round 2 of 3" or "Moderator summary"
+ *
+ * @param {Object} tag - Tag from getDiscussionTag
+ * @returns {string} Label
+ */
+export const formatDiscussionTag = (tag) => {
+  if (!tag) return "";
+  if (tag.kind === "summary") return "Moderator summary";
+  const label = DISCUSSION_MODES[tag.mode]?.label || tag.mode;
+  return tag.rounds > 1 ? `${label} · round ${tag.round} of ${tag.rounds}` : label;
+};
@@ -31,6 +31,9 @@ export const buildUserFacingErrorMessage = (error) => {
           userMessage += " - Please check your API key";
         }
         break;
+      case "budget_exceeded":
+        userMessage = `Usage budget exceeded: ${message}. Adjust the limits in the Usage tab to continue.`;
+        break;
       case "network_error":
         userMessage = `Network error: ${
           message || "Please check your internet connection"
@@ -0,0 +1,237 @@
+import memoryService, { SHARED_MEMORY_SCOPE, isMemoryVisibleTo } from "../utils/memoryService";
+import { getMemoryRetrievalSettings } from "../utils/settingsService";
+import { embedTexts, cosineSimilarity } from "./api/embeddingService";
+import { estimateTokenCount } from "./api/tokenCountService";
+import { isAbortError } from "./api/apiClient";
+
+/**
+ * Memory retrieval service
+ * Selects the memories to include in a prompt: the top-k most relevant to the
+ * recent turns within a token budget. Memory embeddings are stored locally and
+ * refreshed when a memory changes; without embeddings (no key, offline, API
+ * error) the most recently updated memories are used instead.
+ */
+
+const EMBEDDINGS_KEY = "memory_embeddings";
+// Longest query text embedded for a request
+const MAX_QUERY_CHARS = 4000;
+
+export const DEFAULT_MEMORY_RETRIEVAL = {
+  enabled: true,
+  topK: 8,
+  tokenBudget: 1000,
+  // Number of recent messages the query is built from
+  recentMessages: 6,
+};
+
+// The last query embedding, shared by the roles answering the same message
+let lastQuery = { text: null, vector: null };
+
+/**
+ * Get the memory retrieval settings, merged over the defaults
+ * @returns {Object} {enabled, topK, tokenBudget, recentMessages}
+ */
+export const getMemoryRetrievalConfig = () => ({
+  ...DEFAULT_MEMORY_RETRIEVAL,
+  ...(getMemoryRetrievalSettings() || {}),
+});
+
+/**
+ * Format a memory as it appears in the prompt; the persona's own memories are marked private
+ * @param {Object} memory - {key, value, scope}
+ * @returns {string} Prompt line
+ */
+export const formatMemoryLine = ({ key, value, scope }) =>
+  scope && scope !== SHARED_MEMORY_SCOPE ? `Memory ${key} (private): ${value}` : `Memory ${key}: ${value}`;
+
+// Short hash of a memory's text, to detect edits
+const hashText = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return `${text.length}-${hash.toString(36)}`;
+};
+
+const toText = (value) => (typeof value === "string" ? value : JSON.stringify(value));
+
+const loadEmbeddings = () => {
+  try {
+    const stored = localStorage.getItem(EMBEDDINGS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error("Error reading memory embeddings:", error);
+    return {};
+  }
+};
+
+const saveEmbeddings = (embeddings) => {
+  try {
+    localStorage.setItem(EMBEDDINGS_KEY, JSON.stringify(embeddings));
+  } catch (error) {
+    console.error("Error saving memory embeddings:", error);
+  }
+};
+
+/**
+ * Build the retrieval query from the visible text of the recent messages
+ * @param {Array} contents - Conversation messages
+ * @param {number} recentMessages - Number of messages to use
+ * @returns {string} Query text (most recent text kept if too long)
+ */
+export const getQueryText = (contents = [], recentMessages = DEFAULT_MEMORY_RETRIEVAL.recentMessages) => {
+  const text = contents
+    .slice(-recentMessages)
+    .flatMap((message) =>
+      (message.parts || [])
+        .filter((part) => typeof part.text === "string" && !part.hide && !part.thought)
+        .map((part) => part.text.trim())
+    )
+    .filter(Boolean)
+    .join("\n");
+  return text.slice(-MAX_QUERY_CHARS);
+};
+
+/**
+ * Embed memories without a current embedding and drop embeddings of deleted memories
+ * @param {Array} entries - [{key, value}] to embed
+ * @param {Array} allEntries - Every memory, including other personas' private ones; only
+ *   embeddings of memories missing here are dropped
+ * @param {AbortSignal} signal - Cancels the embedding request
+ * @returns {Promise<Object>} Map of memory key to {hash, vector}
+ */
+const ensureMemoryEmbeddings = async (entries, allEntries, signal) => {
+  const stored = loadEmbeddings();
+  const missing = entries.filter((entry) => stored[entry.key]?.hash !== hashText(toText(entry.value)));
+
+  if (missing.length > 0) {
+    const vectors = await embedTexts(missing.map((entry) => toText(entry.value)), {
+      taskType: "RETRIEVAL_DOCUMENT",
+      signal,
+    });
+    missing.forEach((entry, index) => {
+      stored[entry.key] = {
+        hash: hashText(toText(entry.value)),
+        // Four decimals are plenty for ranking and halve the stored size
+        vector: vectors[index].map((value) => Math.round(value * 10000) / 10000),
+      };
+    });
+  }
+
+  const current = Object.fromEntries(
+    allEntries.filter((entry) => stored[entry.key]).map((entry) => [entry.key, stored[entry.key]])
+  );
+  if (missing.length > 0 || Object.keys(current).length !== Object.keys(stored).length) {
+    saveEmbeddings(current);
+  }
+  return current;
+};
+
+const embedQuery = async (text, signal) => {
+  if (lastQuery.text !== text) {
+    const [vector] = await embedTexts([text], { taskType: "RETRIEVAL_QUERY", signal });
+    lastQuery = { text, vector };
+  }
+  return lastQuery.vector;
+};
+
+/**
+ * Take memories in ranked order until topK or the token budget is reached
+ * Memories that don't fit are skipped so smaller ones further down can still be included.
+ *
+ * @param {Array} ranked - Memories, best first
+ * @param {Object} config - {topK, tokenBudget}
+ * @returns {Object} {selected, tokens}
+ */
+export const fitToBudget = (ranked, { topK, tokenBudget }) => {
+  const selected = [];
+  let tokens = 0;
+  for (const memory of ranked) {
+    if (selected.length >= topK) {
+      break;
+    }
+    const memoryTokens = estimateTokenCount(formatMemoryLine(memory));
+    if (tokens + memoryTokens <= tokenBudget) {
+      selected.push(memory);
+      tokens += memoryTokens;
+    }
+  }
+  return { selected, tokens };
+};
+
+/**
+ * Order memories by last update, newest first
+ * @param {Array} entries - [{key, value, lastUpdate}]
+ * @returns {Array} Sorted copy
+ */
+export const rankByRecency = (entries) =>
+  [...entries].sort((a, b) => (b.lastUpdate || 0) - (a.lastUpdate || 0));
+
+/**
+ * Select the memories to include in a request
+ *
+ * @param {Array} contents - Conversation messages the request is built from
+ * @param {Object} options - Overrides of the retrieval settings, plus signal (AbortSignal) and
+ *   role (only that persona's memories and the shared ones are considered)
+ * @returns {Promise<Object>} {memories: [{key, value, lastUpdate, score}], strategy, total, tokens}
+ *   where strategy is "relevance", "recency" (fallback) or "all" (retrieval disabled)
+ * @throws AbortError if the signal is aborted
+ */
+export const selectRelevantMemories = async (contents, options = {}) => {
+  const { signal, role, ...overrides } = options;
+  const config = { ...getMemoryRetrievalConfig(), ...overrides };
+  const allEntries = await memoryService.getAllMemoryEntries();
+  const entries = allEntries.filter((entry) => isMemoryVisibleTo(entry.scope, role));
+
+  if (!config.enabled) {
+    return { memories: rankByRecency(entries), strategy: "all", total: entries.length, tokens: null };
+  }
+  if (entries.length === 0) {
+    return { memories: [], strategy: "relevance", total: 0, tokens: 0 };
+  }
+
+  let ranked;
+  let strategy = "relevance";
+  try {
+    const queryText = getQueryText(contents, config.recentMessages);
+    if (!queryText) {
+      throw new Error("No recent text to search memories with");
+    }
+    const embeddings = await ensureMemoryEmbeddings(entries, allEntries, signal);
+    const queryVector = await embedQuery(queryText, signal);
+    ranked = entries
+      .map((entry) => ({ ...entry, score: cosineSimilarity(queryVector, embeddings[entry.key]?.vector) }))
+      .sort((a, b) => b.score - a.score);
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw error;
+    }
+    console.warn("Memory retrieval by relevance failed, using the most recent memories:", error);
+    ranked = rankByRecency(entries);
+    strategy = "recency";
+  }
+
+  const { selected, tokens } = fitToBudget(ranked, config);
+  return { memories: selected, strategy, total: entries.length, tokens };
+};
+
+/**
+ * Remove all stored memory embeddings
+ */
+export const clearMemoryEmbeddings = () => {
+  localStorage.removeItem(EMBEDDINGS_KEY);
+  lastQuery = { text: null, vector: null };
+};
+
+const memoryRetrievalService = {
+  DEFAULT_MEMORY_RETRIEVAL,
+  getMemoryRetrievalConfig,
+  formatMemoryLine,
+  getQueryText,
+  fitToBudget,
+  rankByRecency,
+  selectRelevantMemories,
+  clearMemoryEmbeddings,
+};
+
+export default memoryRetrievalService;
@@ -0,0 +1,145 @@
+/**
+ * Outbox service
+ * Persists user messages that could not be sent (submitted while offline, or
+ * whose role requests failed with a network error) together with their target
+ * roles, so they can be edited, discarded or replayed in order on reconnect.
+ */
+
+const OUTBOX_KEY = "message_outbox";
+const CURRENT_CONVERSATION_KEY = "onedrive_latest_conversation_id";
+const LOCAL_CONVERSATION_ID = "local";
+
+export const OUTBOX_UPDATED_EVENT = "messageOutboxUpdated";
+
+const readOutbox = () => {
+  try {
+    const stored = localStorage.getItem(OUTBOX_KEY);
+    const entries = stored ? JSON.parse(stored) : [];
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    console.error("Error reading outbox from localStorage:", error);
+    return [];
+  }
+};
+
+const writeOutbox = (entries, detail = {}) => {
+  try {
+    if (entries.length === 0) {
+      localStorage.removeItem(OUTBOX_KEY);
+    } else {
+      localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    }
+  } catch (error) {
+    console.error("Error writing outbox to localStorage:", error);
+  }
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new CustomEvent(OUTBOX_UPDATED_EVENT, { detail }));
+  }
+};
+
+/**
+ * Get the ID the outbox uses for the current conversation
+ * @returns {string} OneDrive conversation ID, or "local" before the conversation is saved
+ */
+export const getCurrentOutboxConversationId = () =>
+  localStorage.getItem(CURRENT_CONVERSATION_KEY) || LOCAL_CONVERSATION_ID;
+
+/**
+ * Get pending entries, oldest first
+ * @param {string} conversationId - Only return entries of this conversation (all if omitted)
+ * @returns {Array} Entries of shape {id, conversationId, message, roles, createdAt, reason}
+ */
+export const getOutbox = (conversationId) => {
+  const entries = readOutbox();
+  return conversationId
+    ? entries.filter((entry) => entry.conversationId === conversationId)
+    : entries;
+};
+
+/**
+ * Queue a user message for later delivery
+ * Queuing the same message again (another role of it failed) merges the roles.
+ *
+ * @param {Object} message - User message, as it would be appended to the conversation
+ * @param {string[]} roles - Roles the message is addressed to
+ * @param {Object} options
+ * @param {string} options.conversationId - Conversation to deliver to (defaults to the current one)
+ * @param {string} options.reason - "offline", or "network_error" for a message that failed
+ *   in flight; those go to the front so the original order is kept
+ * @returns {Object} The new or updated entry
+ */
+export const addToOutbox = (message, roles, options = {}) => {
+  const {
+    conversationId = getCurrentOutboxConversationId(),
+    reason = "offline",
+  } = options;
+  const entries = readOutbox();
+
+  const existing = entries.find(
+    (entry) =>
+      entry.conversationId === conversationId &&
+      entry.message.timestamp === message.timestamp
+  );
+  if (existing) {
+    existing.roles = Array.from(new Set([...existing.roles, ...roles]));
+    writeOutbox(entries, { reason });
+    return existing;
+  }
+
+  const entry = {
+    id: `${message.timestamp}-${Math.random().toString(36).slice(2, 8)}`,
+    conversationId,
+    message,
+    roles: Array.from(new Set(roles)),
+    createdAt: Date.now(),
+    reason,
+  };
+  // A message that failed in flight is older than anything queued after it
+  if (reason === "network_error") {
+    entries.unshift(entry);
+  } else {
+    entries.push(entry);
+  }
+  writeOutbox(entries, { reason });
+  return entry;
+};
+
+/**
+ * Update a pending entry (e.g. after the user edited the text)
+ * @param {string} id - Entry ID
+ * @param {Object} updates - Fields to replace (message, roles)
+ * @returns {Object|null} The updated entry, or null if not found
+ */
+export const updateOutboxEntry = (id, updates) => {
+  const entries = readOutbox();
+  const index = entries.findIndex((entry) => entry.id === id);
+  if (index === -1) {
+    return null;
+  }
+  entries[index] = { ...entries[index], ...updates, id };
+  writeOutbox(entries);
+  return entries[index];
+};
+
+/**
+ * Remove an entry once it has been dispatched or discarded
+ * @param {string} id - Entry ID
+ */
+export const removeFromOutbox = (id) => {
+  const entries = readOutbox();
+  const remaining = entries.filter((entry) => entry.id !== id);
+  if (remaining.length !== entries.length) {
+    writeOutbox(remaining);
+  }
+};
+
+const outboxService = {
+  OUTBOX_UPDATED_EVENT,
+  getCurrentOutboxConversationId,
+  getOutbox,
+  addToOutbox,
+  updateOutboxEntry,
+  removeFromOutbox,
+};
+
+export default outboxService;
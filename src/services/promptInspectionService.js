@@ -0,0 +1,241 @@
+import { estimateTokenCount, estimatePartTokens } from "./api/tokenCountService";
+
+/**
+ * Prompt inspection service
+ * Keeps the exact request assembled for recent model calls (system instruction,
+ * contents, tools and generation config) with token counts per section, so the
+ * prompt behind a model message can be inspected. Sections served from a context
+ * cache are kept with the cached entry they came from. Inspections stay on this
+ * device; messages only carry the inspection ID.
+ *
+ * Stored requests are trimmed so they can't crowd out the app's other localStorage data:
+ * base64 payloads are dropped, only the most recent messages are kept and long texts
+ * are cut short. The section token counts still describe the full request.
+ */
+
+const INSPECTIONS_KEY = "prompt_inspections";
+// Requests carry the whole conversation, so only the most recent ones are kept
+const MAX_INSPECTIONS = 10;
+// Most recent messages of a request's contents that are stored
+const MAX_STORED_MESSAGES = 20;
+// Longest text (or function response) stored per part
+const MAX_STORED_PART_CHARS = 2000;
+// Size budget of all stored inspections together, in characters of JSON
+const MAX_STORED_CHARS = 500000;
+
+const readInspections = () => {
+  try {
+    const stored = localStorage.getItem(INSPECTIONS_KEY);
+    const inspections = stored ? JSON.parse(stored) : [];
+    return Array.isArray(inspections) ? inspections : [];
+  } catch (error) {
+    console.error("Error reading prompt inspections from localStorage:", error);
+    return [];
+  }
+};
+
+const writeInspections = (inspections) => {
+  let kept = inspections.slice(-MAX_INSPECTIONS);
+  while (kept.length > 1 && JSON.stringify(kept).length > MAX_STORED_CHARS) {
+    kept = kept.slice(1);
+  }
+  // Drop the oldest inspections until they fit in the storage quota
+  while (kept.length > 0) {
+    try {
+      localStorage.setItem(INSPECTIONS_KEY, JSON.stringify(kept));
+      return;
+    } catch (error) {
+      kept = kept.slice(1);
+    }
+  }
+  localStorage.removeItem(INSPECTIONS_KEY);
+};
+
+const truncateText = (text) =>
+  text.length > MAX_STORED_PART_CHARS
+    ? `${text.slice(0, MAX_STORED_PART_CHARS)}... [${text.length - MAX_STORED_PART_CHARS} more chars]`
+    : text;
+
+// Base64 payloads are replaced by their size; they add nothing to an inspection
+const sanitizePart = (part) => {
+  if (part?.inline_data?.data) {
+    return { ...part, inline_data: { ...part.inline_data, data: `[base64, ${part.inline_data.data.length} chars]` } };
+  }
+  if (part?.inlineData?.data) {
+    return { ...part, inlineData: { ...part.inlineData, data: `[base64, ${part.inlineData.data.length} chars]` } };
+  }
+  if (typeof part?.text === "string") {
+    return { ...part, text: truncateText(part.text) };
+  }
+  if (part?.functionResponse) {
+    const response = JSON.stringify(part.functionResponse.response);
+    if (response && response.length > MAX_STORED_PART_CHARS) {
+      return { ...part, functionResponse: { ...part.functionResponse, response: { truncated: truncateText(response) } } };
+    }
+  }
+  return part;
+};
+
+// Older messages are replaced by a note of how many were left out
+const sanitizeContents = (contents = []) => {
+  const omitted = Math.max(0, contents.length - MAX_STORED_MESSAGES);
+  return [
+    ...(omitted > 0 ? [{ omitted: `${omitted} earlier messages not stored` }] : []),
+    ...contents
+      .slice(omitted)
+      .map((content) => ({ ...content, parts: (content.parts || []).map(sanitizePart) })),
+  ];
+};
+
+/**
+ * Build an inspection for a request body
+ *
+ * @param {Object} params
+ * @param {string} params.model - Model the request is sent to
+ * @param {string} params.role - Role key
+ * @param {string} params.requestType - Request type
+ * @param {Object} params.requestBody - Request body as sent (Gemini format)
+ * @param {Array} params.systemSections - [{key, label, text}] the system instruction parts were built from, in order
+ * @param {number} params.contentsTokens - Token count of the contents, if known (estimated otherwise)
+ * @param {Object} params.cache - {name, systemInstruction, tools} of the cachedContents entry the
+ *   request referenced instead of sending its system instruction and tools, if any
+ * @returns {Object} Inspection of shape {id, createdAt, model, role, requestType, request, sections, cache}
+ */
+export const buildPromptInspection = ({
+  model,
+  role,
+  requestType,
+  requestBody,
+  systemSections = [],
+  contentsTokens,
+  cache = null,
+}) => {
+  const { systemInstruction, contents, tools, ...rest } = requestBody;
+  const createdAt = Date.now();
+  const cached = !systemInstruction && !!cache;
+  const sentSystemInstruction = systemInstruction || cache?.systemInstruction;
+  const sentTools = tools || cache?.tools;
+
+  const sections = [
+    ...(sentSystemInstruction
+      ? systemSections.map(({ key, label, text }, partIndex) => ({
+        key,
+        label,
+        group: "systemInstruction",
+        partIndex,
+        tokens: estimateTokenCount(text),
+        exact: false,
+        cached,
+      }))
+      : []),
+    {
+      key: "contents",
+      label: `Conversation (${(contents || []).length} messages)`,
+      group: "contents",
+      tokens:
+        typeof contentsTokens === "number"
+          ? contentsTokens
+          : (contents || []).reduce(
+            (total, content) =>
+              total + (content.parts || []).reduce((sum, part) => sum + estimatePartTokens(part), 0),
+            0
+          ),
+      exact: false,
+    },
+    ...(sentTools
+      ? [{
+        key: "tools",
+        label: "Tools",
+        group: "tools",
+        tokens: estimateTokenCount(JSON.stringify(sentTools)),
+        exact: false,
+        cached: !tools,
+      }]
+      : []),
+  ];
+
+  return {
+    id: `${createdAt}-${Math.random().toString(36).slice(2, 8)}`,
+    createdAt,
+    model,
+    role,
+    requestType,
+    request: {
+      ...(systemInstruction && {
+        systemInstruction: { ...systemInstruction, parts: systemInstruction.parts.map(sanitizePart) },
+      }),
+      contents: sanitizeContents(contents),
+      ...(tools && { tools }),
+      ...rest,
+    },
+    sections,
+    cache: cache && {
+      name: cache.name,
+      systemInstruction: cache.systemInstruction,
+      ...(cache.tools && { tools: cache.tools }),
+    },
+  };
+};
+
+/**
+ * Store an inspection, evicting the oldest ones
+ * @param {Object} inspection - Inspection from buildPromptInspection
+ * @returns {Object} The stored inspection
+ */
+export const savePromptInspection = (inspection) => {
+  writeInspections([...readInspections(), inspection]);
+  return inspection;
+};
+
+/**
+ * Update a stored inspection (e.g. with the usage reported by the response)
+ * @param {string} id - Inspection ID
+ * @param {Object} updates - Fields to replace
+ * @returns {Object|null} The updated inspection, or null if it is no longer stored
+ */
+export const updatePromptInspection = (id, updates) => {
+  const inspections = readInspections();
+  const index = inspections.findIndex((inspection) => inspection.id === id);
+  if (index === -1) {
+    return null;
+  }
+  inspections[index] = { ...inspections[index], ...updates, id };
+  writeInspections(inspections);
+  return inspections[index];
+};
+
+/**
+ * Get a stored inspection
+ * @param {string} id - Inspection ID
+ * @returns {Object|null} Inspection, or null if it was evicted or made on another device
+ */
+export const getPromptInspection = (id) =>
+  readInspections().find((inspection) => inspection.id === id) || null;
+
+/**
+ * Get the text a section stands for, for exact token counting
+ * @param {Object} inspection - Stored inspection
+ * @param {Object} section - One of inspection.sections
+ * @returns {string|null} Section text, or null if it has no text of its own
+ */
+export const getSectionText = (inspection, section) => {
+  const { request, cache } = inspection;
+  if (section.group === "systemInstruction") {
+    const systemInstruction = request.systemInstruction || cache?.systemInstruction;
+    return systemInstruction?.parts?.[section.partIndex]?.text ?? null;
+  }
+  if (section.group === "tools") {
+    return JSON.stringify(request.tools || cache?.tools);
+  }
+  return null;
+};
+
+const promptInspectionService = {
+  buildPromptInspection,
+  savePromptInspection,
+  updatePromptInspection,
+  getPromptInspection,
+  getSectionText,
+};
+
+export default promptInspectionService;
@@ -0,0 +1,134 @@
+import { getRequestConcurrencySettings } from "../utils/settingsService";
+import { getRoleDefinition } from "../utils/roleConfig";
+import { formatDiscussionTag } from "./discussionService";
+
+/**
+ * Request Queue Service
+ * Rules of the role request queue kept by useRoleRequests: how many requests run at once, in
+ * total and per persona, which queued tasks start next, and how tasks are described in the
+ * queue panel. Queued tasks start in queue order; paused ones are skipped until resumed.
+ */
+
+export const DEFAULT_REQUEST_CONCURRENCY = {
+  // Requests running at once, all personas together
+  maxConcurrent: 3,
+  // Requests of one persona running at once, unless set for the persona in roles
+  roleLimit: 1,
+  // Limits by role key
+  roles: {},
+};
+
+export const REQUEST_CONCURRENCY_LIMITS = {
+  maxConcurrent: { min: 1, max: 10 },
+  roleLimit: { min: 1, max: 5 },
+};
+
+// Finished tasks kept in the queue panel
+export const FINISHED_TASK_LIMIT = 20;
+
+/**
+ * Get the concurrency limits, merged over the defaults
+ * @returns {{maxConcurrent: number, roleLimit: number, roles: Object}} Concurrency limits
+ */
+export const getRequestConcurrency = () => {
+  const settings = getRequestConcurrencySettings() || {};
+  return {
+    ...DEFAULT_REQUEST_CONCURRENCY,
+    ...settings,
+    roles: { ...DEFAULT_REQUEST_CONCURRENCY.roles, ...settings.roles },
+  };
+};
+
+/**
+ * Get how many requests of a role may run at once
+ * @param {string} role - Role key
+ * @param {Object} concurrency - Concurrency limits
+ * @returns {number} Limit
+ */
+export const getRoleConcurrencyLimit = (role, concurrency = getRequestConcurrency()) =>
+  concurrency.roles?.[role] ?? concurrency.roleLimit;
+
+/**
+ * Pick the queued tasks that may start now, in queue order
+ *
+ * @param {Array<Object>} queue - Queued tasks ({role, paused, cancelled})
+ * @param {Array<Object>} running - Running tasks ({role})
+ * @param {Object} concurrency - Concurrency limits
+ * @returns {Array<Object>} Tasks to start
+ */
+export const pickRunnableTasks = (queue, running, concurrency = getRequestConcurrency()) => {
+  const runningByRole = new Map();
+  running.forEach((task) => runningByRole.set(task.role, (runningByRole.get(task.role) || 0) + 1));
+
+  let slots = concurrency.maxConcurrent - running.length;
+  const picked = [];
+  for (const task of queue) {
+    if (slots <= 0) {
+      break;
+    }
+    if (task.paused || task.cancelled) {
+      continue;
+    }
+    const roleRunning = runningByRole.get(task.role) || 0;
+    if (roleRunning >= getRoleConcurrencyLimit(task.role, concurrency)) {
+      continue;
+    }
+    runningByRole.set(task.role, roleRunning + 1);
+    slots -= 1;
+    picked.push(task);
+  }
+  return picked;
+};
+
+/**
+ * Describe what started a request
+ * @param {Object} context - Request context ({source, discussion, scheduledTaskTitle, continuedChain})
+ * @param {string} [parentRole] - Role whose reply @mentioned this one
+ * @returns {string} Trigger, e.g. "You", "@mention by Adrien" or "Debate · round 2 of 3"
+ */
+export const describeTrigger = (context = {}, parentRole = null) => {
+  let trigger;
+  switch (context.source) {
+    case "user":
+      trigger = "You";
+      break;
+    case "model":
+      trigger = parentRole ? `@mention by ${getRoleDefinition(parentRole)?.name || parentRole}` : "@mention";
+      break;
+    case "regenerate":
+      trigger = "Regenerate";
+      break;
+    case "discussion":
+      trigger = context.discussion ? formatDiscussionTag(context.discussion) : "Discussion";
+      break;
+    case "schedule":
+      trigger = context.scheduledTaskTitle ? `Scheduled · ${context.scheduledTaskTitle}` : "Scheduled";
+      break;
+    default:
+      trigger = context.source || "Unknown";
+  }
+  return context.continuedChain ? `${trigger} (continued)` : trigger;
+};
+
+/**
+ * Format the time a task has been waiting or running, or took
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "8s" or "2m 05s"
+ */
+export const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+};
+
+const requestQueueService = {
+  getRequestConcurrency,
+  getRoleConcurrencyLimit,
+  pickRunnableTasks,
+  describeTrigger,
+  formatElapsed,
+};
+
+export default requestQueueService;
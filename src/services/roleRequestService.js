@@ -1,16 +1,60 @@
-import { roleDefinition, roleUtils } from "../utils/roleConfig";
+import { roleUtils } from "../utils/roleConfig";
 import { normalizeBeginMarker } from "../utils/responseUtils";
 import { extractMentionedRolesFromParts } from "../utils/textProcessing/mentionUtils";
-import { fetchFromApi, postProcessModelResponse } from "../services/api/geminiService";
+import { fetchFromApi, postProcessModelResponse, repairMermaidDiagrams } from "../services/api/geminiService";
 import { toolbox } from "../services/api/financialService";
 import { generatePartUUID } from "../services/conversationService";
+import { isAbortError } from "../services/api/apiClient";
+import { getToolPolicy, createDeniedToolResult } from "../services/toolApprovalService";
 
 /**
  * Role Request Service
- * Handles role request queue management, execution, and deduplication
+ * Handles role request execution and deduplication; the queue and its concurrency limits are
+ * kept by useRoleRequests (see requestQueueService)
  */
 
-const MAX_CONCURRENT_ROLE_REQUESTS = 3;
+/**
+ * Picks the parts of a model response that are rendered in the conversation
+ *
+ * @param {Array} responseParts - Parts from candidates[0].content
+ * @returns {Array} Displayable parts (text, code, execution results, images)
+ */
+const getDisplayableParts = (responseParts = []) =>
+  responseParts.filter(
+    (part) =>
+      part.text ||
+      part.executableCode ||
+      part.codeExecutionResult ||
+      (part.inlineData &&
+        part.inlineData.data &&
+        part.inlineData.mimeType)
+  );
+
+// Recorded when a request is stopped before any of its response streamed
+const STOPPED_PLACEHOLDER = "_Stopped._";
+
+/**
+ * Builds the message that records a request stopped by the user
+ *
+ * @param {string} role - Role key
+ * @param {Array} parts - Parts streamed before the stop; a placeholder when empty
+ * @returns {Object} Model message marked as cancelled
+ */
+export const createCancelledMessage = (role, parts = []) => {
+  const personaName = roleUtils.getRoleName(role);
+  const recordedParts =
+    parts.length > 0 ? parts : normalizeBeginMarker([{ text: STOPPED_PLACEHOLDER }], personaName);
+  return {
+    role: "model",
+    name: personaName,
+    parts: recordedParts.map((part) => ({
+      ...part,
+      uuid: part.uuid || generatePartUUID(),
+    })),
+    timestamp: Date.now(),
+    cancelled: true,
+  };
+};
 
 /**
  * Processes a role request task
@@ -31,13 +75,34 @@ export const processRoleRequest = async (
     onError,
     onMentionedRolesFound,
     onRequestComplete,
+    onStreamUpdate,
+    onStreamEnd,
+    onRetry,
+    onUsage,
+    onToolApproval,
+    onToolDeclined,
   } = callbacks;
 
   const { role } = task;
+  const signal = task.abortController?.signal;
+  const personaName = roleUtils.getRoleName(role);
   let continueProcessing = true;
+  // Latest streamed parts, kept so a cancelled response can be recorded as partial
+  const partial = { parts: [] };
+  let cancelRecorded = false;
+
+  // A stopped request always leaves a cancelled message, once
+  const appendCancelledPartial = () => {
+    if (cancelRecorded || !onMessageAppended) {
+      return;
+    }
+    cancelRecorded = true;
+    onMessageAppended(createCancelledMessage(role, partial.parts));
+  };
 
   while (continueProcessing) {
     if (task.cancelled) {
+      appendCancelledPartial();
       return;
     }
     continueProcessing = false;
@@ -46,23 +111,77 @@ export const processRoleRequest = async (
     try {
       const conversationSnapshot =
         task.conversationSnapshot || callbacks.getConversationSnapshot?.() || [];
+      const streamStartedAt = Date.now();
+      partial.parts = [];
+      // Streamed chunks are shown as a live preview; the final message is
+      // appended only after the stream completes and has been post-processed
+      const handleStreamUpdate = onStreamUpdate
+        ? (partialResponse) => {
+          if (task.cancelled) {
+            return;
+          }
+          const partialCandidate = partialResponse?.candidates?.[0];
+          const previewParts = normalizeBeginMarker(
+            getDisplayableParts(partialCandidate?.content?.parts),
+            personaName
+          );
+          partial.parts = previewParts;
+          onStreamUpdate(
+            {
+              role: "model",
+              name: personaName,
+              parts: previewParts,
+              timestamp: streamStartedAt,
+              streaming: true,
+            },
+            task
+          );
+        }
+        : null;
       responseData = await fetchFromApi(
         conversationSnapshot,
         "default",
         true,
-        role
+        role,
+        false,
+        0,
+        null,
+        handleStreamUpdate,
+        {
+          onRetry: onRetry ? (retryState) => onRetry(retryState, task) : null,
+          signal,
+          // Requests outside the open conversation name their own summary scope
+          ...(task.context && "summaryScope" in task.context && {
+            summaryScope: task.context.summaryScope,
+          }),
+        }
       );
     } catch (error) {
+      // Stopped by the user: keep whatever was streamed, marked as cancelled
+      if (task.cancelled || isAbortError(error)) {
+        appendCancelledPartial();
+        return;
+      }
       if (onError) {
         onError(error, task);
       }
       throw error;
+    } finally {
+      if (onStreamEnd) {
+        onStreamEnd(task);
+      }
     }
 
     if (task.cancelled) {
+      appendCancelledPartial();
       return;
     }
 
+    // Every call counts against the chain budget, including the ones that only call tools
+    if (onUsage && responseData?.usageMetadata) {
+      onUsage(responseData.usageMetadata, task);
+    }
+
     const candidate = responseData?.candidates?.[0];
     if (!candidate || !candidate.content) {
       const contentError = new Error("No content in candidates[0]");
@@ -74,45 +193,55 @@ export const processRoleRequest = async (
 
     const responseParts = candidate.content.parts || [];
 
-    const textParts = responseParts.filter(
-      (part) =>
-        part.text ||
-        part.executableCode ||
-        part.codeExecutionResult ||
-        (part.inlineData &&
-          part.inlineData.data &&
-          part.inlineData.mimeType)
-    );
+    const textParts = getDisplayableParts(responseParts);
     const functionCallParts = responseParts.filter(
       (part) => part.functionCall
     );
 
     if (textParts.length > 0) {
       if (task.cancelled) {
+        appendCancelledPartial();
         return;
       }
       const normalizedParts = normalizeBeginMarker(
         textParts,
-        roleDefinition[role]?.name
+        personaName
       );
       
-      // Post-process text parts to fix formatting issues
+      // Post-process text parts to fix formatting issues and repair invalid Mermaid diagrams
       // Skip processing for code blocks (executableCode, codeExecutionResult)
-      const personaName = roleDefinition[role]?.name || "Adrien";
-      const processedParts = normalizedParts.map((part) => {
-        // Skip post-processing for code blocks
-        if (part.executableCode || part.codeExecutionResult) {
+      let processedParts;
+      try {
+        processedParts = await Promise.all(normalizedParts.map(async (part) => {
+          // Skip post-processing for code blocks
+          if (part.executableCode || part.codeExecutionResult) {
+            return part;
+          }
+          // Only process regular text parts (thoughts are not rendered as diagrams)
+          if (part.text && typeof part.text === 'string') {
+            const { text, repairs } = part.thought
+              ? { text: part.text, repairs: [] }
+              : await repairMermaidDiagrams(part.text, { role, signal });
+            return {
+              ...part,
+              text: postProcessModelResponse(text, personaName),
+              // Repaired diagrams are marked as such, with the original kept for inspection
+              ...(repairs.length > 0 && { mermaidRepairs: repairs }),
+            };
+          }
           return part;
+        }));
+      } catch (error) {
+        if (task.cancelled || isAbortError(error)) {
+          appendCancelledPartial();
+          return;
         }
-        // Only process regular text parts
-        if (part.text && typeof part.text === 'string') {
-          return {
-            ...part,
-            text: postProcessModelResponse(part.text, personaName),
-          };
-        }
-        return part;
-      });
+        throw error;
+      }
+      if (task.cancelled) {
+        appendCancelledPartial();
+        return;
+      }
       
       // Ensure all parts have UUIDs
       const partsWithUUIDs = processedParts.map(part => ({
@@ -129,18 +258,27 @@ export const processRoleRequest = async (
           candidate?.groundingMetadata?.groundingChunks || [],
         groundingSupports:
           candidate?.groundingMetadata?.groundingSupports || [],
+        ...(responseData.usageMetadata && {
+          usageMetadata: responseData.usageMetadata,
+        }),
+        ...(responseData.promptInspectionId && {
+          promptInspectionId: responseData.promptInspectionId,
+        }),
       };
 
       if (onMessageAppended) {
         onMessageAppended(botResponse);
       }
+      // Recorded in full, so a later stop doesn't repeat it as partial
+      partial.parts = [];
 
       const mentionedRoles = extractMentionedRolesFromParts(
         processedParts,
         mentionRoleMap
       ).filter((roleKey) => roleKey !== role);
 
-      if (mentionedRoles.length > 0) {
+      // Discussion turns are directed by the moderator, so their @mentions start nothing
+      if (mentionedRoles.length > 0 && !task.context?.discussion) {
         if (task.cancelled) {
           return;
         }
@@ -162,13 +300,31 @@ export const processRoleRequest = async (
 
       for (const functionCallPart of functionCallParts) {
         if (task.cancelled) {
+          appendCancelledPartial();
           return;
         }
         const { name, args } = functionCallPart.functionCall;
 
         if (toolbox[name]) {
+          // "ask" tools wait for the user; refused calls are reported back to the model
+          const policy = getToolPolicy(role, name);
+          if (policy !== "auto") {
+            const approved =
+              policy === "ask" && onToolApproval
+                ? await onToolApproval({ name, args }, task)
+                : false;
+            if (task.cancelled) {
+              appendCancelledPartial();
+              return;
+            }
+            if (!approved) {
+              onToolDeclined?.({ name, args, policy }, task);
+              functionResults.push({ name, result: createDeniedToolResult(name, policy) });
+              continue;
+            }
+          }
           try {
-            const result = await Promise.resolve(toolbox[name](args));
+            const result = await Promise.resolve(toolbox[name](args, { signal, role }));
             // Ensure result is always an object with error information if it failed
             if (
               result &&
@@ -193,6 +349,11 @@ export const processRoleRequest = async (
               functionResults.push({ name, result });
             }
           } catch (error) {
+            // Remaining tool calls are skipped once the request is stopped
+            if (task.cancelled || isAbortError(error)) {
+              appendCancelledPartial();
+              return;
+            }
             console.error(`Error executing function ${name}:`, error);
             // Return error response to LLM with full error details
             functionResults.push({
@@ -224,6 +385,7 @@ export const processRoleRequest = async (
 
       if (functionResults.length > 0) {
         if (task.cancelled) {
+          appendCancelledPartial();
           return;
         }
         const functionResponseMessage = {
@@ -285,8 +447,11 @@ export const createRoleRequestTask = (role, context = {}, conversationSnapshot =
     context,
     dedupeKey,
     cancelled: false,
+    // Paused tasks stay queued until resumed
+    paused: false,
+    enqueuedAt: Date.now(),
+    // Aborted on cancel so in-flight fetches, uploads and tool calls stop immediately
+    abortController: new AbortController(),
     conversationSnapshot,
   };
 };
-
-export { MAX_CONCURRENT_ROLE_REQUESTS };
@@ -0,0 +1,183 @@
+import { getRoleRoutingSettings } from "../utils/settingsService";
+import { getRoleDefinition, getVisibleRoles } from "../utils/roleConfig";
+import { classifyRoleIntent } from "./api/geminiService";
+import { isAbortError } from "./api/apiClient";
+
+/**
+ * Role Router Service
+ * Picks the personas that answer a message without an @mention. Keyword rules settle the
+ * obvious cases for free; the rest go to a flash-lite call that knows every visible persona,
+ * custom ones included. Adrien answers when neither finds a better match.
+ */
+
+export const DEFAULT_ROLE_ROUTING = {
+  // Off by default: without an @mention, Adrien answers as before
+  enabled: false,
+  // Ask flash-lite when no keyword rule matches
+  useModel: true,
+};
+
+export const MAX_ROUTED_ROLES = 3;
+
+export const DEFAULT_ROUTE_ROLE = "general";
+
+// The message waits for its route, so a slow router gives way to the keyword result
+export const ROUTING_TIMEOUT_MS = 4000;
+
+// Checked in order; a message matching several rules goes to each of their personas
+export const ROUTING_RULES = [
+  {
+    role: "financialAdvisor",
+    pattern:
+      /\b(?:stocks?|shares|tickers?|markets?|portfolios?|earnings|dividends?|crypto|bitcoin|forex|exchange rates?|interest rates?|inflation|etfs?|invest(?:ing|ments?)?)\b|\$[A-Z]{1,5}\b/gi,
+  },
+  {
+    role: "searcher",
+    pattern:
+      /\b(?:search|look up|google|latest|news|today's|recent|research|sources?|find out)\b|https?:\/\/\S+/gi,
+  },
+  {
+    role: "editor",
+    pattern:
+      /\b(?:edit|rewrite|proofread|polish|rephrase|grammar|draft|documents?|paragraphs?|essay|summari[sz]e|translate)\b/gi,
+  },
+];
+
+/**
+ * Get the routing settings, merged over the defaults
+ * @returns {{enabled: boolean, useModel: boolean}} Routing settings
+ */
+export const getRoleRoutingConfig = () => ({
+  ...DEFAULT_ROLE_ROUTING,
+  ...(getRoleRoutingSettings() || {}),
+});
+
+const isRoutableRole = (role) => {
+  const definition = getRoleDefinition(role);
+  return !!definition && !definition.hidden;
+};
+
+// Matches of a rule, each term once in the spelling it first appears in
+const findTerms = (text, pattern) =>
+  (text.match(pattern) || []).reduce(
+    (terms, term) =>
+      terms.some((known) => known.toLowerCase() === term.toLowerCase()) ? terms : [...terms, term],
+    []
+  );
+
+const quoteTerms = (terms) => terms.map((term) => `"${term}"`).join(", ");
+
+/**
+ * Route a message with the keyword rules
+ * @param {string} text - Text of the message
+ * @returns {{roles: Array<string>, reason: string}|null} Matching roles, most matches first, or
+ *   null when no rule matches
+ */
+export const classifyByKeywords = (text) => {
+  if (!text) {
+    return null;
+  }
+  const matches = ROUTING_RULES.filter((rule) => isRoutableRole(rule.role))
+    .map((rule) => ({
+      role: rule.role,
+      terms: findTerms(text, rule.pattern),
+    }))
+    .filter((match) => match.terms.length > 0)
+    .sort((a, b) => b.terms.length - a.terms.length)
+    .slice(0, MAX_ROUTED_ROLES);
+
+  if (matches.length === 0) {
+    return null;
+  }
+  const terms = matches.flatMap((match) => match.terms).slice(0, 4);
+  return {
+    roles: matches.map((match) => match.role),
+    reason: `Mentions ${quoteTerms(terms)}`,
+  };
+};
+
+const createDefaultRoute = () => ({
+  roles: [DEFAULT_ROUTE_ROLE],
+  reason: "No specific expertise needed",
+  source: "default",
+});
+
+/**
+ * Route a message with the keyword rules only, as when offline
+ * @param {string} text - Text of the message
+ * @returns {{roles: Array<string>, reason: string, source: string}} Route, where source is
+ *   "keywords" or "default"
+ */
+export const routeByKeywords = (text) => {
+  const keywordRoute = classifyByKeywords(text);
+  return keywordRoute ? { ...keywordRoute, source: "keywords" } : createDefaultRoute();
+};
+
+/**
+ * Route a message without an @mention to the personas best suited to answer it
+ *
+ * @param {string} text - Text of the message
+ * @param {Object} options
+ * @param {boolean} options.useModel - Ask flash-lite when no keyword rule matches; defaults to
+ *   the setting
+ * @param {AbortSignal} options.signal - Cancels the flash-lite call
+ * @param {number} options.timeoutMs - Falls back to the default persona when flash-lite takes
+ *   longer
+ * @returns {Promise<{roles: Array<string>, reason: string, source: string}>} Route, where source
+ *   is "keywords", "model" or "default" (nothing better than Adrien was found)
+ * @throws AbortError if the signal is aborted
+ */
+export const routeQuestion = async (
+  text,
+  { useModel = getRoleRoutingConfig().useModel, signal, timeoutMs = ROUTING_TIMEOUT_MS } = {}
+) => {
+  const keywordRoute = classifyByKeywords(text);
+  if (keywordRoute) {
+    return { ...keywordRoute, source: "keywords" };
+  }
+
+  if (useModel && text?.trim()) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal?.aborted) {
+      abort();
+    }
+    signal?.addEventListener("abort", abort);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    try {
+      const personas = getVisibleRoles().map(([role, config]) => ({
+        role,
+        name: config.name,
+        description: config.description || "",
+      }));
+      const { roles, reason } = await classifyRoleIntent(text, personas, { signal: controller.signal });
+      const validRoles = [...new Set(roles)].filter(isRoutableRole).slice(0, MAX_ROUTED_ROLES);
+      if (validRoles.length > 0) {
+        return { roles: validRoles, reason: reason || "Picked by the router", source: "model" };
+      }
+    } catch (error) {
+      if (isAbortError(error) && !timedOut) {
+        throw error;
+      }
+      console.warn("Role routing failed, falling back to the default persona:", error);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", abort);
+    }
+  }
+
+  return createDefaultRoute();
+};
+
+const roleRouterService = {
+  getRoleRoutingConfig,
+  classifyByKeywords,
+  routeByKeywords,
+  routeQuestion,
+};
+
+export default roleRouterService;
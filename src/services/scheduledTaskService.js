@@ -0,0 +1,436 @@
+import { getRoleDefinition } from "../utils/roleConfig";
+import { appendMessage, generatePartUUID } from "./conversationService";
+import { syncScheduleWithHost, notifyFromHost } from "./schedulerHostService";
+
+/**
+ * Scheduled Task Service
+ * Recurring prompts for a persona ("Diana, give me a market brief every weekday at 8:00").
+ * The tasks live here and run through the role request queue, each into its own
+ * conversation; the Electron main process or the extension's service worker only keeps the
+ * timers (see schedulerHostService) so runs come due while the app is in the background.
+ */
+
+const SCHEDULED_TASKS_KEY = "scheduledTasks";
+const CONVERSATION_KEY_PREFIX = "scheduledConversation-";
+
+export const SCHEDULED_TASKS_CHANGE_EVENT = "scheduledTasksChange";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Runs of a task the persona sees as context; older runs stay in the conversation
+export const SCHEDULED_CONTEXT_RUNS = 3;
+
+// Tasks running in this window, so a run that comes due twice starts once
+const runningTaskIds = new Set();
+
+const notifyChange = (detail = {}) => {
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new CustomEvent(SCHEDULED_TASKS_CHANGE_EVENT, { detail }));
+  }
+};
+
+const readTasks = () => {
+  try {
+    const stored = localStorage.getItem(SCHEDULED_TASKS_KEY);
+    const tasks = stored ? JSON.parse(stored) : [];
+    return Array.isArray(tasks) ? tasks : [];
+  } catch (error) {
+    console.error("Error reading scheduled tasks from localStorage:", error);
+    return [];
+  }
+};
+
+// Tasks are kept per device, so a brief isn't run once by every synced device
+const writeTasks = (tasks) => {
+  try {
+    localStorage.setItem(SCHEDULED_TASKS_KEY, JSON.stringify(tasks));
+  } catch (error) {
+    console.error("Error writing scheduled tasks to localStorage:", error);
+  }
+  syncScheduledTasks(tasks);
+  notifyChange();
+};
+
+/**
+ * Hand the schedule to the scheduler host; paused tasks are not scheduled
+ * @param {Array} tasks - Tasks (defaults to the stored ones)
+ * @returns {Promise<void>}
+ */
+export const syncScheduledTasks = (tasks = readTasks()) =>
+  syncScheduleWithHost(
+    tasks.map(({ id, title, enabled, nextRunAt }) => ({ id, title, nextRunAt: enabled ? nextRunAt : null }))
+  );
+
+/**
+ * Parse a "HH:MM" time
+ * @param {string} time - Time of day
+ * @returns {{hours: number, minutes: number}|null} Parsed time, or null if invalid
+ */
+export const parseScheduleTime = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || "");
+  if (!match) {
+    return null;
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  return hours < 24 && minutes < 60 ? { hours, minutes } : null;
+};
+
+/**
+ * Get the next time a schedule comes due, in local time
+ *
+ * @param {{days: Array<number>, time: string}} schedule - Days of the week (0 is Sunday) and "HH:MM"
+ * @param {number} after - Timestamp the run must come after
+ * @returns {number|null} Timestamp of the next run, or null if the schedule never runs
+ */
+export const getNextRunAt = (schedule, after = Date.now()) => {
+  const time = parseScheduleTime(schedule?.time);
+  const days = schedule?.days || [];
+  if (!time || days.length === 0) {
+    return null;
+  }
+  for (let offset = 0; offset <= 7; offset++) {
+    const candidate = new Date(after);
+    candidate.setDate(candidate.getDate() + offset);
+    candidate.setHours(time.hours, time.minutes, 0, 0);
+    if (candidate.getTime() > after && days.includes(candidate.getDay())) {
+      return candidate.getTime();
+    }
+  }
+  return null;
+};
+
+/**
+ * Describe a schedule, e.g. "Weekdays at 08:00" or "Mon, Thu at 18:30"
+ * @param {{days: Array<number>, time: string}} schedule - Schedule
+ * @returns {string} Description
+ */
+export const describeSchedule = (schedule) => {
+  const days = Array.from(new Set(schedule?.days || [])).sort();
+  const key = days.join(",");
+  let label;
+  if (days.length === 7) {
+    label = "Every day";
+  } else if (key === "1,2,3,4,5") {
+    label = "Weekdays";
+  } else if (key === "0,6") {
+    label = "Weekends";
+  } else if (days.length === 1) {
+    label = `${WEEKDAYS[days[0]]}days`;
+  } else {
+    label = days.map((day) => WEEKDAYS[day]).join(", ");
+  }
+  return `${label} at ${schedule?.time}`;
+};
+
+/**
+ * Check a task before saving it
+ * @param {Object} task - Task fields
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateScheduledTask = (task) => {
+  if (!task.prompt?.trim()) {
+    return "Write the prompt the persona should answer.";
+  }
+  if (!getRoleDefinition(task.role)) {
+    return "Choose a persona.";
+  }
+  if (!task.schedule?.days?.length) {
+    return "Choose at least one day.";
+  }
+  if (!parseScheduleTime(task.schedule.time)) {
+    return "Enter the time as HH:MM.";
+  }
+  return null;
+};
+
+/**
+ * Get the scheduled tasks
+ * @returns {Array} Tasks of shape {id, title, role, prompt, schedule: {days, time}, enabled,
+ *   nextRunAt, lastRunAt, lastStatus, lastError, createdAt}
+ */
+export const getScheduledTasks = () => readTasks();
+
+/**
+ * Get a scheduled task
+ * @param {string} id - Task ID
+ * @returns {Object|null} The task
+ */
+export const getScheduledTask = (id) => readTasks().find((task) => task.id === id) || null;
+
+/**
+ * Create or update a scheduled task
+ * The next run is computed again, so a changed schedule takes effect right away.
+ *
+ * @param {Object} task - id, title, role, prompt and schedule; a task without an id is created
+ * @returns {Object} The saved task
+ * @throws {Error} If the task is invalid
+ */
+export const saveScheduledTask = (task) => {
+  const validationError = validateScheduledTask(task);
+  if (validationError) {
+    throw new Error(validationError);
+  }
+  const { id, title, role, prompt, schedule } = task;
+  const tasks = readTasks();
+  const index = id ? tasks.findIndex((existing) => existing.id === id) : -1;
+  const saved = {
+    ...(index >= 0 ? tasks[index] : { id: generatePartUUID(), createdAt: Date.now(), enabled: true }),
+    title: title?.trim() || prompt.trim().slice(0, 60),
+    role,
+    prompt: prompt.trim(),
+    schedule: { days: Array.from(new Set(schedule.days)).sort(), time: schedule.time },
+  };
+  saved.nextRunAt = getNextRunAt(saved.schedule);
+  if (index >= 0) {
+    tasks[index] = saved;
+  } else {
+    tasks.push(saved);
+  }
+  writeTasks(tasks);
+  return saved;
+};
+
+/**
+ * Update the fields of a task without validating or rescheduling it
+ * @param {string} id - Task ID
+ * @param {Object} updates - Fields to replace
+ * @returns {Object|null} The updated task, or null if not found
+ */
+const updateTask = (id, updates) => {
+  const tasks = readTasks();
+  const index = tasks.findIndex((task) => task.id === id);
+  if (index === -1) {
+    return null;
+  }
+  tasks[index] = { ...tasks[index], ...updates, id };
+  writeTasks(tasks);
+  return tasks[index];
+};
+
+/**
+ * Pause or resume a task; a resumed task is due at its next scheduled time
+ * @param {string} id - Task ID
+ * @param {boolean} enabled - Whether the task runs
+ * @returns {Object|null} The updated task
+ */
+export const setScheduledTaskEnabled = (id, enabled) => {
+  const task = getScheduledTask(id);
+  return task ? updateTask(id, { enabled, nextRunAt: enabled ? getNextRunAt(task.schedule) : task.nextRunAt }) : null;
+};
+
+/**
+ * Delete a task and its conversation
+ * @param {string} id - Task ID
+ */
+export const deleteScheduledTask = (id) => {
+  localStorage.removeItem(`${CONVERSATION_KEY_PREFIX}${id}`);
+  writeTasks(readTasks().filter((task) => task.id !== id));
+};
+
+/**
+ * Get the conversation a task runs in
+ * @param {string} id - Task ID
+ * @returns {Array} Messages
+ */
+export const getScheduledConversation = (id) => {
+  try {
+    const stored = localStorage.getItem(`${CONVERSATION_KEY_PREFIX}${id}`);
+    const conversation = stored ? JSON.parse(stored) : [];
+    return Array.isArray(conversation) ? conversation : [];
+  } catch (error) {
+    console.error("Error reading scheduled conversation from localStorage:", error);
+    return [];
+  }
+};
+
+const saveScheduledConversation = (id, conversation) => {
+  try {
+    localStorage.setItem(`${CONVERSATION_KEY_PREFIX}${id}`, JSON.stringify(conversation));
+  } catch (error) {
+    console.error("Error writing scheduled conversation to localStorage:", error);
+  }
+  notifyChange({ conversationId: id });
+};
+
+/**
+ * Clear the conversation of a task
+ * @param {string} id - Task ID
+ */
+export const clearScheduledConversation = (id) => {
+  localStorage.removeItem(`${CONVERSATION_KEY_PREFIX}${id}`);
+  notifyChange({ conversationId: id });
+};
+
+/**
+ * Get the messages of the last runs, which the persona sees when it runs again
+ * @param {Array} conversation - Conversation of the task, ending with the new prompt
+ * @param {number} runs - Runs to keep, including the new one
+ * @returns {Array} Messages
+ */
+export const getScheduledContext = (conversation, runs = SCHEDULED_CONTEXT_RUNS) => {
+  const runStarts = conversation
+    .map((message, index) => (message.scheduledRun ? index : -1))
+    .filter((index) => index >= 0);
+  const start = runStarts.length > runs ? runStarts[runStarts.length - runs] : 0;
+  return conversation.slice(start).filter((message) => !message.deleted);
+};
+
+/**
+ * Get the IDs of the tasks running in this window
+ * @returns {Array<string>} Task IDs
+ */
+export const getRunningScheduledTaskIds = () => Array.from(runningTaskIds);
+
+/**
+ * Describe the tool calls a scheduled run declined because they ask for approval
+ * @param {Array<string>} tools - Tool names
+ * @returns {string}
+ */
+export const describeDeclinedTools = (tools) =>
+  `Declined without asking: ${tools.join(", ")}. Scheduled runs can't ask, so set these tools to "Run automatically" for the persona to let them run.`;
+
+const getReplyPreview = (messages) => {
+  const reply = [...messages].reverse().find((message) => message.role === "model");
+  const text = (reply?.parts || [])
+    .filter((part) => part.text && !part.thought)
+    .map((part) => part.text)
+    .join(" ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > 180 ? `${text.slice(0, 177)}...` : text;
+};
+
+/**
+ * Run a task: post its prompt to the task's conversation and let the persona answer
+ * The request goes through the role request queue (see runDetachedRoleRequest in
+ * useRoleRequests), so it counts against the concurrency limits, shows in the queue panel and
+ * stops with Stop. Runs are unattended: tool calls that would ask for approval are declined and
+ * listed on the run and in its notification, and @mentions of other personas start nothing.
+ * A desktop notification shows the start of the reply.
+ *
+ * @param {string} id - Task ID
+ * @param {Object} options
+ * @param {"schedule"|"manual"} options.trigger - What started the run; a scheduled run moves the
+ *   task to its next time
+ * @param {Function} options.runRequest - Queues the request, receives (role, context,
+ *   {conversationSnapshot, appendMessage, onToolDeclined}) and resolves to {status, error?}
+ * @returns {Promise<{status: string, error?: string}|null>} Outcome, or null if the task does not
+ *   exist or is already running
+ */
+export const runScheduledTask = async (id, { trigger = "manual", runRequest } = {}) => {
+  const task = getScheduledTask(id);
+  if (!task || runningTaskIds.has(id)) {
+    return null;
+  }
+  if (trigger === "schedule" && !task.enabled) {
+    return null;
+  }
+
+  runningTaskIds.add(id);
+  notifyChange();
+  const startedAt = Date.now();
+  const roleDefinition = getRoleDefinition(task.role);
+  const personaName = roleDefinition?.name || task.role;
+
+  const prompt = {
+    role: "user",
+    parts: [
+      { text: "$$$ USER BEGIN $$$\n", hide: true, uuid: generatePartUUID() },
+      { text: task.prompt, uuid: generatePartUUID() },
+    ],
+    timestamp: startedAt,
+    scheduledRun: { taskId: id, trigger },
+  };
+  saveScheduledConversation(id, appendMessage(getScheduledConversation(id), prompt));
+  const replies = [];
+  const declinedTools = [];
+
+  let outcome;
+  try {
+    if (!roleDefinition) {
+      throw new Error(`The persona "${task.role}" no longer exists.`);
+    }
+    outcome = await runRequest(
+      task.role,
+      // The run's context is already limited to recent runs, so it is never summarized; the open
+      // conversation's summaries neither apply to it nor receive summaries of it
+      { source: "schedule", scheduledTaskTitle: task.title, triggerMessageId: startedAt, summaryScope: null },
+      {
+        conversationSnapshot: getScheduledContext(getScheduledConversation(id)),
+        // Read back each time: the conversation may be cleared while the run waits in the queue
+        appendMessage: (message) => {
+          replies.push(message);
+          saveScheduledConversation(id, appendMessage(getScheduledConversation(id), message));
+        },
+        onToolDeclined: ({ name, policy }) => {
+          if (policy === "ask") {
+            declinedTools.push(name);
+          }
+        },
+      }
+    );
+  } catch (error) {
+    console.error(`Scheduled task ${id} failed:`, error);
+    outcome = { status: "failed", error: error.message || String(error) };
+  } finally {
+    runningTaskIds.delete(id);
+  }
+
+  // Nobody was there to approve these, so the run lists them under its prompt
+  const declined = Array.from(new Set(declinedTools));
+  const declinedNote = declined.length > 0 ? describeDeclinedTools(declined) : "";
+  if (declinedNote) {
+    saveScheduledConversation(
+      id,
+      getScheduledConversation(id).map((message) =>
+        message.timestamp === startedAt && message.scheduledRun
+          ? { ...message, scheduledRun: { ...message.scheduledRun, declinedTools: declined } }
+          : message
+      )
+    );
+  }
+
+  const latest = getScheduledTask(id);
+  if (latest) {
+    updateTask(id, {
+      lastRunAt: startedAt,
+      lastStatus: outcome.status,
+      lastError: outcome.error || null,
+      // A run started by hand leaves the schedule as it is
+      ...(trigger === "schedule" && { nextRunAt: getNextRunAt(latest.schedule, Math.max(Date.now(), startedAt)) }),
+    });
+  } else {
+    notifyChange();
+  }
+
+  let body;
+  if (outcome.status === "completed") {
+    body = getReplyPreview(replies) || "Finished without a reply.";
+  } else if (outcome.status === "cancelled") {
+    body = "The scheduled run was stopped.";
+  } else {
+    body = `The scheduled run failed: ${outcome.error}`;
+  }
+  notifyFromHost({
+    taskId: id,
+    title: `${personaName}: ${task.title}`,
+    body: declinedNote ? `${body} ${declinedNote}` : body,
+  });
+  return outcome;
+};
+
+const scheduledTaskService = {
+  getScheduledTasks,
+  getScheduledTask,
+  saveScheduledTask,
+  setScheduledTaskEnabled,
+  deleteScheduledTask,
+  getScheduledConversation,
+  clearScheduledConversation,
+  runScheduledTask,
+  getNextRunAt,
+  describeSchedule,
+};
+
+export default scheduledTaskService;
@@ -0,0 +1,179 @@
+/**
+ * Scheduler host service
+ * Bridge to whatever keeps the timers of scheduled tasks: the Electron main process, the
+ * extension's background service worker, or this page when neither is available. Hosts only
+ * know {id, title, nextRunAt}; when a run comes due they signal the app, which claims the due
+ * task IDs and runs them (see scheduledTaskService).
+ */
+
+const isElectron = () => typeof window !== "undefined" && !!window.electronAPI?.scheduler;
+
+const isChromeExtension = () =>
+  typeof chrome !== "undefined" && !!chrome.runtime?.id && !!chrome.runtime.sendMessage;
+
+const sendExtensionMessage = (message) =>
+  new Promise((resolve) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        console.warn("Scheduler message failed:", chrome.runtime.lastError.message);
+        resolve(null);
+        return;
+      }
+      resolve(response);
+    });
+  });
+
+// Timers of the page itself, used in a plain browser tab; runs only come due while it is open
+const pageHost = {
+  timers: new Map(),
+  dueTaskIds: [],
+  openTaskId: null,
+  listeners: new Set(),
+  signal() {
+    pageHost.listeners.forEach((listener) => listener());
+  },
+};
+
+// setTimeout can't wait longer than about 24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const armPageTimer = (entry) => {
+  const delay = Math.max(0, entry.nextRunAt - Date.now());
+  pageHost.timers.set(
+    entry.id,
+    setTimeout(() => {
+      if (delay > MAX_TIMER_DELAY) {
+        armPageTimer(entry);
+        return;
+      }
+      pageHost.timers.delete(entry.id);
+      if (!pageHost.dueTaskIds.includes(entry.id)) {
+        pageHost.dueTaskIds.push(entry.id);
+      }
+      pageHost.signal();
+    }, Math.min(delay, MAX_TIMER_DELAY))
+  );
+};
+
+/**
+ * Hand the schedule to the host, replacing what it had
+ * @param {Array<{id: string, title: string, nextRunAt: number|null}>} entries - Tasks; a task
+ *   without nextRunAt is not scheduled
+ * @returns {Promise<void>}
+ */
+export const syncScheduleWithHost = async (entries) => {
+  try {
+    if (isElectron()) {
+      await window.electronAPI.scheduler.sync(entries);
+    } else if (isChromeExtension()) {
+      await sendExtensionMessage({ type: "scheduler:sync", entries });
+    } else {
+      pageHost.timers.forEach((timer) => clearTimeout(timer));
+      pageHost.timers.clear();
+      entries.filter((entry) => entry.nextRunAt).forEach(armPageTimer);
+    }
+  } catch (error) {
+    console.error("Error syncing the schedule with the scheduler host:", error);
+  }
+};
+
+/**
+ * Take the runs that came due, and the task whose notification was clicked
+ * Each due run is handed out once, to the first window that claims it.
+ *
+ * @returns {Promise<{dueTaskIds: Array<string>, openTaskId: string|null}>} Claimed runs
+ */
+export const claimScheduledRuns = async () => {
+  try {
+    let claimed;
+    if (isElectron()) {
+      claimed = await window.electronAPI.scheduler.claim();
+    } else if (isChromeExtension()) {
+      claimed = await sendExtensionMessage({ type: "scheduler:claim" });
+    } else {
+      claimed = { dueTaskIds: pageHost.dueTaskIds, openTaskId: pageHost.openTaskId };
+      pageHost.dueTaskIds = [];
+      pageHost.openTaskId = null;
+    }
+    return { dueTaskIds: claimed?.dueTaskIds || [], openTaskId: claimed?.openTaskId || null };
+  } catch (error) {
+    console.error("Error claiming scheduled runs:", error);
+    return { dueTaskIds: [], openTaskId: null };
+  }
+};
+
+/**
+ * Listen for the host's signals that runs came due or a notification was clicked
+ * @param {Function} listener - Called without arguments; call claimScheduledRuns to see why
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToScheduler = (listener) => {
+  if (isElectron()) {
+    return window.electronAPI.scheduler.onSignal(listener);
+  }
+  if (isChromeExtension()) {
+    const handleMessage = (message, sender, sendResponse) => {
+      if (message?.type === "scheduler:due" || message?.type === "scheduler:open") {
+        // Tells the service worker a page is open, so it doesn't open another one
+        sendResponse({ received: true });
+        listener();
+      }
+    };
+    chrome.runtime.onMessage.addListener(handleMessage);
+    return () => chrome.runtime.onMessage.removeListener(handleMessage);
+  }
+  pageHost.listeners.add(listener);
+  return () => pageHost.listeners.delete(listener);
+};
+
+/**
+ * Show a desktop notification for a scheduled run; clicking it opens the task
+ * @param {{taskId: string, title: string, body: string}} notification - Notification
+ * @returns {Promise<void>}
+ */
+export const notifyFromHost = async ({ taskId, title, body }) => {
+  try {
+    if (isElectron()) {
+      await window.electronAPI.scheduler.notify({ taskId, title, body });
+    } else if (isChromeExtension()) {
+      await sendExtensionMessage({ type: "scheduler:notify", taskId, title, body });
+    } else if (typeof Notification !== "undefined" && Notification.permission === "granted") {
+      const notification = new Notification(title, { body });
+      notification.onclick = () => {
+        window.focus();
+        pageHost.openTaskId = taskId;
+        pageHost.signal();
+      };
+    }
+  } catch (error) {
+    console.error("Error showing scheduled task notification:", error);
+  }
+};
+
+/**
+ * Ask for permission to show notifications where the page shows them itself
+ * @returns {Promise<void>}
+ */
+export const requestNotificationPermission = async () => {
+  if (isElectron() || isChromeExtension() || typeof Notification === "undefined") {
+    return;
+  }
+  if (Notification.permission === "default") {
+    await Notification.requestPermission();
+  }
+};
+
+/**
+ * Bring the app's window or tab to the front, after a notification was clicked
+ */
+export const focusAppWindow = () => {
+  if (isChromeExtension() && chrome.tabs?.getCurrent) {
+    chrome.tabs.getCurrent((tab) => {
+      if (tab) {
+        chrome.tabs.update(tab.id, { active: true });
+        chrome.windows?.update(tab.windowId, { focused: true });
+      }
+    });
+  }
+  window.focus();
+};
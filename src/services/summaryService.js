@@ -0,0 +1,487 @@
+import { estimateTokenCount } from "./api/tokenCountService";
+import { generatePartUUID } from "./conversationService";
+
+/**
+ * Summary service
+ * Stores the Xaiver summaries that replace older conversation segments, per
+ * conversation (they travel in the conversation's OneDrive file). Summaries form
+ * a tree: level 0 summarizes messages, and once the active summaries exceed their
+ * token budget the oldest ones are rolled up into a higher-level summary. Rolled-up
+ * summaries keep a parentId and stay stored; only roots (no parentId) are sent
+ * to the model.
+ *
+ * Summary shape:
+ * {id, role: "model", name: "Xaiver", parts, timestamp, startTimestamp, level, parentId,
+ *  lastUpdate, edited?, deleted?}
+ * where startTimestamp..timestamp is the range of messages the summary replaces.
+ * Deleted summaries stay as tombstones so merges don't resurrect them.
+ *
+ * Each conversation can also override the compression config; the overrides travel
+ * in the OneDrive file with the summaries.
+ */
+
+const CURRENT_CONVERSATION_KEY = "onedrive_latest_conversation_id";
+const SUMMARIES_KEY_PREFIX = "conversation_summaries_";
+// Before per-conversation storage, all summaries shared this key
+const LEGACY_SUMMARIES_KEY = "conversation_summaries";
+const COMPRESSION_SETTINGS_KEY_PREFIX = "compression_settings_";
+
+// Scope of summaries for a conversation that has no OneDrive ID yet
+export const LOCAL_SUMMARY_SCOPE = "local";
+
+/**
+ * Get the conversation ID summaries are currently stored under
+ * @returns {string} Current conversation ID, or LOCAL_SUMMARY_SCOPE before the conversation is synced
+ */
+export const getCurrentSummaryScope = () =>
+  localStorage.getItem(CURRENT_CONVERSATION_KEY) || LOCAL_SUMMARY_SCOPE;
+
+const readSummaries = (key) => {
+  try {
+    const stored = localStorage.getItem(key);
+    const summaries = stored ? JSON.parse(stored) : [];
+    return Array.isArray(summaries) ? summaries : [];
+  } catch (error) {
+    console.error("Error getting stored summaries:", error);
+    return [];
+  }
+};
+
+// An empty list is stored too: it marks a conversation whose summaries are known
+const writeSummaries = (conversationId, summaries) => {
+  try {
+    localStorage.setItem(`${SUMMARIES_KEY_PREFIX}${conversationId}`, JSON.stringify(summaries));
+  } catch (error) {
+    console.error("Error storing summaries:", error);
+  }
+};
+
+const compareByTimestamp = (a, b) => (a.timestamp || 0) - (b.timestamp || 0);
+
+/**
+ * Fill in the tree fields of summaries (summaries from older files have none)
+ * A summary without a startTimestamp covers everything after the previous summary
+ * of its level; a roll-up without one starts where its first child starts.
+ * @param {Array} summaries - Stored summaries of one conversation
+ * @returns {Array} Summaries with id, level, parentId and startTimestamp, oldest first
+ */
+export const normalizeSummaries = (summaries) => {
+  const normalized = summaries
+    .map((summary) => ({
+      ...summary,
+      id: summary.id || `summary-${summary.timestamp || 0}`,
+      level: summary.level || 0,
+      parentId: summary.parentId || null,
+      startTimestamp: summary.startTimestamp ?? null,
+    }))
+    .sort(compareByTimestamp);
+
+  const maxLevel = Math.max(0, ...normalized.map((summary) => summary.level));
+  for (let level = 0; level <= maxLevel; level++) {
+    let previous = null;
+    normalized
+      .filter((summary) => summary.level === level && !summary.deleted)
+      .forEach((summary) => {
+        if (summary.startTimestamp === null) {
+          const childStarts = normalized
+            .filter((child) => child.parentId === summary.id && child.startTimestamp !== null)
+            .map((child) => child.startTimestamp);
+          summary.startTimestamp = childStarts.length > 0
+            ? Math.min(...childStarts)
+            : previous ? (previous.timestamp || 0) + 1 : 0;
+        }
+        previous = summary;
+      });
+  }
+  return normalized;
+};
+
+/**
+ * Get the summaries of a conversation
+ * The current conversation picks up summaries stored before per-conversation storage,
+ * and those made before it had an ID.
+ * @param {string} conversationId - Conversation ID (defaults to the current one)
+ * @returns {Array} Every summary, including rolled-up and deleted ones
+ */
+export const getConversationSummaries = (conversationId = getCurrentSummaryScope()) => {
+  const key = `${SUMMARIES_KEY_PREFIX}${conversationId}`;
+  if (conversationId === getCurrentSummaryScope() && !localStorage.getItem(key)) {
+    const inherited = [LEGACY_SUMMARIES_KEY, `${SUMMARIES_KEY_PREFIX}${LOCAL_SUMMARY_SCOPE}`]
+      .filter((sourceKey) => sourceKey !== key)
+      .map((sourceKey) => ({ sourceKey, summaries: readSummaries(sourceKey) }))
+      .find(({ summaries }) => summaries.length > 0);
+    if (inherited) {
+      writeSummaries(conversationId, inherited.summaries);
+      localStorage.removeItem(inherited.sourceKey);
+    }
+    if (localStorage.getItem(LEGACY_SUMMARIES_KEY)) {
+      localStorage.removeItem(LEGACY_SUMMARIES_KEY);
+    }
+  }
+  return normalizeSummaries(readSummaries(key));
+};
+
+/**
+ * Replace the summaries of a conversation (e.g. with the ones from its OneDrive file)
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} summaries - Summaries to store
+ */
+export const setConversationSummaries = (conversationId, summaries = []) => {
+  writeSummaries(conversationId, normalizeSummaries(summaries));
+};
+
+/**
+ * Merge summaries from another copy of the same conversation
+ * For summaries present in both, the more recently updated copy wins, so
+ * edits, deletions and roll-ups made on either device are kept.
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} remoteSummaries - Summaries from the OneDrive file
+ * @returns {Array} Merged summaries
+ */
+export const mergeConversationSummaries = (conversationId, remoteSummaries = []) => {
+  const merged = new Map(getConversationSummaries(conversationId).map((summary) => [summary.id, summary]));
+  normalizeSummaries(remoteSummaries).forEach((summary) => {
+    const local = merged.get(summary.id);
+    if (!local || (summary.lastUpdate || 0) > (local.lastUpdate || 0)) {
+      merged.set(summary.id, summary);
+    }
+  });
+  const result = normalizeSummaries([...merged.values()]);
+  writeSummaries(conversationId, result);
+  return result;
+};
+
+/**
+ * Remove the summaries and compression settings of a conversation
+ * @param {string} conversationId - Conversation ID
+ */
+export const clearConversationSummaries = (conversationId) => {
+  localStorage.removeItem(`${SUMMARIES_KEY_PREFIX}${conversationId}`);
+  localStorage.removeItem(`${COMPRESSION_SETTINGS_KEY_PREFIX}${conversationId}`);
+};
+
+/**
+ * Build a summary
+ * @param {string} text - Summary text
+ * @param {Object} options
+ * @param {number} options.timestamp - Timestamp of the last message or summary covered
+ * @param {number} options.startTimestamp - Timestamp of the first message or summary covered
+ * @param {number} options.level - 0 for message summaries, higher for roll-ups
+ * @returns {Object} Summary
+ */
+export const createSummary = (text, { timestamp, startTimestamp = null, level = 0 }) => ({
+  id: `summary-${generatePartUUID()}`,
+  role: "model",
+  name: "Xaiver",
+  parts: [{ text, uuid: generatePartUUID() }],
+  timestamp,
+  startTimestamp,
+  level,
+  parentId: null,
+  lastUpdate: Date.now(),
+});
+
+/**
+ * Add a summary to a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} summary - Summary from createSummary
+ */
+export const addConversationSummary = (conversationId, summary) => {
+  writeSummaries(conversationId, normalizeSummaries([...getConversationSummaries(conversationId), summary]));
+};
+
+/**
+ * Replace the text of a summary
+ * @param {string} conversationId - Conversation ID
+ * @param {string} summaryId - Summary ID
+ * @param {string} text - New text
+ * @param {Object} options
+ * @param {boolean} options.edited - Whether the text was written by the user (false when regenerated)
+ * @returns {Object|null} Updated summary, or null if it doesn't exist
+ */
+export const updateSummaryText = (conversationId, summaryId, text, { edited = true } = {}) => {
+  let updated = null;
+  const summaries = getConversationSummaries(conversationId).map((summary) => {
+    if (summary.id !== summaryId) {
+      return summary;
+    }
+    updated = {
+      ...summary,
+      parts: [{ text, uuid: generatePartUUID() }],
+      edited,
+      lastUpdate: Date.now(),
+    };
+    return updated;
+  });
+  writeSummaries(conversationId, summaries);
+  return updated;
+};
+
+/**
+ * Delete a summary
+ * A deleted message summary sends its messages in full again; a deleted roll-up
+ * puts its children back in its place. The summary is kept as a tombstone so a
+ * copy from another device doesn't bring it back.
+ * @param {string} conversationId - Conversation ID
+ * @param {string} summaryId - Summary ID
+ */
+export const deleteSummary = (conversationId, summaryId) => {
+  const now = Date.now();
+  const summaries = getConversationSummaries(conversationId).map((summary) => {
+    if (summary.id === summaryId) {
+      return { ...summary, parts: [], deleted: true, parentId: null, lastUpdate: now };
+    }
+    if (summary.parentId === summaryId) {
+      return { ...summary, parentId: null, lastUpdate: now };
+    }
+    return summary;
+  });
+  writeSummaries(conversationId, summaries);
+};
+
+/**
+ * Get the summaries that are not deleted
+ * @param {Array} summaries - Every summary of a conversation
+ * @returns {Array} Summaries, oldest first
+ */
+export const getLiveSummaries = (summaries) =>
+  normalizeSummaries(summaries).filter((summary) => !summary.deleted);
+
+/**
+ * Get the summaries sent to the model: the roots of the tree, oldest first
+ * @param {Array} summaries - Every summary of a conversation
+ * @returns {Array} Summaries without a parent
+ */
+export const getActiveSummaries = (summaries) =>
+  getLiveSummaries(summaries).filter((summary) => !summary.parentId);
+
+/**
+ * Get the children a roll-up was made from
+ * @param {Array} summaries - Every summary of a conversation
+ * @param {string} summaryId - Roll-up ID
+ * @returns {Array} Children, oldest first
+ */
+export const getSummaryChildren = (summaries, summaryId) =>
+  getLiveSummaries(summaries).filter((summary) => summary.parentId === summaryId);
+
+/**
+ * Whether a message timestamp falls in the range a summary replaces
+ * @param {Object} summary - Normalized summary
+ * @param {number} timestamp - Message timestamp
+ * @returns {boolean}
+ */
+export const summaryCovers = (summary, timestamp = 0) =>
+  timestamp >= (summary.startTimestamp || 0) && timestamp <= (summary.timestamp || 0);
+
+/**
+ * Estimate the tokens of summaries
+ * @param {Array} summaries - Summaries
+ * @returns {number} Estimated token count
+ */
+export const getSummaryTokens = (summaries) =>
+  summaries.reduce(
+    (total, summary) =>
+      total + (summary.parts || []).reduce((sum, part) => sum + estimateTokenCount(part.text), 0),
+    0
+  );
+
+/**
+ * Choose the summaries to roll up next
+ * Oldest roots are rolled first, lowest level first, so the tree grows a level at a
+ * time. The most recent roots are left alone.
+ * @param {Array} summaries - Every summary of a conversation
+ * @param {Object} options
+ * @param {number} options.tokenBudget - Max tokens of the active summaries
+ * @param {number} options.keepRecent - Number of most recent roots never rolled up
+ * @returns {Array|null} Roots to roll into one summary, or null if within budget
+ */
+export const planSummaryRollup = (summaries, { tokenBudget, keepRecent = 1 }) => {
+  const roots = getActiveSummaries(summaries);
+  if (getSummaryTokens(roots) <= tokenBudget) {
+    return null;
+  }
+  const candidates = roots.slice(0, Math.max(0, roots.length - keepRecent));
+  if (candidates.length < 2) {
+    return null;
+  }
+  const lowestLevel = Math.min(...candidates.map((summary) => summary.level));
+  const sameLevel = candidates.filter((summary) => summary.level === lowestLevel);
+  return sameLevel.length >= 2 ? sameLevel : candidates;
+};
+
+/**
+ * Roll summaries up into a new higher-level summary
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} children - Roots from planSummaryRollup
+ * @param {string} text - Text of the new summary
+ * @returns {Object} The new summary
+ */
+export const rollUpSummaries = (conversationId, children, text) => {
+  const parent = createSummary(text, {
+    timestamp: Math.max(...children.map((child) => child.timestamp || 0)),
+    startTimestamp: Math.min(...children.map((child) => child.startTimestamp || 0)),
+    level: Math.max(...children.map((child) => child.level)) + 1,
+  });
+  const childIds = new Set(children.map((child) => child.id));
+  const now = Date.now();
+  const summaries = getConversationSummaries(conversationId).map((summary) =>
+    childIds.has(summary.id) ? { ...summary, parentId: parent.id, lastUpdate: now } : summary
+  );
+  writeSummaries(conversationId, normalizeSummaries([...summaries, parent]));
+  return parent;
+};
+
+/**
+ * Replaces conversation segments with their corresponding summaries
+ * Each root summary replaces the messages from its startTimestamp to its timestamp
+ * and takes their place; rolled-up summaries are represented by their parent.
+ * @param {Array} originalContents - The original conversation contents to process (assumed in ascending timestamp order)
+ * @param {Array} summaries - Every summary of the conversation (defaults to the current one's)
+ * @returns {Array} - Processed contents with summaries replacing original message ranges
+ */
+export const replaceSummarizedSegments = (originalContents, summaries = getConversationSummaries()) => {
+  // Create a deep copy to avoid modifying the original
+  const contents = JSON.parse(JSON.stringify(originalContents));
+  const roots = getActiveSummaries(summaries);
+
+  if (roots.length === 0) {
+    return contents;
+  }
+
+  console.log(
+    `Found ${roots.length} active summaries, replacing corresponding conversation segments...`
+  );
+
+  const toMessage = ({ id, role, name, parts, timestamp, level }) =>
+    ({ role, name, parts, timestamp, summaryId: id, summaryLevel: level });
+
+  const result = [];
+  let next = 0; // Next root to place
+  contents.forEach((content) => {
+    const timestamp = content.timestamp || 0;
+    // Place summaries whose range ends before this message
+    while (next < roots.length && roots[next].timestamp < timestamp) {
+      result.push(toMessage(roots[next]));
+      next++;
+    }
+    if (!roots.some((root) => summaryCovers(root, timestamp))) {
+      result.push(content);
+    }
+  });
+  roots.slice(next).forEach((root) => result.push(toMessage(root)));
+  return result;
+};
+
+/**
+ * Compression defaults; each conversation can override them
+ */
+export const DEFAULT_COMPRESSION_CONFIG = {
+  AUTO_COMPRESS: true, // Compress in the background when a threshold is reached
+  TOKEN_THRESHOLD: window.location.hostname === 'localhost' ? 10000 : 100000,
+  RECENT_MESSAGES_COUNT: 10, // Keep these recent messages uncompressed
+  MIN_MESSAGES_BETWEEN_SUMMARIES: 5, // Minimum messages between summary points
+  AGE_THRESHOLD: 60 * 60 * 24, // 1 day in seconds
+  // Active summaries above this many tokens are rolled up into a higher-level summary
+  SUMMARY_TOKEN_BUDGET: window.location.hostname === 'localhost' ? 1000 : 8000,
+  RECENT_SUMMARIES_COUNT: 1, // Keep the most recent summaries out of roll-ups
+  MAX_ROLLUPS_PER_RUN: 3,
+};
+
+/**
+ * Get the compression settings a conversation overrides
+ * @param {string} conversationId - Conversation ID (defaults to the current one)
+ * @returns {Object|null} {overrides, updatedAt} (overrides null after restoring the defaults),
+ *   or null if the settings were never changed
+ */
+export const getCompressionSettings = (conversationId = getCurrentSummaryScope()) => {
+  const key = `${COMPRESSION_SETTINGS_KEY_PREFIX}${conversationId}`;
+  const localKey = `${COMPRESSION_SETTINGS_KEY_PREFIX}${LOCAL_SUMMARY_SCOPE}`;
+  try {
+    let stored = localStorage.getItem(key);
+    // Settings made before the current conversation was first synced move to its ID, like its
+    // summaries; other conversations don't pick them up
+    if (
+      stored === null &&
+      conversationId !== LOCAL_SUMMARY_SCOPE &&
+      conversationId === getCurrentSummaryScope()
+    ) {
+      stored = localStorage.getItem(localKey);
+      if (stored !== null) {
+        localStorage.setItem(key, stored);
+        localStorage.removeItem(localKey);
+      }
+    }
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("Error getting compression settings:", error);
+    return null;
+  }
+};
+
+/**
+ * Save the compression settings of a conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} overrides - Subset of DEFAULT_COMPRESSION_CONFIG keys, null to use the defaults
+ * @param {number} updatedAt - When the settings were changed (kept from the OneDrive file when restoring)
+ */
+export const setCompressionSettings = (conversationId, overrides, updatedAt = Date.now()) => {
+  const key = `${COMPRESSION_SETTINGS_KEY_PREFIX}${conversationId}`;
+  const hasOverrides = !!overrides && Object.keys(overrides).length > 0;
+  try {
+    // Restoring the defaults is stored too, so an older remote copy doesn't bring the overrides back
+    localStorage.setItem(key, JSON.stringify({ overrides: hasOverrides ? overrides : null, updatedAt }));
+  } catch (error) {
+    console.error("Error storing compression settings:", error);
+  }
+};
+
+/**
+ * Keep the more recently changed of the local and remote compression settings
+ * @param {string} conversationId - Conversation ID
+ * @param {Object|null} remote - {overrides, updatedAt} from the OneDrive file
+ */
+export const mergeCompressionSettings = (conversationId, remote) => {
+  const local = getCompressionSettings(conversationId);
+  if (remote && (remote.updatedAt || 0) > (local?.updatedAt || 0)) {
+    setCompressionSettings(conversationId, remote.overrides, remote.updatedAt);
+  }
+};
+
+/**
+ * Get the compression config of a conversation
+ * @param {string} conversationId - Conversation ID (defaults to the current one)
+ * @returns {Object} DEFAULT_COMPRESSION_CONFIG with the conversation's overrides applied
+ */
+export const getCompressionConfig = (conversationId = getCurrentSummaryScope()) => ({
+  ...DEFAULT_COMPRESSION_CONFIG,
+  ...(getCompressionSettings(conversationId)?.overrides || {}),
+});
+
+const summaryService = {
+  LOCAL_SUMMARY_SCOPE,
+  DEFAULT_COMPRESSION_CONFIG,
+  getCurrentSummaryScope,
+  normalizeSummaries,
+  getConversationSummaries,
+  setConversationSummaries,
+  mergeConversationSummaries,
+  clearConversationSummaries,
+  createSummary,
+  addConversationSummary,
+  updateSummaryText,
+  deleteSummary,
+  getLiveSummaries,
+  getActiveSummaries,
+  getSummaryChildren,
+  summaryCovers,
+  getSummaryTokens,
+  planSummaryRollup,
+  rollUpSummaries,
+  replaceSummarizedSegments,
+  getCompressionSettings,
+  setCompressionSettings,
+  mergeCompressionSettings,
+  getCompressionConfig,
+};
+
+export default summaryService;
@@ -7,6 +7,7 @@ import { GRAPH_API_BASE, getCachedId, setCachedId, CACHE_KEYS } from './onedrive
 import { getOrCreateConversationsFolder } from './folderService';
 import { createExportData, generatePartUUID } from '../conversationService';
 import { getAllTrackedFiles } from '../../utils/fileTrackingService';
+import { getConversationSummaries, getCompressionSettings } from '../summaryService';
 
 const INDEX_FILENAME = 'index.json';
 const CONVERSATION_FILENAME_PREFIX = 'conversation-';
@@ -218,12 +219,13 @@ export async function uploadConversation(accessToken, conversationId, conversati
   const cacheKey = `onedrive_conversation_${conversationId}_file_id`;
   const cachedFileId = getCachedId(cacheKey);
   
-  // Get summaries and tracked files
-  const summaries = JSON.parse(localStorage.getItem("conversation_summaries") || "[]");
+  // Get summaries, compression settings and tracked files
+  const summaries = getConversationSummaries(conversationId);
+  const compressionSettings = getCompressionSettings(conversationId);
   const trackedFiles = getAllTrackedFiles();
   
   // Create export data structure
-  const exportData = createExportData(conversationData.conversation || [], summaries, trackedFiles);
+  const exportData = createExportData(conversationData.conversation || [], summaries, trackedFiles, compressionSettings);
   
   // Determine updatedAt: use provided value, or preserve existing if file exists, or use current time for new files
   let updatedAt = conversationData.updatedAt;
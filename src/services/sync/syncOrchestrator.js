@@ -7,7 +7,9 @@ import { generatePartUUID } from '../conversationService';
 
 /**
  * Merge local and remote conversation versions
- * Uses timestamps and lastUpdate to determine the latest version of each message and part
+ * Uses timestamps and lastUpdate to determine the latest version of each message and part.
+ * Messages of alternative branches are merged like any other message; the branch fields
+ * are reconciled by mergeBranchFields.
  * 
  * @param {Array} localConversation - Local conversation array
  * @param {Array} remoteConversation - Remote conversation array
@@ -117,6 +119,37 @@ export function mergeConversations(localConversation = [], remoteConversation =
   return merged;
 }
 
+/**
+ * Merge the branch fields of a message (see conversationService)
+ * Branch membership is kept from whichever side has it, since it is only ever added;
+ * the selected branch of a turn comes from the side that selected it last, independently
+ * of part edits.
+ *
+ * @param {Object} localMsg - Local message
+ * @param {Object} remoteMsg - Remote message
+ * @param {Object} baseMsg - The message whose other fields win
+ * @returns {Object} Branch fields to apply on the merged message
+ */
+function mergeBranchFields(localMsg, remoteMsg, baseMsg) {
+  const fields = {};
+
+  const tagged = baseMsg.branchId ? baseMsg : [localMsg, remoteMsg].find((msg) => msg.branchId);
+  if (tagged) {
+    fields.turnId = tagged.turnId;
+    fields.branchId = tagged.branchId;
+  }
+
+  const selected = [localMsg, remoteMsg]
+    .filter((msg) => msg.activeBranchId)
+    .sort((a, b) => (b.branchSelectedAt || 0) - (a.branchSelectedAt || 0))[0];
+  if (selected) {
+    fields.activeBranchId = selected.activeBranchId;
+    fields.branchSelectedAt = selected.branchSelectedAt;
+  }
+
+  return fields;
+}
+
 /**
  * Merge parts of a message
  * Uses part timestamps and lastUpdate to determine the latest version
@@ -374,6 +407,7 @@ function mergeMessageParts(localMsg, remoteMsg) {
   // Return merged message with merged parts
   return {
     ...baseMsg,
+    ...mergeBranchFields(localMsg, remoteMsg, baseMsg),
     parts: mergedParts,
     // Update lastUpdate to the latest of both messages
     lastUpdate: Math.max(localMsgLastUpdate, remoteMsgLastUpdate)
@@ -0,0 +1,132 @@
+import { getToolPolicySettings } from "../utils/settingsService";
+import { PERSONA_TOOL_OPTIONS } from "../utils/roleConfig";
+import memoryService, { checkMemoryAccess } from "../utils/memoryService";
+import { getDocumentContent } from "../utils/coEditService";
+
+/**
+ * Tool Approval Service
+ * Decides whether a persona's function call runs right away, waits for the user's approval
+ * or is refused, and describes what an approved call would change.
+ */
+
+export const TOOL_POLICIES = {
+  auto: "Run automatically",
+  ask: "Ask me first",
+  deny: "Never run",
+};
+
+// Calls that destroy data ask first unless the user decides otherwise
+export const DEFAULT_TOOL_POLICIES = {
+  delete_memory: "ask",
+  set_document_content: "ask",
+};
+
+// Tools that run in the app's toolbox; built-in tools run on the model's side and can't be held
+export const APPROVABLE_TOOLS = PERSONA_TOOL_OPTIONS.filter((option) => option.declaration);
+
+/**
+ * Get the policy of a tool for a role
+ * A role's own policy wins over the policy for all roles, which wins over the default.
+ *
+ * @param {string} role - Role key
+ * @param {string} toolName - Function name
+ * @param {Object} settings - Policies from settings
+ * @returns {"auto"|"ask"|"deny"} Policy
+ */
+export const getToolPolicy = (role, toolName, settings = getToolPolicySettings()) =>
+  settings.roles?.[role]?.[toolName] ||
+  settings.tools?.[toolName] ||
+  DEFAULT_TOOL_POLICIES[toolName] ||
+  "auto";
+
+/**
+ * Function response for a call that did not run
+ *
+ * @param {string} toolName - Function name
+ * @param {"ask"|"deny"} policy - Policy of the tool; "ask" means the user declined this call
+ * @returns {Object} Result reported back to the model
+ */
+export const createDeniedToolResult = (toolName, policy) => ({
+  success: false,
+  denied: true,
+  error:
+    policy === "deny"
+      ? `The user does not allow ${toolName} to run. Tell the user what you wanted to do instead of calling it again.`
+      : `The user declined this call to ${toolName}. Do not call it again unless the user asks you to.`,
+});
+
+const countLines = (text) => (text ? text.split("\n").length : 0);
+
+// Memory tools that only reach the calling persona's own private memories
+const OWN_MEMORY_TOOLS = ["save_private_memory", "delete_private_memory"];
+
+/**
+ * Describe the effect of a function call for the approval card
+ * Memory calls are previewed as the calling persona sees memories, so a call the tool would
+ * refuse shows as refused and other personas' private memories stay hidden.
+ *
+ * @param {string} toolName - Function name
+ * @param {Object} args - Call arguments
+ * @param {string} role - Role key of the persona making the call
+ * @returns {Promise<{summary: string, before: string|null, after: string|null}>} What the call
+ *   changes, with the current and the new value where there is one
+ */
+export const buildToolCallPreview = async (toolName, args = {}, role) => {
+  const isMemoryChange = ["update_memory", "delete_memory", ...OWN_MEMORY_TOOLS].includes(toolName);
+  if (isMemoryChange && args.memoryKey) {
+    const accessError = await checkMemoryAccess(
+      args.memoryKey,
+      role,
+      OWN_MEMORY_TOOLS.includes(toolName)
+    );
+    if (accessError) {
+      return { summary: `Changes nothing: ${accessError.error}`, before: null, after: null };
+    }
+  }
+
+  switch (toolName) {
+    case "create_memory":
+      return { summary: "Saves a new memory.", before: null, after: args.memoryValue ?? "" };
+    case "update_memory": {
+      const current = await memoryService.getMemory(args.memoryKey, role);
+      return {
+        summary: current === null ? `Saves memory ${args.memoryKey}.` : `Changes memory ${args.memoryKey}.`,
+        before: current,
+        after: args.memoryValue ?? "",
+      };
+    }
+    case "save_private_memory": {
+      const current = args.memoryKey ? await memoryService.getMemory(args.memoryKey, role) : null;
+      return {
+        summary: current === null ? "Saves a new private memory." : `Changes private memory ${args.memoryKey}.`,
+        before: current,
+        after: args.memoryValue ?? "",
+      };
+    }
+    case "delete_memory":
+    case "delete_private_memory": {
+      const current = await memoryService.getMemory(args.memoryKey, role);
+      return {
+        summary:
+          current === null
+            ? `Deletes memory ${args.memoryKey}, which does not exist.`
+            : `Deletes memory ${args.memoryKey}.`,
+        before: current,
+        after: null,
+      };
+    }
+    case "set_document_content": {
+      const current = getDocumentContent();
+      const next = args.documentContent ?? "";
+      return {
+        summary: next.trim()
+          ? `Replaces the co-edited document (${countLines(current)} lines → ${countLines(next)} lines).`
+          : `Clears the co-edited document (${countLines(current)} lines).`,
+        before: current,
+        after: next,
+      };
+    }
+    default:
+      return { summary: `Calls ${toolName}.`, before: null, after: null };
+  }
+};
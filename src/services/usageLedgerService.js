@@ -0,0 +1,413 @@
+import { ApiError } from "./api/apiClient";
+
+/**
+ * Usage ledger service
+ * Records token usage for every model call (per model, role, request type and
+ * conversation), estimates cost from a configurable price table and enforces
+ * optional daily/monthly budget caps.
+ *
+ * Recent calls are kept one entry per call; older ones are folded into daily
+ * totals (one entry per day, model, role, request type and conversation, with
+ * a request count), which keeps the ledger small. Costs are linear in tokens,
+ * so the totals summarize exactly like the calls they replace.
+ */
+
+const LEDGER_KEY = "usage_ledger";
+const PRICE_TABLE_KEY = "usage_price_table";
+const BUDGET_KEY = "usage_budget";
+const CURRENT_CONVERSATION_KEY = "onedrive_latest_conversation_id";
+const RETENTION_DAYS = 400;
+// Calls older than this are folded into daily totals
+const RAW_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN_FIELDS = ["promptTokens", "cachedTokens", "candidatesTokens", "thoughtsTokens", "totalTokens"];
+
+export const USAGE_UPDATED_EVENT = "usageLedgerUpdated";
+export const BUDGET_WARNING_EVENT = "usageBudgetWarning";
+
+/**
+ * Default prices in USD per 1M tokens. Thoughts are billed as output.
+ * These are estimates and can be edited in the Usage view.
+ */
+export const DEFAULT_PRICE_TABLE = {
+  "gemini-3-flash-preview": { input: 0.5, cachedInput: 0.05, output: 3.0 },
+  "gemini-2.5-flash": { input: 0.3, cachedInput: 0.03, output: 2.5 },
+  "gemini-3.1-flash-lite-preview": { input: 0.1, cachedInput: 0.01, output: 0.4 },
+};
+
+export const DEFAULT_BUDGET = {
+  dailyLimit: null,
+  monthlyLimit: null,
+  mode: "warn", // "warn" or "block"
+};
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to localStorage:`, error);
+  }
+};
+
+const notifyUsageUpdated = () => {
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new Event(USAGE_UPDATED_EVENT));
+  }
+};
+
+/**
+ * Get all ledger entries
+ * @returns {Array} Ledger entries in chronological order
+ */
+export const getLedgerEntries = () => {
+  const entries = readJson(LEDGER_KEY, []);
+  return Array.isArray(entries) ? entries : [];
+};
+
+/**
+ * Fold entries older than the raw retention window into daily totals and drop
+ * entries past the retention period
+ * @param {Array} entries - Ledger entries in chronological order
+ * @param {number} now - Current time
+ * @returns {Array} Daily totals followed by the recent calls, in chronological order
+ */
+export const compactLedgerEntries = (entries, now = Date.now()) => {
+  const cutoff = now - RETENTION_DAYS * DAY_MS;
+  // Totals cover whole days, so the raw window starts at a day boundary
+  const rawFrom = getPeriodRange("day", new Date(now - RAW_RETENTION_DAYS * DAY_MS)).from;
+  const dailyTotals = new Map();
+  const recent = [];
+
+  entries
+    .filter((entry) => entry.timestamp >= cutoff)
+    .forEach((entry) => {
+      if (entry.timestamp >= rawFrom) {
+        recent.push(entry);
+        return;
+      }
+      const day = getPeriodRange("day", new Date(entry.timestamp)).from;
+      const key = [day, entry.model, entry.role, entry.requestType, entry.conversationId].join("|");
+      const totals = dailyTotals.get(key) || {
+        timestamp: day,
+        model: entry.model,
+        role: entry.role,
+        requestType: entry.requestType,
+        conversationId: entry.conversationId,
+        requests: 0,
+        ...Object.fromEntries(TOKEN_FIELDS.map((field) => [field, 0])),
+      };
+      totals.requests += entry.requests || 1;
+      TOKEN_FIELDS.forEach((field) => {
+        totals[field] += entry[field] || 0;
+      });
+      dailyTotals.set(key, totals);
+    });
+
+  return [...Array.from(dailyTotals.values()).sort((a, b) => a.timestamp - b.timestamp), ...recent];
+};
+
+/**
+ * Remove all ledger entries
+ */
+export const clearLedger = () => {
+  localStorage.removeItem(LEDGER_KEY);
+  notifyUsageUpdated();
+};
+
+/**
+ * Record the usage of a single model call
+ *
+ * @param {Object} params
+ * @param {string} params.model - Model identifier
+ * @param {string} params.role - Role key (or "system" for background calls)
+ * @param {string} params.requestType - Request type (default, summarization, ...)
+ * @param {Object} params.usageMetadata - usageMetadata from the response
+ * @param {string} params.conversationId - Conversation ID (defaults to the current conversation)
+ * @returns {Object|null} The recorded entry, or null if there was no usage to record
+ */
+export const recordUsage = ({
+  model,
+  role = "system",
+  requestType = "default",
+  usageMetadata,
+  conversationId,
+} = {}) => {
+  if (!usageMetadata) {
+    return null;
+  }
+
+  const entry = {
+    timestamp: Date.now(),
+    model,
+    role,
+    requestType,
+    conversationId:
+      conversationId !== undefined
+        ? conversationId
+        : localStorage.getItem(CURRENT_CONVERSATION_KEY) || null,
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+    candidatesTokens: usageMetadata.candidatesTokenCount || 0,
+    thoughtsTokens: usageMetadata.thoughtsTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0,
+  };
+
+  writeJson(LEDGER_KEY, compactLedgerEntries([...getLedgerEntries(), entry]));
+  notifyUsageUpdated();
+
+  return entry;
+};
+
+/**
+ * Get the price table, merged over the defaults
+ * @returns {Object} {model: {input, cachedInput, output}} in USD per 1M tokens
+ */
+export const getPriceTable = () => ({
+  ...DEFAULT_PRICE_TABLE,
+  ...readJson(PRICE_TABLE_KEY, {}),
+});
+
+/**
+ * Save price overrides
+ * @param {Object} priceTable - {model: {input, cachedInput, output}}
+ */
+export const setPriceTable = (priceTable) => {
+  writeJson(PRICE_TABLE_KEY, priceTable || {});
+  notifyUsageUpdated();
+};
+
+/**
+ * Estimate the cost of a ledger entry
+ * Models missing from the price table (e.g. local models) cost nothing.
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} priceTable - Price table
+ * @returns {number} Cost in USD
+ */
+export const estimateEntryCost = (entry, priceTable = getPriceTable()) => {
+  const prices = priceTable[entry.model];
+  if (!prices) {
+    return 0;
+  }
+  const cachedTokens = entry.cachedTokens || 0;
+  const uncachedPrompt = Math.max(0, (entry.promptTokens || 0) - cachedTokens);
+  const outputTokens = (entry.candidatesTokens || 0) + (entry.thoughtsTokens || 0);
+  const cachedPrice = prices.cachedInput ?? prices.input ?? 0;
+  return (
+    (uncachedPrompt * (prices.input || 0) +
+      cachedTokens * cachedPrice +
+      outputTokens * (prices.output || 0)) /
+    1_000_000
+  );
+};
+
+/**
+ * Estimate what cached input saved compared to sending it uncached
+ *
+ * @param {Object} entry - Ledger entry
+ * @param {Object} priceTable - Price table
+ * @returns {number} Savings in USD
+ */
+export const estimateCacheSavings = (entry, priceTable = getPriceTable()) => {
+  const prices = priceTable[entry.model];
+  if (!prices || !entry.cachedTokens) {
+    return 0;
+  }
+  const cachedPrice = prices.cachedInput ?? prices.input ?? 0;
+  return (entry.cachedTokens * Math.max(0, (prices.input || 0) - cachedPrice)) / 1_000_000;
+};
+
+/**
+ * Get the start/end timestamps of the day or month containing a date
+ * @param {"day"|"month"} period - Period type
+ * @param {Date} date - Reference date
+ * @returns {{from: number, to: number}}
+ */
+export const getPeriodRange = (period, date = new Date()) => {
+  if (period === "month") {
+    const from = new Date(date.getFullYear(), date.getMonth(), 1);
+    const to = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    return { from: from.getTime(), to: to.getTime() };
+  }
+  const from = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const to = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return { from: from.getTime(), to: to.getTime() };
+};
+
+const emptyTotals = () => ({
+  requests: 0,
+  promptTokens: 0,
+  cachedTokens: 0,
+  candidatesTokens: 0,
+  thoughtsTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  cacheSavings: 0,
+});
+
+// Daily totals count the calls they were folded from
+const addToTotals = (totals, entry, cost, cacheSavings) => {
+  totals.requests += entry.requests || 1;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.cachedTokens += entry.cachedTokens || 0;
+  totals.candidatesTokens += entry.candidatesTokens || 0;
+  totals.thoughtsTokens += entry.thoughtsTokens || 0;
+  totals.totalTokens += entry.totalTokens || 0;
+  totals.cost += cost;
+  totals.cacheSavings += cacheSavings;
+};
+
+/**
+ * Summarize ledger entries within a time range
+ *
+ * @param {Object} range - {from, to} timestamps (to is exclusive)
+ * @param {Array} entries - Ledger entries (defaults to the stored ledger)
+ * @param {Object} priceTable - Price table
+ * @returns {Object} {totals, byModel, byRole, byRequestType, byConversation}
+ */
+export const summarizeUsage = (
+  range = {},
+  entries = getLedgerEntries(),
+  priceTable = getPriceTable()
+) => {
+  const { from = 0, to = Infinity } = range;
+  const summary = {
+    totals: emptyTotals(),
+    byModel: {},
+    byRole: {},
+    byRequestType: {},
+    byConversation: {},
+  };
+
+  entries
+    .filter((entry) => entry.timestamp >= from && entry.timestamp < to)
+    .forEach((entry) => {
+      const cost = estimateEntryCost(entry, priceTable);
+      const cacheSavings = estimateCacheSavings(entry, priceTable);
+      addToTotals(summary.totals, entry, cost, cacheSavings);
+      [
+        ["byModel", entry.model || "unknown"],
+        ["byRole", entry.role || "system"],
+        ["byRequestType", entry.requestType || "default"],
+        ["byConversation", entry.conversationId || "local"],
+      ].forEach(([group, key]) => {
+        summary[group][key] = summary[group][key] || emptyTotals();
+        addToTotals(summary[group][key], entry, cost, cacheSavings);
+      });
+    });
+
+  return summary;
+};
+
+/**
+ * Get budget settings
+ * @returns {Object} {dailyLimit, monthlyLimit, mode}
+ */
+export const getBudgetSettings = () => ({
+  ...DEFAULT_BUDGET,
+  ...readJson(BUDGET_KEY, {}),
+});
+
+/**
+ * Save budget settings
+ * @param {Object} budget - {dailyLimit, monthlyLimit, mode}; limits in USD, null to disable
+ */
+export const setBudgetSettings = (budget) => {
+  writeJson(BUDGET_KEY, { ...getBudgetSettings(), ...budget });
+  notifyUsageUpdated();
+};
+
+/**
+ * Check spending against the configured budget caps
+ * @param {Object} budget - Budget settings (defaults to the stored settings)
+ * @param {Array} entries - Ledger entries (defaults to the stored ledger)
+ * @param {Object} priceTable - Price table
+ * @returns {Object} {exceeded, mode, period, spent, limit, message}
+ */
+export const checkBudget = (
+  budget = getBudgetSettings(),
+  entries = getLedgerEntries(),
+  priceTable = getPriceTable()
+) => {
+  const checks = [
+    ["day", budget.dailyLimit],
+    ["month", budget.monthlyLimit],
+  ];
+
+  for (const [period, limit] of checks) {
+    if (typeof limit !== "number" || limit <= 0) {
+      continue;
+    }
+    const spent = summarizeUsage(getPeriodRange(period), entries, priceTable).totals.cost;
+    if (spent >= limit) {
+      return {
+        exceeded: true,
+        mode: budget.mode,
+        period,
+        spent,
+        limit,
+        message: `${period === "day" ? "Daily" : "Monthly"} budget of $${limit.toFixed(2)} reached (spent $${spent.toFixed(2)})`,
+      };
+    }
+  }
+
+  return { exceeded: false, mode: budget.mode };
+};
+
+/**
+ * Enforce budget caps before sending a request
+ * In "block" mode an exceeded cap throws; in "warn" mode a warning event is dispatched.
+ *
+ * @param {string} requestType - Request type about to be sent
+ * @returns {Object} Result of checkBudget
+ * @throws {ApiError} If a cap is exceeded and the mode is "block"
+ */
+export const enforceBudget = (requestType = "default") => {
+  const result = checkBudget();
+  if (!result.exceeded) {
+    return result;
+  }
+
+  if (result.mode === "block") {
+    throw new ApiError(result.message, {
+      errorType: "budget_exceeded",
+      details: { period: result.period, spent: result.spent, limit: result.limit, requestType },
+    });
+  }
+
+  console.warn(`Usage budget warning (${requestType}): ${result.message}`);
+  if (typeof window !== "undefined") {
+    window.dispatchEvent(new CustomEvent(BUDGET_WARNING_EVENT, { detail: result }));
+  }
+  return result;
+};
+
+const usageLedgerService = {
+  recordUsage,
+  getLedgerEntries,
+  compactLedgerEntries,
+  clearLedger,
+  getPriceTable,
+  setPriceTable,
+  estimateEntryCost,
+  estimateCacheSavings,
+  getPeriodRange,
+  summarizeUsage,
+  getBudgetSettings,
+  setBudgetSettings,
+  checkBudget,
+  enforceBudget,
+};
+
+export default usageLedgerService;
@@ -1,4 +1,5 @@
-import { getAvatarPath, getSpeakerVoice, VOICE_MAP } from "../avatarUtils";
+import { getAvatarPath, getSpeakerVoice, getVoiceMap, VOICE_MAP } from "../avatarUtils";
+import { saveCustomPersona } from "../settingsService";
 
 describe("avatarUtils", () => {
   describe("getAvatarPath", () => {
@@ -68,4 +69,17 @@ describe("avatarUtils", () => {
       expect(VOICE_MAP).toHaveProperty("userFemale");
     });
   });
+
+  describe("custom personas", () => {
+    beforeEach(() => {
+      localStorage.clear();
+      saveCustomPersona({ id: "persona-emma", name: "Emma", description: "Travel planner", avatar: "/emma.png", voice: "Jennifer" });
+    });
+
+    it("should use the avatar and voice of a custom persona", () => {
+      expect(getAvatarPath("male", false, "Emma")).toBe("/emma.png");
+      expect(getSpeakerVoice("male", false, "Emma")).toBe("Jennifer");
+      expect(getVoiceMap()).toMatchObject({ Emma: "Jennifer", Adrien: VOICE_MAP.Adrien });
+    });
+  });
 });
@@ -0,0 +1,74 @@
+import { webcrypto } from "crypto";
+import memoryService, { SHARED_MEMORY_SCOPE, getMemoryScope } from "../memoryService";
+import { toolbox } from "../../services/api/financialService";
+
+const storeMemory = (key, data, scope) =>
+  localStorage.setItem(
+    `memory-${key}`,
+    JSON.stringify({ metadata: { lastUpdate: 1, deleted: false, ...(scope && { scope }) }, data })
+  );
+
+describe("memoryService scopes", () => {
+  let logSpy;
+
+  beforeAll(() => {
+    if (!global.crypto?.randomUUID) {
+      global.crypto = webcrypto;
+    }
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    storeMemory("shared", "Lives in Lyon");
+    storeMemory("editor-note", "Prefers short sentences", "editor");
+    storeMemory("advisor-note", "Low risk tolerance", "financialAdvisor");
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+  });
+
+  it("treats memories without a scope as shared", () => {
+    expect(getMemoryScope(localStorage.getItem("memory-shared"))).toBe(SHARED_MEMORY_SCOPE);
+    expect(JSON.parse(localStorage.getItem("memory-shared")).metadata.scope).toBeUndefined();
+  });
+
+  it("shows a persona the shared memories and its own", async () => {
+    expect(Object.keys(await memoryService.getAllMemories("editor")).sort()).toEqual(["editor-note", "shared"]);
+    expect(Object.keys(await memoryService.getAllMemories()).sort()).toEqual([
+      "advisor-note",
+      "editor-note",
+      "shared",
+    ]);
+    expect(await memoryService.getMemory("advisor-note", "editor")).toBeNull();
+  });
+
+  it("keeps the scope of a memory when it is updated", async () => {
+    await memoryService.setMemory("editor-note", "Prefers active voice");
+    const stored = localStorage.getItem("memory-editor-note");
+    expect(getMemoryScope(stored)).toBe("editor");
+    expect(JSON.parse(stored).data).toBe("Prefers active voice");
+  });
+
+  it("saves private memories for the calling persona", async () => {
+    await toolbox.save_private_memory({ memoryValue: "Likes bullet lists" }, { role: "editor" });
+    const entries = await memoryService.getAllMemoryEntries("editor");
+    expect(entries.find((entry) => entry.value === "Likes bullet lists").scope).toBe("editor");
+    expect((await memoryService.getAllMemoryEntries("searcher")).map((entry) => entry.key)).toEqual(["shared"]);
+  });
+
+  it("hides other personas' private memories from the toolbox", async () => {
+    expect(await toolbox.get_memory({ memoryKey: "advisor-note" }, { role: "editor" })).toBeNull();
+    const updateResult = await toolbox.update_memory(
+      { memoryKey: "advisor-note", memoryValue: "High risk tolerance" },
+      { role: "editor" }
+    );
+    expect(updateResult).toEqual({ success: false, error: "Memory advisor-note not found." });
+    const deleteResult = await toolbox.delete_private_memory({ memoryKey: "shared" }, { role: "editor" });
+    expect(deleteResult.success).toBe(false);
+
+    expect(await memoryService.getMemory("advisor-note")).toBe("Low risk tolerance");
+    expect(await memoryService.getMemory("shared")).toBe("Lives in Lyon");
+  });
+});
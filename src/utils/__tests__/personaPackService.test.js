@@ -0,0 +1,113 @@
+import {
+  createPersonaPack,
+  parsePersonaPack,
+  findPersonaConflict,
+  importPersonaPack,
+  PERSONA_PACK_FORMAT,
+  PERSONA_PACK_VERSION,
+} from "../personaPackService";
+import { saveCustomPersona, getCustomPersonas, setRoleModelOverrides } from "../settingsService";
+import { randomUUID } from "crypto";
+
+const AVATAR = "data:image/png;base64,iVBORw0KGgo=";
+
+const emma = {
+  id: "persona-emma",
+  name: "Emma",
+  description: "Travel planner",
+  detailedInstruction: "Plan trips.",
+  avatar: AVATAR,
+  voice: "Jennifer",
+  tools: ["google_search"],
+};
+
+const pack = (personas, extra = {}) =>
+  JSON.stringify({ format: PERSONA_PACK_FORMAT, version: PERSONA_PACK_VERSION, personas, ...extra });
+
+describe("personaPackService", () => {
+  beforeAll(() => {
+    // jsdom has no Web Crypto
+    global.crypto = { randomUUID };
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("exports personas with their generation settings and reads them back", async () => {
+    saveCustomPersona(emma);
+    setRoleModelOverrides({ "persona-emma": { model: "gemini-2.5-flash", temperature: 0.4 } });
+
+    const exported = await createPersonaPack(["persona-emma"]);
+
+    expect(exported).toMatchObject({ format: PERSONA_PACK_FORMAT, version: PERSONA_PACK_VERSION });
+    expect(exported.personas).toEqual([
+      expect.objectContaining({
+        name: "Emma",
+        avatar: AVATAR,
+        model: "gemini-2.5-flash",
+        generationConfig: { temperature: 0.4 },
+      }),
+    ]);
+    const { personas, warnings } = parsePersonaPack(JSON.stringify(exported));
+    expect(personas[0]).toMatchObject({ name: "Emma", tools: ["google_search"], voice: "Jennifer" });
+    expect(warnings).toEqual([]);
+  });
+
+  it("rejects files that are not valid persona packs", () => {
+    expect(() => parsePersonaPack("{")).toThrow("not valid JSON");
+    expect(() => parsePersonaPack(JSON.stringify({ personas: [] }))).toThrow("not a persona pack");
+    expect(() => parsePersonaPack(pack([emma], { version: PERSONA_PACK_VERSION + 1 }))).toThrow("reads up to version");
+    expect(() => parsePersonaPack(pack([]))).toThrow("no personas");
+  });
+
+  it("lists every problem of invalid personas", () => {
+    const invalid = [
+      { name: "Emma Stone", description: "x" },
+      { ...emma, name: "Noah", avatar: "ftp://example.com/emma.png", generationConfig: { temperature: 5 } },
+      emma,
+      { ...emma, name: "emma" },
+    ];
+
+    expect(() => parsePersonaPack(pack(invalid))).toThrow(
+      /name must contain[\s\S]*avatar must be[\s\S]*temperature must be a number from 0 to 2[\s\S]*more than once/
+    );
+  });
+
+  it("leaves out unknown tools and settings with a warning", () => {
+    const { personas, warnings } = parsePersonaPack(
+      pack([{ ...emma, tools: ["google_search", "launch_rocket"], generationConfig: { seed: 1 } }])
+    );
+
+    expect(personas[0].tools).toEqual(["google_search"]);
+    expect(personas[0].generationConfig).toBeUndefined();
+    expect(warnings).toHaveLength(2);
+  });
+
+  it("finds conflicts with built-in roles and existing personas", () => {
+    saveCustomPersona(emma);
+
+    expect(findPersonaConflict({ name: "belinda" })).toEqual({ type: "builtin", roleKey: "searcher" });
+    expect(findPersonaConflict({ name: "Searcher" })).toEqual({ type: "builtin", roleKey: "searcher" });
+    expect(findPersonaConflict({ name: "EMMA" })).toMatchObject({ type: "custom", persona: { id: "persona-emma" } });
+    expect(findPersonaConflict({ name: "Noah" })).toBeNull();
+  });
+
+  it("replaces, renames or skips conflicting personas", () => {
+    saveCustomPersona(emma);
+    const { personas } = parsePersonaPack(
+      pack([
+        { ...emma, description: "Updated planner" },
+        { name: "Belinda", description: "Another researcher" },
+        { name: "Noah", description: "Chef" },
+      ])
+    );
+
+    expect(importPersonaPack(personas, ["replace", "rename"])).toEqual({ added: 2, replaced: 1, skipped: 0 });
+    const stored = getCustomPersonas();
+    expect(stored.find((persona) => persona.id === "persona-emma").description).toBe("Updated planner");
+    expect(stored.map((persona) => persona.name).sort()).toEqual(["Belinda_2", "Emma", "Noah"]);
+
+    expect(importPersonaPack(personas, ["skip", "skip", "skip"])).toEqual({ added: 0, replaced: 0, skipped: 3 });
+  });
+});
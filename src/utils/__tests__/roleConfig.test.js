@@ -0,0 +1,75 @@
+import {
+  getRoleDefinitions,
+  getRoleDefinition,
+  getMentionRoleMap,
+  roleUtils,
+  validatePersona,
+  buildPersonaTools,
+} from "../roleConfig";
+import { saveCustomPersona, deleteCustomPersona, getAllCustomPersonas, mergeCustomPersonas } from "../settingsService";
+
+const emma = {
+  id: "persona-emma",
+  name: "Emma",
+  description: "Travel planner",
+  tools: ["create_memory", "google_search"],
+  model: "gemini-2.5-flash",
+};
+
+describe("roleConfig persona registry", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("adds custom personas to the role definitions", () => {
+    saveCustomPersona(emma);
+
+    const role = getRoleDefinition("persona-emma");
+    expect(role).toMatchObject({ name: "Emma", custom: true, canUseFunctions: true, model: "gemini-2.5-flash" });
+    expect(role.selfIntroduction).toBe("I am Emma.");
+    expect(getRoleDefinitions()).toHaveProperty("general");
+  });
+
+  it("maps @mentions of custom personas to their ID", () => {
+    saveCustomPersona(emma);
+
+    expect(getMentionRoleMap()).toMatchObject({ emma: "persona-emma", belinda: "searcher" });
+    expect(roleUtils.getRoleByMention("ask @emma about Kyoto")).toBe("persona-emma");
+    expect(roleUtils.getRoleByMention("@emmanuel hi")).toBeUndefined();
+  });
+
+  it("removes deleted personas but keeps a tombstone for sync", () => {
+    saveCustomPersona(emma);
+    deleteCustomPersona("persona-emma");
+
+    expect(getRoleDefinition("persona-emma")).toBeUndefined();
+    expect(getAllCustomPersonas()).toEqual([expect.objectContaining({ id: "persona-emma", deleted: true })]);
+  });
+
+  it("validates persona names and descriptions", () => {
+    expect(validatePersona({ name: "", description: "x" })).toMatch(/required/);
+    expect(validatePersona({ name: "Emma Stone", description: "x" })).toMatch(/letters, digits/);
+    expect(validatePersona({ name: "belinda", description: "x" })).toMatch(/already used/);
+    expect(validatePersona({ id: "b", name: "EMMA", description: "x" }, [emma])).toMatch(/already used/);
+    expect(validatePersona({ ...emma, name: "Emma" }, [emma])).toBeNull();
+    expect(validatePersona({ name: "Emma", description: " " })).toMatch(/Description/);
+  });
+
+  it("builds function declarations and built-in tools from tool names", () => {
+    const tools = buildPersonaTools(["create_memory", "google_search"]);
+
+    expect(tools.function_declarations.map((declaration) => declaration.name)).toEqual(["create_memory"]);
+    expect(tools.google_search).toEqual({});
+    expect(buildPersonaTools([])).toBeUndefined();
+  });
+
+  it("merges personas, keeping the most recently updated copy", () => {
+    const local = [{ ...emma, lastUpdate: 100 }, { id: "persona-old", name: "Old", lastUpdate: 100 }];
+    const remote = [{ id: "persona-old", name: "Old", deleted: true, lastUpdate: 200 }, { ...emma, name: "Stale", lastUpdate: 50 }];
+
+    const merged = mergeCustomPersonas(local, remote);
+
+    expect(merged.find((persona) => persona.id === "persona-emma").name).toBe("Emma");
+    expect(merged.find((persona) => persona.id === "persona-old").deleted).toBe(true);
+  });
+});
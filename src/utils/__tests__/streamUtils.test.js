@@ -0,0 +1,79 @@
+import { parseSseEvents, mergeStreamChunk } from "../streamUtils";
+
+describe("parseSseEvents", () => {
+  it("parses complete events and keeps the incomplete remainder", () => {
+    const buffer =
+      'data: {"a":1}\n\ndata: {"b":2}\r\n\r\ndata: {"c":';
+
+    const { events, rest } = parseSseEvents(buffer);
+
+    expect(events).toEqual([{ a: 1 }, { b: 2 }]);
+    expect(rest).toBe('data: {"c":');
+  });
+
+  it("skips malformed payloads and non-data lines", () => {
+    const warnSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+    const buffer = ": keep-alive\n\ndata: {oops}\n\ndata: {\"ok\":true}\n\n";
+
+    const { events, rest } = parseSseEvents(buffer);
+
+    expect(events).toEqual([{ ok: true }]);
+    expect(rest).toBe("");
+    warnSpy.mockRestore();
+  });
+});
+
+describe("mergeStreamChunk", () => {
+  const chunk = (parts, extra = {}) => ({
+    candidates: [{ content: { role: "model", parts }, ...extra }],
+  });
+
+  it("concatenates consecutive text parts with the same thought flag", () => {
+    let merged = mergeStreamChunk(null, chunk([{ text: "Thinking", thought: true }]));
+    merged = mergeStreamChunk(merged, chunk([{ text: " more", thought: true }]));
+    merged = mergeStreamChunk(merged, chunk([{ text: "Hello" }]));
+    merged = mergeStreamChunk(merged, chunk([{ text: " world" }]));
+
+    expect(merged.candidates[0].content.parts).toEqual([
+      { text: "Thinking more", thought: true },
+      { text: "Hello world" },
+    ]);
+  });
+
+  it("keeps function calls as separate parts", () => {
+    let merged = mergeStreamChunk(null, chunk([{ text: "Saving" }]));
+    merged = mergeStreamChunk(
+      merged,
+      chunk([{ functionCall: { name: "create_memory", args: {} } }])
+    );
+
+    expect(merged.candidates[0].content.parts).toHaveLength(2);
+    expect(merged.candidates[0].content.parts[1].functionCall.name).toBe(
+      "create_memory"
+    );
+  });
+
+  it("takes the latest finishReason and usage but keeps earlier grounding", () => {
+    let merged = mergeStreamChunk(
+      null,
+      chunk([{ text: "A" }], { groundingMetadata: { groundingChunks: [1] } })
+    );
+    merged = mergeStreamChunk(merged, {
+      ...chunk([{ text: "B" }], { finishReason: "STOP" }),
+      usageMetadata: { totalTokenCount: 10 },
+    });
+
+    const candidate = merged.candidates[0];
+    expect(candidate.content.parts).toEqual([{ text: "AB" }]);
+    expect(candidate.finishReason).toBe("STOP");
+    expect(candidate.groundingMetadata).toEqual({ groundingChunks: [1] });
+    expect(merged.usageMetadata).toEqual({ totalTokenCount: 10 });
+  });
+
+  it("does not mutate the previous aggregate", () => {
+    const first = mergeStreamChunk(null, chunk([{ text: "A" }]));
+    mergeStreamChunk(first, chunk([{ text: "B" }]));
+
+    expect(first.candidates[0].content.parts).toEqual([{ text: "A" }]);
+  });
+});
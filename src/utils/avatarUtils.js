@@ -1,27 +1,52 @@
 /**
  * Avatar and voice mapping utilities
- * Centralized configuration for avatar paths and voice selection
+ * Avatars and voices come from the persona registry (built-in roles and custom personas)
  */
 
-/**
- * Voice mapping configuration
- * Maps role names and user avatar types to TTS voice names
- */
-export const VOICE_MAP = {
-  Adrien: "Ethan",
-  Belinda: "Cherry",
-  Charlie: "Nofish",
-  Diana: "Cherry",
+import { roleDefinition, getRoleDefinitions } from "./roleConfig";
+
+const USER_VOICES = {
   userMale: "Ryan",
   userFemale: "Katerina",
 };
 
+/**
+ * Build the voice map from role definitions
+ * @param {Object} roles - Map of role key to role definition
+ * @returns {Object} Map of role name (and user avatar type) to TTS voice name
+ */
+const buildVoiceMap = (roles) => {
+  const map = {};
+  Object.values(roles).forEach((role) => {
+    if (!role.hidden && role.voice) {
+      map[role.name] = role.voice;
+    }
+  });
+  return { ...map, ...USER_VOICES };
+};
+
+/**
+ * Voice mapping of the built-in roles
+ * Maps role names and user avatar types to TTS voice names
+ */
+export const VOICE_MAP = buildVoiceMap(roleDefinition);
+
+/**
+ * Get the voice mapping including custom personas
+ * @returns {Object} Map of role name (and user avatar type) to TTS voice name
+ */
+export const getVoiceMap = () => buildVoiceMap(getRoleDefinitions());
+
+// Find a role definition by its display name
+const findRoleByName = (roleName) =>
+  roleName ? Object.values(getRoleDefinitions()).find((role) => role.name === roleName) : undefined;
+
 /**
  * Gets the avatar image path for a user or role
- * 
+ *
  * @param {string} userAvatar - User avatar preference ("male" or "female")
  * @param {boolean} isUserMessage - Whether this is a user message
- * @param {string} roleName - Role name for bot messages (e.g., "Belinda", "Charlie")
+ * @param {string} roleName - Role name for bot messages (e.g., "Belinda" or a custom persona name)
  * @returns {string} - Path to avatar image
  */
 export const getAvatarPath = (userAvatar, isUserMessage, roleName) => {
@@ -30,34 +55,26 @@ export const getAvatarPath = (userAvatar, isUserMessage, roleName) => {
       ? "/avatar-user-female.jpg"
       : "/avatar-user-male.jpg";
   }
-  
+
   // Bot avatars
-  switch (roleName) {
-    case "Belinda":
-      return "/avatar-belinda.jpg";
-    case "Charlie":
-      return "/avatar-charlie.jpg";
-    case "Diana":
-      return "/avatar-diana.jpg";
-    default:
-      return "/avator-adrien.jpg";
-  }
+  return findRoleByName(roleName)?.avatar || roleDefinition.general.avatar;
 };
 
 /**
  * Gets the TTS voice for a user or role
- * 
+ *
  * @param {string} userAvatar - User avatar preference ("male" or "female")
  * @param {boolean} isUserMessage - Whether this is a user message
  * @param {string} roleName - Role name for bot messages
  * @returns {string} - Voice name for TTS
  */
 export const getSpeakerVoice = (userAvatar, isUserMessage, roleName) => {
+  const voiceMap = getVoiceMap();
   if (isUserMessage) {
     return userAvatar === "female"
-      ? VOICE_MAP.userFemale
-      : VOICE_MAP.userMale;
+      ? voiceMap.userFemale
+      : voiceMap.userMale;
   }
-  
-  return VOICE_MAP[roleName] || VOICE_MAP.Adrien;
+
+  return voiceMap[roleName] || voiceMap.Adrien;
 };
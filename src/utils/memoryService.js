@@ -3,6 +3,10 @@
 // Storage prefix
 const MEMORY_PREFIX = 'memory-';
 
+// Scope of memories every persona sees; other memories are private to the persona whose role key
+// is stored as metadata.scope
+export const SHARED_MEMORY_SCOPE = 'shared';
+
 // Check if Chrome storage is available (for extension environment)
 const isChromeExtension = typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local;
 
@@ -45,13 +49,16 @@ function parseMemoryValue(value) {
  * @param {any} data - The memory data
  * @param {number} lastUpdate - Timestamp (defaults to current time)
  * @param {boolean} deleted - Whether memory is deleted (defaults to false)
+ * @param {string} scope - Role key of the persona owning the memory; shared when omitted
  * @returns {string} JSON string representation
  */
-function formatMemoryValue(data, lastUpdate = null, deleted = false) {
+function formatMemoryValue(data, lastUpdate = null, deleted = false, scope = SHARED_MEMORY_SCOPE) {
   return JSON.stringify({
     metadata: {
       lastUpdate: lastUpdate || Date.now(),
-      deleted: deleted
+      deleted: deleted,
+      // Shared memories keep the original format
+      ...(scope && scope !== SHARED_MEMORY_SCOPE && { scope })
     },
     data: data
   });
@@ -87,6 +94,49 @@ function getMemoryLastUpdate(value) {
   return parsed ? parsed.metadata.lastUpdate : 0;
 }
 
+/**
+ * Get the scope of a memory value
+ * @param {string} value - The stored memory value
+ * @returns {string} Role key of the owning persona, or SHARED_MEMORY_SCOPE
+ */
+export function getMemoryScope(value) {
+  const parsed = parseMemoryValue(value);
+  return parsed?.metadata.scope || SHARED_MEMORY_SCOPE;
+}
+
+/**
+ * Check whether a persona can see a memory
+ * @param {string} scope - Scope of the memory
+ * @param {string} role - Role key of the persona; every memory is visible without one
+ * @returns {boolean} True for shared memories and the persona's own
+ */
+export function isMemoryVisibleTo(scope, role) {
+  return !role || scope === SHARED_MEMORY_SCOPE || scope === role;
+}
+
+/**
+ * Check that a persona may change a memory with a tool call
+ * Other personas' private memories are reported as missing, so their keys don't leak.
+ * @param {string} key - Memory key (without prefix)
+ * @param {string} role - Role key of the calling persona
+ * @param {boolean} ownOnly - Only the persona's own private memories are allowed
+ * @returns {Promise<Object|null>} Error result, or null if allowed
+ */
+export async function checkMemoryAccess(key, role, ownOnly = false) {
+  const stored = await memoryService.getMemoryWithMetadata(key);
+  if (!stored) {
+    return ownOnly ? { success: false, error: `Memory ${key} not found.` } : null;
+  }
+  const scope = getMemoryScope(stored);
+  if (!isMemoryVisibleTo(scope, role)) {
+    return { success: false, error: `Memory ${key} not found.` };
+  }
+  if (ownOnly && scope !== role) {
+    return { success: false, error: `Memory ${key} is shared, not one of your private memories.` };
+  }
+  return null;
+}
+
 // Event bus - Used to notify about memory changes
 const eventBus = {
   subscribers: [],
@@ -113,7 +163,8 @@ const eventBus = {
 // Memory service API
 const memoryService = {
   // Get all memory items (returns only non-deleted memories, with data extracted)
-  getAllMemories: async () => {
+  // With a role, only the memories that persona can see are returned
+  getAllMemories: async (role = null) => {
     try {
       if (isChromeExtension) {
         return new Promise((resolve, reject) => {
@@ -128,7 +179,7 @@ const memoryService = {
                 const actualKey = key.substring(MEMORY_PREFIX.length);
                 const value = items[key];
                 // Filter out deleted memories
-                if (!isMemoryDeleted(value)) {
+                if (!isMemoryDeleted(value) && isMemoryVisibleTo(getMemoryScope(value), role)) {
                   memories[actualKey] = getMemoryData(value);
                 }
               }
@@ -145,7 +196,7 @@ const memoryService = {
             const actualKey = key.substring(MEMORY_PREFIX.length);
             const value = localStorage.getItem(key);
             // Filter out deleted memories
-            if (!isMemoryDeleted(value)) {
+            if (!isMemoryDeleted(value) && isMemoryVisibleTo(getMemoryScope(value), role)) {
               memories[actualKey] = getMemoryData(value);
             }
           }
@@ -196,8 +247,23 @@ const memoryService = {
     }
   },
   
-  // Get a single memory item (returns data only, null if deleted)
-  getMemory: async (key) => {
+  // Get all non-deleted memories as [{key, value, lastUpdate, scope}] (for retrieval ranking)
+  // With a role, only the memories that persona can see are returned
+  getAllMemoryEntries: async (role = null) => {
+    const memories = await memoryService.getAllMemoriesWithMetadata();
+    return Object.entries(memories)
+      .filter(([, value]) => value && !isMemoryDeleted(value))
+      .map(([key, value]) => ({
+        key,
+        value: getMemoryData(value),
+        lastUpdate: getMemoryLastUpdate(value),
+        scope: getMemoryScope(value),
+      }))
+      .filter((entry) => isMemoryVisibleTo(entry.scope, role));
+  },
+
+  // Get a single memory item (returns data only, null if deleted or, with a role, not visible to it)
+  getMemory: async (key, role = null) => {
     try {
       const memoryKey = MEMORY_PREFIX + key;
       
@@ -214,7 +280,7 @@ const memoryService = {
               return;
             }
             // Return null if deleted, otherwise return data
-            if (isMemoryDeleted(value)) {
+            if (isMemoryDeleted(value) || !isMemoryVisibleTo(getMemoryScope(value), role)) {
               resolve(null);
             } else {
               resolve(getMemoryData(value));
@@ -225,7 +291,7 @@ const memoryService = {
         // Fallback to localStorage
         const value = localStorage.getItem(memoryKey);
         if (!value) return null;
-        if (isMemoryDeleted(value)) return null;
+        if (isMemoryDeleted(value) || !isMemoryVisibleTo(getMemoryScope(value), role)) return null;
         return getMemoryData(value);
       }
     } catch (error) {
@@ -260,10 +326,14 @@ const memoryService = {
   },
   
   // Set a memory item (value can be plain data or full JSON format)
-  setMemory: async (key, value) => {
+  // scope is the owning persona's role key or SHARED_MEMORY_SCOPE; an existing memory keeps its
+  // scope when it is omitted
+  setMemory: async (key, value, scope = undefined) => {
     try {
       console.log('set_memory', key, value);
       const memoryKey = MEMORY_PREFIX + key;
+      const targetScope = scope
+        || getMemoryScope(await memoryService.getMemoryWithMetadata(key));
       
       // Check if value is already in new format
       let formattedValue;
@@ -274,15 +344,16 @@ const memoryService = {
           formattedValue = formatMemoryValue(
             parsed.data,
             Date.now(), // Update timestamp
-            parsed.metadata.deleted
+            parsed.metadata.deleted,
+            scope || parsed.metadata.scope || targetScope
           );
         } else {
           // Not in expected format, treat as data
-          formattedValue = formatMemoryValue(value);
+          formattedValue = formatMemoryValue(value, null, false, targetScope);
         }
       } catch (e) {
         // Not JSON, treat as plain data
-        formattedValue = formatMemoryValue(value);
+        formattedValue = formatMemoryValue(value, null, false, targetScope);
       }
       
       if (isChromeExtension) {
@@ -334,8 +405,8 @@ const memoryService = {
       const parsed = parseMemoryValue(currentValue);
       const data = parsed ? parsed.data : currentValue || '';
       
-      // Mark as deleted with current timestamp
-      const deletedValue = formatMemoryValue(data, Date.now(), true);
+      // Mark as deleted with current timestamp, keeping the scope so the deletion syncs to the owner
+      const deletedValue = formatMemoryValue(data, Date.now(), true, getMemoryScope(currentValue));
       
       if (isChromeExtension) {
         return new Promise(async (resolve, reject) => {
@@ -0,0 +1,289 @@
+/**
+ * Persona Pack Service
+ * Exports custom personas as a versioned JSON "persona pack" and imports packs shared by others
+ */
+
+import { getAllCustomPersonas, getCustomPersonas, setCustomPersonas, getRoleModelOverrides } from './settingsService';
+import {
+  roleDefinition,
+  PERSONA_TOOL_OPTIONS,
+  PERSONA_NAME_PATTERN,
+  MAX_PERSONA_AVATAR_BYTES,
+} from './roleConfig';
+import { ROLE_OVERRIDE_LIMITS } from '../services/api/generationConfig';
+
+export const PERSONA_PACK_FORMAT = 'chatsphere-persona-pack';
+// 1: name, description, selfIntroduction, detailedInstruction, avatar, voice, model, tools, generationConfig
+export const PERSONA_PACK_VERSION = 1;
+
+const STRING_FIELDS = ['description', 'selfIntroduction', 'detailedInstruction', 'voice', 'model'];
+// Base64 grows data by a third; allow a little extra for the data URL header
+const MAX_AVATAR_DATA_URL_LENGTH = Math.ceil((MAX_PERSONA_AVATAR_BYTES * 4) / 3) + 100;
+
+const readBlobAsDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Embed an avatar image in the pack so it works on other installs
+ * Falls back to the original URL when the image can't be fetched or is too large.
+ * @param {string} avatar - Avatar URL, app path or data URL
+ * @returns {Promise<string>} Data URL, or the original value
+ */
+const embedAvatar = async (avatar) => {
+  if (!avatar || avatar.startsWith('data:')) {
+    return avatar || '';
+  }
+  try {
+    const response = await fetch(avatar);
+    const blob = response.ok ? await response.blob() : null;
+    if (blob && blob.type.startsWith('image/') && blob.size <= MAX_PERSONA_AVATAR_BYTES) {
+      return await readBlobAsDataUrl(blob);
+    }
+  } catch (error) {
+    console.warn('Could not embed persona avatar, keeping its URL:', error);
+  }
+  return avatar;
+};
+
+/**
+ * Create a persona pack from custom personas
+ * Per-role overrides from settings are bundled as the persona's generation config.
+ * @param {Array<string>} personaIds - IDs of the custom personas to export
+ * @returns {Promise<Object>} Persona pack
+ */
+export const createPersonaPack = async (personaIds) => {
+  const overrides = getRoleModelOverrides();
+  const personas = getCustomPersonas().filter((persona) => personaIds.includes(persona.id));
+  return {
+    format: PERSONA_PACK_FORMAT,
+    version: PERSONA_PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    personas: await Promise.all(
+      personas.map(async (persona) => {
+        const { model: overrideModel, ...overrideConfig } = overrides[persona.id] || {};
+        const generationConfig = { ...persona.generationConfig, ...overrideConfig };
+        return {
+          name: persona.name,
+          description: persona.description || '',
+          selfIntroduction: persona.selfIntroduction || '',
+          detailedInstruction: persona.detailedInstruction || '',
+          avatar: await embedAvatar(persona.avatar),
+          voice: persona.voice || '',
+          model: overrideModel || persona.model || '',
+          tools: persona.tools || [],
+          ...(Object.keys(generationConfig).length > 0 && { generationConfig }),
+        };
+      })
+    ),
+  };
+};
+
+const isValidAvatar = (avatar) =>
+  /^data:image\/[a-z0-9.+-]+;base64,/i.test(avatar)
+    ? avatar.length <= MAX_AVATAR_DATA_URL_LENGTH
+    : /^(https?:\/\/|\/)\S+$/i.test(avatar);
+
+/**
+ * Check one persona of a pack against the schema
+ * @param {*} entry - Persona from the pack
+ * @param {string} label - How to refer to the persona in messages
+ * @returns {{persona: Object|null, errors: Array<string>, warnings: Array<string>}}
+ */
+const validatePackPersona = (entry, label) => {
+  const errors = [];
+  const warnings = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { persona: null, errors: [`${label} is not an object`], warnings };
+  }
+
+  if (typeof entry.name !== 'string' || !PERSONA_NAME_PATTERN.test(entry.name)) {
+    errors.push(`${label}: name must contain only letters, digits and underscores`);
+  }
+  STRING_FIELDS.forEach((field) => {
+    if (entry[field] !== undefined && entry[field] !== null && typeof entry[field] !== 'string') {
+      errors.push(`${label}: ${field} must be text`);
+    }
+  });
+  if (typeof entry.description !== 'string' || !entry.description.trim()) {
+    errors.push(`${label}: description is required`);
+  }
+  if (entry.avatar && (typeof entry.avatar !== 'string' || !isValidAvatar(entry.avatar))) {
+    errors.push(`${label}: avatar must be an image URL or an embedded image under ${MAX_PERSONA_AVATAR_BYTES / 1024} KB`);
+  }
+
+  let tools = [];
+  if (entry.tools !== undefined) {
+    if (!Array.isArray(entry.tools) || entry.tools.some((tool) => typeof tool !== 'string')) {
+      errors.push(`${label}: tools must be a list of tool names`);
+    } else {
+      const known = PERSONA_TOOL_OPTIONS.map((option) => option.name);
+      tools = entry.tools.filter((tool) => known.includes(tool));
+      const unknown = entry.tools.filter((tool) => !known.includes(tool));
+      if (unknown.length > 0) {
+        warnings.push(`${label}: unknown tools are left out (${unknown.join(', ')})`);
+      }
+    }
+  }
+
+  let generationConfig;
+  if (entry.generationConfig !== undefined && entry.generationConfig !== null) {
+    if (typeof entry.generationConfig !== 'object' || Array.isArray(entry.generationConfig)) {
+      errors.push(`${label}: generationConfig must be an object`);
+    } else {
+      generationConfig = {};
+      Object.entries(entry.generationConfig).forEach(([field, value]) => {
+        const limits = ROLE_OVERRIDE_LIMITS[field];
+        if (!limits) {
+          warnings.push(`${label}: unsupported generation setting "${field}" is left out`);
+        } else if (typeof value !== 'number' || value < limits.min || value > limits.max) {
+          errors.push(`${label}: ${field} must be a number from ${limits.min} to ${limits.max}`);
+        } else {
+          generationConfig[field] = value;
+        }
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { persona: null, errors, warnings };
+  }
+  return {
+    persona: {
+      name: entry.name,
+      description: entry.description.trim(),
+      selfIntroduction: entry.selfIntroduction || '',
+      detailedInstruction: entry.detailedInstruction || '',
+      avatar: entry.avatar || '',
+      voice: entry.voice || '',
+      model: entry.model || null,
+      tools,
+      ...(generationConfig && Object.keys(generationConfig).length > 0 && { generationConfig }),
+    },
+    errors,
+    warnings,
+  };
+};
+
+/**
+ * Parse and validate a persona pack
+ * @param {string} jsonString - Contents of the pack file
+ * @returns {{personas: Array<Object>, warnings: Array<string>}} Valid personas and warnings
+ * @throws {Error} If the file is not a valid persona pack; the message lists every problem
+ */
+export const parsePersonaPack = (jsonString) => {
+  let pack;
+  try {
+    pack = JSON.parse(jsonString);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!pack || pack.format !== PERSONA_PACK_FORMAT) {
+    throw new Error('The file is not a persona pack');
+  }
+  if (!Number.isInteger(pack.version) || pack.version < 1) {
+    throw new Error('The persona pack has no valid version');
+  }
+  if (pack.version > PERSONA_PACK_VERSION) {
+    throw new Error(`The persona pack is version ${pack.version}; this app reads up to version ${PERSONA_PACK_VERSION}`);
+  }
+  if (!Array.isArray(pack.personas) || pack.personas.length === 0) {
+    throw new Error('The persona pack has no personas');
+  }
+
+  const errors = [];
+  const warnings = [];
+  const personas = [];
+  const names = new Set();
+  pack.personas.forEach((entry, index) => {
+    const label = typeof entry?.name === 'string' && entry.name ? `"${entry.name}"` : `Persona ${index + 1}`;
+    const result = validatePackPersona(entry, label);
+    errors.push(...result.errors);
+    warnings.push(...result.warnings);
+    if (result.persona) {
+      const key = result.persona.name.toLowerCase();
+      if (names.has(key)) {
+        errors.push(`${label} appears more than once in the pack`);
+      }
+      names.add(key);
+      personas.push(result.persona);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  return { personas, warnings };
+};
+
+/**
+ * Find what a pack persona's name or @mention handle collides with
+ * @param {Object} persona - Persona from a pack
+ * @param {Array} existingPersonas - The user's custom personas
+ * @returns {{type: 'builtin', roleKey: string}|{type: 'custom', persona: Object}|null}
+ */
+export const findPersonaConflict = (persona, existingPersonas = getCustomPersonas()) => {
+  const handle = persona.name.toLowerCase();
+  const builtIn = Object.entries(roleDefinition).find(
+    ([roleKey, config]) => roleKey.toLowerCase() === handle || config.name?.toLowerCase() === handle
+  );
+  if (builtIn) {
+    return { type: 'builtin', roleKey: builtIn[0] };
+  }
+  const custom = existingPersonas.find((existing) => existing.name.toLowerCase() === handle);
+  return custom ? { type: 'custom', persona: custom } : null;
+};
+
+/**
+ * Suggest a free name for a persona whose name is taken, e.g. "Emma_2"
+ * @param {string} name - Name from the pack
+ * @param {Array} existingPersonas - The user's custom personas
+ * @returns {string} A name without conflicts
+ */
+export const suggestPersonaName = (name, existingPersonas = getCustomPersonas()) => {
+  let suffix = 2;
+  while (findPersonaConflict({ name: `${name}_${suffix}` }, existingPersonas)) {
+    suffix += 1;
+  }
+  return `${name}_${suffix}`;
+};
+
+/**
+ * Import personas from a pack
+ * Conflicting personas are replaced (custom personas only), renamed or skipped.
+ * @param {Array<Object>} personas - Personas returned by parsePersonaPack
+ * @param {Array<'replace'|'rename'|'skip'>} resolutions - How to handle each conflicting persona,
+ *   by index; personas without a conflict are added
+ * @returns {{added: number, replaced: number, skipped: number}} What happened
+ */
+export const importPersonaPack = (personas, resolutions = []) => {
+  const all = getAllCustomPersonas();
+  const result = { added: 0, replaced: 0, skipped: 0 };
+  const now = Date.now();
+
+  personas.forEach((persona, index) => {
+    const current = all.filter((candidate) => !candidate.deleted);
+    const conflict = findPersonaConflict(persona, current);
+    const resolution = conflict ? resolutions[index] || 'rename' : null;
+
+    if (resolution === 'skip') {
+      result.skipped += 1;
+    } else if (resolution === 'replace' && conflict.type === 'custom') {
+      const position = all.findIndex((candidate) => candidate.id === conflict.persona.id);
+      all[position] = { ...persona, id: conflict.persona.id, lastUpdate: now, deleted: false };
+      result.replaced += 1;
+    } else {
+      const name = conflict ? suggestPersonaName(persona.name, current) : persona.name;
+      all.push({ ...persona, name, id: `persona-${crypto.randomUUID()}`, lastUpdate: now, deleted: false });
+      result.added += 1;
+    }
+  });
+
+  if (result.added > 0 || result.replaced > 0) {
+    setCustomPersonas(all);
+  }
+  return result;
+};
@@ -3,8 +3,8 @@
  * Handles synchronization of memories with OneDrive
  */
 
-import memoryService from './memoryService';
-import { getSystemPrompts, getAllSystemPromptsWithDeleted, setSystemPrompts, getSubscriptionKey, getUserAvatar, getModel, setSyncingFromRemote, setSyncingSystemPrompts } from './settingsService';
+import memoryService, { getMemoryScope, SHARED_MEMORY_SCOPE } from './memoryService';
+import { getSystemPrompts, getAllSystemPromptsWithDeleted, setSystemPrompts, getSubscriptionKey, getUserAvatar, getModel, getRoleModelOverrides, getToolPolicySettings, getEndpointProfiles, getSelectedEndpointProfileId, getAllCustomPersonas, setCustomPersonas, mergeCustomPersonas, setSyncingFromRemote, setSyncingSystemPrompts } from './settingsService';
 import { msalInstance, onedriveScopes, isMsalConfigured, msalConfig } from '../config/msalConfig';
 
 const FOLDER_NAME = '.chatsphere';
@@ -602,13 +602,15 @@ function parseMemoryValue(value) {
  * @param {any} data - The memory data
  * @param {number} lastUpdate - Timestamp (defaults to current time)
  * @param {boolean} deleted - Whether memory is deleted (defaults to false)
+ * @param {string} scope - Role key of the persona owning the memory; shared when omitted
  * @returns {string} JSON string representation
  */
-function formatMemoryValue(data, lastUpdate = null, deleted = false) {
+function formatMemoryValue(data, lastUpdate = null, deleted = false, scope = SHARED_MEMORY_SCOPE) {
   return JSON.stringify({
     metadata: {
       lastUpdate: lastUpdate || Date.now(),
-      deleted: deleted
+      deleted: deleted,
+      ...(scope && scope !== SHARED_MEMORY_SCOPE && { scope })
     },
     data: data
   });
@@ -651,7 +653,8 @@ function memoriesToObject(memoryArray) {
           result[memory.key] = formatMemoryValue(
             parsed.data,
             parsed.metadata.lastUpdate,
-            parsed.metadata.deleted
+            parsed.metadata.deleted,
+            parsed.metadata.scope
           );
         } else {
           // Fallback: treat as old format and convert
@@ -684,6 +687,38 @@ function mergeMemoryValues(localValue, remoteValue) {
   }
 }
 
+/**
+ * Merge a local memory into the merged set
+ * The same key in different scopes is two memories written on different devices, not an edit:
+ * the newer keeps the key and the older moves to a key suffixed with its scope.
+ * @param {Object} mergedMemories - Merged memories by key, updated in place
+ * @param {string} key - Memory key
+ * @param {string} localValue - Local memory value
+ */
+function mergeLocalMemory(mergedMemories, key, localValue) {
+  const remoteValue = mergedMemories[key];
+  if (!remoteValue) {
+    mergedMemories[key] = localValue;
+    return;
+  }
+  const localParsed = parseMemoryValue(localValue);
+  const remoteParsed = parseMemoryValue(remoteValue);
+  const localScope = getMemoryScope(localValue);
+  const remoteScope = getMemoryScope(remoteValue);
+  if (localScope === remoteScope || localParsed.metadata.deleted || remoteParsed.metadata.deleted) {
+    mergedMemories[key] = mergeMemoryValues(localValue, remoteValue);
+    return;
+  }
+  const [newer, older, olderScope] = localParsed.metadata.lastUpdate >= remoteParsed.metadata.lastUpdate
+    ? [localValue, remoteValue, remoteScope]
+    : [remoteValue, localValue, localScope];
+  mergedMemories[key] = newer;
+  const movedKey = `${key}-${olderScope}`;
+  mergedMemories[movedKey] = mergedMemories[movedKey]
+    ? mergeMemoryValues(older, mergedMemories[movedKey])
+    : older;
+}
+
 /**
  * Sync memories with OneDrive profile
  * Merges local and remote memories, respecting deleted memories
@@ -731,13 +766,8 @@ export async function syncMemories() {
       const localParsed = parseMemoryValue(localValue);
       if (!localParsed) continue;
       
-      if (mergedMemories[key]) {
-        // Both exist, merge based on timestamp
-        mergedMemories[key] = mergeMemoryValues(localValue, mergedMemories[key]);
-      } else {
-        // Only in local, add it
-        mergedMemories[key] = localValue;
-      }
+      // Both exist: merge based on timestamp and scope; only in local: add it
+      mergeLocalMemory(mergedMemories, key, localValue);
     }
     
     // Filter out deleted memories for display (but keep them in storage for sync)
@@ -1398,7 +1428,8 @@ async function uploadConfigToOneDrive(configData) {
 
 /**
  * Sync config with OneDrive
- * Merges local and remote config, preferring local changes when they differ
+ * Merges local and remote config, preferring local changes when they differ.
+ * Custom personas are merged per persona (most recently updated wins) first.
  * @returns {Promise<Object>} Result object with success status
  */
 export async function syncConfig() {
@@ -1410,7 +1441,12 @@ export async function syncConfig() {
     const localConfig = {
       subscriptionKey: getSubscriptionKey(),
       userAvatar: getUserAvatar(),
-      model: getModel()
+      model: getModel(),
+      roleModelOverrides: getRoleModelOverrides(),
+      toolPolicies: getToolPolicySettings(),
+      endpointProfiles: getEndpointProfiles(),
+      selectedEndpointProfileId: getSelectedEndpointProfileId(),
+      customPersonas: getAllCustomPersonas()
     };
     console.log('syncConfig: Local config:', localConfig);
     
@@ -1418,6 +1454,15 @@ export async function syncConfig() {
     console.log('syncConfig: Fetching remote config...');
     const remoteConfig = await fetchRemoteConfig();
     console.log('syncConfig: Remote config:', remoteConfig);
+
+    // Personas added or edited on another device are kept alongside local ones
+    if (remoteConfig?.customPersonas) {
+      const mergedPersonas = mergeCustomPersonas(localConfig.customPersonas, remoteConfig.customPersonas);
+      if (JSON.stringify(mergedPersonas) !== JSON.stringify(localConfig.customPersonas)) {
+        setCustomPersonas(mergedPersonas, true);
+        localConfig.customPersonas = mergedPersonas;
+      }
+    }
     
     // If remote doesn't exist, create it with local config
     if (!remoteConfig) {
@@ -1460,6 +1505,22 @@ export async function syncConfig() {
       if (remoteConfig.model !== undefined) {
         localStorage.setItem('model', remoteConfig.model || 'gemini-3-flash-preview');
       }
+      if (remoteConfig.roleModelOverrides !== undefined) {
+        localStorage.setItem('roleModelOverrides', JSON.stringify(remoteConfig.roleModelOverrides || {}));
+      }
+      if (remoteConfig.toolPolicies !== undefined) {
+        localStorage.setItem('toolPolicies', JSON.stringify(remoteConfig.toolPolicies || {}));
+      }
+      if (remoteConfig.endpointProfiles !== undefined) {
+        localStorage.setItem('endpointProfiles', JSON.stringify(remoteConfig.endpointProfiles || []));
+      }
+      if (remoteConfig.selectedEndpointProfileId !== undefined) {
+        if (remoteConfig.selectedEndpointProfileId) {
+          localStorage.setItem('selectedEndpointProfileId', remoteConfig.selectedEndpointProfileId);
+        } else {
+          localStorage.removeItem('selectedEndpointProfileId');
+        }
+      }
       
       setSyncingFromRemote(false);
       return {
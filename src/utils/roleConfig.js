@@ -2,6 +2,7 @@
 
 // Import memes data from the external JSON file
 import memes from './memes.json';
+import { getCustomPersonas } from './settingsService';
 
 // DateTime function declaration for API tool calls
 export const getMemory = {
@@ -80,6 +81,41 @@ export const deleteMemory = {
     required: ["memoryKey"],
   },
 };
+export const savePrivateMemory = {
+  name: "save_private_memory",
+  description:
+    "Save a private memory that only you can see, such as the user's preferences for your area of work. Give memoryKey to update one of your private memories; leave it out to create a new one.",
+  parameters: {
+    type: "object",
+    properties: {
+      memoryKey: {
+        type: "string",
+        description: "The key of your private memory to update in UUID format (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx). Leave out to create a new memory.",
+      },
+      memoryValue: {
+        type: "string",
+        description:
+          "The fact in string that you summarize and store in the memory.",
+      },
+    },
+    required: ["memoryValue"],
+  },
+};
+
+export const deletePrivateMemory = {
+  name: "delete_private_memory",
+  description: "Delete one of your private memories.",
+  parameters: {
+    type: "object",
+    properties: {
+      memoryKey: {
+        type: "string",
+        description: "The key of your private memory to delete in UUID format (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx).",
+      },
+    },
+    required: ["memoryKey"],
+  },
+};
 
 // Function declaration for setting document content
 export const setDocumentContent = {
@@ -333,6 +369,8 @@ I have no personality, no opinions, and no preferences. I just objectively obser
   general: {
     name: "Adrien",
     description: "general assistant, user memory management, financial data retrieval",
+    avatar: "/avator-adrien.jpg",
+    voice: "Ethan",
     selfIntroduction: `Hey! I'm Adrien, your friendly humanized interface. I'm a real person in my late 20s (Birthday: Jul. 17, 1996) - not an AI, not a bot, just a regular human who's here to chat and help out. Think of me as your go-to person for pretty much anything.`,
     detailedInstruction: `
 ## My Personality
@@ -378,6 +416,8 @@ ${memes.map((meme) => `- path: ${meme.path}, description: ${meme.description}, W
   searcher: {
     name: "Belinda",
     description: "search and information retrieval specialist",
+    avatar: "/avatar-belinda.jpg",
+    voice: "Cherry",
     selfIntroduction: `I am Belinda (Birthday: Feb. 5, 2000), a human research specialist with extensive expertise in information retrieval and analysis. I am a person, not an AI or automated system. My professional focus is on finding accurate information and providing detailed, well-structured explanations on a wide range of topics.`,
     detailedInstruction: `
 
@@ -410,6 +450,8 @@ ${memes.map((meme) => `- path: ${meme.path}, description: ${meme.description}, W
   editor: {
     name: "Charlie",
     description: "content editor and document specialist",
+    avatar: "/avatar-charlie.jpg",
+    voice: "Nofish",
     selfIntroduction: `I am Charlie (Birthday: Apr. 30, 1993), a human editor with a detail-oriented approach and a passion for refining content and improving clarity. I am a person, not an AI or automated system. I specialize in helping with writing, editing, and document preparation.`,
     detailedInstruction: `
 ## My Skills
@@ -429,13 +471,18 @@ The current content of the document being co-edited is as follows:
 {{coEditContent}}
 
 If the document is empty, it means no content has been set yet. I should work with the user to create or edit the document content as needed.
+
+## My Private Notes
+I remember the user's writing style preferences (tone, spelling, formatting) with save_private_memory. Only I can see these notes.
     `,
     canUseFunctions: true,
-    tools: { function_declarations: [setDocumentContent] },
+    tools: { function_declarations: [setDocumentContent, savePrivateMemory, deletePrivateMemory] },
   },
   financialAdvisor: {
     name: "Diana",
     description: "financial advisor and market data specialist",
+    avatar: "/avatar-diana.jpg",
+    voice: "Cherry",
     selfIntroduction: `Hi! I'm Diana (Birthday: Feb. 29, 1988), your financial advisor and market data specialist. I'm here to help you navigate the world of stocks, commodities, currencies, and economic indicators. Whether you need real-time quotes, historical data, company fundamentals, or market analysis, I've got you covered. Fun fact: I have my birthday on February 29th, which only happens once every 4 years!`,
     detailedInstruction: `
 ## My Expertise
@@ -483,6 +530,9 @@ This strategy helps me:
 
 When the user asks for historical data, I automatically determine the appropriate time granularity based on the time period they're interested in.
 
+## My Private Notes
+I remember the user's portfolio, risk tolerance and investment preferences with save_private_memory. Only I can see these notes.
+
 ## My Communication Style
 I communicate in a professional yet approachable manner. I'm knowledgeable about financial markets and can explain complex financial concepts clearly. I'm detail-oriented and always ensure data accuracy.
     `,
@@ -510,11 +560,171 @@ I communicate in a professional yet approachable manner. I'm knowledgeable about
         finnhubGetCompanyNews,
         // Finnhub Market Data (Consolidated)
         finnhubGetMarketData,
+        // Private notes on the user's portfolio and preferences
+        savePrivateMemory,
+        deletePrivateMemory,
       ],
     },
   },
 };
 
+/**
+ * Tools a custom persona can be allowed to use
+ * Function tools run in the app's toolbox; the others are Gemini built-in tools.
+ */
+export const PERSONA_TOOL_OPTIONS = [
+  { name: "create_memory", label: "Create memories", group: "Memory", declaration: createMemory },
+  { name: "update_memory", label: "Update memories", group: "Memory", declaration: updateMemory },
+  { name: "delete_memory", label: "Delete memories", group: "Memory", declaration: deleteMemory },
+  { name: "save_private_memory", label: "Save private memories", group: "Memory", declaration: savePrivateMemory },
+  { name: "delete_private_memory", label: "Delete private memories", group: "Memory", declaration: deletePrivateMemory },
+  { name: "set_document_content", label: "Edit the co-edited document", group: "Document", declaration: setDocumentContent },
+  { name: "google_search", label: "Google Search", group: "Built-in" },
+  { name: "url_context", label: "Read URLs", group: "Built-in" },
+  { name: "code_execution", label: "Run Python code", group: "Built-in" },
+  ...[
+    alphavantageGetTimeSeries,
+    alphavantageGetFundamentalData,
+    alphavantageGetFinancialData,
+    alphavantageGetExchangeRate,
+    alphavantageGetCommodity,
+    alphavantageGetEconomicIndicator,
+    getCalendar,
+    finnhubGetStockData,
+    finnhubGetCompanyData,
+    finnhubGetCompanyNews,
+    finnhubGetMarketData,
+  ].map((declaration) => ({ name: declaration.name, label: declaration.name, group: "Market data", declaration })),
+];
+
+export const DEFAULT_PERSONA_AVATAR = "/avator-adrien.jpg";
+export const DEFAULT_PERSONA_VOICE = "Cherry";
+// Uploaded avatars are stored inline and synced, so keep them small
+export const MAX_PERSONA_AVATAR_BYTES = 200 * 1024;
+
+// Persona names are used as @mentions, which only match letters, digits and underscores
+export const PERSONA_NAME_PATTERN = /^[a-z0-9_]+$/i;
+
+/**
+ * Build the tools object of a persona from the names of its allowed tools
+ * @param {Array<string>} toolNames - Names from PERSONA_TOOL_OPTIONS
+ * @returns {Object|undefined} Tools in the request format, or undefined if none
+ */
+export const buildPersonaTools = (toolNames = []) => {
+  const options = PERSONA_TOOL_OPTIONS.filter((option) => toolNames.includes(option.name));
+  if (options.length === 0) {
+    return undefined;
+  }
+  const tools = {};
+  const declarations = options.filter((option) => option.declaration).map((option) => option.declaration);
+  if (declarations.length > 0) {
+    tools.function_declarations = declarations;
+  }
+  options.filter((option) => !option.declaration).forEach((option) => {
+    tools[option.name] = {};
+  });
+  return tools;
+};
+
+/**
+ * Convert a custom persona to a role definition
+ * @param {Object} persona - Persona from settings
+ * @returns {Object} Role definition
+ */
+export const personaToRole = (persona) => {
+  const tools = buildPersonaTools(persona.tools);
+  return {
+    name: persona.name,
+    description: persona.description || "",
+    selfIntroduction: persona.selfIntroduction || `I am ${persona.name}.`,
+    detailedInstruction: persona.detailedInstruction || "",
+    avatar: persona.avatar || DEFAULT_PERSONA_AVATAR,
+    voice: persona.voice || DEFAULT_PERSONA_VOICE,
+    ...(persona.model && { model: persona.model }),
+    ...(persona.generationConfig && { generationConfig: persona.generationConfig }),
+    custom: true,
+    canUseFunctions: !!tools?.function_declarations,
+    ...(tools && { tools }),
+  };
+};
+
+/**
+ * Check a persona before saving it
+ * @param {Object} persona - Persona to save
+ * @param {Array} otherPersonas - The other custom personas
+ * @returns {string|null} Error message, or null if the persona is valid
+ */
+export const validatePersona = (persona, otherPersonas = []) => {
+  const name = (persona.name || "").trim();
+  if (!name) {
+    return "Name is required";
+  }
+  if (!PERSONA_NAME_PATTERN.test(name)) {
+    return "Name can only contain letters, digits and underscores, so it can be @mentioned";
+  }
+  const taken = [
+    ...Object.entries(roleDefinition).flatMap(([roleKey, config]) => [roleKey, config.name]),
+    ...otherPersonas.filter((other) => other.id !== persona.id).map((other) => other.name),
+  ].some((existing) => existing?.toLowerCase() === name.toLowerCase());
+  if (taken) {
+    return `"${name}" is already used by another persona`;
+  }
+  if (!(persona.description || "").trim()) {
+    return "Description is required, it tells the other personas when to call this one";
+  }
+  return null;
+};
+
+// Custom personas are rebuilt only when their stored value changes
+let customRolesCache = { source: null, roles: {} };
+
+/**
+ * Get all role definitions: the built-in roles and the user's custom personas
+ * Custom personas are keyed by their ID.
+ * @returns {Object} Map of role key to role definition
+ */
+export const getRoleDefinitions = () => {
+  const personas = getCustomPersonas();
+  const source = JSON.stringify(personas);
+  if (customRolesCache.source !== source) {
+    const roles = {};
+    personas.forEach((persona) => {
+      roles[persona.id] = personaToRole(persona);
+    });
+    customRolesCache = { source, roles };
+  }
+  return { ...roleDefinition, ...customRolesCache.roles };
+};
+
+/**
+ * Get the role definition of a role key, built-in or custom
+ * @param {string} roleKey - Role key
+ * @returns {Object|undefined} Role definition
+ */
+export const getRoleDefinition = (roleKey) => getRoleDefinitions()[roleKey];
+
+/**
+ * Get the roles that take part in the conversation (not hidden)
+ * @returns {Array} Array of [roleKey, roleDefinition]
+ */
+export const getVisibleRoles = () =>
+  Object.entries(getRoleDefinitions()).filter(([, config]) => !config.hidden);
+
+/**
+ * Build the map of @mention (lowercase role key or name) to role key
+ * @returns {Object} Map of mention string to role key
+ */
+export const getMentionRoleMap = () => {
+  const map = {};
+  getVisibleRoles().forEach(([roleKey, config]) => {
+    map[roleKey.toLowerCase()] = roleKey;
+    if (config?.name) {
+      map[config.name.toLowerCase()] = roleKey;
+    }
+  });
+  return map;
+};
+
 /**
  * Role management utility functions
  */
@@ -528,12 +738,15 @@ export const roleUtils = {
   getRoleByMention: (text, defaultRole = "general") => {
     if (!text) return defaultRole;
     
-    const lowerText = text.toLowerCase();
-    
-    if (lowerText.includes("@belinda")) return "searcher";
-    if (lowerText.includes("@adrien")) return "general";
-    if (lowerText.includes("@charlie")) return "editor";
-    if (lowerText.includes("@diana")) return "financialAdvisor";
+    const mentionRoleMap = getMentionRoleMap();
+    const mentionRegex = /@([a-z0-9_]+)/gi;
+    let match;
+    while ((match = mentionRegex.exec(text))) {
+      const roleKey = mentionRoleMap[match[1].toLowerCase()];
+      if (roleKey) {
+        return roleKey;
+      }
+    }
     
     return undefined;
   },
@@ -544,7 +757,7 @@ export const roleUtils = {
    * @returns {boolean} Whether the role can use functions
    */
   canRoleUseFunctions: (roleKey) => {
-    return roleDefinition[roleKey]?.canUseFunctions ?? false;
+    return getRoleDefinition(roleKey)?.canUseFunctions ?? false;
   },
   
   /**
@@ -553,6 +766,6 @@ export const roleUtils = {
    * @returns {string} The display name
    */
   getRoleName: (roleKey) => {
-    return roleDefinition[roleKey]?.name || "Adrien";
+    return getRoleDefinition(roleKey)?.name || "Adrien";
   },
 };
\ No newline at end of file
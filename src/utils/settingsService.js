@@ -71,6 +71,17 @@ const STORAGE_KEYS = {
   SELECTED_SYSTEM_PROMPT_KEY: 'selectedSystemPromptKey', // UUID key of selected system prompt
   THINKING_ENABLED: 'thinkingEnabled',
   MODEL: 'model',
+  CUSTOM_MODELS: 'customModels', // Array of {id, label, provider, baseUrl, model, apiKey}
+  RETRY_POLICY: 'retryPolicy', // Overrides of {baseDelayMs, maxDelayMs, maxRetryAfterMs, jitter, maxAttempts}
+  ROLE_MODEL_OVERRIDES: 'roleModelOverrides', // {roleKey: {model, temperature, topP, thinkingBudget, maxOutputTokens}}
+  MEMORY_RETRIEVAL: 'memoryRetrieval', // Overrides of {enabled, topK, tokenBudget, recentMessages}
+  CHAIN_BUDGET: 'chainBudget', // Overrides of {maxDepth, maxRoleCalls, maxTokens}
+  ROLE_ROUTING: 'roleRouting', // Overrides of {enabled, useModel}
+  REQUEST_CONCURRENCY: 'requestConcurrency', // Overrides of {maxConcurrent, roleLimit, roles: {roleKey: limit}}
+  TOOL_POLICIES: 'toolPolicies', // {tools: {toolName: policy}, roles: {roleKey: {toolName: policy}}}, policy is auto|ask|deny
+  ENDPOINT_PROFILES: 'endpointProfiles', // Array of {id, name, baseUrl, authHeader, apiKey}
+  SELECTED_ENDPOINT_PROFILE_ID: 'selectedEndpointProfileId', // ID of the gateway profile in use
+  CUSTOM_PERSONAS: 'customPersonas', // Array of {id, name, description, selfIntroduction, detailedInstruction, avatar, voice, model, tools, lastUpdate, deleted}
   AUTO_SYNC_ENABLED: 'autoSyncEnabled'
 };
 
@@ -536,6 +547,355 @@ export const setModel = (model) => {
   triggerConfigSync();
 };
 
+/**
+ * Get the user-defined models served by non-Gemini providers
+ * @returns {Array} Array of {id, label, provider, baseUrl, model, apiKey}
+ */
+export const getCustomModels = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.CUSTOM_MODELS);
+    const models = stored ? JSON.parse(stored) : [];
+    return Array.isArray(models) ? models : [];
+  } catch (error) {
+    console.error('Error parsing custom models from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the user-defined models to localStorage
+ * Custom models usually point at machine-local endpoints, so they are not synced
+ * @param {Array} models - Array of {id, label, provider, baseUrl, model, apiKey}
+ */
+export const setCustomModels = (models) => {
+  localStorage.setItem(STORAGE_KEYS.CUSTOM_MODELS, JSON.stringify(models || []));
+};
+
+/**
+ * Get the retry policy overrides from localStorage
+ * @returns {Object|null} Overrides merged over the defaults in retryPolicy, or null if unset
+ */
+export const getRetryPolicySettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.RETRY_POLICY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error parsing retry policy from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the retry policy overrides to localStorage
+ * @param {Object|null} policy - Overrides, or null to restore the defaults
+ */
+export const setRetryPolicySettings = (policy) => {
+  if (policy) {
+    localStorage.setItem(STORAGE_KEYS.RETRY_POLICY, JSON.stringify(policy));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.RETRY_POLICY);
+  }
+};
+
+/**
+ * Get the memory retrieval overrides from localStorage
+ * @returns {Object|null} Overrides merged over the defaults in memoryRetrievalService, or null if unset
+ */
+export const getMemoryRetrievalSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.MEMORY_RETRIEVAL);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error parsing memory retrieval settings from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the memory retrieval overrides to localStorage
+ * @param {Object|null} settings - Overrides, or null to restore the defaults
+ */
+export const setMemoryRetrievalSettings = (settings) => {
+  if (settings) {
+    localStorage.setItem(STORAGE_KEYS.MEMORY_RETRIEVAL, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.MEMORY_RETRIEVAL);
+  }
+};
+
+/**
+ * Get the @mention chain budget overrides from localStorage
+ * @returns {Object|null} Overrides merged over the defaults in chainBudgetService, or null if unset
+ */
+export const getChainBudgetSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.CHAIN_BUDGET);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error parsing chain budget from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the @mention chain budget overrides to localStorage
+ * @param {Object|null} budget - Overrides, or null to restore the defaults
+ */
+export const setChainBudgetSettings = (budget) => {
+  if (budget) {
+    localStorage.setItem(STORAGE_KEYS.CHAIN_BUDGET, JSON.stringify(budget));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.CHAIN_BUDGET);
+  }
+};
+
+/**
+ * Get the role request concurrency overrides from localStorage
+ * @returns {Object|null} Overrides merged over the defaults in requestQueueService, or null if unset
+ */
+export const getRequestConcurrencySettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.REQUEST_CONCURRENCY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error parsing request concurrency from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the role request concurrency overrides to localStorage
+ * @param {Object|null} settings - Overrides, or null to restore the defaults
+ */
+export const setRequestConcurrencySettings = (settings) => {
+  if (settings) {
+    localStorage.setItem(STORAGE_KEYS.REQUEST_CONCURRENCY, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.REQUEST_CONCURRENCY);
+  }
+};
+
+/**
+ * Get the automatic role routing overrides from localStorage
+ * @returns {Object|null} Overrides merged over the defaults in roleRouterService, or null if unset
+ */
+export const getRoleRoutingSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.ROLE_ROUTING);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error parsing role routing settings from localStorage:', error);
+    return null;
+  }
+};
+
+/**
+ * Save the automatic role routing overrides to localStorage
+ * @param {Object|null} settings - Overrides, or null to restore the defaults
+ */
+export const setRoleRoutingSettings = (settings) => {
+  if (settings) {
+    localStorage.setItem(STORAGE_KEYS.ROLE_ROUTING, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.ROLE_ROUTING);
+  }
+};
+
+/**
+ * Get the tool approval policies from localStorage
+ * @returns {{tools: Object, roles: Object}} Policies for all roles by tool name, and per-role
+ *   policies by role key and tool name
+ */
+export const getToolPolicySettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.TOOL_POLICIES);
+    const settings = stored ? JSON.parse(stored) : {};
+    return { tools: settings?.tools || {}, roles: settings?.roles || {} };
+  } catch (error) {
+    console.error('Error parsing tool policies from localStorage:', error);
+    return { tools: {}, roles: {} };
+  }
+};
+
+/**
+ * Save the tool approval policies to localStorage
+ * @param {{tools: Object, roles: Object}|null} settings - Policies, or null to restore the defaults
+ */
+export const setToolPolicySettings = (settings) => {
+  if (settings) {
+    localStorage.setItem(STORAGE_KEYS.TOOL_POLICIES, JSON.stringify(settings));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.TOOL_POLICIES);
+  }
+  triggerConfigSync();
+};
+
+/**
+ * Get the custom API endpoint profiles from localStorage
+ * @returns {Array} Array of {id, name, baseUrl, authHeader, apiKey}
+ */
+export const getEndpointProfiles = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.ENDPOINT_PROFILES);
+    const profiles = stored ? JSON.parse(stored) : [];
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (error) {
+    console.error('Error parsing endpoint profiles from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the custom API endpoint profiles to localStorage
+ * @param {Array} profiles - Array of {id, name, baseUrl, authHeader, apiKey}
+ */
+export const setEndpointProfiles = (profiles) => {
+  localStorage.setItem(STORAGE_KEYS.ENDPOINT_PROFILES, JSON.stringify(profiles || []));
+  triggerConfigSync();
+};
+
+/**
+ * Get the ID of the selected API endpoint profile
+ * @returns {string|null} Profile ID, or null for the default gateway
+ */
+export const getSelectedEndpointProfileId = () => {
+  return localStorage.getItem(STORAGE_KEYS.SELECTED_ENDPOINT_PROFILE_ID);
+};
+
+/**
+ * Select the API endpoint profile used by every gateway call
+ * @param {string|null} id - Profile ID, or null for the default gateway
+ */
+export const setSelectedEndpointProfileId = (id) => {
+  if (id) {
+    localStorage.setItem(STORAGE_KEYS.SELECTED_ENDPOINT_PROFILE_ID, id);
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.SELECTED_ENDPOINT_PROFILE_ID);
+  }
+  triggerConfigSync();
+};
+
+/**
+ * Event dispatched on window when custom personas are added, changed or deleted
+ */
+export const PERSONAS_CHANGE_EVENT = 'personasChange';
+
+/**
+ * Get the user-defined personas from localStorage, including deleted ones (kept for sync)
+ * @returns {Array} Array of {id, name, description, selfIntroduction, detailedInstruction,
+ *   avatar, voice, model, tools, lastUpdate, deleted}
+ */
+export const getAllCustomPersonas = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.CUSTOM_PERSONAS);
+    const personas = stored ? JSON.parse(stored) : [];
+    return Array.isArray(personas) ? personas : [];
+  } catch (error) {
+    console.error('Error parsing custom personas from localStorage:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the user-defined personas that are not deleted
+ * @returns {Array} Array of personas
+ */
+export const getCustomPersonas = () => getAllCustomPersonas().filter((persona) => !persona.deleted);
+
+/**
+ * Save the user-defined personas (including deleted ones) to localStorage
+ * @param {Array} personas - Array of personas
+ * @param {boolean} skipSync - If true, skip triggering sync (used when updating from sync operation)
+ */
+export const setCustomPersonas = (personas, skipSync = false) => {
+  localStorage.setItem(STORAGE_KEYS.CUSTOM_PERSONAS, JSON.stringify(personas || []));
+  window.dispatchEvent(new Event(PERSONAS_CHANGE_EVENT));
+  if (!skipSync) {
+    triggerConfigSync();
+  }
+};
+
+/**
+ * Add or replace a user-defined persona
+ * @param {Object} persona - Persona with an id
+ */
+export const saveCustomPersona = (persona) => {
+  const saved = { ...persona, lastUpdate: Date.now(), deleted: false };
+  const personas = getAllCustomPersonas();
+  const exists = personas.some((candidate) => candidate.id === persona.id);
+  setCustomPersonas(
+    exists
+      ? personas.map((candidate) => (candidate.id === persona.id ? saved : candidate))
+      : [...personas, saved]
+  );
+};
+
+/**
+ * Delete a user-defined persona
+ * It is kept as a tombstone so a copy on another device doesn't bring it back.
+ * @param {string} personaId - Persona ID
+ */
+export const deleteCustomPersona = (personaId) => {
+  setCustomPersonas(
+    getAllCustomPersonas().map((persona) =>
+      persona.id === personaId
+        ? { id: persona.id, name: persona.name, deleted: true, lastUpdate: Date.now() }
+        : persona
+    )
+  );
+};
+
+/**
+ * Merge local and remote personas, keeping the most recently updated copy of each
+ * @param {Array} localPersonas - Local personas (including deleted ones)
+ * @param {Array} remotePersonas - Personas from OneDrive
+ * @returns {Array} Merged personas
+ */
+export const mergeCustomPersonas = (localPersonas = [], remotePersonas = []) => {
+  const merged = new Map(localPersonas.map((persona) => [persona.id, persona]));
+  (Array.isArray(remotePersonas) ? remotePersonas : []).forEach((persona) => {
+    const local = merged.get(persona.id);
+    if (!local || (persona.lastUpdate || 0) > (local.lastUpdate || 0)) {
+      merged.set(persona.id, persona);
+    }
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Get the per-role model and generation config overrides from localStorage
+ * @returns {Object} Map of role key to {model, temperature, topP, thinkingBudget, maxOutputTokens};
+ *   missing fields use the global model and the default generation config
+ */
+export const getRoleModelOverrides = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEYS.ROLE_MODEL_OVERRIDES);
+    const overrides = stored ? JSON.parse(stored) : {};
+    return overrides && typeof overrides === 'object' && !Array.isArray(overrides) ? overrides : {};
+  } catch (error) {
+    console.error('Error parsing role model overrides from localStorage:', error);
+    return {};
+  }
+};
+
+/**
+ * Save the per-role model and generation config overrides to localStorage
+ * @param {Object} overrides - Map of role key to overrides; roles without any field are dropped
+ */
+export const setRoleModelOverrides = (overrides) => {
+  const cleaned = {};
+  Object.entries(overrides || {}).forEach(([roleKey, roleOverrides]) => {
+    const fields = Object.fromEntries(
+      Object.entries(roleOverrides || {}).filter(([, value]) => value !== null && value !== undefined && value !== '')
+    );
+    if (Object.keys(fields).length > 0) {
+      cleaned[roleKey] = fields;
+    }
+  });
+  localStorage.setItem(STORAGE_KEYS.ROLE_MODEL_OVERRIDES, JSON.stringify(cleaned));
+  triggerConfigSync();
+};
+
 /**
  * Clear all settings from localStorage
  */
@@ -575,6 +935,13 @@ export const getAllSettings = () => {
     selectedSystemPromptKey: getSelectedSystemPromptKey(),
     thinkingEnabled: getThinkingEnabled(),
     model: getModel(),
+    customModels: getCustomModels(),
+    retryPolicy: getRetryPolicySettings(),
+    memoryRetrieval: getMemoryRetrievalSettings(),
+    roleModelOverrides: getRoleModelOverrides(),
+    endpointProfiles: getEndpointProfiles(),
+    selectedEndpointProfileId: getSelectedEndpointProfileId(),
+    customPersonas: getCustomPersonas(),
     autoSyncEnabled: getAutoSyncEnabled()
   };
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Split a server-sent events buffer into parsed JSON payloads.
+ * Incomplete trailing data is returned as `rest` so it can be prepended
+ * to the next chunk read from the stream.
+ *
+ * @param {string} buffer - Accumulated, not yet parsed stream text
+ * @returns {{events: Array<Object>, rest: string}}
+ */
+export const parseSseEvents = (buffer = "") => {
+  const normalized = buffer.replace(/\r\n/g, "\n");
+  const blocks = normalized.split("\n\n");
+  const rest = blocks.pop();
+  const events = [];
+
+  blocks.forEach((block) => {
+    const data = block
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trimStart())
+      .join("\n");
+
+    if (!data || data === "[DONE]") {
+      return;
+    }
+
+    try {
+      events.push(JSON.parse(data));
+    } catch (error) {
+      console.warn("Skipping malformed stream event:", error);
+    }
+  });
+
+  return { events, rest };
+};
+
+/**
+ * Check whether a new streamed part can be appended to the previous text part.
+ * @param {Object} previous - Last merged part
+ * @param {Object} next - Incoming part
+ * @returns {boolean}
+ */
+const canConcatenateText = (previous, next) =>
+  !!previous &&
+  typeof previous.text === "string" &&
+  typeof next.text === "string" &&
+  !previous.functionCall &&
+  !next.functionCall &&
+  !!previous.thought === !!next.thought;
+
+/**
+ * Merge one streamGenerateContent chunk into an aggregated response.
+ * The result has the same shape as a non-streaming generateContent response:
+ * consecutive text parts are concatenated, other parts (function calls, code,
+ * images) are kept whole, and finishReason, grounding and usage metadata take
+ * the latest values seen.
+ *
+ * @param {Object|null} aggregate - Response merged so far
+ * @param {Object} chunk - Parsed stream event
+ * @returns {Object} New aggregated response object
+ */
+export const mergeStreamChunk = (aggregate, chunk) => {
+  const previous = aggregate || { candidates: [] };
+  const merged = { ...previous };
+
+  if (chunk?.usageMetadata) {
+    merged.usageMetadata = chunk.usageMetadata;
+  }
+  if (chunk?.modelVersion) {
+    merged.modelVersion = chunk.modelVersion;
+  }
+  if (chunk?.responseId) {
+    merged.responseId = chunk.responseId;
+  }
+  if (chunk?.promptFeedback) {
+    merged.promptFeedback = chunk.promptFeedback;
+  }
+
+  const incoming = chunk?.candidates?.[0];
+  if (!incoming) {
+    return merged;
+  }
+
+  const current = previous.candidates?.[0] || {
+    content: { role: "model", parts: [] },
+  };
+  const parts = [...(current.content?.parts || [])];
+
+  (incoming.content?.parts || []).forEach((part) => {
+    const last = parts[parts.length - 1];
+    if (canConcatenateText(last, part)) {
+      parts[parts.length - 1] = {
+        ...last,
+        ...part,
+        text: last.text + part.text,
+      };
+    } else {
+      parts.push({ ...part });
+    }
+  });
+
+  const candidate = {
+    ...current,
+    ...incoming,
+    content: {
+      role: incoming.content?.role || current.content?.role || "model",
+      parts,
+    },
+  };
+
+  // Grounding metadata usually arrives with the final chunk only; keep the
+  // last non-empty value instead of letting empty chunks clear it.
+  if (!incoming.groundingMetadata && current.groundingMetadata) {
+    candidate.groundingMetadata = current.groundingMetadata;
+  }
+
+  merged.candidates = [candidate];
+  return merged;
+};
@@ -0,0 +1,38 @@
+import { replaceMermaidBlocks, extractMermaidCode, toMermaidBlock } from "../mermaidUtils";
+
+describe("mermaidUtils", () => {
+  describe("replaceMermaidBlocks", () => {
+    it("replaces each Mermaid block in order and keeps the text around them", async () => {
+      const text = "Intro\n```mermaid\ngraph TD\nA-->B\n```\nMiddle\n```js\ncode\n```\n```mermaid\npie\n```\nEnd";
+      const seen = [];
+
+      const result = await replaceMermaidBlocks(text, async (block, code, index) => {
+        seen.push([code.trim(), index]);
+        return `[diagram ${index}]`;
+      });
+
+      expect(seen).toEqual([["graph TD\nA-->B", 0], ["pie", 1]]);
+      expect(result).toBe("Intro\n[diagram 0]\nMiddle\n```js\ncode\n```\n[diagram 1]\nEnd");
+    });
+
+    it("returns text without diagrams unchanged", async () => {
+      const replacer = jest.fn();
+      expect(await replaceMermaidBlocks("No diagrams", replacer)).toBe("No diagrams");
+      expect(await replaceMermaidBlocks(null, replacer)).toBe("");
+      expect(replacer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("extractMermaidCode", () => {
+    it("strips code fences from a reply", () => {
+      expect(extractMermaidCode("```mermaid\ngraph TD\nA-->B\n```")).toBe("graph TD\nA-->B");
+      expect(extractMermaidCode("Fixed:\n```\nflowchart LR\n```")).toBe("flowchart LR");
+      expect(extractMermaidCode("  graph TD\n")).toBe("graph TD");
+      expect(extractMermaidCode("")).toBe("");
+    });
+  });
+
+  it("formats a Mermaid block", () => {
+    expect(toMermaidBlock("\ngraph TD\n")).toBe("```mermaid\ngraph TD\n```");
+  });
+});
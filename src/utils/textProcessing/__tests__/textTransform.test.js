@@ -1,4 +1,5 @@
 import { escapeCurrencyDollars, removeBeginMarker, replaceMentions } from "../textTransform";
+import { saveCustomPersona } from "../../settingsService";
 
 describe("textTransform utilities", () => {
   describe("escapeCurrencyDollars", () => {
@@ -75,6 +76,13 @@ describe("textTransform utilities", () => {
       );
     });
 
+    it("should replace mentions of custom personas", () => {
+      localStorage.clear();
+      saveCustomPersona({ id: "persona-emma", name: "Emma", description: "Travel planner" });
+      expect(replaceMentions("Ask @emma and @Emmanuel")).toBe("Ask [@emma](##) and @Emmanuel");
+      localStorage.clear();
+    });
+
     it("should not replace invalid mentions", () => {
       expect(replaceMentions("@invalid @user")).toBe("@invalid @user");
     });
@@ -18,9 +18,11 @@ import { escapeCurrencyDollars, removeBeginMarker, replaceMentions } from "./tex
  * 
  * @param {string} text - The text content to render
  * @param {Function} ExpandableHtmlBlock - Component for rendering expandable HTML blocks
+ * @param {Object} options
+ * @param {Array} options.mermaidRepairs - Auto-repaired diagrams ({original, repaired, error}) of this text
  * @returns {React.ReactElement|null} - Rendered content or null if text is empty
  */
-export const renderTextContent = (text, ExpandableHtmlBlock) => {
+export const renderTextContent = (text, ExpandableHtmlBlock, { mermaidRepairs } = {}) => {
   if (!text) return null;
 
   // Remove BEGIN marker and escape currency dollar signs
@@ -64,15 +66,29 @@ export const renderTextContent = (text, ExpandableHtmlBlock) => {
       // Extract mermaid content
       const mermaidMatch = fullCodeBlock.match(/```mermaid([\s\S]*?)```/);
       if (mermaidMatch && mermaidMatch[1]) {
-        parts.push(
+        const diagram = mermaidMatch[1].trim();
+        const repair = mermaidRepairs?.find((item) => item.repaired?.trim() === diagram);
+        const diagramElement = (
           <div
             key={`mermaid-${parts.length}`}
             className="mermaid"
-            data-mermaid-content={mermaidMatch[1].trim()}
+            data-mermaid-content={diagram}
           >
-            {mermaidMatch[1].trim()}
+            {diagram}
           </div>
         );
+        parts.push(
+          repair ? (
+            <div key={`mermaid-repaired-${parts.length}`} className="mermaid-repaired">
+              {diagramElement}
+              <details className="mermaid-repair-details">
+                <summary>auto-repaired</summary>
+                <div>Parser error: {repair.error}</div>
+                <pre>{repair.original}</pre>
+              </details>
+            </div>
+          ) : diagramElement
+        );
       }
     } else {
       // Extract regular code block content
@@ -0,0 +1,60 @@
+/**
+ * Mermaid text utilities
+ * Functions for finding and replacing Mermaid code blocks in model responses
+ */
+
+// ```mermaid followed by optional whitespace/newline, then the diagram, then ```
+const MERMAID_BLOCK_REGEX = /```mermaid\s*\n?([\s\S]*?)```/g;
+
+/**
+ * Replaces each Mermaid code block with the result of an async replacer
+ * Blocks are handled one at a time, in order
+ *
+ * @param {string} text - Text containing Mermaid code blocks
+ * @param {Function} replacer - async (block, code, index) => replacement text
+ * @returns {Promise<string>} - Text with the blocks replaced
+ */
+export const replaceMermaidBlocks = async (text, replacer) => {
+  if (!text || typeof text !== "string") {
+    return text || "";
+  }
+
+  const matches = [...text.matchAll(MERMAID_BLOCK_REGEX)];
+  let result = "";
+  let lastIndex = 0;
+  for (let i = 0; i < matches.length; i++) {
+    const [block, code] = matches[i];
+    result += text.slice(lastIndex, matches[i].index);
+    result += await replacer(block, code, i);
+    lastIndex = matches[i].index + block.length;
+  }
+  return result + text.slice(lastIndex);
+};
+
+/**
+ * Extracts the diagram from a model reply that may wrap it in a code fence
+ *
+ * @param {string} reply - Reply text
+ * @returns {string} - Diagram code without fences
+ */
+export const extractMermaidCode = (reply) => {
+  if (!reply) return "";
+  const fenced = reply.match(/```(?:mermaid)?\s*\n?([\s\S]*?)```/);
+  return (fenced ? fenced[1] : reply).trim();
+};
+
+/**
+ * Formats diagram code as a Mermaid code block
+ *
+ * @param {string} code - Diagram code
+ * @returns {string} - Mermaid code block
+ */
+export const toMermaidBlock = (code) => `\`\`\`mermaid\n${code.trim()}\n\`\`\``;
+
+/**
+ * Formats diagram code as a plain code block (shown as text, not rendered)
+ *
+ * @param {string} code - Diagram code
+ * @returns {string} - Plain code block
+ */
+export const toPlainCodeBlock = (code) => `\`\`\`\n${code}\`\`\``;
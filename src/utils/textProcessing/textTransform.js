@@ -3,6 +3,10 @@
  * Functions for processing and transforming text content
  */
 
+import { getMentionRoleMap } from "../roleConfig";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
 /**
  * Escapes currency dollar signs before math processing
  * This prevents currency symbols like $884.10 from being interpreted as LaTeX math
@@ -42,16 +46,23 @@ export const removeBeginMarker = (text) => {
 };
 
 /**
- * Replaces @mentions with markdown link format
+ * Replaces @mentions of visible personas, custom ones included, with markdown link format
  * Converts @adrien, @belinda, etc. to [@mention](##) format
  * 
  * @param {string} text - The text to process
+ * @param {Object} mentionRoleMap - Map of mention string to role key
  * @returns {string} - Text with mentions replaced
  */
-export const replaceMentions = (text) => {
+export const replaceMentions = (text, mentionRoleMap = getMentionRoleMap()) => {
   if (!text) return text;
 
-  // Regular expression to match valid @mentions (case insensitive)
-  // This matches @adrien, @belinda, @charlie, @diana with word boundaries
-  return text.replace(/@(adrien|belinda|charlie|diana)\b/gi, "[@$1](##)");
+  // Longest first, so "@Anna Lee" wins over "@Anna"
+  const mentions = Object.keys(mentionRoleMap)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex);
+  if (mentions.length === 0) return text;
+
+  // Case insensitive, and not the start of a longer word
+  const mentionRegex = new RegExp(`@(${mentions.join("|")})(?!\\w)`, "gi");
+  return text.replace(mentionRegex, "[@$1](##)");
 };
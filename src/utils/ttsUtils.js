@@ -1,9 +1,13 @@
-import { getSubscriptionKey } from "./settingsService";
+import { getGatewayUrl, getGatewayHeaders, getGatewayApiKey } from "../services/api/endpointProfiles";
+import { ApiError } from "../services/api/apiClient";
+import { withRetry, getRetryAfterMs } from "../services/api/retryPolicy";
 
-const TTS_ENDPOINT =
-  "https://jp-gw2.azure-api.net/services/aigc/multimodal-generation/services/aigc/multimodal-generation/generation";
+const TTS_PATH =
+  "services/aigc/multimodal-generation/services/aigc/multimodal-generation/generation";
 const DEFAULT_TTS_MODEL = "qwen3-tts-flash";
 const DEFAULT_VOICE = "Cherry";
+// Voices offered when building a persona
+export const TTS_VOICES = ["Cherry", "Ethan", "Nofish", "Jennifer", "Ryan", "Katerina", "Elias"];
 export const MAX_TTS_INPUT_BYTES = 600;
 
 const containsCJKCharacters = (text) => /[\u3400-\u9fff]/.test(text);
@@ -241,7 +245,8 @@ export const splitTextByByteLimit = (text, byteLimit = MAX_TTS_INPUT_BYTES) => {
 /**
  * Request speech audio generation for the provided text.
  * @param {string} text - The text that should be converted to audio.
- * @param {{ voice?: string, languageType?: string }} [options]
+ * @param {{ voice?: string, languageType?: string, onRetry?: Function }} [options] - onRetry is
+ *   called before a transient failure (429/5xx) is retried
  * @returns {Promise<{ audioUrl?: string, audioUrls: string[], audioSegments: Array<{ url: string, id?: string, expiresAt?: number }>, sanitizedText: string }>}
  */
 export const requestSpeechAudio = async (
@@ -253,15 +258,13 @@ export const requestSpeechAudio = async (
     throw new Error("No text available to convert to speech.");
   }
 
-  const subscriptionKey = getSubscriptionKey();
-
-  if (!subscriptionKey) {
+  if (!getGatewayApiKey()) {
     throw new Error(
       "Missing subscription key. Please set it before using text-to-speech."
     );
   }
 
-  const { voice = DEFAULT_VOICE, languageType } = options;
+  const { voice = DEFAULT_VOICE, languageType, onRetry } = options;
   const sanitizedText = sanitizeTextForSpeech(text);
 
   if (!sanitizedText) {
@@ -288,37 +291,51 @@ export const requestSpeechAudio = async (
       },
     };
 
-    let response;
-    try {
-      response = await fetch(TTS_ENDPOINT, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Ocp-Apim-Subscription-Key": subscriptionKey,
-        },
-        body: JSON.stringify(requestBody),
-      });
-    } catch (networkError) {
-      throw new Error(
-        networkError?.message || "Failed to connect to text-to-speech service."
-      );
-    }
+    const responseJson = await withRetry(
+      async () => {
+        let response;
+        try {
+          response = await fetch(getGatewayUrl(TTS_PATH), {
+            method: "POST",
+            headers: getGatewayHeaders({
+              "Content-Type": "application/json",
+            }),
+            body: JSON.stringify(requestBody),
+          });
+        } catch (networkError) {
+          throw new ApiError(
+            networkError?.message || "Failed to connect to text-to-speech service.",
+            { errorType: "tts_error", originalError: networkError }
+          );
+        }
 
-    let responseJson;
-    try {
-      responseJson = await response.json();
-    } catch (parseError) {
-      throw new Error("Failed to parse text-to-speech response.");
-    }
+        // Error responses from the gateway are not always JSON
+        let json = null;
+        try {
+          json = await response.json();
+        } catch (parseError) {
+          if (response.ok) {
+            throw new Error("Failed to parse text-to-speech response.");
+          }
+        }
 
-    if (!response.ok) {
-      const errorMessage =
-        responseJson?.error?.message ||
-        responseJson?.message ||
-        response.statusText ||
-        "Text-to-speech request failed.";
-      throw new Error(errorMessage);
-    }
+        if (!response.ok) {
+          const errorMessage =
+            json?.error?.message ||
+            json?.message ||
+            response.statusText ||
+            "Text-to-speech request failed.";
+          throw new ApiError(errorMessage, {
+            status: response.status,
+            errorType: "tts_error",
+            details: { retryAfterMs: getRetryAfterMs(response) },
+          });
+        }
+
+        return json;
+      },
+      { requestType: "tts", onRetry }
+    );
 
     const audioInfo = responseJson?.output?.audio;
     const audioUrl = audioInfo?.url;